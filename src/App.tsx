@@ -4,6 +4,7 @@ import FileUpload from './components/FileUpload/FileUpload';
 import SettingsPanel from './components/Settings/SettingsPanel';
 import GenreTimeline from './components/Timeline/GenreTimeline';
 import ErrorLogViewer from './components/ErrorLog/ErrorLogViewer';
+import UnlockModal from './components/Settings/UnlockModal';
 import { Music, AlertCircle } from 'lucide-react';
 
 function App() {
@@ -42,7 +43,7 @@ function App() {
           <footer className="text-center text-sm text-gray-500 dark:text-gray-400 mt-12 pb-8">
             <p>Open source music listening history visualizer</p>
             <p className="mt-2">
-              Supports ListenBrainz and Spotify data exports (JSON/JSONL)
+              Supports ListenBrainz, Spotify, Last.fm, Apple Music, YouTube Music, Deezer, Tidal and Jellyfin data exports (JSON/JSONL/CSV), .scrobbler.log, plus custom CSV/TSV layouts
             </p>
             <button
               onClick={() => setShowErrorLog(true)}
@@ -56,6 +57,7 @@ function App() {
       </div>
 
       <ErrorLogViewer isOpen={showErrorLog} onClose={() => setShowErrorLog(false)} />
+      <UnlockModal />
     </DataProvider>
   );
 }
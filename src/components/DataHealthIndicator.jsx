@@ -1,6 +1,110 @@
-import { useMemo } from 'react';
+import { useMemo, useState } from 'react';
+import { useData } from '../context/DataContext';
+import { TrackVersions, getTrackKey } from '../utils/trackTitles';
+import {
+  detectScrobbleBursts,
+  respaceBurst,
+  quarantineBurst,
+  restoreQuarantined,
+  isQuarantined
+} from '../utils/timestampValidation';
+import { putListens } from '../utils/storage/indexedDB';
 
-export const DataHealthIndicator = ({ listens }) => {
+const formatDuration = (seconds) => {
+  if (seconds < 3600) return `${Math.round(seconds / 60)} min`;
+  return `${(seconds / 3600).toFixed(1)} h`;
+};
+
+// Bursts are detected on all stored listens, including spoken word, and the
+// listens a fix changes are written straight back to IndexedDB
+export const ScrobbleBurstReport = () => {
+  const { state, dispatch, actionTypes } = useData();
+  const [isSaving, setIsSaving] = useState(false);
+
+  const bursts = useMemo(() => detectScrobbleBursts(state.listens), [state.listens]);
+  const quarantinedCount = useMemo(
+    () => state.listens.filter(isQuarantined).length,
+    [state.listens]
+  );
+
+  if (bursts.length === 0 && quarantinedCount === 0) {
+    return null;
+  }
+
+  const apply = async (updateListens) => {
+    setIsSaving(true);
+    // The updaters return unchanged listens as the same objects
+    const updated = updateListens(state.listens);
+    const changed = updated.filter((listen, index) => listen !== state.listens[index]);
+    const saved = await putListens(changed);
+    if (saved) {
+      dispatch({ type: actionTypes.SET_LISTENS, payload: updated });
+    } else {
+      dispatch({ type: actionTypes.SET_ERROR, payload: 'Failed to save listen changes' });
+    }
+    setIsSaving(false);
+  };
+
+  return (
+    <div className="mt-3 ml-7 bg-yellow-900/10 border border-yellow-700/40 rounded p-3 text-xs">
+      {bursts.length > 0 && (
+        <>
+          <div className="text-yellow-300 font-semibold mb-2">
+            ⚠️ {bursts.length} scrobble burst{bursts.length > 1 ? 's' : ''} detected
+          </div>
+          <div className="space-y-2">
+            {bursts.slice(0, 10).map(burst => (
+              <div key={burst.id} className="flex flex-wrap items-center justify-between gap-2">
+                <span className="text-gray-300">
+                  {new Date(burst.start * 1000).toLocaleString()}:{' '}
+                  <strong className="text-white">{burst.count.toLocaleString()}</strong> listens claiming{' '}
+                  {formatDuration(burst.listeningSeconds)} of play within {formatDuration(burst.wallClockSeconds)}
+                  {burst.sources.length > 0 && ` (${burst.sources.join(', ')})`}
+                </span>
+                <span className="flex gap-2">
+                  <button
+                    onClick={() => apply(listens => respaceBurst(listens, burst))}
+                    disabled={isSaving}
+                    className="px-2 py-1 rounded bg-yellow-700/40 hover:bg-yellow-700/60 text-yellow-100 disabled:opacity-50 transition-colors"
+                  >
+                    Respace
+                  </button>
+                  <button
+                    onClick={() => apply(listens => quarantineBurst(listens, burst))}
+                    disabled={isSaving}
+                    className="px-2 py-1 rounded bg-gray-700/60 hover:bg-gray-700 text-gray-200 disabled:opacity-50 transition-colors"
+                  >
+                    Quarantine
+                  </button>
+                </span>
+              </div>
+            ))}
+            {bursts.length > 10 && (
+              <div className="text-gray-500">…and {bursts.length - 10} more</div>
+            )}
+          </div>
+          <p className="text-gray-500 mt-2">
+            Respace lays the listens back to back using their track lengths; quarantine hides them from all charts.
+          </p>
+        </>
+      )}
+      {quarantinedCount > 0 && (
+        <div className={`flex items-center justify-between gap-2 text-gray-400 ${bursts.length > 0 ? 'mt-3 pt-2 border-t border-yellow-700/30' : ''}`}>
+          <span>{quarantinedCount.toLocaleString()} quarantined listens are hidden from charts</span>
+          <button
+            onClick={() => apply(restoreQuarantined)}
+            disabled={isSaving}
+            className="px-2 py-1 rounded bg-gray-700/60 hover:bg-gray-700 text-gray-200 disabled:opacity-50 transition-colors"
+          >
+            Restore
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export const DataHealthIndicator = ({ listens, trackVersions = TrackVersions.MERGED }) => {
   const stats = useMemo(() => {
     if (!listens || listens.length === 0) {
       return null;
@@ -16,10 +120,10 @@ export const DataHealthIndicator = ({ listens }) => {
 
     listens.forEach(listen => {
       const artistName = listen.artistName || listen.track_metadata?.artist_name;
-      const trackName = listen.trackName || listen.track_metadata?.track_name;
+      const trackKey = getTrackKey(listen, trackVersions);
 
       if (artistName) artists.add(artistName);
-      if (trackName) tracks.add(trackName);
+      if (trackKey) tracks.add(trackKey);
     });
 
     return {
@@ -30,7 +134,7 @@ export const DataHealthIndicator = ({ listens }) => {
       latest,
       yearSpan: parseFloat(yearSpan)
     };
-  }, [listens]);
+  }, [listens, trackVersions]);
 
   if (!stats) {
     return null;
@@ -57,6 +161,7 @@ export const DataHealthIndicator = ({ listens }) => {
           <span className="text-white font-medium">{stats.uniqueTracks.toLocaleString()}</span>
         </div>
       </div>
+      <ScrobbleBurstReport />
     </div>
   );
 };
@@ -120,6 +225,7 @@ export const MergeInfoReport = ({ mergeInfo, dateRange, onClose }) => {
 
   const hasDuplicates = mergeInfo.duplicates > 0;
   const newListensAdded = mergeInfo.new - mergeInfo.duplicates;
+  const crossSourceMatches = mergeInfo.crossSourceMatches || [];
 
   return (
     <div className="bg-cyan-900/20 border border-cyan-700 rounded-lg p-4 mb-4 relative">
@@ -157,6 +263,26 @@ export const MergeInfoReport = ({ mergeInfo, dateRange, onClose }) => {
               ))}
             </div>
           )}
+          {crossSourceMatches.length > 0 && (
+            <details className="mt-2 text-xs text-blue-300/70">
+              <summary className="cursor-pointer font-medium">
+                {crossSourceMatches.length.toLocaleString()} matched across sources
+              </summary>
+              <div className="mt-1 max-h-48 overflow-y-auto">
+                {crossSourceMatches.slice(0, 200).map((match, i) => (
+                  <div key={i} className="ml-2">
+                    • {match.date} "{match.track}" by {match.artist}: kept {match.keptSource},
+                    merged {match.droppedSource} ({match.offsetSeconds}s apart)
+                  </div>
+                ))}
+                {crossSourceMatches.length > 200 && (
+                  <div className="ml-2 italic">
+                    …and {(crossSourceMatches.length - 200).toLocaleString()} more
+                  </div>
+                )}
+              </div>
+            </details>
+          )}
         </div>
       )}
 
@@ -205,6 +331,58 @@ export const MergeInfoReport = ({ mergeInfo, dateRange, onClose }) => {
   );
 };
 
+export const ImportFilesReport = ({ report, onClose }) => {
+  if (!report || (report.used.length === 0 && report.skipped.length === 0)) return null;
+
+  return (
+    <div className="bg-gray-800/40 border border-gray-600 rounded-lg p-4 mb-4 relative">
+      {onClose && (
+        <button
+          onClick={onClose}
+          className="absolute top-2 right-2 text-gray-400 hover:text-white transition-colors"
+          aria-label="Close"
+        >
+          ✕
+        </button>
+      )}
+      <div className="text-gray-200 font-semibold mb-3 flex items-center gap-2">
+        <span>🗂️</span>
+        <span>Files</span>
+      </div>
+
+      {report.used.length > 0 && (
+        <div className="mb-3">
+          <div className="text-sm text-green-400 font-medium mb-1">
+            Used ({report.used.length})
+          </div>
+          <div className="max-h-40 overflow-y-auto text-xs text-gray-300 space-y-0.5">
+            {report.used.map((file, i) => (
+              <div key={i} className="ml-2">
+                • {file.name} <span className="text-gray-500">({file.format}, {file.count.toLocaleString()} listens)</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {report.skipped.length > 0 && (
+        <div>
+          <div className="text-sm text-orange-400 font-medium mb-1">
+            Skipped ({report.skipped.length})
+          </div>
+          <div className="max-h-40 overflow-y-auto text-xs text-gray-400 space-y-0.5">
+            {report.skipped.map((file, i) => (
+              <div key={i} className="ml-2">
+                • {file.name} <span className="text-gray-500">({file.reason})</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
 export const DataValidationError = ({ error }) => {
   if (!error) return null;
 
@@ -0,0 +1,224 @@
+import { useState } from 'react';
+import { X, Table, AlertCircle } from 'lucide-react';
+import {
+  CANDIDATE_DELIMITERS,
+  MAPPING_FIELDS,
+  REQUIRED_MAPPING_FIELDS,
+  sampleDelimitedFile,
+  guessColumnMapping,
+  getHeaderSignature,
+  isMappingComplete,
+  parseTimestampCell
+} from '../../utils/parsers/delimitedParser';
+
+const DELIMITER_LABELS = {
+  ',': 'Comma (,)',
+  '\t': 'Tab',
+  ';': 'Semicolon (;)',
+  '|': 'Pipe (|)'
+};
+
+const FIELD_LABELS = {
+  artist: 'Artist',
+  track: 'Track',
+  album: 'Album',
+  timestamp: 'Timestamp'
+};
+
+const PREVIEW_ROWS = 5;
+
+const ColumnMappingWizard = ({ file, initialSample, onConfirm, onSkip }) => {
+  const [sample, setSample] = useState(initialSample);
+  const [mapping, setMapping] = useState(initialSample.guessedMapping);
+
+  const columnCount = Math.max(0, ...sample.rows.slice(0, 20).map(row => row.length));
+  const header = mapping.hasHeader ? sample.rows[0] : [];
+  const previewRows = (mapping.hasHeader ? sample.rows.slice(1) : sample.rows).slice(0, PREVIEW_ROWS);
+
+  const getColumnLabel = (index) => {
+    const name = header[index]?.trim();
+    return name ? `${index + 1}: ${name}` : `Column ${index + 1}`;
+  };
+
+  const handleDelimiterChange = async (delimiter) => {
+    const nextSample = await sampleDelimitedFile(file, delimiter);
+    setSample(nextSample);
+    setMapping(nextSample.guessedMapping);
+  };
+
+  const handleHeaderToggle = (hasHeader) => {
+    setMapping(guessColumnMapping(sample.rows, hasHeader));
+  };
+
+  const handleFieldChange = (field, value) => {
+    setMapping(prev => ({ ...prev, [field]: value === '' ? null : Number(value) }));
+  };
+
+  const handleConfirm = () => {
+    onConfirm({
+      delimiter: sample.delimiter,
+      mapping,
+      signature: getHeaderSignature(sample.rows, mapping.hasHeader, sample.delimiter)
+    });
+  };
+
+  const formatPreviewTimestamp = (value) => {
+    const seconds = parseTimestampCell(value);
+    return seconds === null ? null : new Date(seconds * 1000).toISOString().replace('T', ' ').slice(0, 19);
+  };
+
+  const unparsedTimestamps = Number.isInteger(mapping.timestamp)
+    ? previewRows.filter(row => formatPreviewTimestamp(row[mapping.timestamp]) === null).length
+    : 0;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between p-6 border-b border-gray-200 dark:border-gray-700">
+          <div className="flex items-center gap-3">
+            <Table className="w-6 h-6 text-blue-600 dark:text-blue-400" />
+            <div>
+              <h2 className="text-2xl font-bold text-gray-900 dark:text-white">
+                Map CSV Columns
+              </h2>
+              <p className="text-sm text-gray-500 dark:text-gray-400">{file.name}</p>
+            </div>
+          </div>
+          <button
+            onClick={onSkip}
+            className="p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+          >
+            <X className="w-5 h-5 text-gray-600 dark:text-gray-400" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          <p className="text-sm text-gray-600 dark:text-gray-300">
+            This file doesn't match a known export. Check which columns hold each field.
+            The mapping is remembered for files with the same layout.
+          </p>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium mb-2 text-gray-700 dark:text-gray-300">
+                Delimiter
+              </label>
+              <select
+                value={sample.delimiter}
+                onChange={(e) => handleDelimiterChange(e.target.value)}
+                className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                {CANDIDATE_DELIMITERS.map(delimiter => (
+                  <option key={delimiter} value={delimiter}>{DELIMITER_LABELS[delimiter]}</option>
+                ))}
+              </select>
+            </div>
+            <label className="flex items-center gap-2 mt-7 text-sm text-gray-700 dark:text-gray-300">
+              <input
+                type="checkbox"
+                checked={mapping.hasHeader}
+                onChange={(e) => handleHeaderToggle(e.target.checked)}
+                className="w-4 h-4"
+              />
+              First row is a header
+            </label>
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            {MAPPING_FIELDS.map(field => (
+              <div key={field}>
+                <label className="block text-sm font-medium mb-2 text-gray-700 dark:text-gray-300">
+                  {FIELD_LABELS[field]}
+                  {!REQUIRED_MAPPING_FIELDS.includes(field) && (
+                    <span className="ml-1 text-xs text-gray-400">(optional)</span>
+                  )}
+                </label>
+                <select
+                  value={mapping[field] ?? ''}
+                  onChange={(e) => handleFieldChange(field, e.target.value)}
+                  className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                >
+                  <option value="">— None —</option>
+                  {Array.from({ length: columnCount }, (_, i) => (
+                    <option key={i} value={i}>{getColumnLabel(i)}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+
+          <div>
+            <h3 className="text-sm font-medium mb-2 text-gray-700 dark:text-gray-300">Preview</h3>
+            <div className="overflow-x-auto rounded-lg border border-gray-200 dark:border-gray-700">
+              <table className="w-full text-xs">
+                <thead className="bg-gray-50 dark:bg-gray-900/50">
+                  <tr>
+                    {MAPPING_FIELDS.map(field => (
+                      <th key={field} className="px-3 py-2 text-left font-medium text-gray-600 dark:text-gray-400">
+                        {FIELD_LABELS[field]}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {previewRows.map((row, rowIndex) => (
+                    <tr key={rowIndex} className="border-t border-gray-200 dark:border-gray-700">
+                      {MAPPING_FIELDS.map(field => {
+                        const index = mapping[field];
+                        const raw = Number.isInteger(index) ? row[index] : null;
+                        const value = field === 'timestamp' && raw ? formatPreviewTimestamp(raw) : raw;
+                        return (
+                          <td
+                            key={field}
+                            className={`px-3 py-2 ${
+                              value
+                                ? 'text-gray-900 dark:text-gray-100'
+                                : 'text-red-500 dark:text-red-400 italic'
+                            }`}
+                          >
+                            {value || (raw ? `Unreadable: ${raw}` : '—')}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+              Timestamps are shown in UTC. Times without a timezone are read as UTC.
+            </p>
+          </div>
+
+          {unparsedTimestamps > 0 && (
+            <div className="flex items-start gap-2 p-3 rounded-lg bg-yellow-50 dark:bg-yellow-900/20 text-yellow-700 dark:text-yellow-300">
+              <AlertCircle className="w-4 h-4 flex-shrink-0 mt-0.5" />
+              <p className="text-xs">
+                {unparsedTimestamps} of {previewRows.length} preview rows have a timestamp that can't be read.
+                Rows without a readable timestamp are skipped.
+              </p>
+            </div>
+          )}
+
+          <div className="flex gap-3">
+            <button
+              onClick={onSkip}
+              className="flex-1 px-6 py-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700 rounded-lg font-medium transition-colors"
+            >
+              Skip File
+            </button>
+            <button
+              onClick={handleConfirm}
+              disabled={!isMappingComplete(mapping)}
+              className="flex-1 px-6 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed text-white rounded-lg font-medium transition-colors"
+            >
+              Import with this Mapping
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ColumnMappingWizard;
@@ -5,19 +5,39 @@ import { useGenreFetch } from '../../hooks/useGenreFetch';
 import { useData } from '../../context/DataContext';
 import errorLogger from '../../utils/errorLogger';
 import ListenBrainzImport from './ListenBrainzImport';
-import { MergeInfoReport, GenreCleanupReport } from '../DataHealthIndicator';
+import SubsonicImport from './SubsonicImport';
+import ColumnMappingWizard from './ColumnMappingWizard';
+import { validateUniversalData } from '../../utils/parsers/universalParser';
+import {
+  isDelimitedFile,
+  sampleDelimitedFile,
+  getSavedMapping,
+  saveMapping
+} from '../../utils/parsers/delimitedParser';
+import { isScrobblerLogFile } from '../../utils/parsers/scrobblerLogParser';
+import { isArchiveFile, extractArchives } from '../../utils/parsers/archiveReader';
+import { isSpreadsheetFile } from '../../utils/parsers/xlsxReader';
+import { MergeInfoReport, GenreCleanupReport, ImportFilesReport } from '../DataHealthIndicator';
+
+const isSupportedFile = (name) => {
+  return name.endsWith('.json') || name.endsWith('.jsonl') || isDelimitedFile(name) ||
+    isScrobblerLogFile(name) || isSpreadsheetFile(name) || isArchiveFile(name);
+};
 
 const FileUpload = () => {
   const { state, dispatch, actionTypes } = useData();
-  const { parseFiles, parseProgress } = useDataParser();
+  const { parseFiles, cancelParse, parseProgress } = useDataParser();
   const { fetchGenres, isFetching, canResume, checkForResumableProgress, cancelFetch } = useGenreFetch();
   const [isDragging, setIsDragging] = useState(false);
   const [fileType, setFileType] = useState('auto');
   const [uploadStatus, setUploadStatus] = useState(null);
   const [uploadMode, setUploadMode] = useState('file');
   const [importMode, setImportMode] = useState('file');
+  const [apiSource, setApiSource] = useState('listenbrainz');
   const [mergeInfo, setMergeInfo] = useState(null);
   const [genreReport, setGenreReport] = useState(null);
+  const [mappingRequest, setMappingRequest] = useState(null);
+  const [fileReport, setFileReport] = useState(null);
   const fileInputRef = useRef(null);
   const directoryInputRef = useRef(null);
 
@@ -111,7 +131,7 @@ const FileUpload = () => {
             for (const entry of entries) {
               if (entry.isFile) {
                 const file = await new Promise((res) => entry.file(res));
-                if (file.name.endsWith('.json') || file.name.endsWith('.jsonl')) {
+                if (isSupportedFile(file.name)) {
                   files.push(file);
                 }
               } else if (entry.isDirectory) {
@@ -139,36 +159,87 @@ const FileUpload = () => {
     }
   };
 
+  // Shows the column-mapping wizard and resolves with the confirmed mapping,
+  // or null when the user skips the file.
+  const requestColumnMapping = (file, sample) => {
+    return new Promise((resolve) => {
+      setMappingRequest({ file, sample, resolve });
+    });
+  };
+
+  const resolveMappingRequest = (result) => {
+    mappingRequest?.resolve(result);
+    setMappingRequest(null);
+  };
+
+  // Known exports (Last.fm, Apple Music) are detected from their columns.
+  // Anything else goes through a saved mapping for the same header layout,
+  // or the mapping wizard.
+  const prepareDelimitedFiles = async (files) => {
+    const delimitedFiles = new Map();
+    const skippedFiles = [];
+
+    for (const file of files) {
+      if (!isDelimitedFile(file.name)) continue;
+
+      const sample = await sampleDelimitedFile(file);
+      const savedMapping = getSavedMapping(sample.signature);
+
+      if (savedMapping) {
+        console.log(`🗂️ Using saved column mapping for ${file.name}`);
+        delimitedFiles.set(file, savedMapping);
+        continue;
+      }
+
+      if (validateUniversalData(sample.rows).valid) {
+        delimitedFiles.set(file, { delimiter: sample.delimiter });
+        continue;
+      }
+
+      const confirmed = await requestColumnMapping(file, sample);
+
+      if (!confirmed) {
+        skippedFiles.push(file);
+        continue;
+      }
+
+      const entry = { delimiter: confirmed.delimiter, mapping: confirmed.mapping };
+      saveMapping(confirmed.signature, entry);
+      delimitedFiles.set(file, entry);
+    }
+
+    return { delimitedFiles, skippedFiles };
+  };
+
   const handleFiles = async (files) => {
-    const validFiles = files.filter(f =>
-      f.name.endsWith('.json') || f.name.endsWith('.jsonl')
-    );
+    const selectedFiles = files.filter(f => isSupportedFile(f.name));
 
-    if (validFiles.length === 0) {
-      const error = new Error('Please upload JSON or JSONL files');
+    if (selectedFiles.length === 0) {
+      const error = new Error('Please upload JSON, JSONL, CSV, TSV, XLSX, .scrobbler.log or ZIP files');
       errorLogger.log(error, { context: 'file upload', files: files.map(f => f.name) });
-      setUploadStatus({ success: false, message: 'Please upload JSON or JSONL files' });
+      setUploadStatus({ success: false, message: 'Please upload JSON, JSONL, CSV, TSV, XLSX, .scrobbler.log or ZIP files' });
       return;
     }
 
-    const totalSize = validFiles.reduce((sum, f) => sum + f.size, 0);
-    const maxSize = 250 * 1024 * 1024;
+    setFileReport(null);
 
-    if (totalSize > maxSize) {
-      const error = new Error(`Total file size exceeds 250MB limit. Total: ${(totalSize / 1024 / 1024).toFixed(2)}MB`);
-      errorLogger.log(error, {
-        context: 'file upload',
-        totalSize,
-        maxSize,
-        fileCount: validFiles.length
-      });
-      setUploadStatus({
-        success: false,
-        message: `Total file size exceeds 250MB limit. Total: ${(totalSize / 1024 / 1024).toFixed(2)}MB`
-      });
-      return;
+    let validFiles = selectedFiles;
+    let archiveReport = { extracted: [], skipped: [] };
+
+    if (selectedFiles.some(f => isArchiveFile(f.name))) {
+      setUploadStatus({ success: null, message: 'Extracting archives...' });
+      ({ files: validFiles, report: archiveReport } = await extractArchives(selectedFiles));
+
+      if (validFiles.length === 0) {
+        setFileReport({ used: [], skipped: archiveReport.skipped });
+        setUploadStatus({ success: false, message: 'No listening history files found in the archive' });
+        return;
+      }
     }
 
+    // No size limit: files are streamed in chunks rather than read whole
+    const totalSize = validFiles.reduce((sum, f) => sum + f.size, 0);
+
     if (totalSize > 200 * 1024 * 1024) {
       errorLogger.warn(`Large file upload: ${(totalSize / 1024 / 1024).toFixed(2)}MB`, {
         context: 'file upload',
@@ -177,10 +248,35 @@ const FileUpload = () => {
       console.warn(`Large file upload: ${(totalSize / 1024 / 1024).toFixed(2)}MB`);
     }
 
-    setUploadStatus({ success: null, message: `Processing ${validFiles.length} file${validFiles.length > 1 ? 's' : ''}...` });
-
     try {
-      const result = await parseFiles(validFiles, fileType);
+      const { delimitedFiles, skippedFiles } = await prepareDelimitedFiles(validFiles);
+
+      if (skippedFiles.length > 0) {
+        validFiles = validFiles.filter(f => !skippedFiles.includes(f));
+        if (validFiles.length === 0) {
+          setUploadStatus({ success: false, message: 'Import cancelled: no column mapping confirmed' });
+          return;
+        }
+      }
+
+      setUploadStatus({ success: null, message: `Processing ${validFiles.length} file${validFiles.length > 1 ? 's' : ''}...` });
+
+      const result = await parseFiles(validFiles, {
+        delimitedFiles,
+        crossSourceWindow: state.crossSourceWindow,
+        profileId: state.activeProfileId
+      });
+
+      if (result.fileReport) {
+        setFileReport({
+          used: result.fileReport.used,
+          skipped: [
+            ...archiveReport.skipped,
+            ...skippedFiles.map(f => ({ name: f.name, reason: 'no column mapping' })),
+            ...result.fileReport.skipped
+          ]
+        });
+      }
 
       if (result.success) {
         if (result.mergeInfo) {
@@ -214,10 +310,12 @@ const FileUpload = () => {
         });
 
         setUploadStatus({ success: null, message: 'Fetching genres...' });
-        const listens = state.listens.length > 0 ? state.listens : result.listens;
-        await fetchGenres(listens);
+        // Genres are only missing for the listens this import added
+        await fetchGenres(result.listens);
 
         setUploadStatus({ success: true, message: 'Data loaded successfully!' });
+      } else if (result.cancelled) {
+        setUploadStatus({ success: false, message: 'Import cancelled. No data was changed.' });
       } else {
         errorLogger.log(new Error(result.error), {
           context: 'file parsing',
@@ -279,7 +377,31 @@ const FileUpload = () => {
       </div>
 
       {importMode === 'api' ? (
-        <ListenBrainzImport onImportComplete={handleListenBrainzImport} />
+        <>
+          <div className="flex gap-2 mb-4">
+            {[
+              { id: 'listenbrainz', label: 'ListenBrainz' },
+              { id: 'subsonic', label: 'Navidrome / Subsonic' }
+            ].map(source => (
+              <button
+                key={source.id}
+                onClick={() => setApiSource(source.id)}
+                className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+                  apiSource === source.id
+                    ? 'bg-gray-900 dark:bg-white text-white dark:text-gray-900'
+                    : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200 hover:bg-gray-200 dark:hover:bg-gray-600'
+                }`}
+              >
+                {source.label}
+              </button>
+            ))}
+          </div>
+          {apiSource === 'subsonic' ? (
+            <SubsonicImport onImportFile={(file) => handleFiles([file])} />
+          ) : (
+            <ListenBrainzImport onImportComplete={handleListenBrainzImport} />
+          )}
+        </>
       ) : (
         <>
           <div className="mb-6">
@@ -367,7 +489,7 @@ const FileUpload = () => {
         <input
           ref={fileInputRef}
           type="file"
-          accept=".json,.jsonl"
+          accept=".json,.jsonl,.csv,.tsv,.xlsx,.log,.zip,.gz"
           multiple
           onChange={handleFileInput}
           className="hidden"
@@ -400,6 +522,18 @@ const FileUpload = () => {
                   {parseProgress.currentFile}
                 </p>
               )}
+              {parseProgress.cancellable !== false && (
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    cancelParse();
+                  }}
+                  className="mt-4 flex items-center gap-1 px-3 py-1 bg-red-500 hover:bg-red-600 text-white rounded-lg transition-colors text-xs font-medium"
+                >
+                  <X className="w-3 h-3" />
+                  Cancel Import
+                </button>
+              )}
             </>
           ) : (
             <>
@@ -411,17 +545,20 @@ const FileUpload = () => {
               <h3 className="text-lg font-semibold mb-2 text-gray-700 dark:text-gray-200">
                 {uploadMode === 'directory'
                   ? 'Drop a directory here or click to browse'
-                  : 'Drop JSON/JSONL files here or click to browse'
+                  : 'Drop JSON/JSONL/CSV/TSV or ZIP files here or click to browse'
                 }
               </h3>
               <p className="text-sm text-gray-500 dark:text-gray-300 mb-2">
-                ListenBrainz or Spotify extended streaming history
+                ListenBrainz, Spotify extended streaming history, Last.fm scrobbles, Apple Music Play Activity, YouTube Music watch history, Deezer, Tidal or Rockbox .scrobbler.log
               </p>
               <p className="text-xs text-gray-400 dark:text-gray-400 mb-1">
-                Supports multiple files and directories
+                Other CSV/TSV layouts can be mapped column by column
+              </p>
+              <p className="text-xs text-gray-400 dark:text-gray-400 mb-1">
+                Supports multiple files, directories and .zip / .json.gz export bundles
               </p>
               <p className="text-xs text-gray-400 dark:text-gray-400">
-                Maximum total size: 250MB
+                Large exports are read in chunks, so there is no size limit
               </p>
             </>
           )}
@@ -449,6 +586,15 @@ const FileUpload = () => {
         </div>
       )}
 
+      {fileReport && (
+        <div className="mt-4">
+          <ImportFilesReport
+            report={fileReport}
+            onClose={() => setFileReport(null)}
+          />
+        </div>
+      )}
+
       {mergeInfo && (
         <div className="mt-4">
           <MergeInfoReport
@@ -526,6 +672,15 @@ const FileUpload = () => {
       )}
       </>
       )}
+
+      {mappingRequest && (
+        <ColumnMappingWizard
+          file={mappingRequest.file}
+          initialSample={mappingRequest.sample}
+          onConfirm={resolveMappingRequest}
+          onSkip={() => resolveMappingRequest(null)}
+        />
+      )}
     </div>
   );
 };
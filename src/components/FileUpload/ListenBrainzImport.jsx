@@ -72,6 +72,7 @@ const ListenBrainzImport = ({ onImportComplete }) => {
             trackName: track.track_name,
             artistName: track.artist_name,
             albumName: track.release_name || '',
+            additionalInfo: track.additional_info || {},
             mbid: track.additional_info?.recording_mbid || null
           };
         });
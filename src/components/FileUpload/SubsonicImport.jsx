@@ -0,0 +1,264 @@
+import { useState, useRef } from 'react';
+import { Server, User, Lock, AlertCircle, CheckCircle, Loader, StopCircle, Download } from 'lucide-react';
+import { fetchAllSubsonicListens, createSubsonicImportFile } from '../../utils/api/subsonic';
+import { NAVIDROME_EXPORT_QUERY } from '../../utils/parsers/scrobblerExportParser';
+
+// Fetched listens are handed to onImportFile as a JSON file, which
+// FileUpload runs through the regular import pipeline
+const SubsonicImport = ({ onImportFile }) => {
+  const [serverUrl, setServerUrl] = useState('');
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [maxRecords, setMaxRecords] = useState(10000);
+  const [isImporting, setIsImporting] = useState(false);
+  const [importStatus, setImportStatus] = useState(null);
+  const [progress, setProgress] = useState({ fetched: 0, total: 0 });
+  const abortControllerRef = useRef(null);
+
+  const stopImport = () => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+      setImportStatus({
+        type: 'error',
+        message: 'Import stopped by user'
+      });
+      setIsImporting(false);
+    }
+  };
+
+  const handleImport = async () => {
+    if (!serverUrl.trim() || !username.trim()) {
+      setImportStatus({ type: 'error', message: 'Please enter a server URL and username' });
+      return;
+    }
+
+    abortControllerRef.current = new AbortController();
+    setIsImporting(true);
+    setImportStatus({ type: 'info', message: 'Scanning library on the server...' });
+
+    try {
+      const result = await fetchAllSubsonicListens(
+        serverUrl,
+        username.trim(),
+        password,
+        (progressData) => {
+          setProgress(progressData);
+          setImportStatus({
+            type: 'info',
+            message: `Scanned ${progressData.fetched.toLocaleString()} songs, ${progressData.listens.toLocaleString()} played...`
+          });
+        },
+        maxRecords,
+        abortControllerRef.current.signal
+      );
+
+      if (result.success) {
+        if (result.listens.length === 0) {
+          setImportStatus({
+            type: 'error',
+            message: 'No played songs found. The server must report when each song was last played (OpenSubsonic).'
+          });
+          return;
+        }
+
+        // totalPlays is the server's play count; only the last play of each song has a date
+        const summary = `Found ${result.listens.length.toLocaleString()} dated listens of the ` +
+          `${result.totalPlays.toLocaleString()} plays the server counted`;
+        setImportStatus({ type: 'info', message: `${summary}. Importing...` });
+
+        if (onImportFile) {
+          await onImportFile(createSubsonicImportFile(result.listens, serverUrl, username.trim()));
+        }
+
+        setImportStatus({ type: 'success', message: `${summary}. See the import results below.` });
+      } else {
+        setImportStatus({
+          type: 'error',
+          message: result.error || 'Failed to fetch listens'
+        });
+      }
+    } catch (error) {
+      console.error('Subsonic import error:', error);
+      if (error.name === 'AbortError') {
+        setImportStatus({
+          type: 'error',
+          message: 'Import stopped by user'
+        });
+      } else {
+        setImportStatus({
+          type: 'error',
+          message: error.message || 'An error occurred during import'
+        });
+      }
+    } finally {
+      setIsImporting(false);
+      abortControllerRef.current = null;
+    }
+  };
+
+  const inputClassName = 'w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-orange-500 focus:border-transparent disabled:opacity-50 disabled:cursor-not-allowed';
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6 border border-gray-200 dark:border-gray-700">
+      <div className="flex items-center gap-3 mb-4">
+        <Server className="w-5 h-5 text-orange-600 dark:text-orange-400" />
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+          Import from Navidrome / Subsonic
+        </h3>
+      </div>
+
+      <div className="space-y-4">
+        <div>
+          <label className="block text-sm font-medium mb-2 text-gray-700 dark:text-gray-300">
+            <div className="flex items-center gap-2">
+              <Server className="w-4 h-4" />
+              <span>Server URL</span>
+            </div>
+          </label>
+          <input
+            type="url"
+            value={serverUrl}
+            onChange={(e) => setServerUrl(e.target.value)}
+            placeholder="https://music.example.com"
+            disabled={isImporting}
+            className={inputClassName}
+          />
+        </div>
+
+        <div className="grid grid-cols-2 gap-3">
+          <div>
+            <label className="block text-sm font-medium mb-2 text-gray-700 dark:text-gray-300">
+              <div className="flex items-center gap-2">
+                <User className="w-4 h-4" />
+                <span>Username</span>
+              </div>
+            </label>
+            <input
+              type="text"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              disabled={isImporting}
+              className={inputClassName}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium mb-2 text-gray-700 dark:text-gray-300">
+              <div className="flex items-center gap-2">
+                <Lock className="w-4 h-4" />
+                <span>Password</span>
+              </div>
+            </label>
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              disabled={isImporting}
+              className={inputClassName}
+            />
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium mb-2 text-gray-700 dark:text-gray-300">
+            Maximum Records to Import
+          </label>
+          <input
+            type="number"
+            min="1000"
+            max="100000"
+            step="1000"
+            value={maxRecords}
+            onChange={(e) => setMaxRecords(parseInt(e.target.value) || 10000)}
+            disabled={isImporting}
+            className={inputClassName}
+          />
+        </div>
+
+        <div className="flex gap-2">
+          <button
+            onClick={handleImport}
+            disabled={isImporting || !serverUrl.trim() || !username.trim()}
+            className="flex-1 flex items-center justify-center gap-2 px-6 py-3 bg-orange-600 hover:bg-orange-700 disabled:bg-gray-400 disabled:cursor-not-allowed text-white rounded-lg font-medium transition-colors"
+          >
+            {isImporting ? (
+              <>
+                <Loader className="w-5 h-5 animate-spin" />
+                <span>Importing...</span>
+              </>
+            ) : (
+              <>
+                <Download className="w-5 h-5" />
+                <span>Import Listens</span>
+              </>
+            )}
+          </button>
+
+          {isImporting && (
+            <button
+              onClick={stopImport}
+              className="px-6 py-3 bg-red-600 hover:bg-red-700 text-white rounded-lg font-medium transition-colors flex items-center gap-2"
+            >
+              <StopCircle className="w-5 h-5" />
+              <span>Stop</span>
+            </button>
+          )}
+        </div>
+
+        {importStatus && (
+          <div
+            className={`p-4 rounded-lg flex items-start gap-3 ${
+              importStatus.type === 'success'
+                ? 'bg-green-50 dark:bg-green-900/20 text-green-700 dark:text-green-300'
+                : importStatus.type === 'error'
+                ? 'bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-300'
+                : 'bg-blue-50 dark:bg-blue-900/20 text-blue-700 dark:text-blue-300'
+            }`}
+          >
+            {importStatus.type === 'success' ? (
+              <CheckCircle className="w-5 h-5 flex-shrink-0 mt-0.5" />
+            ) : importStatus.type === 'error' ? (
+              <AlertCircle className="w-5 h-5 flex-shrink-0 mt-0.5" />
+            ) : (
+              <Loader className="w-5 h-5 flex-shrink-0 mt-0.5 animate-spin" />
+            )}
+            <div className="flex-1">
+              <p className="text-sm">{importStatus.message}</p>
+              {progress.total > 0 && (
+                <div className="mt-2">
+                  <div className="h-1.5 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+                    <div
+                      className="h-full bg-orange-500 transition-all duration-300"
+                      style={{ width: `${(progress.fetched / progress.total) * 100}%` }}
+                    />
+                  </div>
+                  <p className="text-xs mt-1">
+                    {progress.fetched.toLocaleString()} / {progress.total.toLocaleString()} songs
+                  </p>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+
+        <div className="bg-gray-50 dark:bg-gray-700/50 p-3 rounded-lg">
+          <p className="text-xs text-gray-600 dark:text-gray-400">
+            Works with Navidrome and other Subsonic/OpenSubsonic servers. The Subsonic API only keeps the
+            last time each song was played, so one listen is imported per played song: a song played 12
+            times counts once. Importing again adds songs played since, without duplicating earlier ones.
+            The server must allow requests from this site (CORS). For a full history from Jellyfin or Emby,
+            upload the Playback Reporting plugin export instead.
+          </p>
+          <p className="text-xs text-gray-600 dark:text-gray-400 mt-2">
+            Navidrome keeps every play in its database. To import all of them, export the play history
+            with sqlite3 on the server and upload the CSV file:
+          </p>
+          <code className="block mt-1 p-2 text-xs break-all bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 rounded">
+            sqlite3 -header -csv navidrome.db "{NAVIDROME_EXPORT_QUERY}" &gt; navidrome-plays.csv
+          </code>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SubsonicImport;
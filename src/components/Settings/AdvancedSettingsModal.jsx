@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react';
-import { X, Settings, Key, Database, Download, Upload, Trash2, Info, AlertTriangle } from 'lucide-react';
+import { X, Settings, Key, Database, Download, Upload, Trash2, Info, AlertTriangle, Plus, Lock, Loader2 } from 'lucide-react';
 import { useData } from '../../context/DataContext';
 import {
   saveAPIConfig,
@@ -9,9 +9,22 @@ import {
   importData,
   getGenreCacheStats
 } from '../../utils/storage/indexedDB';
+import { getSupportedTimeZones, isValidTimeZone, setTimezoneTimeline } from '../../utils/timezones';
+import { DEFAULT_PROFILE_ID } from '../../utils/profiles';
+import { MIN_PASSPHRASE_LENGTH } from '../../utils/storage/vault';
 
 const AdvancedSettingsModal = ({ isOpen, onClose }) => {
-  const { dispatch, actionTypes } = useData();
+  const {
+    state,
+    dispatch,
+    actionTypes,
+    setPassphrase,
+    changePassphrase,
+    removePassphrase,
+    lockProfile,
+    exportProfileSettings,
+    restoreProfileSettings
+  } = useData();
   const [activeTab, setActiveTab] = useState('api');
   const [lastfmApiKey, setLastfmApiKey] = useState('');
   const [cacheStats, setCacheStats] = useState(null);
@@ -19,11 +32,15 @@ const AdvancedSettingsModal = ({ isOpen, onClose }) => {
   const [unknownDisplay, setUnknownDisplay] = useState('faded');
   const [gatewayThreshold, setGatewayThreshold] = useState(10);
   const [genreSignificance, setGenreSignificance] = useState(1);
+  const [timezoneRows, setTimezoneRows] = useState([]);
+  const [passphraseFields, setPassphraseFields] = useState({ current: '', next: '', confirm: '' });
+  const [vaultProgress, setVaultProgress] = useState(null);
 
   useEffect(() => {
     if (isOpen) {
       loadSettings();
       loadCacheStats();
+      setTimezoneRows(state.timezoneTimeline.map(({ from, timeZone }) => ({ from: from || '', timeZone })));
     }
   }, [isOpen]);
 
@@ -49,6 +66,63 @@ const AdvancedSettingsModal = ({ isOpen, onClose }) => {
     setTimeout(() => setSaveStatus(null), 3000);
   };
 
+  const updatePassphraseField = (field, value) => {
+    setPassphraseFields(fields => ({ ...fields, [field]: value }));
+  };
+
+  // Runs a passphrase operation, which re-encrypts every listen of the profile
+  const runVaultAction = async (action, successMessage) => {
+    const { current, next, confirm } = passphraseFields;
+    if (action !== 'remove' && next !== confirm) {
+      setSaveStatus({ type: 'error', message: 'The new passphrases do not match' });
+      setTimeout(() => setSaveStatus(null), 3000);
+      return;
+    }
+
+    setVaultProgress({ processed: 0, total: 0 });
+    let result;
+    if (action === 'set') {
+      result = await setPassphrase(next, setVaultProgress);
+    } else if (action === 'change') {
+      result = await changePassphrase(current, next, setVaultProgress);
+    } else {
+      result = await removePassphrase(current, setVaultProgress);
+    }
+    setVaultProgress(null);
+
+    if (result.success) {
+      setPassphraseFields({ current: '', next: '', confirm: '' });
+      setSaveStatus({ type: 'success', message: successMessage });
+    } else {
+      setSaveStatus({ type: 'error', message: result.error });
+    }
+    setTimeout(() => setSaveStatus(null), 3000);
+  };
+
+  const updateTimezoneRow = (index, changes) => {
+    setTimezoneRows(rows => rows.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+  };
+
+  const handleSaveTimezones = () => {
+    const rows = timezoneRows.filter(row => row.timeZone.trim());
+    const invalid = rows.find(row => !isValidTimeZone(row.timeZone.trim()));
+    if (invalid) {
+      setSaveStatus({ type: 'error', message: `Unknown timezone: ${invalid.timeZone}` });
+      setTimeout(() => setSaveStatus(null), 3000);
+      return;
+    }
+
+    const timeline = rows
+      .map(row => ({ from: row.from || null, timeZone: row.timeZone.trim() }))
+      .sort((a, b) => (a.from || '').localeCompare(b.from || ''));
+
+    // Set the lookup table before dispatching so the regrouping sees it
+    setTimezoneTimeline(timeline);
+    dispatch({ type: actionTypes.SET_TIMEZONE_TIMELINE, payload: timeline });
+    setSaveStatus({ type: 'success', message: 'Timezone timeline saved!' });
+    setTimeout(() => setSaveStatus(null), 3000);
+  };
+
   const handleClearCache = async () => {
     if (window.confirm('Are you sure you want to clear the genre cache? This action cannot be undone.')) {
       const success = await clearGenreCache();
@@ -63,13 +137,20 @@ const AdvancedSettingsModal = ({ isOpen, onClose }) => {
   };
 
   const handleExportData = async () => {
-    const data = await exportData();
+    // Backups hold the active profile's listens, artist merges, import
+    // history and settings (without the ListenBrainz token), plus the shared
+    // genre cache
+    const profile = state.profiles.find(entry => entry.id === state.activeProfileId);
+    const profileSlug = profile && profile.id !== DEFAULT_PROFILE_ID
+      ? `${profile.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}-`
+      : '';
+    const data = await exportData(exportProfileSettings());
     if (data) {
       const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
       const url = URL.createObjectURL(blob);
       const a = document.createElement('a');
       a.href = url;
-      a.download = `music-visualizer-backup-${new Date().toISOString().split('T')[0]}.json`;
+      a.download = `music-visualizer-backup-${profileSlug}${new Date().toISOString().split('T')[0]}.json`;
       document.body.appendChild(a);
       a.click();
       document.body.removeChild(a);
@@ -91,6 +172,7 @@ const AdvancedSettingsModal = ({ isOpen, onClose }) => {
       const data = JSON.parse(text);
       const success = await importData(data);
       if (success) {
+        restoreProfileSettings(data.profileSettings);
         setSaveStatus({ type: 'success', message: 'Data imported successfully! Please refresh the page.' });
         loadCacheStats();
       } else {
@@ -204,6 +286,19 @@ const AdvancedSettingsModal = ({ isOpen, onClose }) => {
               <span>Cache</span>
             </div>
           </button>
+          <button
+            onClick={() => setActiveTab('security')}
+            className={`flex-1 px-6 py-3 text-sm font-medium transition-colors ${
+              activeTab === 'security'
+                ? 'text-blue-600 dark:text-blue-400 border-b-2 border-blue-600 dark:border-blue-400'
+                : 'text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-gray-200'
+            }`}
+          >
+            <div className="flex items-center justify-center gap-2">
+              <Lock className="w-4 h-4" />
+              <span>Security</span>
+            </div>
+          </button>
         </div>
 
         <div className="p-6 overflow-y-auto max-h-[calc(90vh-180px)]">
@@ -394,6 +489,68 @@ const AdvancedSettingsModal = ({ isOpen, onClose }) => {
                 </p>
               </div>
 
+              <div>
+                <label className="block text-sm font-medium mb-2 text-gray-700 dark:text-gray-300">
+                  Timezone Timeline
+                </label>
+                <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">
+                  Where you were listening, for hours, days and weeks to follow your own clock. Each timezone
+                  applies from its start date until the next one; leave the first date empty to cover everything
+                  before. The timeline takes precedence over a location the source reported (e.g. Spotify's
+                  country); outside it, that location is used, and otherwise your browser's timezone.
+                </p>
+                <div className="space-y-2">
+                  {timezoneRows.map((row, index) => (
+                    <div key={index} className="flex items-center gap-2">
+                      <input
+                        type="date"
+                        value={row.from}
+                        onChange={(e) => updateTimezoneRow(index, { from: e.target.value })}
+                        className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-sm text-gray-900 dark:text-white"
+                      />
+                      <input
+                        type="text"
+                        list="timezone-options"
+                        value={row.timeZone}
+                        onChange={(e) => updateTimezoneRow(index, { timeZone: e.target.value })}
+                        placeholder="e.g. Europe/Berlin"
+                        className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-sm text-gray-900 dark:text-white"
+                      />
+                      <button
+                        onClick={() => setTimezoneRows(rows => rows.filter((_, i) => i !== index))}
+                        className="p-2 text-gray-500 hover:text-red-600 dark:text-gray-400 dark:hover:text-red-400"
+                        aria-label="Remove timezone"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  ))}
+                  <datalist id="timezone-options">
+                    {getSupportedTimeZones().map(zone => (
+                      <option key={zone} value={zone} />
+                    ))}
+                  </datalist>
+                </div>
+                <div className="flex gap-2 mt-3">
+                  <button
+                    onClick={() => setTimezoneRows(rows => [
+                      ...rows,
+                      { from: '', timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone || '' }
+                    ])}
+                    className="flex items-center gap-1 px-3 py-1.5 text-sm border border-gray-300 dark:border-gray-600 rounded-lg text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700"
+                  >
+                    <Plus className="w-4 h-4" />
+                    Add Timezone
+                  </button>
+                  <button
+                    onClick={handleSaveTimezones}
+                    className="px-3 py-1.5 text-sm bg-blue-600 hover:bg-blue-700 text-white rounded-lg"
+                  >
+                    Apply Timeline
+                  </button>
+                </div>
+              </div>
+
               <div className="pt-4 border-t border-gray-200 dark:border-gray-700">
                 <button
                   onClick={() => {
@@ -416,6 +573,33 @@ const AdvancedSettingsModal = ({ isOpen, onClose }) => {
 
           {activeTab === 'cache' && (
             <div className="space-y-6">
+              <div>
+                <label className="block text-sm font-medium mb-2 text-gray-700 dark:text-gray-300">
+                  Cross-Source Duplicate Window
+                </label>
+                <div className="flex items-center gap-3">
+                  <input
+                    type="range"
+                    min="0"
+                    max="600"
+                    step="30"
+                    value={state.crossSourceWindow}
+                    onChange={(e) => dispatch({
+                      type: actionTypes.SET_CROSS_SOURCE_WINDOW,
+                      payload: parseInt(e.target.value, 10)
+                    })}
+                    className="flex-1 h-2 bg-gray-200 dark:bg-gray-700 rounded-lg appearance-none cursor-pointer accent-blue-600"
+                  />
+                  <span className="text-sm font-medium text-gray-900 dark:text-white min-w-[4rem] text-right">
+                    {state.crossSourceWindow === 0 ? 'Off' : `${state.crossSourceWindow}s`}
+                  </span>
+                </div>
+                <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+                  The same track from two sources (e.g. Spotify history and ListenBrainz scrobbles) starting
+                  within this window is merged into one listen on the next import
+                </p>
+              </div>
+
               {cacheStats && (
                 <div className="bg-gray-50 dark:bg-gray-700/50 rounded-lg p-4">
                   <h3 className="text-lg font-semibold mb-3 text-gray-900 dark:text-white">
@@ -491,7 +675,8 @@ const AdvancedSettingsModal = ({ isOpen, onClose }) => {
               <div className="bg-yellow-50 dark:bg-yellow-900/20 p-3 rounded-lg">
                 <p className="text-xs text-yellow-700 dark:text-yellow-300">
                   Exporting your data creates a backup that includes all your listens, cached genres, and settings.
-                  You can import this backup later to restore your data.
+                  You can import this backup later to restore your data. Backups are not encrypted, even for a
+                  profile locked with a passphrase.
                 </p>
               </div>
 
@@ -516,6 +701,133 @@ const AdvancedSettingsModal = ({ isOpen, onClose }) => {
               </div>
             </div>
           )}
+
+          {activeTab === 'security' && (
+            <div className="space-y-6">
+              <div className="bg-blue-50 dark:bg-blue-900/20 p-3 rounded-lg">
+                <div className="flex items-start gap-2">
+                  <Info className="w-4 h-4 text-blue-600 dark:text-blue-400 mt-0.5 flex-shrink-0" />
+                  <p className="text-xs text-blue-700 dark:text-blue-300">
+                    A passphrase encrypts this profile's listens and settings in the browser (AES-GCM with a key
+                    stretched by PBKDF2), and MusicQuest asks for it on start. Listening times, sources and import
+                    history (including file names) stay readable so date queries and rollbacks keep working. Artist
+                    names stay readable in the artist aliases and in the genre cache, which all profiles share. A
+                    forgotten passphrase cannot be recovered.
+                  </p>
+                </div>
+              </div>
+
+              {vaultProgress && (
+                <div className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                  <Loader2 className="w-4 h-4 animate-spin" />
+                  <span>
+                    Re-encrypting listens
+                    {vaultProgress.total > 0 && ` (${vaultProgress.processed.toLocaleString()} / ${vaultProgress.total.toLocaleString()})`}
+                    ...
+                  </span>
+                </div>
+              )}
+
+              {!state.vaultEnabled ? (
+                <div className="space-y-3">
+                  <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+                    Lock with Passphrase
+                  </h3>
+                  <input
+                    type="password"
+                    value={passphraseFields.next}
+                    onChange={(e) => updatePassphraseField('next', e.target.value)}
+                    placeholder={`Passphrase (at least ${MIN_PASSPHRASE_LENGTH} characters)`}
+                    autoComplete="new-password"
+                    className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  <input
+                    type="password"
+                    value={passphraseFields.confirm}
+                    onChange={(e) => updatePassphraseField('confirm', e.target.value)}
+                    placeholder="Repeat passphrase"
+                    autoComplete="new-password"
+                    className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  <button
+                    onClick={() => runVaultAction('set', 'Profile encrypted with your passphrase')}
+                    disabled={vaultProgress !== null}
+                    className="px-6 py-2 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white rounded-lg font-medium transition-colors"
+                  >
+                    Encrypt Profile
+                  </button>
+                </div>
+              ) : (
+                <>
+                  <div className="space-y-3">
+                    <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+                      Change Passphrase
+                    </h3>
+                    <input
+                      type="password"
+                      value={passphraseFields.current}
+                      onChange={(e) => updatePassphraseField('current', e.target.value)}
+                      placeholder="Current passphrase"
+                      autoComplete="current-password"
+                      className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                    <input
+                      type="password"
+                      value={passphraseFields.next}
+                      onChange={(e) => updatePassphraseField('next', e.target.value)}
+                      placeholder={`New passphrase (at least ${MIN_PASSPHRASE_LENGTH} characters)`}
+                      autoComplete="new-password"
+                      className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                    <input
+                      type="password"
+                      value={passphraseFields.confirm}
+                      onChange={(e) => updatePassphraseField('confirm', e.target.value)}
+                      placeholder="Repeat new passphrase"
+                      autoComplete="new-password"
+                      className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                    <div className="flex flex-wrap gap-3">
+                      <button
+                        onClick={() => runVaultAction('change', 'Passphrase changed and listens re-encrypted')}
+                        disabled={vaultProgress !== null}
+                        className="px-6 py-2 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white rounded-lg font-medium transition-colors"
+                      >
+                        Change Passphrase
+                      </button>
+                      <button
+                        onClick={() => {
+                          lockProfile();
+                          onClose();
+                        }}
+                        disabled={vaultProgress !== null}
+                        className="flex items-center gap-2 px-6 py-2 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50 text-gray-700 dark:text-gray-300 rounded-lg font-medium transition-colors"
+                      >
+                        <Lock className="w-4 h-4" />
+                        Lock Now
+                      </button>
+                    </div>
+                  </div>
+
+                  <div className="pt-6 border-t border-gray-200 dark:border-gray-700 space-y-3">
+                    <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+                      Remove Passphrase
+                    </h3>
+                    <p className="text-sm text-gray-600 dark:text-gray-400">
+                      Decrypts this profile's listens and settings. Enter the current passphrase above to confirm.
+                    </p>
+                    <button
+                      onClick={() => runVaultAction('remove', 'Passphrase removed, listens decrypted')}
+                      disabled={vaultProgress !== null}
+                      className="px-6 py-2 border-2 border-red-300 dark:border-red-600 rounded-lg hover:bg-red-50 dark:hover:bg-red-900/20 disabled:opacity-50 transition-colors text-red-600 dark:text-red-400 font-medium"
+                    >
+                      Remove Passphrase
+                    </button>
+                  </div>
+                </>
+              )}
+            </div>
+          )}
         </div>
       </div>
     </div>
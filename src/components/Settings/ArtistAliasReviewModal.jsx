@@ -0,0 +1,258 @@
+import { useState, useEffect, useMemo } from 'react';
+import { X, Users, Check, Ban, Undo2, Search, Loader2 } from 'lucide-react';
+import { useData } from '../../context/DataContext';
+import { getArtistAliases, saveArtistAliases, deleteArtistAlias } from '../../utils/storage/indexedDB';
+import { fetchArtistAliases } from '../../utils/api/musicbrainz';
+import {
+  AliasStatus,
+  AliasReason,
+  setArtistAliases,
+  suggestArtistMerges,
+  suggestFromMusicBrainzAliases
+} from '../../utils/artistAliases';
+
+// How many of the most played artists with a known MBID are checked
+// against MusicBrainz per click (1 request/sec)
+const MUSICBRAINZ_CHECK_LIMIT = 25;
+
+const reasonLabels = {
+  [AliasReason.NORMALIZED]: 'Same name, different spelling',
+  [AliasReason.MBID]: 'Same MusicBrainz ID',
+  [AliasReason.MUSICBRAINZ]: 'MusicBrainz alias',
+  [AliasReason.MANUAL]: 'Manual'
+};
+
+const ArtistAliasReviewModal = ({ isOpen, onClose }) => {
+  const { visibleListens, dispatch, actionTypes } = useData();
+  const [entries, setEntries] = useState([]);
+  const [musicBrainzSuggestions, setMusicBrainzSuggestions] = useState([]);
+  const [isChecking, setIsChecking] = useState(false);
+  const [checkStatus, setCheckStatus] = useState(null);
+
+  useEffect(() => {
+    if (isOpen) {
+      loadEntries();
+    }
+  }, [isOpen]);
+
+  const loadEntries = async () => {
+    const stored = await getArtistAliases();
+    setEntries(stored);
+    setArtistAliases(stored);
+    dispatch({ type: actionTypes.SET_ARTIST_ALIASES, payload: stored });
+  };
+
+  const suggestions = useMemo(() => {
+    if (!isOpen) return [];
+    const fromListens = suggestArtistMerges(visibleListens, entries);
+    const decided = new Set(entries.map(entry => entry.alias));
+    const seen = new Set(fromListens.map(entry => entry.alias));
+    const fromMusicBrainz = musicBrainzSuggestions.filter(
+      entry => !decided.has(entry.alias) && !seen.has(entry.alias)
+    );
+    return [...fromListens, ...fromMusicBrainz];
+  }, [isOpen, visibleListens, entries, musicBrainzSuggestions]);
+
+  const approved = entries.filter(entry => entry.status === AliasStatus.APPROVED);
+
+  const handleDecision = async (suggestion, status) => {
+    await saveArtistAliases([{ ...suggestion, status }]);
+    await loadEntries();
+  };
+
+  const handleApproveAll = async () => {
+    await saveArtistAliases(suggestions.map(suggestion => ({ ...suggestion, status: AliasStatus.APPROVED })));
+    await loadEntries();
+  };
+
+  const handleUndo = async (alias) => {
+    await deleteArtistAlias(alias);
+    await loadEntries();
+  };
+
+  const handleCheckMusicBrainz = async () => {
+    setIsChecking(true);
+    setCheckStatus(null);
+
+    // Artist spellings credited with exactly one MBID, most played first
+    const playCounts = new Map();
+    const mbidByName = new Map();
+    visibleListens.forEach(listen => {
+      const name = listen.artistName || listen.track_metadata?.artist_name;
+      if (!name) return;
+      playCounts.set(name, (playCounts.get(name) || 0) + 1);
+      const info = listen.additionalInfo || listen.track_metadata?.additional_info || {};
+      const mbids = Array.isArray(info.artist_mbids) ? info.artist_mbids.filter(Boolean) : [];
+      if (mbids.length === 1 && !mbidByName.has(name)) {
+        mbidByName.set(name, mbids[0]);
+      }
+    });
+
+    const listenedNames = Array.from(playCounts.keys());
+    const candidates = Array.from(mbidByName.entries())
+      .sort((a, b) => playCounts.get(b[0]) - playCounts.get(a[0]))
+      .slice(0, MUSICBRAINZ_CHECK_LIMIT);
+
+    if (candidates.length === 0) {
+      setCheckStatus({ type: 'error', message: 'No listens carry MusicBrainz artist IDs' });
+      setIsChecking(false);
+      return;
+    }
+
+    const found = [];
+    for (let i = 0; i < candidates.length; i++) {
+      const [name, mbid] = candidates[i];
+      setCheckStatus({ type: 'info', message: `Checking ${i + 1}/${candidates.length}: ${name}` });
+      const result = await fetchArtistAliases(mbid);
+      if (result.success && result.aliases.length > 0) {
+        found.push(...suggestFromMusicBrainzAliases(name, mbid, result.aliases, listenedNames, entries));
+      }
+    }
+
+    setMusicBrainzSuggestions(found);
+    setCheckStatus({
+      type: 'success',
+      message: `Checked ${candidates.length} artists, found ${found.length} alias${found.length === 1 ? '' : 'es'}`
+    });
+    setIsChecking(false);
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl max-w-2xl w-full max-h-[90vh] overflow-hidden">
+        <div className="flex items-center justify-between p-6 border-b border-gray-200 dark:border-gray-700">
+          <div className="flex items-center gap-3">
+            <Users className="w-6 h-6 text-blue-600 dark:text-blue-400" />
+            <h2 className="text-2xl font-bold text-gray-900 dark:text-white">
+              Artist Merges
+            </h2>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+          >
+            <X className="w-5 h-5 text-gray-600 dark:text-gray-400" />
+          </button>
+        </div>
+
+        <div className="p-6 overflow-y-auto max-h-[calc(90vh-100px)] space-y-6">
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Spellings of the same artist are counted together once a merge is approved.
+            Nothing is merged until you approve it.
+          </p>
+
+          <div>
+            <button
+              onClick={handleCheckMusicBrainz}
+              disabled={isChecking}
+              className="w-full flex items-center justify-center gap-2 px-4 py-2 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50 rounded-lg transition-colors text-sm font-medium text-gray-700 dark:text-gray-300"
+            >
+              {isChecking ? <Loader2 className="w-4 h-4 animate-spin" /> : <Search className="w-4 h-4" />}
+              Check MusicBrainz aliases (top {MUSICBRAINZ_CHECK_LIMIT} artists)
+            </button>
+            {checkStatus && (
+              <p
+                className={`text-xs mt-2 ${
+                  checkStatus.type === 'error'
+                    ? 'text-red-600 dark:text-red-400'
+                    : 'text-gray-500 dark:text-gray-400'
+                }`}
+              >
+                {checkStatus.message}
+              </p>
+            )}
+          </div>
+
+          <div>
+            <div className="flex items-center justify-between mb-3">
+              <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+                Suggested ({suggestions.length})
+              </h3>
+              {suggestions.length > 1 && (
+                <button
+                  onClick={handleApproveAll}
+                  className="text-sm text-blue-600 dark:text-blue-400 hover:underline"
+                >
+                  Approve all
+                </button>
+              )}
+            </div>
+            {suggestions.length === 0 ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400">No name variants found.</p>
+            ) : (
+              <ul className="space-y-2">
+                {suggestions.map(suggestion => (
+                  <li
+                    key={suggestion.alias}
+                    className="flex items-center justify-between gap-3 p-3 rounded-lg border border-gray-200 dark:border-gray-700"
+                  >
+                    <div className="min-w-0">
+                      <div className="text-sm text-gray-800 dark:text-gray-200 truncate">
+                        <span className="font-medium">{suggestion.alias}</span>
+                        <span className="text-gray-400 mx-2">→</span>
+                        <span className="font-medium">{suggestion.canonical}</span>
+                      </div>
+                      <div className="text-xs text-gray-500 dark:text-gray-400">
+                        {reasonLabels[suggestion.reason]}
+                        {suggestion.plays !== undefined && ` · ${suggestion.plays.toLocaleString()} vs ${suggestion.canonicalPlays.toLocaleString()} plays`}
+                      </div>
+                    </div>
+                    <div className="flex gap-2 flex-shrink-0">
+                      <button
+                        onClick={() => handleDecision(suggestion, AliasStatus.APPROVED)}
+                        className="p-2 rounded-lg bg-green-50 dark:bg-green-900/20 text-green-700 dark:text-green-300 hover:bg-green-100 dark:hover:bg-green-900/40 transition-colors"
+                        aria-label={`Merge ${suggestion.alias} into ${suggestion.canonical}`}
+                      >
+                        <Check className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => handleDecision(suggestion, AliasStatus.REJECTED)}
+                        className="p-2 rounded-lg bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors"
+                        aria-label={`Keep ${suggestion.alias} separate`}
+                      >
+                        <Ban className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          {approved.length > 0 && (
+            <div className="pt-6 border-t border-gray-200 dark:border-gray-700">
+              <h3 className="text-lg font-semibold mb-3 text-gray-900 dark:text-white">
+                Merged ({approved.length})
+              </h3>
+              <ul className="space-y-2">
+                {approved.map(entry => (
+                  <li
+                    key={entry.alias}
+                    className="flex items-center justify-between gap-3 p-3 rounded-lg bg-gray-50 dark:bg-gray-700/50"
+                  >
+                    <div className="text-sm text-gray-800 dark:text-gray-200 truncate">
+                      {entry.alias}
+                      <span className="text-gray-400 mx-2">→</span>
+                      {entry.canonical}
+                    </div>
+                    <button
+                      onClick={() => handleUndo(entry.alias)}
+                      className="p-2 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-600 dark:text-gray-300 transition-colors flex-shrink-0"
+                      aria-label={`Undo merge of ${entry.alias}`}
+                    >
+                      <Undo2 className="w-4 h-4" />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ArtistAliasReviewModal;
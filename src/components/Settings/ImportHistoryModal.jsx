@@ -0,0 +1,140 @@
+import { useState, useEffect } from 'react';
+import { X, History, Trash2, Loader2 } from 'lucide-react';
+import { useData } from '../../context/DataContext';
+import { getImportHistory, rollbackImport } from '../../utils/storage/indexedDB';
+
+const formatDay = (seconds) => (
+  seconds ? new Date(seconds * 1000).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }) : '–'
+);
+
+const ImportHistoryModal = ({ isOpen, onClose }) => {
+  const { state, reloadListensBetween } = useData();
+  const [entries, setEntries] = useState([]);
+  const [removingId, setRemovingId] = useState(null);
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    if (isOpen) {
+      loadEntries();
+      setStatus(null);
+    }
+  }, [isOpen]);
+
+  const loadEntries = async () => {
+    setEntries(await getImportHistory());
+  };
+
+  const handleRollback = async (entry) => {
+    const count = entry.pending ? 'the' : `the ${entry.added.toLocaleString()}`;
+    if (!window.confirm(`Remove ${count} listens added by ${entry.fileName}? The file can be imported again afterwards.`)) {
+      return;
+    }
+
+    setRemovingId(entry.id);
+    const result = await rollbackImport(entry.id, state.crossSourceWindow);
+    setRemovingId(null);
+
+    if (!result.success) {
+      setStatus({ type: 'error', message: `Failed to remove import: ${result.error}` });
+      return;
+    }
+
+    await reloadListensBetween(result.changedRange);
+    setStatus({
+      type: 'success',
+      message: `Removed ${result.removed.toLocaleString()} listens from ${entry.fileName}`
+    });
+    await loadEntries();
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl max-w-2xl w-full max-h-[90vh] overflow-hidden">
+        <div className="flex items-center justify-between p-6 border-b border-gray-200 dark:border-gray-700">
+          <div className="flex items-center gap-3">
+            <History className="w-6 h-6 text-blue-600 dark:text-blue-400" />
+            <h2 className="text-2xl font-bold text-gray-900 dark:text-white">
+              Import History
+            </h2>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+          >
+            <X className="w-5 h-5 text-gray-600 dark:text-gray-400" />
+          </button>
+        </div>
+
+        <div className="p-6 overflow-y-auto max-h-[calc(90vh-100px)] space-y-4">
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Every uploaded file and the listens it added. Removing an import deletes those listens and
+            re-checks the rest for duplicates; plays that another import also contains are kept. Files
+            already listed here are skipped when uploaded again.
+          </p>
+
+          {status && (
+            <p
+              className={`text-sm ${
+                status.type === 'error'
+                  ? 'text-red-600 dark:text-red-400'
+                  : 'text-green-600 dark:text-green-400'
+              }`}
+            >
+              {status.message}
+            </p>
+          )}
+
+          {entries.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              No imports recorded yet. Files imported before the history was kept are not listed.
+            </p>
+          ) : (
+            <ul className="space-y-2">
+              {entries.map(entry => (
+                <li
+                  key={entry.id}
+                  className="flex items-center justify-between gap-3 p-3 rounded-lg border border-gray-200 dark:border-gray-700"
+                >
+                  <div className="min-w-0">
+                    <div className="text-sm font-medium text-gray-800 dark:text-gray-200 truncate" title={entry.fileName}>
+                      {entry.fileName}
+                    </div>
+                    <div className="text-xs text-gray-500 dark:text-gray-400">
+                      {entry.format} · imported {new Date(entry.importedAt).toLocaleString()}
+                    </div>
+                    {entry.pending ? (
+                      <div className="text-xs text-amber-600 dark:text-amber-400">
+                        Interrupted before it finished. Upload the file again to complete it, or remove it.
+                      </div>
+                    ) : (
+                      <div className="text-xs text-gray-500 dark:text-gray-400">
+                        {entry.added.toLocaleString()} added, {entry.duplicates.toLocaleString()} duplicates
+                        {' · '}
+                        {formatDay(entry.earliest)} – {formatDay(entry.latest)}
+                      </div>
+                    )}
+                    <div className="text-[10px] font-mono text-gray-400 dark:text-gray-500 truncate" title={entry.hash}>
+                      SHA-256 {entry.hash.slice(0, 16)}…
+                    </div>
+                  </div>
+                  <button
+                    onClick={() => handleRollback(entry)}
+                    disabled={removingId !== null}
+                    className="p-2 rounded-lg text-gray-600 dark:text-gray-300 hover:bg-red-50 hover:text-red-600 dark:hover:bg-red-900/20 dark:hover:text-red-400 disabled:opacity-50 transition-colors flex-shrink-0"
+                    aria-label={`Remove import ${entry.fileName}`}
+                  >
+                    {removingId === entry.id ? <Loader2 className="w-4 h-4 animate-spin" /> : <Trash2 className="w-4 h-4" />}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportHistoryModal;
@@ -1,12 +1,57 @@
 import { useState } from 'react';
-import { Moon, Sun, Settings as SettingsIcon, Sliders } from 'lucide-react';
+import { Moon, Sun, Settings as SettingsIcon, Sliders, Mic, Users, GitMerge, Disc3, History, UserPlus, Trash2 } from 'lucide-react';
 import { useData } from '../../context/DataContext';
 import { TimePeriod } from '../../utils/timePeriodGrouping';
+import { isSpokenWord } from '../../utils/listenKinds';
+import { ArtistCounting, countUniqueArtists } from '../../utils/artistCredits';
+import { TrackVersions } from '../../utils/trackTitles';
+import { DEFAULT_PROFILE_ID, getProfiles, createProfile, removeProfile } from '../../utils/profiles';
+import { deleteProfileDB } from '../../utils/storage/indexedDB';
 import AdvancedSettingsModal from './AdvancedSettingsModal';
+import ArtistAliasReviewModal from './ArtistAliasReviewModal';
+import ImportHistoryModal from './ImportHistoryModal';
 
 const SettingsPanel = () => {
-  const { state, dispatch, actionTypes } = useData();
+  const { state, visibleListens, dispatch, actionTypes, switchProfile } = useData();
   const [showAdvancedSettings, setShowAdvancedSettings] = useState(false);
+  const [newProfileName, setNewProfileName] = useState(null);
+  const [profileError, setProfileError] = useState(null);
+  const [showAliasReview, setShowAliasReview] = useState(false);
+  const [showImportHistory, setShowImportHistory] = useState(false);
+  const spokenWordCount = visibleListens.filter(isSpokenWord).length;
+  const activeProfile = state.profiles.find(profile => profile.id === state.activeProfileId);
+
+  const handleCreateProfile = () => {
+    const result = createProfile(newProfileName);
+    if (!result.success) {
+      setProfileError(result.error);
+      return;
+    }
+
+    dispatch({ type: actionTypes.SET_PROFILES, payload: getProfiles() });
+    setNewProfileName(null);
+    setProfileError(null);
+    switchProfile(result.profile.id);
+  };
+
+  const handleDeleteProfile = async () => {
+    if (!activeProfile || activeProfile.id === DEFAULT_PROFILE_ID) return;
+    if (!window.confirm(`Delete the profile "${activeProfile.name}" with all its listens and settings? The shared genre cache is kept.`)) {
+      return;
+    }
+
+    // Switch away first: the active profile's database can't be deleted
+    switchProfile(DEFAULT_PROFILE_ID);
+    const result = await deleteProfileDB(activeProfile.id);
+    if (!result.success) {
+      setProfileError(`Failed to delete profile: ${result.error}`);
+      return;
+    }
+
+    removeProfile(activeProfile.id);
+    dispatch({ type: actionTypes.SET_PROFILES, payload: getProfiles() });
+    setProfileError(null);
+  };
 
   const visualizationModes = [
     { value: 'sankey', label: 'Sankey Flow', description: 'Genre transitions over time' },
@@ -52,6 +97,66 @@ const SettingsPanel = () => {
           </div>
         </div>
 
+        <div>
+          <label className="block text-sm font-medium mb-3 text-gray-700 dark:text-gray-300">
+            Profile
+          </label>
+          <div className="flex items-center gap-2">
+            <select
+              value={state.activeProfileId}
+              onChange={(e) => switchProfile(e.target.value)}
+              className="flex-1 min-w-0 px-3 py-2 rounded-lg bg-gray-100 dark:bg-gray-700 text-sm text-gray-900 dark:text-white border-none focus:ring-2 focus:ring-blue-500"
+              aria-label="Active profile"
+            >
+              {state.profiles.map(profile => (
+                <option key={profile.id} value={profile.id}>{profile.name}</option>
+              ))}
+            </select>
+            <button
+              onClick={() => setNewProfileName(newProfileName === null ? '' : null)}
+              className="p-2 rounded-lg bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors text-gray-600 dark:text-gray-300"
+              aria-label="New profile"
+            >
+              <UserPlus className="w-4 h-4" />
+            </button>
+            {state.activeProfileId !== DEFAULT_PROFILE_ID && (
+              <button
+                onClick={handleDeleteProfile}
+                className="p-2 rounded-lg bg-gray-100 dark:bg-gray-700 hover:bg-red-50 hover:text-red-600 dark:hover:bg-red-900/20 dark:hover:text-red-400 transition-colors text-gray-600 dark:text-gray-300"
+                aria-label={`Delete profile ${activeProfile?.name || ''}`}
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            )}
+          </div>
+          {newProfileName !== null && (
+            <div className="flex items-center gap-2 mt-2">
+              <input
+                type="text"
+                value={newProfileName}
+                onChange={(e) => setNewProfileName(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && handleCreateProfile()}
+                placeholder="Profile name"
+                className="flex-1 min-w-0 px-3 py-2 rounded-lg bg-gray-100 dark:bg-gray-700 text-sm text-gray-900 dark:text-white border-none focus:ring-2 focus:ring-blue-500"
+                autoFocus
+              />
+              <button
+                onClick={handleCreateProfile}
+                className="px-3 py-2 text-sm font-medium bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors"
+              >
+                Create
+              </button>
+            </div>
+          )}
+          {profileError ? (
+            <p className="text-xs text-red-600 dark:text-red-400 mt-2">{profileError}</p>
+          ) : (
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+              Each profile keeps its own listens and settings; the genre cache is shared
+            </p>
+          )}
+        </div>
+
         <div>
           <label className="block text-sm font-medium mb-3 text-gray-700 dark:text-gray-300">
             Visualization Mode
@@ -99,26 +204,131 @@ const SettingsPanel = () => {
           </div>
         </div>
 
-        {state.listens.length > 0 && (
+        {spokenWordCount > 0 && (
+          <div>
+            <div className="flex items-center justify-between">
+              <div>
+                <label className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                  Podcasts &amp; Audiobooks
+                </label>
+                <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                  {spokenWordCount.toLocaleString()} listens, shown as "Spoken Word"
+                </p>
+              </div>
+              <button
+                onClick={() => dispatch({ type: actionTypes.SET_INCLUDE_SPOKEN_WORD, payload: !state.includeSpokenWord })}
+                className={`flex items-center gap-2 px-3 py-2 rounded-lg text-sm font-medium transition-all border-2 ${
+                  state.includeSpokenWord
+                    ? 'border-blue-500 bg-blue-50 dark:bg-blue-900/20 text-blue-700 dark:text-blue-300'
+                    : 'border-gray-200 dark:border-gray-700 hover:border-gray-300 dark:hover:border-gray-600 text-gray-700 dark:text-gray-300'
+                }`}
+                aria-pressed={state.includeSpokenWord}
+              >
+                <Mic className="w-4 h-4" />
+                {state.includeSpokenWord ? 'Included' : 'Excluded'}
+              </button>
+            </div>
+          </div>
+        )}
+
+        <div>
+          <div className="flex items-center justify-between">
+            <div>
+              <label className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                Artist Counting
+              </label>
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                {state.artistCounting === ArtistCounting.ALL
+                  ? 'Featured and collaborating artists count too'
+                  : 'Only the first credited artist counts'}
+              </p>
+            </div>
+            <button
+              onClick={() => dispatch({
+                type: actionTypes.SET_ARTIST_COUNTING,
+                payload: state.artistCounting === ArtistCounting.ALL ? ArtistCounting.PRIMARY : ArtistCounting.ALL
+              })}
+              className={`flex items-center gap-2 px-3 py-2 rounded-lg text-sm font-medium transition-all border-2 ${
+                state.artistCounting === ArtistCounting.ALL
+                  ? 'border-blue-500 bg-blue-50 dark:bg-blue-900/20 text-blue-700 dark:text-blue-300'
+                  : 'border-gray-200 dark:border-gray-700 hover:border-gray-300 dark:hover:border-gray-600 text-gray-700 dark:text-gray-300'
+              }`}
+              aria-pressed={state.artistCounting === ArtistCounting.ALL}
+            >
+              <Users className="w-4 h-4" />
+              {state.artistCounting === ArtistCounting.ALL ? 'All Credited' : 'Primary Only'}
+            </button>
+          </div>
+        </div>
+
+        <div>
+          <div className="flex items-center justify-between">
+            <div>
+              <label className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                Track Versions
+              </label>
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                {state.trackVersions === TrackVersions.SEPARATE
+                  ? 'Remasters, live and edits count as their own tracks'
+                  : 'Remasters, live and edits count as the original song'}
+              </p>
+            </div>
+            <button
+              onClick={() => dispatch({
+                type: actionTypes.SET_TRACK_VERSIONS,
+                payload: state.trackVersions === TrackVersions.SEPARATE ? TrackVersions.MERGED : TrackVersions.SEPARATE
+              })}
+              className={`flex items-center gap-2 px-3 py-2 rounded-lg text-sm font-medium transition-all border-2 ${
+                state.trackVersions === TrackVersions.SEPARATE
+                  ? 'border-blue-500 bg-blue-50 dark:bg-blue-900/20 text-blue-700 dark:text-blue-300'
+                  : 'border-gray-200 dark:border-gray-700 hover:border-gray-300 dark:hover:border-gray-600 text-gray-700 dark:text-gray-300'
+              }`}
+              aria-pressed={state.trackVersions === TrackVersions.SEPARATE}
+            >
+              <Disc3 className="w-4 h-4" />
+              {state.trackVersions === TrackVersions.SEPARATE ? 'Separate' : 'Merged'}
+            </button>
+          </div>
+        </div>
+
+        {visibleListens.length > 0 && (
           <div className="pt-4 border-t border-gray-200 dark:border-gray-700">
             <div className="text-sm text-gray-600 dark:text-gray-400">
               <div className="flex justify-between mb-1">
                 <span>Total Listens:</span>
                 <span className="font-medium text-gray-800 dark:text-gray-200">
-                  {state.listens.length.toLocaleString()}
+                  {visibleListens.length.toLocaleString()}
                 </span>
               </div>
               <div className="flex justify-between">
                 <span>Unique Artists:</span>
                 <span className="font-medium text-gray-800 dark:text-gray-200">
-                  {new Set(state.listens.map(l => l.artistName)).size.toLocaleString()}
+                  {countUniqueArtists(visibleListens, state.artistCounting).toLocaleString()}
                 </span>
               </div>
             </div>
           </div>
         )}
 
-        <div className="pt-4 border-t border-gray-200 dark:border-gray-700">
+        <div className="pt-4 border-t border-gray-200 dark:border-gray-700 space-y-2">
+          {state.listens.length > 0 && (
+            <button
+              onClick={() => setShowAliasReview(true)}
+              className="w-full flex items-center justify-center gap-2 px-4 py-3 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 rounded-lg transition-colors text-gray-700 dark:text-gray-300"
+            >
+              <GitMerge className="w-4 h-4" />
+              <span className="text-sm font-medium">Review Artist Merges</span>
+            </button>
+          )}
+          {state.listens.length > 0 && (
+            <button
+              onClick={() => setShowImportHistory(true)}
+              className="w-full flex items-center justify-center gap-2 px-4 py-3 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 rounded-lg transition-colors text-gray-700 dark:text-gray-300"
+            >
+              <History className="w-4 h-4" />
+              <span className="text-sm font-medium">Import History</span>
+            </button>
+          )}
           <button
             onClick={() => setShowAdvancedSettings(true)}
             className="w-full flex items-center justify-center gap-2 px-4 py-3 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 rounded-lg transition-colors text-gray-700 dark:text-gray-300"
@@ -133,6 +343,16 @@ const SettingsPanel = () => {
         isOpen={showAdvancedSettings}
         onClose={() => setShowAdvancedSettings(false)}
       />
+
+      <ArtistAliasReviewModal
+        isOpen={showAliasReview}
+        onClose={() => setShowAliasReview(false)}
+      />
+
+      <ImportHistoryModal
+        isOpen={showImportHistory}
+        onClose={() => setShowImportHistory(false)}
+      />
     </div>
   );
 };
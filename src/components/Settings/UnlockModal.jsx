@@ -0,0 +1,109 @@
+import { useState, useEffect } from 'react';
+import { Lock, Loader2 } from 'lucide-react';
+import { useData } from '../../context/DataContext';
+
+// Shown over the app while the active profile is locked with a passphrase
+const UnlockModal = () => {
+  const { state, unlockProfile, switchProfile } = useData();
+  const [passphrase, setPassphrase] = useState('');
+  const [unlocking, setUnlocking] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setPassphrase('');
+    setError(null);
+  }, [state.activeProfileId]);
+
+  if (!state.vaultLocked) return null;
+
+  const activeProfile = state.profiles.find(profile => profile.id === state.activeProfileId);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setUnlocking(true);
+    setError(null);
+    const result = await unlockProfile(passphrase, setProgress);
+    setUnlocking(false);
+    setProgress(null);
+
+    if (result.success) {
+      setPassphrase('');
+    } else {
+      setError(result.error);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl max-w-md w-full">
+        <div className="flex items-center gap-3 p-6 border-b border-gray-200 dark:border-gray-700">
+          <Lock className="w-6 h-6 text-blue-600 dark:text-blue-400" />
+          <h2 className="text-2xl font-bold text-gray-900 dark:text-white">
+            Profile Locked
+          </h2>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6 space-y-4">
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Enter the passphrase of <span className="font-medium">{activeProfile?.name || 'this profile'}</span> to
+            decrypt its listens and settings.
+          </p>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Listening times, import file names, artist aliases and the shared genre cache are stored unencrypted.
+          </p>
+
+          <input
+            type="password"
+            value={passphrase}
+            onChange={(e) => setPassphrase(e.target.value)}
+            placeholder="Passphrase"
+            autoComplete="current-password"
+            autoFocus
+            disabled={unlocking}
+            className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+
+          {error && (
+            <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
+          )}
+
+          {progress?.total > 0 && (
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              Finishing a passphrase change: {progress.processed.toLocaleString()} / {progress.total.toLocaleString()} listens
+            </p>
+          )}
+
+          <button
+            type="submit"
+            disabled={unlocking || !passphrase}
+            className="w-full flex items-center justify-center gap-2 px-6 py-2 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white rounded-lg font-medium transition-colors"
+          >
+            {unlocking && <Loader2 className="w-4 h-4 animate-spin" />}
+            {unlocking ? 'Unlocking...' : 'Unlock'}
+          </button>
+
+          {state.profiles.length > 1 && (
+            <div className="pt-4 border-t border-gray-200 dark:border-gray-700">
+              <label className="block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1">
+                Or switch to another profile
+              </label>
+              <select
+                value={state.activeProfileId}
+                onChange={(e) => switchProfile(e.target.value)}
+                disabled={unlocking}
+                className="w-full px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+              >
+                {state.profiles.map(profile => (
+                  <option key={profile.id} value={profile.id}>{profile.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default UnlockModal;
@@ -14,6 +14,7 @@ const GenreGalaxyVisualization = ({
   onGenreClick,
   onGatewayArtistClick,
   selectedGenre,
+  artistCounting,
   currentPeriodIndex = 0,
   unknownDisplay = 'faded'
 }) => {
@@ -33,7 +34,7 @@ const GenreGalaxyVisualization = ({
     if (!groupedData.length || !svgRef.current) return;
 
     renderGalaxy();
-  }, [groupedData, width, height, hoveredGenre, selectedGenre, rotation, currentPeriodIndex, unknownDisplay]);
+  }, [groupedData, width, height, hoveredGenre, selectedGenre, rotation, currentPeriodIndex, unknownDisplay, artistCounting]);
 
   const renderGalaxy = () => {
     const svg = d3.select(svgRef.current);
@@ -132,7 +133,7 @@ const GenreGalaxyVisualization = ({
           .on('mouseenter', function(event) {
             setHoveredGenre(genre);
             if (onGenreHover) {
-              const topArtists = getTopArtistsForGenre(listens, genreMap, genre, 5);
+              const topArtists = getTopArtistsForGenre(listens, genreMap, genre, 5, artistCounting);
               const peakPeriod = getGenrePeakPeriod(groupedData, genre);
 
               onGenreHover({
@@ -1,5 +1,7 @@
 import { useEffect, useRef } from 'react';
 import * as d3 from 'd3';
+import { isSpokenWord, SPOKEN_WORD_GENRE } from '../../utils/listenKinds';
+import { getListenDateParts } from '../../utils/timezones';
 
 export default function GenreStreamGraph({
   listens,
@@ -7,7 +9,8 @@ export default function GenreStreamGraph({
   height = 400,
   selectedGenre = null,
   dateRange = null,
-  showUnknown = true
+  showUnknown = true,
+  timezoneTimeline
 }) {
   const svgRef = useRef(null);
 
@@ -30,7 +33,9 @@ export default function GenreStreamGraph({
 
     if (selectedGenre) {
       filteredListens = filteredListens.filter(listen => {
-        const genres = listen.genres || [listen.normalizedGenre || listen.genre];
+        const genres = isSpokenWord(listen)
+          ? [SPOKEN_WORD_GENRE]
+          : listen.genres || [listen.normalizedGenre || listen.genre];
         return genres.includes(selectedGenre);
       });
     }
@@ -193,7 +198,7 @@ export default function GenreStreamGraph({
         .text(genre);
     });
 
-  }, [listens, width, height, selectedGenre, dateRange, showUnknown]);
+  }, [listens, width, height, selectedGenre, dateRange, showUnknown, timezoneTimeline]);
 
   return (
     <div className="bg-gray-900 rounded-lg p-6 shadow-lg">
@@ -212,15 +217,16 @@ function processListensToStreamData(listens) {
       return;
     }
 
-    const date = new Date(timestamp * 1000);
-    const year = date.getFullYear();
+    const { year, month } = getListenDateParts(listen);
 
     if (year < 2000 || year > 2030) {
       return;
     }
 
-    const monthKey = `${year}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-    const genre = listen.genres?.[0] || listen.normalizedGenre || listen.genre || 'Unknown';
+    const monthKey = `${year}-${String(month + 1).padStart(2, '0')}`;
+    const genre = isSpokenWord(listen)
+      ? SPOKEN_WORD_GENRE
+      : listen.genres?.[0] || listen.normalizedGenre || listen.genre || 'Unknown';
 
     if (!genreByDate.has(monthKey)) {
       genreByDate.set(monthKey, {});
@@ -1,8 +1,11 @@
-import { useEffect, useRef, useState, useCallback } from 'react';
+import { useEffect, useRef, useState, useCallback, useMemo } from 'react';
 import { useData } from '../../context/DataContext';
 import { groupListensByTimePeriod } from '../../utils/timePeriodGrouping';
 import { detectGatewayArtists } from '../../utils/gatewayArtistDetection';
 import { generateMilestones } from '../../utils/dataPreparation';
+import { filterListensByKind, getListenGenres } from '../../utils/listenKinds';
+import { countUniqueArtists, getListenArtists } from '../../utils/artistCredits';
+import { filterListensByPlayback } from '../../utils/playbackContext';
 import SankeyFlowVisualization from './SankeyFlowVisualization';
 import GenreGalaxyVisualization from './GenreGalaxyVisualization';
 import MilestoneTimelineVisualization from './MilestoneTimelineVisualization';
@@ -11,11 +14,12 @@ import ListeningClockVisualization from './ListeningClockVisualization';
 import ListeningFingerprintRadar from './ListeningFingerprintRadar';
 import GenreTooltip from './GenreTooltip';
 import TimelineControls from './TimelineControls';
+import PlaybackFilterBar from './PlaybackFilterBar';
 import ClassificationProgress from './ClassificationProgress';
-import { DataHealthIndicator } from '../DataHealthIndicator';
+import { DataHealthIndicator, ScrobbleBurstReport } from '../DataHealthIndicator';
 
 const GenreTimeline = () => {
-  const { state, dispatch, actionTypes } = useData();
+  const { state, visibleListens, dispatch, actionTypes } = useData();
   const containerRef = useRef(null);
   const [dimensions, setDimensions] = useState({ width: 800, height: 600 });
   const [groupedData, setGroupedData] = useState([]);
@@ -29,6 +33,15 @@ const GenreTimeline = () => {
   const [unknownDisplay, setUnknownDisplay] = useState('faded');
   const [classificationDismissed, setClassificationDismissed] = useState(false);
 
+  const kindListens = useMemo(
+    () => filterListensByKind(visibleListens, state.includeSpokenWord),
+    [visibleListens, state.includeSpokenWord]
+  );
+  const listens = useMemo(
+    () => filterListensByPlayback(kindListens, state.playbackFilter),
+    [kindListens, state.playbackFilter]
+  );
+
   useEffect(() => {
     const savedDisplay = localStorage.getItem('viz_unknownDisplay');
     if (savedDisplay) {
@@ -50,19 +63,19 @@ const GenreTimeline = () => {
   }, []);
 
   useEffect(() => {
-    if (!state.listens.length || !state.genreMap.size) return;
+    if (!listens.length || !state.genreMap.size) return;
 
-    const data = groupListensByTimePeriod(state.listens, state.timePeriod, state.genreMap);
+    const data = groupListensByTimePeriod(listens, state.timePeriod, state.genreMap);
     setGroupedData(data);
 
-    const artists = detectGatewayArtists(data, state.genreMap, state.listens);
+    const artists = detectGatewayArtists(data, state.genreMap, listens, state.artistCounting);
     setGatewayArtists(artists);
 
     const milestoneData = generateMilestones(data, state.genreMap, artists);
     setMilestones(milestoneData);
 
     setCurrentPeriodIndex(Math.max(0, data.length - 1));
-  }, [state.listens, state.genreMap, state.timePeriod]);
+  }, [listens, state.genreMap, state.timePeriod, state.artistCounting, state.artistAliases, state.timezoneTimeline]);
 
   useEffect(() => {
     const handleKeyPress = (e) => {
@@ -128,6 +141,22 @@ const GenreTimeline = () => {
     );
   }
 
+  // Listens are stored but all of them are filtered out; the filter bar and
+  // quarantine report stay so the filters can be undone
+  if (!listens.length) {
+    return (
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6 border border-gray-200 dark:border-gray-700">
+        <PlaybackFilterBar listens={kindListens} />
+        <p className="py-12 text-center text-gray-500 dark:text-gray-400">
+          {kindListens.length > 0
+            ? 'No listens match these filters'
+            : 'All listens are hidden: they are quarantined, or podcasts and audiobooks excluded in Settings'}
+        </p>
+        <ScrobbleBurstReport />
+      </div>
+    );
+  }
+
   if (!groupedData.length) {
     return (
       <div className="flex items-center justify-center h-64 bg-gray-50 dark:bg-gray-800 rounded-xl">
@@ -163,7 +192,7 @@ const GenreTimeline = () => {
         />
       )}
 
-      <DataHealthIndicator listens={state.listens} />
+      <DataHealthIndicator listens={listens} trackVersions={state.trackVersions} />
 
       {state.visualizationMode === 'milestone' && (
         <div className="mb-8 px-4">
@@ -186,11 +215,11 @@ const GenreTimeline = () => {
               <div className="flex flex-wrap gap-4 text-sm text-gray-400">
                 <div className="flex items-center gap-2">
                   <span className="text-gray-500">📊</span>
-                  <span>{state.listens.length.toLocaleString()} total listens</span>
+                  <span>{listens.length.toLocaleString()} total listens</span>
                 </div>
                 <div className="flex items-center gap-2">
                   <span className="text-gray-500">🎤</span>
-                  <span>{new Set(state.listens.map(l => l.artistName)).size.toLocaleString()} unique artists</span>
+                  <span>{countUniqueArtists(listens, state.artistCounting).toLocaleString()} unique artists</span>
                 </div>
                 <div className="flex items-center gap-2">
                   <span className="text-gray-500">🎸</span>
@@ -210,13 +239,13 @@ const GenreTimeline = () => {
           <div className="flex items-center gap-4 text-sm text-gray-600 dark:text-gray-400 flex-wrap">
             <span>
               <strong className="text-gray-900 dark:text-white">
-                {state.listens.length.toLocaleString()}
+                {listens.length.toLocaleString()}
               </strong>{' '}
               total listens
             </span>
             <span>
               <strong className="text-gray-900 dark:text-white">
-                {new Set(state.listens.map(l => l.artistName)).size.toLocaleString()}
+                {countUniqueArtists(listens, state.artistCounting).toLocaleString()}
               </strong>{' '}
               unique artists
             </span>
@@ -255,15 +284,19 @@ const GenreTimeline = () => {
           </div>
         </div>
 
+        <PlaybackFilterBar listens={kindListens} />
+
         {selectedGenre && (() => {
-          const genreListens = state.listens.filter(l => {
-            const genres = state.genreMap.get(l.artistName) || ['Unknown'];
+          const genreListens = listens.filter(l => {
+            const genres = getListenGenres(l, state.genreMap);
             return genres.includes(selectedGenre);
           });
-          const genrePercentage = (genreListens.length / state.listens.length) * 100;
+          const genrePercentage = (genreListens.length / listens.length) * 100;
           const topArtists = Array.from(
             genreListens.reduce((acc, l) => {
-              acc.set(l.artistName, (acc.get(l.artistName) || 0) + 1);
+              getListenArtists(l, state.artistCounting).forEach(artist => {
+                acc.set(artist, (acc.get(artist) || 0) + 1);
+              });
               return acc;
             }, new Map())
           )
@@ -313,13 +346,14 @@ const GenreTimeline = () => {
               groupedData={groupedData}
               gatewayArtists={gatewayArtists}
               genreMap={state.genreMap}
-              listens={state.listens}
+              listens={listens}
               width={dimensions.width - 48}
               height={dimensions.height}
               onGenreHover={handleGenreHover}
               onGenreClick={handleGenreClick}
               onGatewayArtistClick={handleGatewayArtistClick}
               selectedGenre={selectedGenre}
+              artistCounting={state.artistCounting}
               unknownDisplay={unknownDisplay}
             />
           )}
@@ -329,13 +363,14 @@ const GenreTimeline = () => {
               groupedData={groupedData}
               gatewayArtists={gatewayArtists}
               genreMap={state.genreMap}
-              listens={state.listens}
+              listens={listens}
               width={dimensions.width - 48}
               height={dimensions.height}
               onGenreHover={handleGenreHover}
               onGenreClick={handleGenreClick}
               onGatewayArtistClick={handleGatewayArtistClick}
               selectedGenre={selectedGenre}
+              artistCounting={state.artistCounting}
               currentPeriodIndex={currentPeriodIndex}
               unknownDisplay={unknownDisplay}
             />
@@ -346,7 +381,7 @@ const GenreTimeline = () => {
               groupedData={groupedData}
               milestones={milestones}
               genreMap={state.genreMap}
-              listens={state.listens}
+              listens={listens}
               width={dimensions.width - 48}
               height={dimensions.height}
               onGenreHover={handleGenreHover}
@@ -359,23 +394,26 @@ const GenreTimeline = () => {
 
           {state.visualizationMode === 'stream' && (
             <GenreStreamGraph
-              listens={state.listens}
+              listens={listens}
               width={dimensions.width - 48}
               height={dimensions.height}
+              timezoneTimeline={state.timezoneTimeline}
             />
           )}
 
           {state.visualizationMode === 'clock' && (
             <ListeningClockVisualization
-              listens={state.listens}
+              listens={listens}
               width={Math.min(dimensions.width - 48, 600)}
               height={Math.min(dimensions.width - 48, 600)}
+              timezoneTimeline={state.timezoneTimeline}
             />
           )}
 
           {state.visualizationMode === 'fingerprint' && (
             <ListeningFingerprintRadar
-              listens={state.listens}
+              listens={listens}
+              trackVersions={state.trackVersions}
               width={Math.min(dimensions.width - 48, 600)}
               height={Math.min(dimensions.width - 48, 600)}
             />
@@ -1,7 +1,8 @@
 import { useEffect, useRef } from 'react';
 import * as d3 from 'd3';
+import { getListenDateParts } from '../../utils/timezones';
 
-export default function ListeningClockVisualization({ listens, width = 500, height = 500 }) {
+export default function ListeningClockVisualization({ listens, width = 500, height = 500, timezoneTimeline }) {
   const svgRef = useRef(null);
 
   useEffect(() => {
@@ -14,8 +15,7 @@ export default function ListeningClockVisualization({ listens, width = 500, heig
     listens.forEach(listen => {
       const timestamp = listen.timestamp || listen.listened_at;
       if (timestamp) {
-        const hour = new Date(timestamp * 1000).getHours();
-        hourCounts[hour]++;
+        hourCounts[getListenDateParts(listen).hour]++;
       }
     });
 
@@ -155,7 +155,7 @@ export default function ListeningClockVisualization({ listens, width = 500, heig
       tooltip.remove();
     };
 
-  }, [listens, width, height]);
+  }, [listens, width, height, timezoneTimeline]);
 
   return (
     <div className="bg-gray-900 rounded-lg p-6 shadow-lg">
@@ -2,7 +2,7 @@ import { useEffect, useRef } from 'react';
 import * as d3 from 'd3';
 import { calculateListeningFingerprint, validateFingerprintData } from '../../utils/listeningStats';
 
-export default function ListeningFingerprintRadar({ listens, width = 500, height = 500 }) {
+export default function ListeningFingerprintRadar({ listens, trackVersions, width = 500, height = 500 }) {
   const svgRef = useRef(null);
 
   useEffect(() => {
@@ -16,7 +16,7 @@ export default function ListeningFingerprintRadar({ listens, width = 500, height
     console.log(`   Processing ${listens.length.toLocaleString()} listens...`);
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
 
-    const stats = calculateListeningFingerprint(listens);
+    const stats = calculateListeningFingerprint(listens, trackVersions);
     const validated = validateFingerprintData(stats);
 
     if (!validated) {
@@ -228,7 +228,7 @@ export default function ListeningFingerprintRadar({ listens, width = 500, height
       tooltip.remove();
     };
 
-  }, [listens, width, height]);
+  }, [listens, trackVersions, width, height]);
 
   return (
     <div className="bg-gray-900 rounded-lg p-6 shadow-lg">
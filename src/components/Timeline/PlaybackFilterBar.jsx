@@ -0,0 +1,130 @@
+import { useMemo } from 'react';
+import { useData } from '../../context/DataContext';
+import {
+  DEFAULT_PLAYBACK_FILTER,
+  DEVICE_CLASS_LABELS,
+  REASON_LABELS,
+  isPlaybackFilterActive,
+  summarizePlayback
+} from '../../utils/playbackContext';
+
+const formatRate = (rate) => (rate === null ? '–' : `${rate.toFixed(1)}%`);
+
+// Device, country and shuffle filters for listens whose source recorded how
+// they were played (Spotify extended history). Hidden when none did.
+const PlaybackFilterBar = ({ listens }) => {
+  const { state, dispatch, actionTypes } = useData();
+  const filter = state.playbackFilter;
+  const summary = useMemo(() => summarizePlayback(listens), [listens]);
+
+  if (summary.withPlayback === 0) return null;
+
+  const setFilter = (changes) => {
+    dispatch({ type: actionTypes.SET_PLAYBACK_FILTER, payload: changes });
+  };
+
+  const topEndReason = summary.reasonsEnd[0];
+  const selectClassName = 'px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-gray-700 text-sm text-gray-900 dark:text-white border-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="mb-4 p-4 bg-gray-50 dark:bg-gray-700/50 rounded-lg border border-gray-200 dark:border-gray-700 space-y-3">
+      <div className="flex items-center gap-3 flex-wrap text-sm">
+        <select
+          value={filter.deviceClass}
+          onChange={(e) => setFilter({ deviceClass: e.target.value })}
+          className={selectClassName}
+          aria-label="Device"
+        >
+          <option value="all">All devices</option>
+          {summary.devices.map(({ key, count }) => (
+            <option key={key} value={key}>
+              {DEVICE_CLASS_LABELS[key] || key} ({count.toLocaleString()})
+            </option>
+          ))}
+        </select>
+
+        <select
+          value={filter.country}
+          onChange={(e) => setFilter({ country: e.target.value })}
+          className={selectClassName}
+          aria-label="Country"
+        >
+          <option value="all">All countries</option>
+          {summary.countries.map(({ key, count }) => (
+            <option key={key} value={key}>
+              {key} ({count.toLocaleString()})
+            </option>
+          ))}
+        </select>
+
+        <select
+          value={filter.shuffle}
+          onChange={(e) => setFilter({ shuffle: e.target.value })}
+          className={selectClassName}
+          aria-label="Shuffle"
+        >
+          <option value="all">Shuffle on or off</option>
+          <option value="on">Shuffle on</option>
+          <option value="off">Shuffle off</option>
+        </select>
+
+        <label className="flex items-center gap-2 text-gray-700 dark:text-gray-300">
+          <input
+            type="checkbox"
+            checked={filter.excludeSkipped}
+            onChange={(e) => setFilter({ excludeSkipped: e.target.checked })}
+            className="w-4 h-4 text-blue-600"
+          />
+          Hide skipped
+        </label>
+
+        <label className="flex items-center gap-2 text-gray-700 dark:text-gray-300">
+          <input
+            type="checkbox"
+            checked={filter.excludeIncognito}
+            onChange={(e) => setFilter({ excludeIncognito: e.target.checked })}
+            className="w-4 h-4 text-blue-600"
+          />
+          Hide private sessions
+        </label>
+
+        {isPlaybackFilterActive(filter) && (
+          <button
+            onClick={() => setFilter(DEFAULT_PLAYBACK_FILTER)}
+            className="px-3 py-1.5 text-sm font-medium bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors"
+          >
+            Reset
+          </button>
+        )}
+      </div>
+
+      <div className="flex h-2 rounded-full overflow-hidden bg-gray-200 dark:bg-gray-600">
+        {summary.devices.map(({ key, count }, index) => (
+          <div
+            key={key}
+            title={`${DEVICE_CLASS_LABELS[key] || key}: ${((count / summary.withPlayback) * 100).toFixed(1)}%`}
+            className={['bg-blue-500', 'bg-cyan-500', 'bg-purple-500', 'bg-pink-500', 'bg-amber-500'][index % 5]}
+            style={{ width: `${(count / summary.withPlayback) * 100}%` }}
+          />
+        ))}
+      </div>
+
+      <div className="flex items-center gap-4 flex-wrap text-xs text-gray-600 dark:text-gray-400">
+        <span>Shuffle: <strong className="text-gray-900 dark:text-white">{formatRate(summary.shuffleRate)}</strong></span>
+        <span>Skipped: <strong className="text-gray-900 dark:text-white">{formatRate(summary.skipRate)}</strong></span>
+        <span>Offline: <strong className="text-gray-900 dark:text-white">{formatRate(summary.offlineRate)}</strong></span>
+        <span>Private: <strong className="text-gray-900 dark:text-white">{formatRate(summary.incognitoRate)}</strong></span>
+        {topEndReason && (
+          <span>
+            Most plays ended by:{' '}
+            <strong className="text-gray-900 dark:text-white">
+              {REASON_LABELS[topEndReason.key] || topEndReason.key}
+            </strong>
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PlaybackFilterBar;
@@ -2,6 +2,7 @@ import { useEffect, useRef, useState } from 'react';
 import * as d3 from 'd3';
 import { getGenreColor } from '../../utils/genreColors';
 import { getTopArtistsForGenre, getGenrePeakPeriod, getGenreDiscoveryDate } from '../../utils/gatewayArtistDetection';
+import { getListenGenres } from '../../utils/listenKinds';
 
 const SankeyFlowVisualization = ({
   groupedData,
@@ -14,6 +15,7 @@ const SankeyFlowVisualization = ({
   onGenreClick,
   onGatewayArtistClick,
   selectedGenre,
+  artistCounting,
   unknownDisplay = 'faded'
 }) => {
   const svgRef = useRef(null);
@@ -23,7 +25,7 @@ const SankeyFlowVisualization = ({
     if (!groupedData.length || !svgRef.current) return;
 
     renderSankeyFlow();
-  }, [groupedData, width, height, selectedGenre, unknownDisplay]);
+  }, [groupedData, width, height, selectedGenre, unknownDisplay, artistCounting]);
 
   const renderSankeyFlow = () => {
     const svg = d3.select(svgRef.current);
@@ -154,10 +156,10 @@ const SankeyFlowVisualization = ({
               .attr('opacity', 0.2);
 
             if (onGenreHover) {
-              const topArtists = getTopArtistsForGenre(listens, genreMap, genre, 5);
+              const topArtists = getTopArtistsForGenre(listens, genreMap, genre, 5, artistCounting);
               const peakPeriod = getGenrePeakPeriod(groupedData, genre);
               const totalCount = listens.filter(l => {
-                const genres = genreMap.get(l.artistName) || [];
+                const genres = getListenGenres(l, genreMap);
                 return genres.includes(genre);
               }).length;
               const percentage = (totalCount / listens.length) * 100;
@@ -174,10 +176,10 @@ const SankeyFlowVisualization = ({
           })
           .on('mousemove', function(event) {
             if (onGenreHover) {
-              const topArtists = getTopArtistsForGenre(listens, genreMap, genre, 5);
+              const topArtists = getTopArtistsForGenre(listens, genreMap, genre, 5, artistCounting);
               const peakPeriod = getGenrePeakPeriod(groupedData, genre);
               const totalCount = listens.filter(l => {
-                const genres = genreMap.get(l.artistName) || [];
+                const genres = getListenGenres(l, genreMap);
                 return genres.includes(genre);
               }).length;
               const percentage = (totalCount / listens.length) * 100;
@@ -1,6 +1,31 @@
-import { createContext, useContext, useReducer, useEffect } from 'react';
-import { initDB, saveListeningData, getListeningData } from '../utils/storage/indexedDB';
+import { createContext, useContext, useReducer, useEffect, useRef, useMemo } from 'react';
+import { initDB, saveListeningData, getListeningData, getListensBetween, getArtistAliases, setActiveProfile } from '../utils/storage/indexedDB';
 import { getItem, setItem, StorageType } from '../utils/storage/secureStorage';
+import { ArtistCounting } from '../utils/artistCredits';
+import { setArtistAliases } from '../utils/artistAliases';
+import { TrackVersions } from '../utils/trackTitles';
+import { DEFAULT_CROSS_SOURCE_WINDOW } from '../utils/dataMerge';
+import { setTimezoneTimeline } from '../utils/timezones';
+import { DEFAULT_PLAYBACK_FILTER } from '../utils/playbackContext';
+import { excludeQuarantined } from '../utils/timestampValidation';
+import {
+  DEFAULT_PROFILE_ID,
+  getProfiles,
+  getActiveProfileId,
+  setActiveProfileId,
+  profileKey,
+  BACKUP_SETTING_KEYS
+} from '../utils/profiles';
+import {
+  isVaultEnabled,
+  unlockVault,
+  lockVault,
+  enableVault,
+  changeVaultPassphrase,
+  disableVault,
+  saveLockedSettings,
+  loadListenBrainzToken
+} from '../utils/storage/vault';
 
 const DataContext = createContext();
 
@@ -17,6 +42,17 @@ const initialState = {
   storageMode: StorageType.LOCAL,
   listenbrainzToken: null,
   selectedGenres: [],
+  playbackFilter: DEFAULT_PLAYBACK_FILTER,
+  includeSpokenWord: false,
+  artistCounting: ArtistCounting.PRIMARY,
+  artistAliases: [],
+  trackVersions: TrackVersions.MERGED,
+  crossSourceWindow: DEFAULT_CROSS_SOURCE_WINDOW,
+  timezoneTimeline: [],
+  profiles: [],
+  activeProfileId: DEFAULT_PROFILE_ID,
+  vaultEnabled: false,
+  vaultLocked: false,
   animationState: {
     isPlaying: false,
     speed: 1,
@@ -31,6 +67,7 @@ const initialState = {
 
 const actionTypes = {
   SET_LISTENS: 'SET_LISTENS',
+  REPLACE_LISTENS_BETWEEN: 'REPLACE_LISTENS_BETWEEN',
   SET_GENRE_MAP: 'SET_GENRE_MAP',
   SET_GROUPED_DATA: 'SET_GROUPED_DATA',
   SET_TRANSITIONS: 'SET_TRANSITIONS',
@@ -42,8 +79,19 @@ const actionTypes = {
   SET_STORAGE_MODE: 'SET_STORAGE_MODE',
   SET_LISTENBRAINZ_TOKEN: 'SET_LISTENBRAINZ_TOKEN',
   SET_SELECTED_GENRES: 'SET_SELECTED_GENRES',
+  SET_PLAYBACK_FILTER: 'SET_PLAYBACK_FILTER',
   SET_ANIMATION_STATE: 'SET_ANIMATION_STATE',
   SET_GENRE_PROGRESS: 'SET_GENRE_PROGRESS',
+  SET_INCLUDE_SPOKEN_WORD: 'SET_INCLUDE_SPOKEN_WORD',
+  SET_ARTIST_COUNTING: 'SET_ARTIST_COUNTING',
+  SET_ARTIST_ALIASES: 'SET_ARTIST_ALIASES',
+  SET_TRACK_VERSIONS: 'SET_TRACK_VERSIONS',
+  SET_CROSS_SOURCE_WINDOW: 'SET_CROSS_SOURCE_WINDOW',
+  SET_TIMEZONE_TIMELINE: 'SET_TIMEZONE_TIMELINE',
+  SET_PROFILES: 'SET_PROFILES',
+  LOAD_PROFILE: 'LOAD_PROFILE',
+  SET_VAULT_STATE: 'SET_VAULT_STATE',
+  SET_PROFILE_SETTINGS: 'SET_PROFILE_SETTINGS',
   CLEAR_DATA: 'CLEAR_DATA'
 };
 
@@ -51,6 +99,14 @@ const dataReducer = (state, action) => {
   switch (action.type) {
     case actionTypes.SET_LISTENS:
       return { ...state, listens: action.payload };
+    // Swaps the listens between from and to (Unix seconds) for ones freshly
+    // loaded from storage, after an import or rollback changed only those
+    case actionTypes.REPLACE_LISTENS_BETWEEN: {
+      const { from, to, listens } = action.payload;
+      const timeOf = (listen) => listen.timestamp || listen.listened_at || 0;
+      const outside = state.listens.filter(listen => timeOf(listen) < from || timeOf(listen) > to);
+      return { ...state, listens: outside.concat(listens).sort((a, b) => timeOf(a) - timeOf(b)) };
+    }
     case actionTypes.SET_GENRE_MAP:
       return { ...state, genreMap: action.payload };
     case actionTypes.SET_GROUPED_DATA:
@@ -73,19 +129,251 @@ const dataReducer = (state, action) => {
       return { ...state, listenbrainzToken: action.payload };
     case actionTypes.SET_SELECTED_GENRES:
       return { ...state, selectedGenres: action.payload };
+    case actionTypes.SET_PLAYBACK_FILTER:
+      return { ...state, playbackFilter: { ...state.playbackFilter, ...action.payload } };
     case actionTypes.SET_ANIMATION_STATE:
       return { ...state, animationState: { ...state.animationState, ...action.payload } };
     case actionTypes.SET_GENRE_PROGRESS:
       return { ...state, genreClassificationProgress: action.payload };
+    case actionTypes.SET_INCLUDE_SPOKEN_WORD:
+      return { ...state, includeSpokenWord: action.payload };
+    case actionTypes.SET_ARTIST_COUNTING:
+      return { ...state, artistCounting: action.payload };
+    case actionTypes.SET_ARTIST_ALIASES:
+      return { ...state, artistAliases: action.payload };
+    case actionTypes.SET_TRACK_VERSIONS:
+      return { ...state, trackVersions: action.payload };
+    case actionTypes.SET_CROSS_SOURCE_WINDOW:
+      return { ...state, crossSourceWindow: action.payload };
+    case actionTypes.SET_TIMEZONE_TIMELINE:
+      return { ...state, timezoneTimeline: action.payload };
+    case actionTypes.SET_PROFILES:
+      return { ...state, profiles: action.payload };
+    // Switches profile and its settings in one step, so the settings effect
+    // never writes one profile's values under another's keys. The profile's
+    // listens and artist merges are loaded afterwards.
+    case actionTypes.LOAD_PROFILE:
+      return {
+        ...state,
+        listens: initialState.listens,
+        genreMap: initialState.genreMap,
+        groupedData: initialState.groupedData,
+        transitions: initialState.transitions,
+        selectedGenres: initialState.selectedGenres,
+        playbackFilter: initialState.playbackFilter,
+        artistAliases: initialState.artistAliases,
+        activeProfileId: action.payload.profileId,
+        ...action.payload.settings
+      };
+    case actionTypes.SET_VAULT_STATE:
+    case actionTypes.SET_PROFILE_SETTINGS:
+      return { ...state, ...action.payload };
     case actionTypes.CLEAR_DATA:
-      return { ...initialState, darkMode: state.darkMode, storageMode: state.storageMode };
+      return {
+        ...initialState,
+        darkMode: state.darkMode,
+        storageMode: state.storageMode,
+        includeSpokenWord: state.includeSpokenWord,
+        artistCounting: state.artistCounting,
+        artistAliases: state.artistAliases,
+        trackVersions: state.trackVersions,
+        crossSourceWindow: state.crossSourceWindow,
+        timezoneTimeline: state.timezoneTimeline,
+        profiles: state.profiles,
+        activeProfileId: state.activeProfileId
+      };
     default:
       return state;
   }
 };
 
+// A profile's settings from their stored strings, falling back to the
+// defaults. read(key) returns what localStorage holds under profileKey(), or
+// the same string from the decrypted settings of a passphrase-locked profile.
+const parseProfileSettings = (read) => {
+  const savedCrossSourceWindow = parseInt(read('crossSourceWindow'), 10);
+
+  let timezoneTimeline = [];
+  try {
+    const savedTimezoneTimeline = JSON.parse(read('timezoneTimeline') || '[]');
+    if (Array.isArray(savedTimezoneTimeline)) {
+      timezoneTimeline = savedTimezoneTimeline;
+    }
+  } catch (error) {
+    console.warn('Ignoring unreadable timezone timeline:', error);
+  }
+
+  return {
+    includeSpokenWord: read('includeSpokenWord') === 'true',
+    artistCounting: read('artistCounting') === ArtistCounting.ALL ? ArtistCounting.ALL : ArtistCounting.PRIMARY,
+    trackVersions: read('trackVersions') === TrackVersions.SEPARATE ? TrackVersions.SEPARATE : TrackVersions.MERGED,
+    crossSourceWindow: Number.isFinite(savedCrossSourceWindow) && savedCrossSourceWindow >= 0
+      ? savedCrossSourceWindow
+      : DEFAULT_CROSS_SOURCE_WINDOW,
+    timezoneTimeline
+  };
+};
+
+const serializeProfileSettings = (state) => ({
+  includeSpokenWord: state.includeSpokenWord.toString(),
+  artistCounting: state.artistCounting,
+  trackVersions: state.trackVersions,
+  crossSourceWindow: state.crossSourceWindow.toString(),
+  timezoneTimeline: JSON.stringify(state.timezoneTimeline)
+});
+
 export const DataProvider = ({ children }) => {
-  const [state, dispatch] = useReducer(dataReducer, initialState);
+  // The active profile is known before the first render so the settings
+  // effect below writes to its keys from the start
+  const [state, dispatch] = useReducer(dataReducer, initialState, (initial) => {
+    const activeProfileId = getActiveProfileId();
+    const vaultEnabled = isVaultEnabled(activeProfileId);
+    return {
+      ...initial,
+      profiles: getProfiles(),
+      activeProfileId,
+      vaultEnabled,
+      vaultLocked: vaultEnabled
+    };
+  });
+  const loadingProfileRef = useRef(null);
+
+  const applyProfile = (profileId, settings) => {
+    // The lookup tables are set before dispatching so bucketing that runs on
+    // the state change already sees them
+    setTimezoneTimeline(settings.timezoneTimeline);
+    setArtistAliases([]);
+    dispatch({ type: actionTypes.LOAD_PROFILE, payload: { profileId, settings } });
+  };
+
+  // A passphrase-locked profile starts out locked with default settings;
+  // unlockProfile() loads the rest
+  const loadProfile = (profileId) => {
+    loadingProfileRef.current = profileId;
+    lockVault();
+    setActiveProfile(profileId);
+
+    const vaultEnabled = isVaultEnabled(profileId);
+    const settings = parseProfileSettings(key => (
+      vaultEnabled ? null : getItem(profileKey(profileId, key), StorageType.LOCAL)
+    ));
+    applyProfile(profileId, {
+      ...settings,
+      listenbrainzToken: null,
+      vaultEnabled,
+      vaultLocked: vaultEnabled
+    });
+
+    if (vaultEnabled) return;
+
+    loadProfileData(profileId);
+    loadListenBrainzToken(profileId).then(token => {
+      if (token && loadingProfileRef.current === profileId) {
+        dispatch({ type: actionTypes.SET_LISTENBRAINZ_TOKEN, payload: token });
+      }
+    });
+  };
+
+  const loadProfileData = (profileId) => {
+    initDB()
+      .then(() => getArtistAliases())
+      .then(async entries => {
+        if (loadingProfileRef.current !== profileId) return;
+        setArtistAliases(entries);
+        dispatch({ type: actionTypes.SET_ARTIST_ALIASES, payload: entries });
+
+        const listens = await getListeningData();
+        if (loadingProfileRef.current !== profileId || listens.length === 0) return;
+        listens.sort((a, b) => (a.timestamp || a.listened_at || 0) - (b.timestamp || b.listened_at || 0));
+        console.log(`📂 Loaded ${listens.length.toLocaleString()} listens for profile "${profileId}"`);
+        dispatch({ type: actionTypes.SET_LISTENS, payload: listens });
+      })
+      .catch(console.error);
+  };
+
+  // Listens, settings and artist merges are replaced by the other profile's;
+  // the genre cache is shared
+  const switchProfile = (profileId) => {
+    if (profileId === state.activeProfileId) return;
+    setActiveProfileId(profileId);
+    loadProfile(profileId);
+  };
+
+  const unlockProfile = async (passphrase, onProgress) => {
+    const profileId = state.activeProfileId;
+    const result = await unlockVault(profileId, passphrase, onProgress);
+    if (!result.success) return result;
+
+    // Switched to another profile while the passphrase was being checked
+    if (loadingProfileRef.current !== profileId) {
+      lockVault();
+      return { success: false, error: 'The active profile changed' };
+    }
+
+    const settings = parseProfileSettings(key => result.settings[key] ?? null);
+    applyProfile(profileId, {
+      ...settings,
+      listenbrainzToken: result.settings.listenbrainz_token || null,
+      vaultEnabled: true,
+      vaultLocked: false
+    });
+    loadProfileData(profileId);
+    return { success: true };
+  };
+
+  // range is the changedRange of an import or rollback; only the listens in
+  // it are read again
+  const reloadListensBetween = async (range) => {
+    if (!range) return;
+    const profileId = state.activeProfileId;
+    const listens = await getListensBetween(range.from, range.to);
+    if (loadingProfileRef.current !== profileId) return;
+    dispatch({ type: actionTypes.REPLACE_LISTENS_BETWEEN, payload: { ...range, listens } });
+  };
+
+  // The active profile's settings as a backup stores them
+  const exportProfileSettings = () => serializeProfileSettings(state);
+
+  // Settings from a backup; the settings effect below saves them under the
+  // profile's keys, or encrypted for a passphrase-locked profile. Values the
+  // backup lacks keep their current setting.
+  const restoreProfileSettings = (saved) => {
+    if (!saved || typeof saved !== 'object') return;
+    const current = serializeProfileSettings(state);
+    const settings = parseProfileSettings(key => (
+      BACKUP_SETTING_KEYS.includes(key) && typeof saved[key] === 'string' ? saved[key] : current[key]
+    ));
+    setTimezoneTimeline(settings.timezoneTimeline);
+    dispatch({ type: actionTypes.SET_PROFILE_SETTINGS, payload: settings });
+  };
+
+  const lockProfile = () => {
+    loadProfile(state.activeProfileId);
+  };
+
+  const setPassphrase = async (passphrase, onProgress) => {
+    const settings = {
+      ...serializeProfileSettings(state),
+      listenbrainz_token: state.listenbrainzToken || ''
+    };
+    const result = await enableVault(state.activeProfileId, passphrase, settings, onProgress);
+    if (result.success) {
+      dispatch({ type: actionTypes.SET_VAULT_STATE, payload: { vaultEnabled: true, vaultLocked: false } });
+    }
+    return result;
+  };
+
+  const changePassphrase = (currentPassphrase, newPassphrase, onProgress) => {
+    return changeVaultPassphrase(state.activeProfileId, currentPassphrase, newPassphrase, onProgress);
+  };
+
+  const removePassphrase = async (passphrase, onProgress) => {
+    const result = await disableVault(state.activeProfileId, passphrase, onProgress);
+    if (result.success) {
+      dispatch({ type: actionTypes.SET_VAULT_STATE, payload: { vaultEnabled: false, vaultLocked: false } });
+    }
+    return result;
+  };
 
   useEffect(() => {
     const savedDarkMode = getItem('darkMode', StorageType.LOCAL);
@@ -93,12 +381,7 @@ export const DataProvider = ({ children }) => {
       dispatch({ type: actionTypes.TOGGLE_DARK_MODE });
     }
 
-    const savedToken = getItem('listenbrainz_token', StorageType.LOCAL, true);
-    if (savedToken) {
-      dispatch({ type: actionTypes.SET_LISTENBRAINZ_TOKEN, payload: savedToken });
-    }
-
-    initDB().catch(console.error);
+    loadProfile(state.activeProfileId);
   }, []);
 
   useEffect(() => {
@@ -110,10 +393,53 @@ export const DataProvider = ({ children }) => {
     }
   }, [state.darkMode]);
 
+  // A passphrase-locked profile keeps its settings, and its ListenBrainz
+  // token, encrypted; nothing is saved while it is still locked
+  useEffect(() => {
+    const settings = serializeProfileSettings(state);
+    if (state.vaultEnabled) {
+      if (!state.vaultLocked) {
+        saveLockedSettings(state.activeProfileId, {
+          ...settings,
+          listenbrainz_token: state.listenbrainzToken || ''
+        });
+      }
+      return;
+    }
+
+    Object.entries(settings).forEach(([key, value]) => {
+      setItem(profileKey(state.activeProfileId, key), value, StorageType.LOCAL);
+    });
+  }, [
+    state.includeSpokenWord,
+    state.artistCounting,
+    state.trackVersions,
+    state.crossSourceWindow,
+    state.timezoneTimeline,
+    state.listenbrainzToken,
+    state.activeProfileId,
+    state.vaultEnabled,
+    state.vaultLocked
+  ]);
+
+  // Quarantined scrobble bursts stay in state.listens so they can be
+  // restored; charts and stats read visibleListens
+  const visibleListens = useMemo(() => excludeQuarantined(state.listens), [state.listens]);
+
   const value = {
     state,
+    visibleListens,
     dispatch,
-    actionTypes
+    actionTypes,
+    switchProfile,
+    unlockProfile,
+    lockProfile,
+    reloadListensBetween,
+    exportProfileSettings,
+    restoreProfileSettings,
+    setPassphrase,
+    changePassphrase,
+    removePassphrase
   };
 
   return <DataContext.Provider value={value}>{children}</DataContext.Provider>;
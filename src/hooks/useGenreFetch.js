@@ -2,6 +2,8 @@ import { useState, useRef } from 'react';
 import { classifyMultipleArtists } from '../utils/genreClassifier';
 import { getProgress, clearProgress, getListeningData } from '../utils/storage/indexedDB';
 import { useData } from '../context/DataContext';
+import { isSpokenWord } from '../utils/listenKinds';
+import { getPrimaryArtist } from '../utils/artistCredits';
 
 export const useGenreFetch = () => {
   const { state, dispatch, actionTypes } = useData();
@@ -37,7 +39,11 @@ export const useGenreFetch = () => {
     abortControllerRef.current = new AbortController();
 
     try {
-      const uniqueArtists = [...new Set(listens.map(listen => listen.artistName))];
+      // Podcast shows and audiobooks are not artists and have no genres to fetch.
+      // Genres are looked up once per primary artist, not per credit string.
+      const uniqueArtists = [...new Set(
+        listens.filter(listen => !isSpokenWord(listen)).map(getPrimaryArtist)
+      )];
 
       let resumeData = null;
       if (resume) {
@@ -0,0 +1,102 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  normalizeArtistKey,
+  setArtistAliases,
+  hasArtistAliases,
+  resolveArtistAlias,
+  suggestArtistMerges,
+  suggestFromMusicBrainzAliases,
+  AliasStatus,
+  AliasReason
+} from '../artistAliases';
+
+const listen = (artistName, mbids) => ({
+  artistName,
+  additionalInfo: mbids ? { artist_mbids: mbids } : {}
+});
+
+describe('normalizeArtistKey', () => {
+  it.each([
+    ['Beyoncé', 'beyonce'],
+    ['The Beatles', 'beatles'],
+    ['Beatles, The', 'beatles'],
+    ['MØ', 'mo'],
+    ['Sigur  Rós', 'sigur ros'],
+    ['Guns N’ Roses', "guns n' roses"],
+    ['The The', 'the the'],
+    ['The', 'the']
+  ])('normalizes %s', (name, key) => {
+    expect(normalizeArtistKey(name)).toBe(key);
+  });
+});
+
+describe('alias table', () => {
+  afterEach(() => {
+    setArtistAliases([]);
+  });
+
+  it('resolves approved aliases only', () => {
+    setArtistAliases([
+      { alias: 'Beyonce', canonical: 'Beyoncé', status: AliasStatus.APPROVED },
+      { alias: 'Beatles', canonical: 'The Beatles', status: AliasStatus.REJECTED },
+      { alias: 'MO', canonical: 'MØ', status: AliasStatus.SUGGESTED }
+    ]);
+
+    expect(hasArtistAliases()).toBe(true);
+    expect(resolveArtistAlias('Beyonce')).toBe('Beyoncé');
+    expect(resolveArtistAlias('Beatles')).toBe('Beatles');
+    expect(resolveArtistAlias('MO')).toBe('MO');
+  });
+});
+
+describe('suggestArtistMerges', () => {
+  it('merges spellings into the most played one', () => {
+    const suggestions = suggestArtistMerges([
+      listen('The Beatles'),
+      listen('The Beatles'),
+      listen('Beatles'),
+      listen('Radiohead')
+    ]);
+
+    expect(suggestions).toMatchObject([
+      { alias: 'Beatles', canonical: 'The Beatles', reason: AliasReason.NORMALIZED, plays: 1, canonicalPlays: 2 }
+    ]);
+  });
+
+  it('merges spellings credited with the same artist MBID', () => {
+    const suggestions = suggestArtistMerges([
+      listen('Prince', ['mbid-prince']),
+      listen('Prince', ['mbid-prince']),
+      listen('The Artist Formerly Known as Prince', ['mbid-prince']),
+      // Collaborations don't tie a spelling to one artist
+      listen('Prince & The Revolution', ['mbid-prince', 'mbid-revolution'])
+    ]);
+
+    expect(suggestions).toMatchObject([
+      { alias: 'The Artist Formerly Known as Prince', canonical: 'Prince', reason: AliasReason.MBID, mbid: 'mbid-prince' }
+    ]);
+  });
+
+  it('leaves spellings the user already decided on', () => {
+    const listens = [listen('The Beatles'), listen('The Beatles'), listen('Beatles')];
+
+    expect(suggestArtistMerges(listens, [{ alias: 'Beatles', status: AliasStatus.REJECTED }])).toEqual([]);
+    expect(suggestArtistMerges(listens, [{ alias: 'Beatles', status: AliasStatus.SUGGESTED }])).toHaveLength(1);
+  });
+});
+
+describe('suggestFromMusicBrainzAliases', () => {
+  it('suggests listened spellings that match a MusicBrainz alias', () => {
+    const suggestions = suggestFromMusicBrainzAliases(
+      'Sigur Rós',
+      'mbid-sigur-ros',
+      ['Sigur Ros', 'Sigurrós'],
+      ['Sigur Rós', 'sigur ros', 'Sigurros', 'Radiohead'],
+      [{ alias: 'Sigurros', status: AliasStatus.REJECTED }]
+    );
+
+    expect(suggestions).toMatchObject([
+      { alias: 'sigur ros', canonical: 'Sigur Rós', reason: AliasReason.MUSICBRAINZ, mbid: 'mbid-sigur-ros' }
+    ]);
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  parseArtistCredit,
+  resolveArtistCredit,
+  getListenArtists,
+  countUniqueArtists,
+  ArtistCounting
+} from '../artistCredits';
+import { setArtistAliases, AliasStatus } from '../artistAliases';
+
+describe('parseArtistCredit', () => {
+  it.each([
+    ['Radiohead', 'Radiohead', ['Radiohead'], []],
+    ['Calvin Harris feat. Rihanna', 'Calvin Harris', ['Calvin Harris', 'Rihanna'], ['Rihanna']],
+    ['Calvin Harris (feat. Rihanna & Dua Lipa)', 'Calvin Harris', ['Calvin Harris', 'Rihanna', 'Dua Lipa'], ['Rihanna', 'Dua Lipa']],
+    ['Jay-Z & Kanye West', 'Jay-Z', ['Jay-Z', 'Kanye West'], []],
+    ['Skrillex x Diplo', 'Skrillex', ['Skrillex', 'Diplo'], []],
+    ['Nick Cave & The Bad Seeds', 'Nick Cave & The Bad Seeds', ['Nick Cave & The Bad Seeds'], []],
+    ['Simon & Garfunkel', 'Simon & Garfunkel', ['Simon & Garfunkel'], []],
+    ['Earth, Wind & Fire ft. The Emotions', 'Earth, Wind & Fire', ['Earth, Wind & Fire', 'The Emotions'], ['The Emotions']],
+    ['feat. Someone', 'feat. Someone', ['feat. Someone'], []]
+  ])('splits %s', (credit, primary, artists, featured) => {
+    expect(parseArtistCredit(credit)).toEqual({ primary, artists, featured });
+  });
+
+  it('returns no artists for an empty credit', () => {
+    expect(parseArtistCredit('  ')).toEqual({ primary: '', artists: [], featured: [] });
+    expect(parseArtistCredit(null)).toEqual({ primary: '', artists: [], featured: [] });
+  });
+});
+
+describe('resolveArtistCredit', () => {
+  it('prefers the artist names the source reported', () => {
+    expect(resolveArtistCredit('Massive Attack, Elizabeth Fraser', {
+      artist_names: ['Massive Attack', 'Elizabeth Fraser'],
+      artist_mbids: ['mbid-1', 'mbid-2']
+    })).toEqual({
+      primary: 'Massive Attack',
+      artists: ['Massive Attack', 'Elizabeth Fraser'],
+      mbids: ['mbid-1', 'mbid-2']
+    });
+  });
+
+  it('keeps a credit with one artist MBID whole', () => {
+    expect(resolveArtistCredit('Belle and Sebastian & Friends', { artist_mbids: ['mbid-1'] })).toEqual({
+      primary: 'Belle and Sebastian & Friends',
+      artists: ['Belle and Sebastian & Friends'],
+      mbids: ['mbid-1']
+    });
+  });
+
+  it('drops MBIDs that do not line up with the parsed artists', () => {
+    expect(resolveArtistCredit('Jay-Z & Kanye West', { artist_mbids: ['mbid-1', 'mbid-2', 'mbid-3'] }).mbids).toEqual([]);
+    expect(resolveArtistCredit('Jay-Z & Kanye West', { artist_mbids: ['mbid-1', 'mbid-2'] }).mbids).toEqual(['mbid-1', 'mbid-2']);
+  });
+});
+
+describe('artist counting', () => {
+  afterEach(() => {
+    setArtistAliases([]);
+  });
+
+  const listens = [
+    { artistName: 'Calvin Harris feat. Rihanna' },
+    { artistName: 'Rihanna' },
+    { artistName: 'Beyonce' },
+    { artistName: 'Beyoncé', primaryArtist: 'Beyoncé', artists: ['Beyoncé'] }
+  ];
+
+  it('counts primary or every credited artist', () => {
+    expect(getListenArtists(listens[0])).toEqual(['Calvin Harris']);
+    expect(getListenArtists(listens[0], ArtistCounting.ALL)).toEqual(['Calvin Harris', 'Rihanna']);
+    expect(countUniqueArtists(listens)).toBe(4);
+    expect(countUniqueArtists(listens, ArtistCounting.ALL)).toBe(4);
+  });
+
+  it('folds approved aliases onto the canonical artist', () => {
+    setArtistAliases([{ alias: 'Beyonce', canonical: 'Beyoncé', status: AliasStatus.APPROVED }]);
+
+    expect(getListenArtists(listens[2])).toEqual(['Beyoncé']);
+    expect(countUniqueArtists(listens)).toBe(3);
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { removeCrossSourceDuplicates } from '../dataMerge';
+import { START, makeListen } from './helpers';
+
+// Extended streaming history stamps the end of the play
+const spotifyListen = (id, start, msPlayed) => makeListen({
+  id,
+  source: 'spotify',
+  timestamp: start + msPlayed / 1000,
+  album: 'Mezzanine',
+  info: { ms_played: msPlayed, spotify_track_uri: 'spotify:track:1' }
+});
+
+describe('removeCrossSourceDuplicates', () => {
+  it('merges a Spotify play and its scrobble, comparing play starts', () => {
+    const scrobble = makeListen({ id: 'lb-1', source: 'listenbrainz', timestamp: START + 20, info: { recording_mbid: 'mbid-1' } });
+    const { listens, matches } = removeCrossSourceDuplicates([spotifyListen('sp-1', START, 330000), scrobble], 180);
+
+    expect(listens).toHaveLength(1);
+    expect(listens[0]).toMatchObject({
+      id: 'sp-1',
+      albumName: 'Mezzanine',
+      additionalInfo: { ms_played: 330000, recording_mbid: 'mbid-1' },
+      mergedFrom: [{ source: 'listenbrainz', id: 'lb-1', timestamp: START + 20 }]
+    });
+    expect(listens[0].mergedVersions.map(version => version.id)).toEqual(['sp-1', 'lb-1']);
+    expect(matches).toEqual([expect.objectContaining({ keptSource: 'spotify', droppedSource: 'listenbrainz', offsetSeconds: 20 })]);
+  });
+
+  it('matches titles with and without a version suffix', () => {
+    const scrobble = makeListen({ id: 'lb-1', source: 'listenbrainz', timestamp: START, track: 'Teardrop - 2019 Remaster' });
+    const { listens } = removeCrossSourceDuplicates([spotifyListen('sp-1', START, 330000), scrobble], 180);
+
+    expect(listens).toHaveLength(1);
+  });
+
+  it('keeps plays outside the window', () => {
+    const scrobble = makeListen({ id: 'lb-1', source: 'listenbrainz', timestamp: START + 600 });
+    const { listens, matches } = removeCrossSourceDuplicates([spotifyListen('sp-1', START, 330000), scrobble], 180);
+
+    expect(listens).toHaveLength(2);
+    expect(matches).toEqual([]);
+  });
+
+  it('keeps repeats within one source as real replays', () => {
+    const input = [
+      makeListen({ id: 'lb-1', source: 'listenbrainz', timestamp: START }),
+      makeListen({ id: 'lb-2', source: 'listenbrainz', timestamp: START + 60 }),
+      makeListen({ id: 'lfm-1', source: 'lastfm', timestamp: START + 5, album: 'Mezzanine' })
+    ];
+    const { listens } = removeCrossSourceDuplicates(input, 180);
+
+    // The Last.fm scrobble absorbs one ListenBrainz listen; the replay stays
+    expect(listens.map(listen => listen.id).sort()).toEqual(['lb-2', 'lfm-1']);
+    expect(listens.find(listen => listen.id === 'lfm-1').mergedFrom.map(m => m.id)).toEqual(['lb-1']);
+  });
+
+  it('does nothing when the window is off', () => {
+    const input = [spotifyListen('sp-1', START, 330000), makeListen({ id: 'lb-1', source: 'listenbrainz', timestamp: START })];
+
+    expect(removeCrossSourceDuplicates(input, 0).listens).toBe(input);
+  });
+});
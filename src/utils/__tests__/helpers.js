@@ -0,0 +1,45 @@
+import { readFileSync } from 'node:fs';
+import { parseTrackTitle } from '../trackTitles';
+
+// Shared by the test files under src/utils. Parser fixtures live in
+// parsers/__tests__/fixtures.
+
+export const fixturePath = (name) => new URL(`../parsers/__tests__/fixtures/${name}`, import.meta.url);
+
+export const fixture = (name) => readFileSync(fixturePath(name), 'utf8');
+
+export const fixtureBytes = (name) => readFileSync(fixturePath(name));
+
+// 2024-01-31 22:14:00 UTC
+export const START = 1706739240;
+
+// A listen as the import pipeline hands it to mergeListeningData
+export const makeListen = ({ id, importId, source, timestamp, track = 'Teardrop', album, info = {} }) => ({
+  id,
+  importId,
+  timestamp,
+  listened_at: timestamp,
+  trackName: track,
+  baseTrackName: parseTrackTitle(track).title,
+  artistName: 'Massive Attack',
+  primaryArtist: 'Massive Attack',
+  artists: ['Massive Attack'],
+  albumName: album || 'Unknown Album',
+  additionalInfo: info,
+  source
+});
+
+// Fresh in-memory localStorage for modules that keep settings there
+export const installLocalStorage = () => {
+  const items = new Map();
+  globalThis.localStorage = {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => {
+      items.set(key, String(value));
+    },
+    removeItem: (key) => {
+      items.delete(key);
+    },
+    clear: () => items.clear()
+  };
+};
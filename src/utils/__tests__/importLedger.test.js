@@ -0,0 +1,64 @@
+import 'fake-indexeddb/auto';
+import { createHash } from 'node:crypto';
+import { describe, it, expect, vi } from 'vitest';
+import { hashFile } from '../importLedger';
+import { runImportPipeline } from '../importPipeline';
+import { setActiveProfile, mergeListeningData, getImportHistory, getListeningData } from '../storage/indexedDB';
+import { fixture } from './helpers';
+
+vi.mock('../storage/indexedDB', async (importOriginal) => {
+  const actual = await importOriginal();
+  return { ...actual, mergeListeningData: vi.fn(actual.mergeListeningData) };
+});
+
+describe('hashFile', () => {
+  it('hashes in slices to the SHA-256 of the whole file', async () => {
+    const bytes = new Uint8Array(2.5 * 1024 * 1024).map((_, i) => (i * 31) % 251);
+    const file = new Blob([bytes]);
+    const progress = [];
+
+    const hash = await hashFile(file, ({ percentage }) => progress.push(percentage));
+
+    expect(hash).toBe(createHash('sha256').update(bytes).digest('hex'));
+    expect(progress).toEqual([40, 80, 100]);
+  });
+
+  it('hashes an empty file', async () => {
+    expect(await hashFile(new Blob([]))).toBe(createHash('sha256').digest('hex'));
+  });
+});
+
+describe('interrupted imports', () => {
+  const logFile = () => new File([fixture('scrobbler-utc.log')], '.scrobbler.log');
+
+  it('keeps a pending ledger entry and finishes it when the file is uploaded again', async () => {
+    setActiveProfile('ledger-1');
+    const { mergeListeningData: realMerge } = await vi.importActual('../storage/indexedDB');
+    // The tab closes after the first listen is stored
+    mergeListeningData.mockImplementationOnce(async (listens, window) => {
+      await realMerge(listens.slice(0, 1), window);
+      throw new Error('Tab closed');
+    });
+
+    await expect(runImportPipeline([logFile()], { crossSourceWindow: 180 })).rejects.toThrow('Tab closed');
+
+    const [pending] = await getImportHistory();
+    expect(pending).toMatchObject({ fileName: '.scrobbler.log', pending: true, added: 0 });
+    expect((await getListeningData()).map(listen => listen.importId)).toEqual([pending.id]);
+
+    const result = await runImportPipeline([logFile()], { crossSourceWindow: 180 });
+
+    expect(result.fileReport.skipped).toEqual([]);
+    expect(result.importRecords).toEqual([expect.objectContaining({ id: pending.id, parsed: 2, added: 2, duplicates: 0 })]);
+    expect(result.importRecords[0].pending).toBeUndefined();
+    expect(await getImportHistory()).toHaveLength(1);
+    expect(result.count).toBe(2);
+  });
+
+  it('skips a file whose import finished', async () => {
+    setActiveProfile('ledger-2');
+    await runImportPipeline([logFile()], { crossSourceWindow: 180 });
+
+    await expect(runImportPipeline([logFile()], { crossSourceWindow: 180 })).rejects.toThrow('already imported');
+  });
+});
@@ -0,0 +1,27 @@
+import { describe, it, expect } from 'vitest';
+import { getDeviceClass, DeviceClass } from '../playbackContext';
+
+describe('getDeviceClass', () => {
+  it.each([
+    // Platform strings from Spotify exports of different years
+    ['Android OS 12 API 31 (Google, Pixel 6)', DeviceClass.PHONE],
+    ['iOS 15.1 (iPad8,1)', DeviceClass.TABLET],
+    ['Windows 10 (10.0.19042; x64)', DeviceClass.COMPUTER],
+    ['OS X 10.15.7 [x86 8]', DeviceClass.COMPUTER],
+    ['web_player windows 10;chrome 95.0;desktop', DeviceClass.WEB],
+    ['Partner sonos_ZPS1', DeviceClass.SPEAKER],
+    ['Partner google cast_tv;Chromecast', DeviceClass.TV],
+    ['android', DeviceClass.PHONE],
+    ['ios', DeviceClass.PHONE],
+    ['osx', DeviceClass.COMPUTER],
+    ['Android OS 13 API 33 (Google, Pixel Watch)', DeviceClass.WEARABLE],
+    ['Partner amazon_echo', DeviceClass.SPEAKER],
+    ['Partner google cast_audio', DeviceClass.SPEAKER],
+    // Speaker names inside longer words
+    ['Linux broadcast', DeviceClass.COMPUTER],
+    ['Honest Tech', DeviceClass.UNKNOWN],
+    [null, DeviceClass.UNKNOWN]
+  ])('classifies %s as %s', (platform, deviceClass) => {
+    expect(getDeviceClass(platform)).toBe(deviceClass);
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  DEFAULT_PROFILE_ID,
+  BACKUP_SETTING_KEYS,
+  getProfiles,
+  getActiveProfileId,
+  setActiveProfileId,
+  profileKey,
+  createProfile,
+  removeProfile
+} from '../profiles';
+import { installLocalStorage } from './helpers';
+
+describe('profiles', () => {
+  beforeEach(() => {
+    installLocalStorage();
+  });
+
+  it('keeps the default profile on unprefixed keys', () => {
+    expect(profileKey(DEFAULT_PROFILE_ID, 'trackVersions')).toBe('trackVersions');
+    expect(profileKey('p1', 'trackVersions')).toBe('profile:p1:trackVersions');
+  });
+
+  it('falls back to the default profile when the saved one is unknown', () => {
+    expect(getActiveProfileId()).toBe(DEFAULT_PROFILE_ID);
+
+    setActiveProfileId('gone');
+    expect(getActiveProfileId()).toBe(DEFAULT_PROFILE_ID);
+
+    const { profile } = createProfile('Work');
+    setActiveProfileId(profile.id);
+    expect(getActiveProfileId()).toBe(profile.id);
+  });
+
+  it('removes a profile with its settings and passphrase lock', () => {
+    const { profile } = createProfile('Work');
+    setActiveProfileId(profile.id);
+    localStorage.setItem(profileKey(profile.id, 'artistCounting'), 'all');
+    localStorage.setItem(profileKey(profile.id, 'vault'), '{}');
+    localStorage.setItem('artistCounting', 'primary');
+
+    expect(removeProfile(profile.id)).toEqual({ success: true });
+
+    expect(getProfiles().map(entry => entry.id)).toEqual([DEFAULT_PROFILE_ID]);
+    expect(localStorage.getItem(profileKey(profile.id, 'artistCounting'))).toBeNull();
+    expect(localStorage.getItem(profileKey(profile.id, 'vault'))).toBeNull();
+    expect(localStorage.getItem('artistCounting')).toBe('primary');
+    expect(getActiveProfileId()).toBe(DEFAULT_PROFILE_ID);
+  });
+
+  it('does not remove the default profile', () => {
+    expect(removeProfile(DEFAULT_PROFILE_ID).success).toBe(false);
+  });
+
+  it('leaves the ListenBrainz token out of backups', () => {
+    expect(BACKUP_SETTING_KEYS).toEqual(['includeSpokenWord', 'artistCounting', 'trackVersions', 'crossSourceWindow', 'timezoneTimeline']);
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { detectScrobbleBursts, respaceBurst, getPlayStart } from '../timestampValidation';
+
+const STAMPED_AT = 1706739240;
+
+const spotifyListen = (id) => ({
+  id,
+  source: 'spotify',
+  timestamp: STAMPED_AT,
+  listened_at: STAMPED_AT,
+  track_metadata: {
+    track_name: `Track ${id}`,
+    artist_name: 'Artist',
+    additional_info: { ms_played: 200000 }
+  }
+});
+
+const scrobble = (id) => ({
+  id,
+  source: 'listenbrainz',
+  timestamp: STAMPED_AT + id,
+  listened_at: STAMPED_AT + id,
+  track_metadata: { track_name: `Track ${id}`, artist_name: 'Artist', additional_info: { duration_ms: 180000 } }
+});
+
+const ids = Array.from({ length: 12 }, (_, i) => i + 1);
+
+describe('respaceBurst', () => {
+  it('spaces Spotify plays by start time and stores end times', () => {
+    const listens = ids.map(spotifyListen);
+    const [burst] = detectScrobbleBursts(listens);
+    expect(burst.count).toBe(12);
+    expect(burst.end).toBe(STAMPED_AT - 200);
+
+    const respaced = respaceBurst(listens, burst);
+    const starts = respaced.map(getPlayStart).sort((a, b) => a - b);
+
+    // Back to back, 200 s apart, the last one starting where it did
+    expect(starts[starts.length - 1]).toBe(STAMPED_AT - 200);
+    starts.slice(1).forEach((start, i) => expect(start - starts[i]).toBe(200));
+
+    // Spotify timestamps stay end times: start plus ms_played
+    respaced.forEach(listen => {
+      expect(listen.timestamp).toBe(getPlayStart(listen) + 200);
+      expect(listen.listened_at).toBe(listen.timestamp);
+    });
+    expect(detectScrobbleBursts(respaced)).toHaveLength(0);
+  });
+
+  it('stores start times for scrobbles', () => {
+    const listens = ids.map(scrobble);
+    const [burst] = detectScrobbleBursts(listens);
+    const respaced = respaceBurst(listens, burst);
+
+    const last = respaced.find(listen => listen.id === 12);
+    const previous = respaced.find(listen => listen.id === 11);
+    expect(last.timestamp).toBe(STAMPED_AT + 12);
+    expect(last.timestamp - previous.timestamp).toBe(180);
+    expect(last.timestampMetadata).toMatchObject({ respaced: true, originalTimestamp: STAMPED_AT + 12 });
+  });
+
+  it('returns untouched listens as the same objects', () => {
+    const listens = [...ids.map(spotifyListen), { ...scrobble(99), timestamp: STAMPED_AT + 86400 }];
+    const [burst] = detectScrobbleBursts(listens);
+    const respaced = respaceBurst(listens, burst);
+    expect(respaced[12]).toBe(listens[12]);
+  });
+});
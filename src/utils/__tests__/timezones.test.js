@@ -0,0 +1,60 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { getListenOffset, getListenDateParts, inferListenOffset, setTimezoneTimeline } from '../timezones';
+import { START } from './helpers';
+
+// The browser's timezone, for listens nothing else places
+process.env.TZ = 'America/New_York';
+
+// 2024-07-15 12:00:00 UTC
+const SUMMER = 1721044800;
+
+describe('getListenDateParts', () => {
+  afterEach(() => {
+    setTimezoneTimeline([]);
+  });
+
+  it('uses the listen offset when no timeline covers it', () => {
+    // 2024-01-31 22:14 UTC is already Thursday 1 February at UTC+2
+    expect(getListenDateParts({ timestamp: START, tzOffset: 120 })).toEqual({
+      year: 2024, month: 1, day: 1, hour: 0, weekday: 4
+    });
+  });
+
+  it('falls back to the browser timezone', () => {
+    expect(getListenDateParts({ timestamp: START, tzOffset: null })).toEqual({
+      year: 2024, month: 0, day: 31, hour: 17, weekday: 3
+    });
+  });
+
+  it('prefers the timezone timeline over the listen offset', () => {
+    setTimezoneTimeline([{ from: null, timeZone: 'Asia/Tokyo' }]);
+
+    expect(getListenOffset({ timestamp: START, tzOffset: 120 })).toBe(540);
+    expect(getListenDateParts({ timestamp: START, tzOffset: 120 })).toMatchObject({ day: 1, hour: 7 });
+  });
+
+  it('uses the listen offset before the timeline starts', () => {
+    setTimezoneTimeline([{ from: '2024-06-01', timeZone: 'Europe/Berlin' }]);
+
+    expect(getListenOffset({ timestamp: START, tzOffset: -300 })).toBe(-300);
+    expect(getListenOffset({ timestamp: SUMMER, tzOffset: -300 })).toBe(120);
+    expect(getListenOffset({ timestamp: START })).toBeNull();
+  });
+});
+
+describe('inferListenOffset', () => {
+  it('keeps an explicit offset', () => {
+    expect(inferListenOffset(START, { tz_offset: -480, inferred_timezone: 'Europe/Berlin' })).toBe(-480);
+  });
+
+  it('resolves an inferred timezone at the time of the listen', () => {
+    expect(inferListenOffset(START, { inferred_timezone: 'Europe/Berlin' })).toBe(60);
+    expect(inferListenOffset(SUMMER, { inferred_timezone: 'Europe/Berlin' })).toBe(120);
+  });
+
+  it('returns null without a usable hint', () => {
+    expect(inferListenOffset(START, { tz_offset: null })).toBeNull();
+    expect(inferListenOffset(START, { inferred_timezone: 'Mars/Olympus_Mons' })).toBeNull();
+    expect(inferListenOffset(START, null)).toBeNull();
+  });
+});
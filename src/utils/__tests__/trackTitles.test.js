@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import { parseTrackTitle, getListenTitle, getTrackKey, TrackVersions } from '../trackTitles';
+
+describe('parseTrackTitle', () => {
+  it.each([
+    ['Teardrop', 'Teardrop', null],
+    ['Teardrop - 2011 Remaster', 'Teardrop', '2011 Remaster'],
+    ['Teardrop (Remastered 2009)', 'Teardrop', 'Remastered 2009'],
+    ['Teardrop [Live at Glastonbury]', 'Teardrop', 'Live at Glastonbury'],
+    ['Teardrop (Live) [2011 Remaster]', 'Teardrop', 'Live, 2011 Remaster'],
+    ['Teardrop - Radio Edit', 'Teardrop', 'Radio Edit'],
+    ['Teardrop (Mono)', 'Teardrop', 'Mono'],
+    ['Teardrop - Acoustic Version', 'Teardrop', 'Acoustic Version'],
+    ['Love You To (Stereo Mix)', 'Love You To', 'Stereo Mix'],
+    // Remixes and other brackets are part of the title
+    ['Teardrop (Mad Professor Remix)', 'Teardrop (Mad Professor Remix)', null],
+    ['Live', 'Live', null],
+    ['- Demo', '- Demo', null]
+  ])('splits %s', (trackName, title, version) => {
+    expect(parseTrackTitle(trackName)).toEqual({ title, version });
+  });
+});
+
+describe('getTrackKey', () => {
+  const remaster = { trackName: 'Teardrop - 2011 Remaster', artistName: 'Massive Attack' };
+  const original = { trackName: 'Teardrop', artistName: 'Massive Attack' };
+
+  it('groups versions of a song unless they are counted separately', () => {
+    expect(getTrackKey(remaster)).toBe(getTrackKey(original));
+    expect(getTrackKey(remaster, TrackVersions.SEPARATE)).not.toBe(getTrackKey(original, TrackVersions.SEPARATE));
+  });
+
+  it('uses the stored base title and primary artist', () => {
+    const listen = { trackName: 'Teardrop (Live)', baseTrackName: 'Teardrop', version: 'Live', artistName: 'Massive Attack feat. Elizabeth Fraser' };
+
+    expect(getListenTitle(listen)).toEqual({ title: 'Teardrop', version: 'Live' });
+    expect(getTrackKey(listen)).toBe('massive attack|||teardrop');
+  });
+
+  it('has no key without a title', () => {
+    expect(getTrackKey({ artistName: 'Massive Attack' })).toBeNull();
+  });
+});
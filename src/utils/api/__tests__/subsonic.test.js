@@ -0,0 +1,77 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createSubsonicImportFile } from '../subsonic';
+import { runImportPipeline } from '../../importPipeline';
+import { setActiveProfile, getListeningData } from '../../storage/indexedDB';
+import { START } from '../../__tests__/helpers';
+
+// A played song as fetchAllSubsonicListens returns it
+const makeSong = ({ id, title, played, playCount = 1 }) => ({
+  listened_at: played,
+  track_metadata: {
+    track_name: title,
+    artist_name: 'Massive Attack',
+    release_name: 'Mezzanine',
+    additional_info: { subsonic_id: id, play_count: playCount }
+  },
+  genre: null,
+  source: 'subsonic'
+});
+
+const importScan = async (songs) => {
+  const file = createSubsonicImportFile(songs, 'https://music.example.com/rest/', 'alice');
+  return runImportPipeline([file], { crossSourceWindow: 180 });
+};
+
+const storedListens = async () => {
+  const listens = await getListeningData();
+  return listens.sort((a, b) => a.timestamp - b.timestamp);
+};
+
+let profile = 0;
+
+describe('Subsonic import', () => {
+  beforeEach(() => {
+    profile++;
+    setActiveProfile(`subsonic-${profile}`);
+  });
+
+  it('goes through the import pipeline as its own format', async () => {
+    const result = await importScan([makeSong({ id: 'tr-1', title: 'Teardrop', played: START, playCount: 12 })]);
+
+    expect(result.fileReport.used).toEqual([
+      { name: 'subsonic-music.example.com-alice.json', format: 'subsonic', count: 1 }
+    ]);
+    expect(result.importRecords).toHaveLength(1);
+    expect(result.listens[0]).toMatchObject({
+      source: 'subsonic',
+      importId: result.importRecords[0].id,
+      additionalInfo: { subsonic_id: 'tr-1', play_count: 12 }
+    });
+  });
+
+  it('does not add a song again when a later scan finds it retagged', async () => {
+    await importScan([
+      makeSong({ id: 'tr-1', title: 'Teardrop', played: START }),
+      makeSong({ id: 'tr-2', title: 'Angel', played: START + 600 })
+    ]);
+
+    const result = await importScan([
+      makeSong({ id: 'tr-1', title: 'Teardrop (Remastered)', played: START }),
+      makeSong({ id: 'tr-2', title: 'Angel', played: START + 600 }),
+      makeSong({ id: 'tr-3', title: 'Inertia Creeps', played: START + 1200 })
+    ]);
+
+    expect(result.count).toBe(3);
+    expect(result.listens.map(listen => listen.additionalInfo.subsonic_id)).toEqual(['tr-1', 'tr-2', 'tr-3']);
+    expect((await storedListens()).map(listen => listen.additionalInfo.subsonic_id)).toEqual(['tr-1', 'tr-2', 'tr-3']);
+  });
+
+  it('keeps an earlier play when the song was played again since', async () => {
+    await importScan([makeSong({ id: 'tr-1', title: 'Teardrop', played: START })]);
+    const result = await importScan([makeSong({ id: 'tr-1', title: 'Teardrop', played: START + 86400, playCount: 2 })]);
+
+    expect(result.listens.map(listen => listen.timestamp)).toEqual([START + 86400]);
+    expect((await storedListens()).map(listen => listen.timestamp)).toEqual([START, START + 86400]);
+  });
+});
@@ -77,3 +77,37 @@ export const fetchArtistTags = async (mbid) => {
     };
   }
 };
+
+export const fetchArtistAliases = async (mbid) => {
+  try {
+    const response = await musicBrainzLimiter.throttle(async () => {
+      return await apiClient.get(`/artist/${mbid}`, {
+        params: {
+          fmt: 'json',
+          inc: 'aliases'
+        },
+        headers: {
+          'User-Agent': 'MusicVisualizer/1.0.0 (https://github.com/music-visualizer)'
+        },
+        retry: 3
+      });
+    });
+
+    const aliases = (response.data.aliases || [])
+      .flatMap(alias => [alias.name, alias['sort-name']])
+      .filter(Boolean);
+
+    return {
+      success: true,
+      name: response.data.name,
+      aliases: [...new Set(aliases)]
+    };
+  } catch (error) {
+    console.error('Failed to fetch artist aliases:', error);
+    return {
+      success: false,
+      error: error.message,
+      aliases: []
+    };
+  }
+};
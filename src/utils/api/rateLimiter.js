@@ -58,3 +58,4 @@ export class RateLimiter {
 
 export const listenBrainzLimiter = new RateLimiter(50);
 export const musicBrainzLimiter = new RateLimiter(1);
+export const subsonicLimiter = new RateLimiter(10);
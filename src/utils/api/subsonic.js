@@ -0,0 +1,203 @@
+import CryptoJS from 'crypto-js';
+import { subsonicLimiter } from './rateLimiter';
+
+// Subsonic / OpenSubsonic servers (Navidrome, Gonic, Airsonic, ...) have no
+// play history endpoint. Each song carries its play count and, on
+// OpenSubsonic servers, the time it was last played ("played"), so the
+// library is paged through search3 and every played song yields one listen:
+// its last play. Earlier plays have no timestamp and are not imported, and
+// songs still playing are left for the next import once the server has
+// counted them. Listens carry the song id (subsonic_id), which is what
+// re-imports are deduplicated on (see getListenDedupeKey).
+const SUBSONIC_API_VERSION = '1.16.1';
+const SUBSONIC_CLIENT = 'musicquest';
+
+// Accepts "https://music.example.com", ".../" and ".../rest"
+export const normalizeSubsonicUrl = (baseUrl) => {
+  return baseUrl.trim().replace(/\/+$/, '').replace(/\/rest$/i, '');
+};
+
+// Token authentication: t = md5(password + salt), so the password itself is
+// never sent
+const buildSubsonicUrl = (baseUrl, endpoint, credentials, params = {}) => {
+  const salt = CryptoJS.lib.WordArray.random(8).toString();
+  const query = new URLSearchParams({
+    u: credentials.username,
+    t: CryptoJS.MD5(credentials.password + salt).toString(),
+    s: salt,
+    v: SUBSONIC_API_VERSION,
+    c: SUBSONIC_CLIENT,
+    f: 'json',
+    ...params
+  });
+  return `${normalizeSubsonicUrl(baseUrl)}/rest/${endpoint}?${query}`;
+};
+
+const subsonicRequest = async (baseUrl, endpoint, credentials, params, signal) => {
+  const url = buildSubsonicUrl(baseUrl, endpoint, credentials, params);
+
+  console.log(`📡 Fetching: ${normalizeSubsonicUrl(baseUrl)}/rest/${endpoint}`);
+
+  const response = await subsonicLimiter.throttle(async () => {
+    const res = await fetch(url, { signal });
+
+    if (!res.ok) {
+      const errorText = await res.text();
+      throw new Error(`Server returned ${res.status}: ${errorText}`);
+    }
+
+    return res.json();
+  });
+
+  const body = response['subsonic-response'];
+
+  if (!body) {
+    throw new Error('Not a Subsonic API response. Check the server URL.');
+  }
+
+  if (body.status !== 'ok') {
+    throw new Error(body.error?.message || 'Subsonic request failed');
+  }
+
+  return body;
+};
+
+const songToListen = (song) => {
+  const playedAt = Date.parse(song.played);
+  if (!song.title || !song.artist || isNaN(playedAt)) return null;
+
+  return {
+    listened_at: Math.floor(playedAt / 1000),
+    track_metadata: {
+      track_name: song.title,
+      artist_name: song.artist,
+      release_name: song.album || null,
+      additional_info: {
+        recording_mbid: song.musicBrainzId || null,
+        duration_ms: song.duration ? song.duration * 1000 : null,
+        tracknumber: song.track || null,
+        play_count: song.playCount ?? null,
+        subsonic_id: song.id
+      }
+    },
+    genre: null,
+    source: 'subsonic'
+  };
+};
+
+export const fetchSubsonicSongs = async (baseUrl, credentials, count = 500, offset = 0, signal = null) => {
+  try {
+    const body = await subsonicRequest(baseUrl, 'search3', credentials, {
+      query: '',
+      songCount: count,
+      songOffset: offset,
+      artistCount: 0,
+      albumCount: 0
+    }, signal);
+
+    const songs = body.searchResult3?.song || [];
+
+    return {
+      success: true,
+      songs,
+      listens: songs.map(songToListen).filter(Boolean)
+    };
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    console.error('❌ fetchSubsonicSongs error:', error);
+    return {
+      success: false,
+      error: error.message,
+      songs: [],
+      listens: []
+    };
+  }
+};
+
+// Library size, used as the progress total
+const fetchSubsonicSongCount = async (baseUrl, credentials, signal) => {
+  try {
+    const body = await subsonicRequest(baseUrl, 'getScanStatus', credentials, {}, signal);
+    return body.scanStatus?.count || 0;
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    return 0;
+  }
+};
+
+export const fetchAllSubsonicListens = async (baseUrl, username, password, onProgress, maxListens = null, signal = null) => {
+  const credentials = { username, password };
+  const allListens = [];
+  const batchSize = 500;
+  let offset = 0;
+  let hasMore = true;
+  let batchCount = 0;
+  let neverPlayed = 0;
+
+  console.log('🚀 Starting Subsonic library scan (500 songs per request)...');
+
+  const total = await fetchSubsonicSongCount(baseUrl, credentials, signal);
+
+  while (hasMore) {
+    if (signal?.aborted) {
+      console.log('🛑 Import aborted by user');
+      throw new DOMException('Import aborted by user', 'AbortError');
+    }
+
+    batchCount++;
+    const result = await fetchSubsonicSongs(baseUrl, credentials, batchSize, offset, signal);
+
+    if (!result.success) {
+      console.error(`❌ Batch ${batchCount} failed:`, result.error);
+      return result;
+    }
+
+    allListens.push(...result.listens);
+    neverPlayed += result.songs.length - result.listens.length;
+    offset += result.songs.length;
+    console.log(`📦 Batch ${batchCount}: ${result.songs.length} songs, ${result.listens.length} played (Total: ${allListens.length.toLocaleString()})`);
+
+    if (onProgress) {
+      onProgress({
+        fetched: offset,
+        total: Math.max(total, offset),
+        listens: allListens.length
+      });
+    }
+
+    if (result.songs.length < batchSize) {
+      console.log(`✅ Received ${result.songs.length} < ${batchSize}, reached end of library`);
+      hasMore = false;
+    }
+
+    if (maxListens && allListens.length >= maxListens) {
+      console.log(`✅ Reached ${maxListens.toLocaleString()} record limit`);
+      hasMore = false;
+    }
+  }
+
+  console.log(`🎉 Scan complete! ${allListens.length.toLocaleString()} played songs, ${neverPlayed.toLocaleString()} never played or without a last-played date`);
+
+  const listens = maxListens ? allListens.slice(0, maxListens) : allListens;
+  const totalPlays = listens.reduce((sum, listen) => sum + (listen.track_metadata.additional_info.play_count || 1), 0);
+
+  return {
+    success: true,
+    listens,
+    count: listens.length,
+    totalPlays
+  };
+};
+
+// Wraps fetched listens in a JSON file so they go through the same import
+// pipeline (and Import History) as uploaded exports. The name identifies the
+// server and user; the contents decide whether it was already imported.
+export const createSubsonicImportFile = (listens, baseUrl, username) => {
+  const host = normalizeSubsonicUrl(baseUrl).replace(/^[a-z]+:\/\//i, '').replace(/[^\w.-]+/g, '_');
+  return new File(
+    [JSON.stringify(listens)],
+    `subsonic-${host}-${username}.json`,
+    { type: 'application/json' }
+  );
+};
+
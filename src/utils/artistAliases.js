@@ -0,0 +1,159 @@
+// ═══════════════════════════════════════════════════════════
+// ARTIST ALIASES - fold name variants onto one canonical artist
+// ═══════════════════════════════════════════════════════════
+// Sources spell the same artist differently: "Beyoncé" / "Beyonce",
+// "The Beatles" / "Beatles", "MØ" / "MO". Variants are only merged once the
+// user approves them; approved aliases are kept in IndexedDB and loaded into
+// the in-memory table below, which every aggregation consults through
+// resolveArtistAlias().
+
+export const AliasStatus = {
+  APPROVED: 'approved',
+  SUGGESTED: 'suggested',
+  REJECTED: 'rejected'
+};
+
+export const AliasReason = {
+  NORMALIZED: 'normalized',
+  MBID: 'mbid',
+  MUSICBRAINZ: 'musicbrainz',
+  MANUAL: 'manual'
+};
+
+const LEADING_ARTICLE = /^(?:the|a|an|le|la|les|el|los|las|die)\s+/;
+const ARTICLE_ONLY = /^(?:the|a|an|le|la|les|el|los|las|die)$/;
+const TRAILING_ARTICLE = /,\s*(?:the|a|an)$/;
+
+// Letters that NFD does not decompose into base + combining mark
+const LETTER_FOLDS = {
+  'ø': 'o',
+  'æ': 'ae',
+  'œ': 'oe',
+  'ß': 'ss',
+  'ł': 'l',
+  'đ': 'd',
+  'ð': 'd',
+  'þ': 'th',
+  'ı': 'i'
+};
+
+// Comparison key: case, diacritics, leading/trailing articles and
+// punctuation spacing are ignored. "The Beatles", "Beatles, The" and
+// "beatles" share one key.
+export const normalizeArtistKey = (name) => {
+  if (typeof name !== 'string') return '';
+
+  const folded = name
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[øæœßłđðþı]/g, letter => LETTER_FOLDS[letter])
+    .replace(/[\u2018\u2019`]/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(TRAILING_ARTICLE, '');
+  const key = folded.replace(LEADING_ARTICLE, '').trim();
+
+  // A name that is only articles ("The The") keeps them
+  return key && !ARTICLE_ONLY.test(key) ? key : folded;
+};
+
+// alias (exact spelling) → canonical name, approved entries only
+let aliasTable = new Map();
+
+export const setArtistAliases = (entries = []) => {
+  aliasTable = new Map(
+    entries
+      .filter(entry => entry.status === AliasStatus.APPROVED && entry.alias !== entry.canonical)
+      .map(entry => [entry.alias, entry.canonical])
+  );
+};
+
+export const hasArtistAliases = () => aliasTable.size > 0;
+
+export const resolveArtistAlias = (name) => {
+  if (!name) return name;
+  return aliasTable.get(name) || name;
+};
+
+// Builds merge suggestions from the listens themselves:
+// - spellings that share a normalized key
+// - different spellings credited with the same MusicBrainz artist id
+// The most-played spelling becomes the canonical name. Spellings that
+// already have an approved or rejected entry are left alone.
+export const suggestArtistMerges = (listens, existingEntries = []) => {
+  const decided = new Set(
+    existingEntries
+      .filter(entry => entry.status !== AliasStatus.SUGGESTED)
+      .map(entry => entry.alias)
+  );
+
+  const playCounts = new Map();
+  const mbidNames = new Map();
+
+  listens.forEach(listen => {
+    const name = listen.artistName || listen.track_metadata?.artist_name;
+    if (!name) return;
+    playCounts.set(name, (playCounts.get(name) || 0) + 1);
+
+    // Only single-artist credits tie a spelling to one MBID
+    const info = listen.additionalInfo || listen.track_metadata?.additional_info || {};
+    const mbids = Array.isArray(info.artist_mbids) ? info.artist_mbids.filter(Boolean) : [];
+    if (mbids.length === 1) {
+      if (!mbidNames.has(mbids[0])) mbidNames.set(mbids[0], new Set());
+      mbidNames.get(mbids[0]).add(name);
+    }
+  });
+
+  const groups = new Map();
+  playCounts.forEach((_, name) => {
+    const key = normalizeArtistKey(name);
+    if (!groups.has(key)) groups.set(key, new Set());
+    groups.get(key).add(name);
+  });
+
+  const suggestions = new Map();
+  const addGroup = (names, reason, mbid = null) => {
+    if (names.length < 2) return;
+    const canonical = names
+      .slice()
+      .sort((a, b) => (playCounts.get(b) || 0) - (playCounts.get(a) || 0) || a.localeCompare(b))[0];
+
+    names.forEach(alias => {
+      if (alias === canonical || decided.has(alias) || suggestions.has(alias)) return;
+      suggestions.set(alias, {
+        alias,
+        canonical,
+        status: AliasStatus.SUGGESTED,
+        reason,
+        mbid,
+        plays: playCounts.get(alias) || 0,
+        canonicalPlays: playCounts.get(canonical) || 0,
+        createdAt: Date.now()
+      });
+    });
+  };
+
+  mbidNames.forEach((names, mbid) => addGroup([...names], AliasReason.MBID, mbid));
+  groups.forEach(names => addGroup([...names], AliasReason.NORMALIZED));
+
+  return Array.from(suggestions.values()).sort((a, b) => b.plays - a.plays);
+};
+
+// Suggestions from the alias list MusicBrainz keeps for an artist: any
+// listened spelling matching one of the aliases folds into the canonical name
+export const suggestFromMusicBrainzAliases = (canonical, mbid, aliases, listenedNames, existingEntries = []) => {
+  const decided = new Set(existingEntries.map(entry => entry.alias));
+  const aliasKeys = new Set(aliases.map(normalizeArtistKey));
+
+  return listenedNames
+    .filter(name => name !== canonical && !decided.has(name) && aliasKeys.has(normalizeArtistKey(name)))
+    .map(alias => ({
+      alias,
+      canonical,
+      status: AliasStatus.SUGGESTED,
+      reason: AliasReason.MUSICBRAINZ,
+      mbid,
+      createdAt: Date.now()
+    }));
+};
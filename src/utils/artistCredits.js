@@ -0,0 +1,213 @@
+import { hasArtistAliases, resolveArtistAlias } from './artistAliases';
+
+// ═══════════════════════════════════════════════════════════
+// ARTIST CREDITS - split "A feat. B", "A & B", "A x B" into artists
+// ═══════════════════════════════════════════════════════════
+// A listen's artistName is the credit exactly as the source reported it.
+// Aggregations and genre lookups work on individual artists instead: the
+// primary artist (first credited) and every credited artist.
+
+export const ArtistCounting = {
+  PRIMARY: 'primary',
+  ALL: 'all'
+};
+
+// Names that contain a separator but are one act
+const BAND_NAME_EXCEPTIONS = [
+  'Simon & Garfunkel',
+  'Earth, Wind & Fire',
+  'Crosby, Stills, Nash & Young',
+  'Crosby, Stills & Nash',
+  'Emerson, Lake & Palmer',
+  'Blood, Sweat & Tears',
+  'Peter, Paul and Mary',
+  'Hall & Oates',
+  'Daryl Hall & John Oates',
+  'Sam & Dave',
+  'Ike & Tina Turner',
+  'Brooks & Dunn',
+  'Big & Rich',
+  'Chase & Status',
+  'Above & Beyond',
+  'Years & Years',
+  'Belle & Sebastian',
+  'Angus & Julia Stone',
+  'Mumford & Sons',
+  'Medeski Martin & Wood',
+  'Chloe x Halle',
+  'Eric B. & Rakim',
+  'Rob Base & DJ E-Z Rock',
+  'Nico & Vinz',
+  'Sly & Robbie',
+  'Chad & Jeremy',
+  'Peter & Gordon',
+  'Jan & Dean',
+  'Captain & Tennille',
+  'Ashford & Simpson',
+  'Sonny & Cher'
+];
+
+// "feat." in any of its spellings, optionally in brackets:
+// "A feat. B", "A ft B", "A (featuring B)", "A [feat. B & C]"
+const FEATURING_PATTERN = /^(.*?)\s*[([]?\s*\b(?:feat\.?|ft\.?|featuring)\s+(.+?)\s*[)\]]?$/i;
+
+// Separators between collaborating artists. "& The ..." and ", The ..."
+// usually continue a band name ("Nick Cave & The Bad Seeds"), so they are
+// not split.
+const COLLABORATION_PATTERN = /\s*,(?!\s*[Tt]he\s)\s*|\s+(?:&|[x×]|[Ww]ith|[Vv]s\.?)(?!\s+[Tt]he\s)\s+/;
+
+const PLACEHOLDER = '\uE000';
+
+const exceptionLookup = new Map(BAND_NAME_EXCEPTIONS.map(name => [name.toLowerCase(), name]));
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const exceptionPattern = new RegExp(
+  BAND_NAME_EXCEPTIONS
+    .slice()
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp)
+    .join('|'),
+  'gi'
+);
+
+const splitCollaborators = (text) => {
+  // Band names from the exception list are swapped for placeholders so
+  // their separators survive the split
+  const protectedNames = [];
+  const masked = text.replace(exceptionPattern, (match) => {
+    protectedNames.push(match);
+    return `${PLACEHOLDER}${protectedNames.length - 1}${PLACEHOLDER}`;
+  });
+
+  return masked
+    .split(COLLABORATION_PATTERN)
+    .map(part => part.replace(new RegExp(`${PLACEHOLDER}(\\d+)${PLACEHOLDER}`, 'g'), (_, i) => protectedNames[i]))
+    .map(part => part.trim())
+    .filter(Boolean);
+};
+
+const unique = (names) => {
+  const seen = new Set();
+  return names.filter(name => {
+    const key = name.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+// Splits a credit string into { primary, artists, featured }
+export const parseArtistCredit = (credit) => {
+  const text = typeof credit === 'string' ? credit.trim() : '';
+
+  if (!text) {
+    return { primary: '', artists: [], featured: [] };
+  }
+
+  if (exceptionLookup.has(text.toLowerCase())) {
+    return { primary: text, artists: [text], featured: [] };
+  }
+
+  const featuring = text.match(FEATURING_PATTERN);
+  const main = featuring ? featuring[1] : text;
+  const mainArtists = splitCollaborators(main);
+  const featured = featuring ? splitCollaborators(featuring[2]) : [];
+  const artists = unique([...mainArtists, ...featured]);
+
+  // Nothing usable left after splitting, e.g. "feat. Someone" alone
+  if (artists.length === 0 || mainArtists.length === 0) {
+    return { primary: text, artists: [text], featured: [] };
+  }
+
+  return { primary: artists[0], artists, featured };
+};
+
+// Parsed credits for listens that were stored before credits were split.
+// Emptied when full so a large library can't grow it without bound.
+const CREDIT_CACHE_LIMIT = 10000;
+const creditCache = new Map();
+
+const parseCachedCredit = (credit) => {
+  if (!creditCache.has(credit)) {
+    if (creditCache.size >= CREDIT_CACHE_LIMIT) creditCache.clear();
+    creditCache.set(credit, parseArtistCredit(credit));
+  }
+  return creditCache.get(credit);
+};
+
+// Resolves a listen's credited artists, preferring what the source knows:
+// - artist_names (ListenBrainz MBID mapping, Maloja, multi-scrobbler)
+// - a single artist_mbid means the whole credit is one artist
+// - otherwise the credit string is parsed, and MBIDs are attached when
+//   their count matches the number of parsed artists
+export const resolveArtistCredit = (artistName, additionalInfo = {}) => {
+  const info = additionalInfo || {};
+  const mbids = Array.isArray(info.artist_mbids) ? info.artist_mbids.filter(Boolean) : [];
+  const names = Array.isArray(info.artist_names)
+    ? info.artist_names.filter(name => typeof name === 'string' && name.trim())
+    : [];
+
+  if (names.length > 0) {
+    return {
+      primary: names[0],
+      artists: names,
+      mbids: mbids.length === names.length ? mbids : []
+    };
+  }
+
+  if (mbids.length === 1 && artistName) {
+    return { primary: artistName, artists: [artistName], mbids };
+  }
+
+  const parsed = parseCachedCredit(artistName || '');
+  return {
+    primary: parsed.primary,
+    artists: parsed.artists,
+    mbids: mbids.length === parsed.artists.length ? mbids : []
+  };
+};
+
+// Approved aliases fold variant spellings onto their canonical artist
+const applyArtistAliases = (credit) => {
+  if (!hasArtistAliases()) return credit;
+  const artists = unique(credit.artists.map(resolveArtistAlias));
+  return {
+    primary: resolveArtistAlias(credit.primary),
+    artists,
+    mbids: artists.length === credit.artists.length ? credit.mbids : []
+  };
+};
+
+// Listens imported before credits were split have no primaryArtist and are
+// resolved on the fly
+export const getListenCredit = (listen) => {
+  if (listen?.primaryArtist && Array.isArray(listen.artists)) {
+    return applyArtistAliases({ primary: listen.primaryArtist, artists: listen.artists, mbids: listen.artistMbids || [] });
+  }
+  return applyArtistAliases(resolveArtistCredit(
+    listen?.artistName || listen?.track_metadata?.artist_name,
+    listen?.additionalInfo || listen?.track_metadata?.additional_info
+  ));
+};
+
+export const getPrimaryArtist = (listen) => {
+  return getListenCredit(listen).primary || listen?.artistName;
+};
+
+// The artists a listen counts towards under the chosen counting mode
+export const getListenArtists = (listen, counting = ArtistCounting.PRIMARY) => {
+  const credit = getListenCredit(listen);
+  if (counting === ArtistCounting.ALL && credit.artists.length > 0) {
+    return credit.artists;
+  }
+  return credit.primary ? [credit.primary] : [];
+};
+
+export const countUniqueArtists = (listens, counting = ArtistCounting.PRIMARY) => {
+  const artists = new Set();
+  listens.forEach(listen => {
+    getListenArtists(listen, counting).forEach(artist => artists.add(artist));
+  });
+  return artists.size;
+};
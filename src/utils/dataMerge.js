@@ -1,4 +1,7 @@
-export function mergeListeningData(cachedData, importedData) {
+import { getTimestampBounds, getPlayStart } from './timestampValidation';
+import { getTrackKey } from './trackTitles';
+
+export function mergeListeningData(cachedData, importedData, crossSourceWindow = DEFAULT_CROSS_SOURCE_WINDOW) {
   // Normalize timestamps for cached data
   const normalizedCached = (cachedData || []).map(listen => {
     const normalized = { ...listen };
@@ -55,12 +58,13 @@ export function mergeListeningData(cachedData, importedData) {
         cached: 0,
         imported: 0,
         duplicates: 0,
+        crossSourceMatches: [],
         total: 0
       }
     };
   }
 
-  const uniqueListens = Array.from(
+  const exactUnique = Array.from(
     new Map(
       allListens.map(listen => {
         const trackName = listen.trackName || listen.track_metadata?.track_name || '';
@@ -72,6 +76,10 @@ export function mergeListeningData(cachedData, importedData) {
     ).values()
   );
 
+  const { listens: withoutAccountData } = removeSpotifyAccountDataDuplicates(exactUnique);
+  const { listens: uniqueListens, matches: crossSourceMatches } =
+    removeCrossSourceDuplicates(withoutAccountData, crossSourceWindow);
+
   uniqueListens.sort((a, b) => {
     const aTime = a.timestamp || a.listened_at || 0;
     const bTime = b.timestamp || b.listened_at || 0;
@@ -79,8 +87,7 @@ export function mergeListeningData(cachedData, importedData) {
   });
 
   const timestamps = uniqueListens.map(l => l.timestamp || l.listened_at || 0);
-  const earliestTimestamp = Math.min(...timestamps);
-  const latestTimestamp = Math.max(...timestamps);
+  const { min: earliestTimestamp, max: latestTimestamp } = getTimestampBounds(timestamps);
 
   const dateRange = {
     earliest: new Date(earliestTimestamp * 1000),
@@ -94,10 +101,10 @@ export function mergeListeningData(cachedData, importedData) {
 
   uniqueListens.forEach(listen => {
     const artistName = listen.artistName || listen.track_metadata?.artist_name;
-    const trackName = listen.trackName || listen.track_metadata?.track_name;
+    const trackKey = getTrackKey(listen);
 
     if (artistName) artists.add(artistName);
-    if (trackName) tracks.add(trackName);
+    if (trackKey) tracks.add(trackKey);
   });
 
   const stats = {
@@ -110,11 +117,13 @@ export function mergeListeningData(cachedData, importedData) {
     cached: cachedData?.length || 0,
     imported: importedData?.length || 0,
     duplicates: allListens.length - uniqueListens.length,
+    crossSourceMatches,
     total: uniqueListens.length
   };
 
   console.log('Data merge complete:', {
     ...mergeInfo,
+    crossSourceMatches: crossSourceMatches.length,
     dateRange: `${dateRange.earliest.getFullYear()}-${dateRange.latest.getFullYear()}`,
     stats
   });
@@ -127,6 +136,276 @@ export function mergeListeningData(cachedData, importedData) {
   };
 }
 
+// Exact-duplicate key: the same track and artist at the same second. Stored
+// listens carry it as dedupeKey so an import can be checked against the
+// 'dedupeKey' index without loading the store. Subsonic listens use the
+// song id instead, so re-importing after tags were edited on the server
+// doesn't add the same play again.
+export function getListenDedupeKey(listen) {
+  const subsonicId = (listen.additionalInfo || listen.track_metadata?.additional_info)?.subsonic_id;
+  if (subsonicId) {
+    return `subsonic|||${subsonicId}|||${listen.timestamp || listen.listened_at || 0}`;
+  }
+
+  const trackName = (listen.trackName || listen.track_metadata?.track_name || '').toLowerCase().trim();
+  const artistName = (listen.artistName || listen.track_metadata?.artist_name || '').toLowerCase().trim();
+  const timestamp = listen.timestamp || listen.listened_at || 0;
+  return `${trackName}|||${artistName}|||${timestamp}`;
+}
+
+// ═══════════════════════════════════════════════════════════
+// IMPORT CONTRIBUTIONS - which imports a stored play came from
+// ═══════════════════════════════════════════════════════════
+// One stored play can come from several imports: overlapping exports of the
+// same service, or another source reporting the same play. Every import is
+// listed in importIds (indexed, see storage/indexedDB.js), while importId
+// stays the import that first added the play. Records that absorbed another
+// one also keep each listen as it was imported in mergedVersions, with its
+// own importIds, so rolling back one import rebuilds the play from the rest.
+
+export function getImportIds(listen) {
+  if (Array.isArray(listen.importIds)) return listen.importIds;
+  return listen.importId ? [listen.importId] : [];
+}
+
+// The listen as imported, without merge bookkeeping
+const toVersion = (listen) => {
+  const version = { ...listen, importIds: getImportIds(listen) };
+  delete version.mergedFrom;
+  delete version.mergedVersions;
+  delete version.dedupeKey;
+  return version;
+};
+
+const getListenVersions = (listen) => listen.mergedVersions || [toVersion(listen)];
+
+const getVersionKey = (version) => `${version.source}|||${getListenDedupeKey(version)}`;
+
+// Versions of both records; the same listen from another import only adds
+// that import to the version already there
+const mergeVersions = (kept, dropped) => {
+  const versions = getListenVersions(kept).slice();
+  getListenVersions(dropped).forEach(version => {
+    const index = versions.findIndex(existing => getVersionKey(existing) === getVersionKey(version));
+    if (index === -1) {
+      versions.push(version);
+    } else {
+      versions[index] = {
+        ...versions[index],
+        importIds: [...new Set([...getImportIds(versions[index]), ...getImportIds(version)])]
+      };
+    }
+  });
+
+  return {
+    mergedVersions: versions,
+    importIds: [...new Set(versions.flatMap(getImportIds))]
+  };
+};
+
+// Records an exact duplicate from another import on the stored play, or on
+// the version of a merged play it repeats. Null when already recorded.
+export function addImportToListen(listen, importId) {
+  if (!importId || getImportIds(listen).includes(importId)) return null;
+  if (!listen.mergedVersions) {
+    return { ...listen, importIds: [...getImportIds(listen), importId] };
+  }
+
+  const key = getListenDedupeKey(listen);
+  const index = Math.max(0, listen.mergedVersions.findIndex(version => getListenDedupeKey(version) === key));
+  const mergedVersions = listen.mergedVersions.map((version, i) => (
+    i === index ? { ...version, importIds: [...getImportIds(version), importId] } : version
+  ));
+  return {
+    ...listen,
+    mergedVersions,
+    importIds: [...new Set(mergedVersions.flatMap(getImportIds))]
+  };
+}
+
+// The listens that take a stored record's place when importId is rolled
+// back: none if only that import had the play, the record itself if other
+// imports had it too, and for a merged play the other imports' versions,
+// which the caller merges again.
+export function removeImportFromListen(listen, importId) {
+  const withoutImport = (version) => {
+    const importIds = getImportIds(version).filter(id => id !== importId);
+    if (importIds.length === 0) return null;
+    return {
+      ...version,
+      importIds,
+      importId: importIds.includes(version.importId) ? version.importId : importIds[0]
+    };
+  };
+
+  if (!listen.mergedVersions) {
+    const kept = withoutImport(listen);
+    return kept ? [kept] : [];
+  }
+  return listen.mergedVersions.map(withoutImport).filter(Boolean);
+}
+
+// Spotify's "Account data" package reports minute-precision end times, while
+// extended streaming history has second precision. The same play therefore
+// never matches exactly; match on track, artist and end minute instead and
+// keep the extended history record.
+export function removeSpotifyAccountDataDuplicates(listens) {
+  const getInfo = (listen) => listen.additionalInfo || listen.track_metadata?.additional_info || {};
+  const isAccountData = (listen) => getInfo(listen).spotify_package === 'account_data';
+
+  const accountDataListens = listens.filter(isAccountData);
+  if (accountDataListens.length === 0) {
+    return { listens, duplicates: [] };
+  }
+
+  const getKey = (listen) => {
+    const info = getInfo(listen);
+    const trackName = (listen.trackName || listen.track_metadata?.track_name || '').toLowerCase().trim();
+    const artistName = (listen.artistName || listen.track_metadata?.artist_name || '').toLowerCase().trim();
+    const endTime = info.end_time || listen.timestamp || listen.listened_at || 0;
+    return `${trackName}|||${artistName}|||${Math.floor(endTime / 60)}`;
+  };
+
+  const extendedByKey = new Map();
+  listens.forEach((listen, index) => {
+    if (listen.source === 'spotify' && !isAccountData(listen) && !extendedByKey.has(getKey(listen))) {
+      extendedByKey.set(getKey(listen), index);
+    }
+  });
+
+  if (extendedByKey.size === 0) {
+    return { listens, duplicates: [] };
+  }
+
+  // The dropped play is kept as a version of the extended history record
+  const result = listens.slice();
+  const duplicates = [];
+  listens.forEach((listen, index) => {
+    if (!isAccountData(listen) || !extendedByKey.has(getKey(listen))) return;
+    const keptIndex = extendedByKey.get(getKey(listen));
+    result[keptIndex] = { ...result[keptIndex], ...mergeVersions(result[keptIndex], listen) };
+    result[index] = null;
+    duplicates.push(listen);
+  });
+
+  return { listens: result.filter(Boolean), duplicates };
+}
+
+export const DEFAULT_CROSS_SOURCE_WINDOW = 180;
+
+const getListenInfo = (listen) => listen.additionalInfo || listen.track_metadata?.additional_info || {};
+
+const isKnown = (value) => value !== undefined && value !== null && value !== '' &&
+  value !== 'Unknown Album' && value !== 'Unknown Artist' && value !== 'Unknown Track';
+
+// More known fields (album, MBIDs, play duration, source ids) wins
+const getRecordRichness = (listen) => {
+  const info = getListenInfo(listen);
+  return Object.values(info).filter(isKnown).length +
+    (isKnown(listen.albumName) ? 2 : 0) +
+    (listen.artistMbids?.length || 0);
+};
+
+// Folds the dropped record into the kept one: fields the kept record lacks
+// are filled in, the other source is remembered in mergedFrom and both
+// listens as imported in mergedVersions
+const combineRecords = (kept, dropped) => {
+  const keptInfo = getListenInfo(kept);
+  const droppedInfo = getListenInfo(dropped);
+  const additionalInfo = { ...keptInfo };
+  Object.entries(droppedInfo).forEach(([key, value]) => {
+    if (!isKnown(additionalInfo[key]) && isKnown(value)) {
+      additionalInfo[key] = value;
+    }
+  });
+
+  return {
+    ...kept,
+    albumName: isKnown(kept.albumName) ? kept.albumName : (dropped.albumName || kept.albumName),
+    artistMbids: kept.artistMbids?.length ? kept.artistMbids : (dropped.artistMbids || kept.artistMbids),
+    playback: kept.playback || dropped.playback || null,
+    additionalInfo,
+    mergedFrom: [
+      ...(kept.mergedFrom || []),
+      { source: dropped.source, timestamp: dropped.timestamp || dropped.listened_at, id: dropped.id },
+      ...(dropped.mergedFrom || [])
+    ],
+    ...mergeVersions(kept, dropped)
+  };
+};
+
+// The same play reported by two sources (Spotify history and ListenBrainz
+// scrobbles) never matches exactly. Listens of the same normalized track from
+// different sources whose start times lie within windowSeconds of each other
+// are one play; the richer record is kept.
+export function removeCrossSourceDuplicates(listens, windowSeconds = DEFAULT_CROSS_SOURCE_WINDOW) {
+  if (!windowSeconds || windowSeconds <= 0) {
+    return { listens, matches: [] };
+  }
+
+  const sources = new Set(listens.map(listen => listen.source));
+  if (sources.size < 2) {
+    return { listens, matches: [] };
+  }
+
+  const groups = new Map();
+  listens.forEach((listen, index) => {
+    const key = getTrackKey(listen);
+    if (!key) return;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ index, start: getPlayStart(listen) });
+  });
+
+  const result = listens.slice();
+  const dropped = new Set();
+  const matches = [];
+
+  groups.forEach(entries => {
+    if (entries.length < 2) return;
+    entries.sort((a, b) => a.start - b.start);
+
+    for (let i = 0; i < entries.length; i++) {
+      if (dropped.has(entries[i].index)) continue;
+
+      for (let j = i + 1; j < entries.length && entries[j].start - entries[i].start <= windowSeconds; j++) {
+        if (dropped.has(entries[j].index)) continue;
+
+        const a = result[entries[i].index];
+        const b = result[entries[j].index];
+        // Repeats within one source are real replays
+        if (a.source === b.source) continue;
+        if (a.mergedFrom?.some(m => m.source === b.source)) continue;
+
+        const keepA = getRecordRichness(a) >= getRecordRichness(b);
+        const kept = keepA ? a : b;
+        const other = keepA ? b : a;
+        const keptIndex = keepA ? entries[i].index : entries[j].index;
+        const droppedIndex = keepA ? entries[j].index : entries[i].index;
+
+        result[keptIndex] = combineRecords(kept, other);
+        dropped.add(droppedIndex);
+
+        matches.push({
+          track: kept.trackName || kept.track_metadata?.track_name,
+          artist: kept.artistName || kept.track_metadata?.artist_name,
+          keptSource: kept.source,
+          droppedSource: other.source,
+          offsetSeconds: Math.round(Math.abs(entries[j].start - entries[i].start)),
+          date: new Date((kept.timestamp || kept.listened_at || 0) * 1000).toISOString().split('T')[0]
+        });
+
+        // The kept record now lives at keptIndex; continue from it
+        if (!keepA) break;
+      }
+    }
+  });
+
+  return {
+    listens: result.filter((_, index) => !dropped.has(index)),
+    matches
+  };
+}
+
 export function validateListeningData(data) {
   if (!data || !data.listens || !Array.isArray(data.listens)) {
     return {
@@ -174,8 +453,9 @@ export function validateListeningData(data) {
   const invalidPercentage = (invalidTimestamps.length / timestamps.length) * 100;
 
   if (invalidPercentage > 10) {
-    const earliest = new Date(Math.min(...timestamps) * 1000);
-    const latest = new Date(Math.max(...timestamps) * 1000);
+    const bounds = getTimestampBounds(timestamps);
+    const earliest = new Date(bounds.min * 1000);
+    const latest = new Date(bounds.max * 1000);
 
     console.error('❌ Validation failed:', {
       total: timestamps.length,
@@ -191,8 +471,7 @@ export function validateListeningData(data) {
     };
   }
 
-  const earliest = Math.min(...timestamps);
-  const latest = Math.max(...timestamps);
+  const { min: earliest, max: latest } = getTimestampBounds(timestamps);
   const yearSpan = (latest - earliest) / (365.25 * 24 * 60 * 60);
 
   return {
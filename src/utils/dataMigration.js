@@ -1,4 +1,4 @@
-import { initDB, getListeningData, saveListeningData, getGenreCacheStats } from './storage/indexedDB';
+import { getSharedDB, getListeningData, saveListeningData, getGenreCacheStats } from './storage/indexedDB';
 
 export async function migrateOldData() {
   try {
@@ -31,7 +31,7 @@ export async function migrateOldData() {
           const storeNames = Array.from(oldDatabase.objectStoreNames);
           console.log(`   Object stores found: ${storeNames.join(', ')}`);
 
-          const newDB = await initDB();
+          const cacheDb = await getSharedDB();
 
           const possibleListenStores = ['listens', 'listening_data', 'tracks'];
           const possibleGenreStores = ['genres', 'genreCache', 'genre_cache', 'artists'];
@@ -49,7 +49,7 @@ export async function migrateOldData() {
               console.log(`   📥 Migrating genre cache from "${storeName}"...`);
               const data = await getAllFromStore(oldDatabase, storeName);
               if (data && data.length > 0) {
-                const tx = newDB.transaction('genres', 'readwrite');
+                const tx = cacheDb.transaction('genres', 'readwrite');
                 for (const item of data) {
                   await tx.store.put(item);
                 }
@@ -1,9 +1,13 @@
+import { getListenGenres } from './listenKinds';
+import { getPrimaryArtist } from './artistCredits';
+import { TrackVersions, getTrackKey, getListenTitle } from './trackTitles';
+
 export const prepareVisualizationData = (listens, genreMap) => {
   const genreStats = new Map();
   const totalListens = listens.length;
 
   listens.forEach(listen => {
-    const genres = genreMap.get(listen.artistName) || ['Unknown'];
+    const genres = getListenGenres(listen, genreMap);
     genres.forEach(genre => {
       genreStats.set(genre, (genreStats.get(genre) || 0) + 1);
     });
@@ -53,19 +57,24 @@ export const prepareVisualizationData = (listens, genreMap) => {
   };
 };
 
-export const calculateTrackPlayCounts = (listens) => {
+export const calculateTrackPlayCounts = (listens, versions = TrackVersions.MERGED) => {
   const trackCounts = new Map();
 
   listens.forEach(listen => {
-    const trackKey = `${listen.artistName}|||${listen.trackName}`;
-    trackCounts.set(trackKey, (trackCounts.get(trackKey) || 0) + 1);
+    const trackKey = getTrackKey(listen, versions);
+    if (!trackKey) return;
+
+    if (!trackCounts.has(trackKey)) {
+      trackCounts.set(trackKey, {
+        artistName: getPrimaryArtist(listen),
+        trackName: versions === TrackVersions.SEPARATE ? listen.trackName : getListenTitle(listen).title,
+        count: 0
+      });
+    }
+    trackCounts.get(trackKey).count++;
   });
 
-  return Array.from(trackCounts.entries())
-    .map(([key, count]) => {
-      const [artistName, trackName] = key.split('|||');
-      return { artistName, trackName, count };
-    })
+  return Array.from(trackCounts.values())
     .sort((a, b) => b.count - a.count);
 };
 
@@ -1,4 +1,8 @@
-export const detectGatewayArtists = (groupedData, genreMap, listens) => {
+import { getListenGenres, isSpokenWord } from './listenKinds';
+import { ArtistCounting, getListenArtists } from './artistCredits';
+
+// With ArtistCounting.ALL a listen also counts towards its featured artists
+export const detectGatewayArtists = (groupedData, genreMap, listens, counting = ArtistCounting.PRIMARY) => {
   console.log('🔍 Starting gateway artist detection...');
   console.log(`📊 Input: ${groupedData?.length || 0} periods, ${listens?.length || 0} listens, ${genreMap?.size || 0} artists mapped`);
 
@@ -6,12 +10,16 @@ export const detectGatewayArtists = (groupedData, genreMap, listens) => {
   const artistFirstAppearance = new Map();
   const artistFirstTrack = new Map();
 
+  const artistPlays = new Map();
+
   listens.forEach(listen => {
-    const artist = listen.artistName;
-    if (!artistFirstAppearance.has(artist)) {
-      artistFirstAppearance.set(artist, listen.timestamp);
-      artistFirstTrack.set(artist, listen.trackName);
-    }
+    getListenArtists(listen, counting).forEach(artist => {
+      if (!artistFirstAppearance.has(artist)) {
+        artistFirstAppearance.set(artist, listen.timestamp);
+        artistFirstTrack.set(artist, listen.trackName);
+      }
+      artistPlays.set(artist, (artistPlays.get(artist) || 0) + 1);
+    });
   });
 
   console.log(`👤 Tracking ${artistFirstAppearance.size} unique artists`);
@@ -23,12 +31,15 @@ export const detectGatewayArtists = (groupedData, genreMap, listens) => {
 
     const artistsInPeriod = new Map();
     currentPeriod.listens.forEach(listen => {
-      const artist = listen.artistName;
-      const firstAppearance = artistFirstAppearance.get(artist);
+      if (isSpokenWord(listen)) return;
 
-      if (firstAppearance >= periodStart && firstAppearance < periodEnd) {
-        artistsInPeriod.set(artist, (artistsInPeriod.get(artist) || 0) + 1);
-      }
+      getListenArtists(listen, counting).forEach(artist => {
+        const firstAppearance = artistFirstAppearance.get(artist);
+
+        if (firstAppearance >= periodStart && firstAppearance < periodEnd) {
+          artistsInPeriod.set(artist, (artistsInPeriod.get(artist) || 0) + 1);
+        }
+      });
     });
 
     artistsInPeriod.forEach((count, artist) => {
@@ -51,7 +62,7 @@ export const detectGatewayArtists = (groupedData, genreMap, listens) => {
 
         if (genreGrowth >= 5) {
           const firstTrack = artistFirstTrack.get(artist);
-          const totalPlays = listens.filter(l => l.artistName === artist).length;
+          const totalPlays = artistPlays.get(artist) || 0;
           const playsInFirstQuarter = count;
 
           gatewayArtists.push({
@@ -91,7 +102,7 @@ const calculateGenreDistribution = (periods, genreMap) => {
 
   periods.forEach(period => {
     period.listens.forEach(listen => {
-      const genres = genreMap.get(listen.artistName) || ['Unknown'];
+      const genres = getListenGenres(listen, genreMap);
       genres.forEach(genre => {
         genreCounts.set(genre, (genreCounts.get(genre) || 0) + 1);
         totalListens++;
@@ -107,15 +118,16 @@ const calculateGenreDistribution = (periods, genreMap) => {
   return distribution;
 };
 
-export const getTopArtistsForGenre = (listens, genreMap, genre, limit = 20) => {
+export const getTopArtistsForGenre = (listens, genreMap, genre, limit = 20, counting = ArtistCounting.PRIMARY) => {
   const artistCounts = new Map();
 
   listens.forEach(listen => {
-    const artist = listen.artistName;
-    const genres = genreMap.get(artist) || ['Unknown'];
+    const genres = getListenGenres(listen, genreMap);
 
     if (genres.includes(genre)) {
-      artistCounts.set(artist, (artistCounts.get(artist) || 0) + 1);
+      getListenArtists(listen, counting).forEach(artist => {
+        artistCounts.set(artist, (artistCounts.get(artist) || 0) + 1);
+      });
     }
   });
 
@@ -146,7 +158,7 @@ export const getGenrePeakPeriod = (groupedData, genre) => {
 
 export const getGenreDiscoveryDate = (listens, genreMap, genre) => {
   for (const listen of listens) {
-    const genres = genreMap.get(listen.artistName) || ['Unknown'];
+    const genres = getListenGenres(listen, genreMap);
     if (genres.includes(genre)) {
       return new Date(listen.timestamp);
     }
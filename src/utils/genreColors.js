@@ -28,6 +28,7 @@ export const genreColors = {
   'world': '#FFD23F',
   'african': '#EE6C4D',
   'asian': '#FF6B9D',
+  'spoken word': '#ADB5BD',
   'unknown': '#495057',
   'other': '#6C757D'
 };
@@ -1,4 +1,7 @@
-import { initDB } from './storage/indexedDB';
+import { initDB, getSharedDB, putListens, getListeningData } from './storage/indexedDB';
+import { isSpokenWord, SPOKEN_WORD_GENRE } from './listenKinds';
+import { getPrimaryArtist } from './artistCredits';
+import { normalizeArtistKey, setArtistAliases } from './artistAliases';
 
 export async function enrichListensWithGenres(listens, saveToDatabase = true) {
   console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
@@ -11,15 +14,23 @@ export async function enrichListensWithGenres(listens, saveToDatabase = true) {
   let cacheHits = 0;
   let cacheMisses = 0;
   let unknownArtists = 0;
+  let spokenWord = 0;
   let savedCount = 0;
 
   const db = await initDB();
   const genreCache = new Map();
 
-  const cachedGenres = await db.getAll('genres');
+  // Approved aliases decide each listen's primary artist; loaded here too
+  // because enrichment also runs inside the import worker
+  setArtistAliases(await db.getAll('artist_aliases'));
+
+  // Keyed the same way getGenreCache() falls back: by normalized name. The
+  // cache is shared by all profiles
+  const cacheDb = await getSharedDB();
+  const cachedGenres = await cacheDb.getAll('genres');
   cachedGenres.forEach(entry => {
     if (entry.artist && entry.genres && entry.genres.length > 0) {
-      genreCache.set(entry.artist.toLowerCase(), entry.genres);
+      genreCache.set(entry.artistKey || normalizeArtistKey(entry.artist), entry.genres);
     }
   });
 
@@ -28,6 +39,18 @@ export async function enrichListensWithGenres(listens, saveToDatabase = true) {
   const enrichedListens = listens.map((listen) => {
     const artistName = listen.artistName || listen.track_metadata?.artist_name;
 
+    if (isSpokenWord(listen)) {
+      spokenWord++;
+      return {
+        ...listen,
+        genres: [SPOKEN_WORD_GENRE],
+        genreMetadata: {
+          source: 'kind',
+          needsFetch: false
+        }
+      };
+    }
+
     if (!artistName || artistName === 'Unknown Artist') {
       unknownArtists++;
       return {
@@ -40,7 +63,8 @@ export async function enrichListensWithGenres(listens, saveToDatabase = true) {
       };
     }
 
-    const cachedGenres = genreCache.get(artistName.toLowerCase());
+    const cachedGenres = genreCache.get(normalizeArtistKey(getPrimaryArtist(listen))) ||
+      genreCache.get(normalizeArtistKey(artistName));
 
     if (cachedGenres && cachedGenres.length > 0 && cachedGenres[0] !== 'Unknown') {
       cacheHits++;
@@ -71,21 +95,12 @@ export async function enrichListensWithGenres(listens, saveToDatabase = true) {
   if (saveToDatabase && cacheHits > 0) {
     console.log(`   💾 Saving ${cacheHits.toLocaleString()} enriched listens to database...`);
 
-    const tx = db.transaction('listens', 'readwrite');
-    const store = tx.objectStore('listens');
-
-    for (const listen of enrichedListens) {
-      if (listen.genres && listen.genres[0] !== 'Unknown') {
-        try {
-          await store.put(listen);
-          savedCount++;
-        } catch (error) {
-          console.error(`   ❌ Failed to save listen:`, error);
-        }
-      }
+    const toSave = enrichedListens.filter(listen => listen.genres && listen.genres[0] !== 'Unknown');
+    if (await putListens(toSave)) {
+      savedCount = toSave.length;
+    } else {
+      console.error(`   ❌ Failed to save enriched listens`);
     }
-
-    await tx.done;
     console.log(`   ✅ Saved ${savedCount.toLocaleString()} listens with genres to database`);
   }
 
@@ -100,6 +115,7 @@ export async function enrichListensWithGenres(listens, saveToDatabase = true) {
   console.log(`   Cache hits:         ${cacheHits.toLocaleString()} (${((cacheHits/listens.length)*100).toFixed(1)}%)`);
   console.log(`   Cache misses:       ${cacheMisses.toLocaleString()} (${((cacheMisses/listens.length)*100).toFixed(1)}%)`);
   console.log(`   Unknown artists:    ${unknownArtists.toLocaleString()}`);
+  console.log(`   Spoken word:        ${spokenWord.toLocaleString()}`);
   console.log(`   ─────────────────────────────────`);
   console.log(`   Enriched listens:   ${enrichedCount.toLocaleString()} (${enrichmentRate}%)`);
   if (saveToDatabase) {
@@ -121,8 +137,9 @@ async function getGenresFromCache(artistName, db) {
 
     if (!cached) {
       const allGenres = await db.getAll('genres');
+      const artistKey = normalizeArtistKey(artistName);
       cached = allGenres.find(g =>
-        g.artist?.toLowerCase() === artistName.toLowerCase()
+        (g.artistKey || normalizeArtistKey(g.artist)) === artistKey
       );
     }
 
@@ -176,8 +193,8 @@ export async function getEnrichmentStats(listens) {
 
 export async function validateGenreCache() {
   try {
-    const db = await initDB();
-    const genres = await db.getAll('genres');
+    const cacheDb = await getSharedDB();
+    const genres = await cacheDb.getAll('genres');
 
     const stats = {
       total: genres.length,
@@ -234,9 +251,7 @@ export async function validateGenreCache() {
 if (typeof window !== 'undefined') {
   window.validateGenreCache = validateGenreCache;
   window.getEnrichmentStats = async () => {
-    const { initDB } = await import('./storage/indexedDB.js');
-    const db = await initDB();
-    const listens = await db.getAll('listens');
+    const listens = await getListeningData();
     return getEnrichmentStats(listens);
   };
 
@@ -0,0 +1,69 @@
+import CryptoJS from 'crypto-js';
+import { getTimestampBounds } from './timestampValidation.js';
+
+// ═══════════════════════════════════════════════════════════
+// IMPORT LEDGER - which file brought in which listens
+// ═══════════════════════════════════════════════════════════
+// Every imported file gets a ledger entry in the 'imports' store and each of
+// its listens is tagged with the entry's id (listen.importId), so a bad import
+// can be rolled back on its own. Files are identified by a SHA-256 of their
+// contents; uploading the same file again is skipped.
+//   { id, fileName, hash, format, importedAt, parsed, added, duplicates,
+//     earliest, latest, pending? }
+// parsed is how many listens the file held, added how many of them were new;
+// earliest/latest are Unix seconds. An entry is saved with pending: true
+// before its listens are merged; one still pending after a closed tab is not
+// skipped when the file is uploaded again, so the import can be finished.
+
+// WebCrypto can only digest a whole buffer, so the file is hashed
+// incrementally in 1MB slices instead of being loaded into memory at once
+export const hashFile = async (file, onProgress) => {
+  const sha256 = CryptoJS.algo.SHA256.create();
+  const chunkSize = 1024 * 1024;
+  const totalBytes = file.size;
+
+  for (let offset = 0; offset < totalBytes; offset += chunkSize) {
+    const buffer = await file.slice(offset, offset + chunkSize).arrayBuffer();
+    sha256.update(CryptoJS.lib.WordArray.create(new Uint8Array(buffer)));
+
+    if (onProgress) {
+      const processed = Math.min(offset + chunkSize, totalBytes);
+      onProgress({
+        processed,
+        total: totalBytes,
+        percentage: Math.round((processed / totalBytes) * 100)
+      });
+    }
+  }
+
+  return sha256.finalize().toString(CryptoJS.enc.Hex);
+};
+
+export const createImportId = (startedAt, fileIndex) => `import-${startedAt}-${fileIndex}`;
+
+// files: [{ importId, name, hash, format, listens }] as parsed;
+// addedByImport: import id → how many stored listens it first brought in
+export const buildImportRecords = (files, addedByImport, importedAt = Date.now()) => {
+  return files.map(file => {
+    const bounds = getTimestampBounds(file.listens.map(listen => listen.timestamp || listen.listened_at || 0));
+    const added = addedByImport.get(file.importId) || 0;
+
+    return {
+      id: file.importId,
+      fileName: file.name,
+      hash: file.hash,
+      format: file.format,
+      importedAt,
+      parsed: file.listens.length,
+      added,
+      duplicates: Math.max(0, file.listens.length - added),
+      earliest: file.listens.length > 0 ? bounds.min : null,
+      latest: file.listens.length > 0 ? bounds.max : null
+    };
+  });
+};
+
+// Written before the merge and replaced by buildImportRecords() after it
+export const buildPendingImportRecords = (files, importedAt = Date.now()) => {
+  return buildImportRecords(files, new Map(), importedAt).map(entry => ({ ...entry, pending: true }));
+};
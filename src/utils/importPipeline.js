@@ -0,0 +1,317 @@
+import { parseImportedData, parseImportedJSONFile, parseImportedWorkbook } from './parsers/universalParser';
+import { parseJSONL, isJSONLFile } from './parsers/jsonlParser';
+import { parseCSV } from './parsers/csvParser';
+import { isDelimitedFile, parseDelimitedRows } from './parsers/delimitedParser';
+import { isScrobblerLogFile } from './parsers/scrobblerLogParser';
+import { isSpreadsheetFile, readXLSXSheets } from './parsers/xlsxReader';
+import { mergeListeningData, getImportByHash, saveImportRecords, countListensByImport } from './storage/indexedDB';
+import errorLogger from './errorLogger';
+import { cleanGenreData } from './genreTaxonomy';
+import { validateListeningData } from './dataMerge';
+import { validateAndCleanTimestamps } from './timestampValidation.js';
+import { ListenKind } from './listenKinds';
+import { resolveArtistCredit } from './artistCredits';
+import { parseTrackTitle } from './trackTitles';
+import { inferListenOffset } from './timezones';
+import { getPlaybackContext } from './playbackContext';
+import { hashFile, createImportId, buildImportRecords, buildPendingImportRecords } from './importLedger';
+
+// ═══════════════════════════════════════════════════════════
+// IMPORT PIPELINE - parse, clean, validate and merge uploaded files
+// ═══════════════════════════════════════════════════════════
+// Runs inside the import worker (see workers/importWorker.js), so it must
+// not touch React state or the DOM. Progress is reported via onProgress and
+// cancellation is checked against an AbortSignal between steps.
+
+const throwIfCancelled = (signal) => {
+  if (signal?.aborted) {
+    throw new Error('Import cancelled');
+  }
+};
+
+const parseFile = async (file, delimited, onFileProgress) => {
+  // Already-parsed rows and records are passed as-is, never re-stringified
+  if (isJSONLFile(file.name)) {
+    const records = await parseJSONL(file, onFileProgress);
+    return parseImportedData(records, file.name);
+  }
+
+  if (isDelimitedFile(file.name)) {
+    // User-mapped layouts go through the generic delimited parser
+    const rows = await parseCSV(
+      file,
+      onFileProgress,
+      delimited?.delimiter || (file.name.toLowerCase().endsWith('.tsv') ? '\t' : ',')
+    );
+    return delimited?.mapping
+      ? parseDelimitedRows(rows, delimited.mapping)
+      : parseImportedData(rows, file.name);
+  }
+
+  if (isScrobblerLogFile(file.name)) {
+    return parseImportedData(await file.text(), file.name);
+  }
+
+  if (isSpreadsheetFile(file.name)) {
+    return parseImportedWorkbook(await readXLSXSheets(file), file.name);
+  }
+
+  // JSON arrays are streamed and parsed in batches
+  return parseImportedJSONFile(file, onFileProgress);
+};
+
+// delimitedFiles[i] holds { delimiter, mapping? } for files[i], or null.
+// crossSourceWindow is the cross-source duplicate window in seconds.
+// The result's listens are only those the import added or changed; count is
+// the stored total and changedRange the timestamps to reload.
+export async function runImportPipeline(files, { delimitedFiles = [], crossSourceWindow, onProgress = () => {}, signal } = {}) {
+  onProgress({
+    percentage: 0,
+    status: 'Reading files...',
+    currentFile: ''
+  });
+
+  const allListens = [];
+  const fileReport = { used: [], skipped: [] };
+  const startedAt = Date.now();
+  const importedFiles = [];
+  const seenHashes = new Set();
+  let alreadyImported = 0;
+
+  // Process each file
+  for (let i = 0; i < files.length; i++) {
+    throwIfCancelled(signal);
+
+    const file = files[i];
+    const filePercentage = (i / files.length) * 60;
+
+    onProgress({
+      percentage: filePercentage,
+      status: `Processing file ${i + 1} of ${files.length}...`,
+      currentFile: file.name
+    });
+
+    const onFileProgress = (progress) => {
+      throwIfCancelled(signal);
+      onProgress({
+        percentage: filePercentage + (progress.percentage * 0.6 / files.length),
+        status: `Parsing ${file.name}... ${progress.percentage}%`,
+        currentFile: file.name
+      });
+    };
+
+    try {
+      // Files already in the import ledger (same contents) are skipped, unless
+      // their import was interrupted; that one is finished under its own id
+      const hash = await hashFile(file, (progress) => {
+        throwIfCancelled(signal);
+        onProgress({
+          percentage: filePercentage,
+          status: `Checking ${file.name}... ${progress.percentage}%`,
+          currentFile: file.name
+        });
+      });
+      const previousImport = seenHashes.has(hash) ? null : await getImportByHash(hash);
+      if (seenHashes.has(hash) || (previousImport && !previousImport.pending)) {
+        const reason = previousImport
+          ? `already imported on ${new Date(previousImport.importedAt).toLocaleDateString()}`
+          : 'selected twice';
+        console.warn(`⚠️ Skipping ${file.name}: ${reason}`);
+        fileReport.skipped.push({ name: file.name, reason });
+        alreadyImported++;
+        continue;
+      }
+      seenHashes.add(hash);
+
+      const parseResult = await parseFile(file, delimitedFiles[i], onFileProgress);
+
+      if (!parseResult || !parseResult.listens || parseResult.listens.length === 0) {
+        errorLogger.warn(`No listens found in ${file.name}`, {
+          context: 'file parsing',
+          file: file.name
+        });
+        console.warn(`⚠️ Skipping ${file.name}: No listens found`);
+        fileReport.skipped.push({ name: file.name, reason: 'no listens found' });
+        continue;
+      }
+
+      // Convert to standard format (ensure listened_at is in seconds)
+      const importId = previousImport?.pending ? previousImport.id : createImportId(startedAt, i);
+      if (previousImport?.pending) {
+        console.log(`🔁 Finishing the interrupted import of ${file.name}`);
+      }
+      const standardizedListens = parseResult.listens.map((listen, idx) => {
+        const artistName = listen.track_metadata?.artist_name || 'Unknown Artist';
+        const additionalInfo = listen.track_metadata?.additional_info || {};
+        const credit = resolveArtistCredit(artistName, additionalInfo);
+        const trackName = listen.track_metadata?.track_name || 'Unknown Track';
+        const { title, version } = parseTrackTitle(trackName);
+
+        return {
+          id: `${parseResult.format}-${i}-${idx}-${listen.listened_at}`,
+          importId,
+          timestamp: listen.listened_at,  // ← Unix seconds
+          listened_at: listen.listened_at,  // ← Unix seconds
+          tzOffset: inferListenOffset(listen.listened_at, additionalInfo),  // ← minutes east of UTC, or null
+          trackName,
+          baseTrackName: title,
+          version,
+          artistName,
+          primaryArtist: credit.primary || artistName,
+          artists: credit.artists.length > 0 ? credit.artists : [artistName],
+          artistMbids: credit.mbids,
+          albumName: listen.track_metadata?.release_name || 'Unknown Album',
+          additionalInfo,
+          playback: getPlaybackContext(additionalInfo),
+          kind: listen.kind || ListenKind.MUSIC,
+          source: listen.source || parseResult.format
+        };
+      });
+
+      for (const listen of standardizedListens) {
+        allListens.push(listen);
+      }
+      importedFiles.push({
+        importId,
+        name: file.name,
+        hash,
+        format: parseResult.format,
+        listens: standardizedListens
+      });
+      fileReport.used.push({
+        name: file.name,
+        format: parseResult.format,
+        count: standardizedListens.length
+      });
+
+      errorLogger.info(
+        `Successfully parsed ${standardizedListens.length} listens from ${file.name}`,
+        {
+          context: 'file parsing',
+          file: file.name,
+          count: standardizedListens.length,
+          format: parseResult.format
+        }
+      );
+
+    } catch (error) {
+      throwIfCancelled(signal);
+      errorLogger.log(error, {
+        context: 'file processing',
+        file: file.name,
+        details: error.message
+      });
+      console.error(`❌ Error processing ${file.name}:`, error);
+      fileReport.skipped.push({ name: file.name, reason: error.message });
+      continue; // Skip failed files
+    }
+  }
+
+  // Validate we got data
+  if (allListens.length === 0) {
+    throw new Error(alreadyImported === files.length
+      ? 'All selected files were already imported (see Import History)'
+      : 'No valid listens found in uploaded files');
+  }
+
+  // Sort by timestamp
+  allListens.sort((a, b) => (a.listened_at || 0) - (b.listened_at || 0));
+
+  // Clean genre data
+  throwIfCancelled(signal);
+  onProgress({
+    percentage: 60,
+    status: 'Cleaning genre data...',
+    currentFile: ''
+  });
+
+  const { cleanedListens, report: genreReport } = cleanGenreData(allListens);
+
+  // Validate and clean timestamps
+  throwIfCancelled(signal);
+  onProgress({
+    percentage: 65,
+    status: 'Validating timestamps...',
+    currentFile: ''
+  });
+
+  const timestampResult = validateAndCleanTimestamps(cleanedListens);
+
+  if (timestampResult.stats.removed > 0) {
+    console.warn(`⚠️  Removed ${timestampResult.stats.removed} listens with invalid timestamps`);
+  }
+
+  // Merge with existing data. This is the last point the import can be
+  // cancelled; after it the stored data has been rewritten.
+  throwIfCancelled(signal);
+  onProgress({
+    percentage: 75,
+    status: 'Merging with existing data...',
+    currentFile: '',
+    cancellable: false
+  });
+
+  // The ledger entries go in first, marked pending, so listens a closed tab
+  // left behind still belong to an import that can be rolled back or resumed
+  if (!(await saveImportRecords(buildPendingImportRecords(importedFiles, startedAt)))) {
+    throw new Error('Failed to save the import history');
+  }
+
+  const mergeResult = await mergeListeningData(timestampResult.listens, crossSourceWindow);
+
+  if (!mergeResult.success) {
+    throw new Error(mergeResult.error || 'Failed to merge data');
+  }
+
+  // Validate what the merge added or changed
+  const validation = validateListeningData({ listens: mergeResult.data });
+
+  if (!validation.isValid) {
+    throw new Error(validation.error);
+  }
+
+  onProgress({
+    percentage: 85,
+    status: 'Finalizing import...',
+    currentFile: '',
+    cancellable: false
+  });
+
+  const changedListens = mergeResult.data;
+  const total = mergeResult.mergeInfo.total;
+  const dateRange = mergeResult.dateRange
+    ? { earliest: mergeResult.dateRange.earliest, latest: mergeResult.dateRange.latest }
+    : null;
+
+  const addedByImport = new Map();
+  for (const file of importedFiles) {
+    addedByImport.set(file.importId, await countListensByImport(file.importId));
+  }
+  const importRecords = buildImportRecords(importedFiles, addedByImport, startedAt);
+  await saveImportRecords(importRecords);
+
+  errorLogger.info(`Successfully processed ${files.length} files`, {
+    context: 'file parsing complete',
+    fileCount: files.length,
+    imported: allListens.length,
+    timestampsCleaned: timestampResult.stats.cleaned,
+    timestampsRemoved: timestampResult.stats.removed,
+    total,
+    duplicatesRemoved: mergeResult.mergeInfo?.duplicates || 0,
+    dateRange: dateRange ? `${dateRange.earliest.getFullYear()}-${dateRange.latest.getFullYear()}` : 'none',
+    genreCleanup: genreReport
+  });
+
+  return {
+    success: true,
+    count: total,
+    listens: changedListens,
+    changedRange: mergeResult.changedRange,
+    mergeInfo: mergeResult.mergeInfo,
+    genreReport: genreReport,
+    timestampStats: timestampResult.stats,
+    fileReport,
+    importRecords,
+    dateRange
+  };
+}
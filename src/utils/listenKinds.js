@@ -0,0 +1,27 @@
+import { getPrimaryArtist } from './artistCredits';
+
+export const ListenKind = {
+  MUSIC: 'music',
+  PODCAST: 'podcast',
+  AUDIOBOOK: 'audiobook'
+};
+
+// Podcasts and audiobooks have no artist genres; they are grouped under a
+// single pseudo-genre so their share can be shown next to the music genres.
+export const SPOKEN_WORD_GENRE = 'Spoken Word';
+
+export const isSpokenWord = (listen) => {
+  return listen?.kind === ListenKind.PODCAST || listen?.kind === ListenKind.AUDIOBOOK;
+};
+
+export const filterListensByKind = (listens, includeSpokenWord) => {
+  if (includeSpokenWord) return listens;
+  return listens.filter(listen => !isSpokenWord(listen));
+};
+
+// Genres follow the primary artist; maps built before credits were split
+// are keyed by the full credit
+export const getListenGenres = (listen, genreMap) => {
+  if (isSpokenWord(listen)) return [SPOKEN_WORD_GENRE];
+  return genreMap.get(getPrimaryArtist(listen)) || genreMap.get(listen.artistName) || ['Unknown'];
+};
@@ -1,4 +1,4 @@
-import { initDB, STORES } from './storage/indexedDB';
+import { getListensByArtist, putListens, iterateListens } from './storage/indexedDB';
 
 export async function updateListensWithGenres(artistName, genres, source = 'classification') {
   if (!artistName || !genres || genres.length === 0) {
@@ -7,42 +7,23 @@ export async function updateListensWithGenres(artistName, genres, source = 'clas
   }
 
   try {
-    const db = await initDB();
-    const tx = db.transaction(STORES.LISTENS, 'readwrite');
-    const store = tx.objectStore(STORES.LISTENS);
-
-    const allListens = await store.getAll();
-
-    const artistListens = allListens.filter(
-      l => l.artistName === artistName ||
-           l.track_metadata?.artist_name === artistName
-    );
+    const artistListens = await getListensByArtist(artistName);
 
     if (artistListens.length === 0) {
       return 0;
     }
 
-    let updated = 0;
-
-    for (const listen of artistListens) {
-      try {
-        await store.put({
-          ...listen,
-          genres: genres,
-          genreMetadata: {
-            source: source,
-            lastFetched: Date.now(),
-            enrichedAt: Date.now(),
-            cached: true
-          }
-        });
-        updated++;
-      } catch (error) {
-        console.error(`Failed to update listen ${listen.id}:`, error);
+    const saved = await putListens(artistListens.map(listen => ({
+      ...listen,
+      genres: genres,
+      genreMetadata: {
+        source: source,
+        lastFetched: Date.now(),
+        enrichedAt: Date.now(),
+        cached: true
       }
-    }
-
-    await tx.done;
+    })));
+    const updated = saved ? artistListens.length : 0;
 
     if (updated > 0) {
       console.log(`✅ Updated ${updated} listens for "${artistName}" with genres: ${genres.slice(0, 3).join(', ')}`);
@@ -67,13 +48,7 @@ export async function batchUpdateListensWithGenreMap(genreMap) {
   console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
 
   try {
-    const db = await initDB();
-    const tx = db.transaction(STORES.LISTENS, 'readwrite');
-    const store = tx.objectStore(STORES.LISTENS);
-
-    const allListens = await store.getAll();
-
-    let totalUpdated = 0;
+    const updatedListens = [];
     let artistsProcessed = 0;
 
     for (const [artistName, genres] of genreMap.entries()) {
@@ -81,37 +56,32 @@ export async function batchUpdateListensWithGenreMap(genreMap) {
         continue;
       }
 
-      const artistListens = allListens.filter(
-        l => l.artistName === artistName ||
-             l.track_metadata?.artist_name === artistName
-      );
-
-      for (const listen of artistListens) {
-        try {
-          await store.put({
-            ...listen,
-            genres: genres,
-            genreMetadata: {
-              source: 'classification',
-              lastFetched: Date.now(),
-              enrichedAt: Date.now(),
-              cached: true
-            }
-          });
-          totalUpdated++;
-        } catch (error) {
-          console.error(`Failed to update listen ${listen.id}:`, error);
-        }
-      }
+      const artistListens = await getListensByArtist(artistName);
+
+      artistListens.forEach(listen => {
+        updatedListens.push({
+          ...listen,
+          genres: genres,
+          genreMetadata: {
+            source: 'classification',
+            lastFetched: Date.now(),
+            enrichedAt: Date.now(),
+            cached: true
+          }
+        });
+      });
 
       artistsProcessed++;
 
       if (artistsProcessed % 50 === 0) {
-        console.log(`   Progress: ${artistsProcessed}/${genreMap.size} artists (${totalUpdated} listens)`);
+        console.log(`   Progress: ${artistsProcessed}/${genreMap.size} artists (${updatedListens.length} listens)`);
       }
     }
 
-    await tx.done;
+    if (!(await putListens(updatedListens))) {
+      throw new Error('Failed to save updated listens');
+    }
+    const totalUpdated = updatedListens.length;
 
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     console.log('✅ BATCH UPDATE COMPLETE');
@@ -129,27 +99,27 @@ export async function batchUpdateListensWithGenreMap(genreMap) {
 
 export async function getListensNeedingGenres() {
   try {
-    const db = await initDB();
-    const allListens = await db.getAll(STORES.LISTENS);
+    let needingGenres = 0;
+    const uniqueArtists = new Set();
 
-    const needingGenres = allListens.filter(listen => {
+    await iterateListens(listen => {
       const genres = listen.genres;
-      return !genres ||
-             genres.length === 0 ||
-             genres[0] === 'Unknown' ||
-             listen.genreMetadata?.needsFetch === true;
+      const needsGenres = !genres ||
+                          genres.length === 0 ||
+                          genres[0] === 'Unknown' ||
+                          listen.genreMetadata?.needsFetch === true;
+      if (!needsGenres) return;
+
+      needingGenres++;
+      if (listen.artistName && listen.artistName !== 'Unknown Artist') {
+        uniqueArtists.add(listen.artistName);
+      }
     });
 
-    const uniqueArtists = [...new Set(
-      needingGenres
-        .map(l => l.artistName)
-        .filter(name => name && name !== 'Unknown Artist')
-    )];
-
     return {
-      listens: needingGenres.length,
-      artists: uniqueArtists.length,
-      artistList: uniqueArtists
+      listens: needingGenres,
+      artists: uniqueArtists.size,
+      artistList: [...uniqueArtists]
     };
 
   } catch (error) {
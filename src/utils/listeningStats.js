@@ -1,4 +1,8 @@
-export function calculateListeningFingerprint(listens) {
+import { getPrimaryArtist } from './artistCredits';
+import { TrackVersions, getTrackKey } from './trackTitles';
+import { getListenDateParts } from './timezones';
+
+export function calculateListeningFingerprint(listens, versions = TrackVersions.MERGED) {
   if (!listens || listens.length === 0) {
     return {
       consistency: 50,
@@ -11,8 +15,8 @@ export function calculateListeningFingerprint(listens) {
 
   const consistency = calculateConsistency(listens);
   const discovery = calculateDiscovery(listens);
-  const variety = calculateVariety(listens);
-  const replayRate = calculateReplayRate(listens);
+  const variety = calculateVariety(listens, versions);
+  const replayRate = calculateReplayRate(listens, versions);
   const exploration = calculateExploration(listens);
 
   return {
@@ -30,8 +34,8 @@ function calculateConsistency(listens) {
     const timestamp = listen.timestamp || listen.listened_at;
     if (!timestamp) return;
 
-    const date = new Date(timestamp * 1000);
-    const dayKey = date.toISOString().split('T')[0];
+    const { year, month, day } = getListenDateParts(listen);
+    const dayKey = `${year}-${month + 1}-${day}`;
     listensByDay[dayKey] = (listensByDay[dayKey] || 0) + 1;
   });
 
@@ -66,7 +70,7 @@ function calculateDiscovery(listens) {
   let newArtistCount = 0;
 
   sorted.forEach(listen => {
-    const artist = listen.artistName;
+    const artist = getPrimaryArtist(listen);
     if (artist && !seenArtists.has(artist)) {
       seenArtists.add(artist);
       newArtistCount++;
@@ -81,14 +85,14 @@ function calculateDiscovery(listens) {
   return discovery;
 }
 
-function calculateVariety(listens) {
+function calculateVariety(listens, versions) {
   const uniqueArtists = new Set(
-    listens.map(l => l.artistName).filter(Boolean)
+    listens.map(getPrimaryArtist).filter(Boolean)
   ).size;
   const totalListens = listens.length;
 
   const uniqueTracks = new Set(
-    listens.map(l => `${l.artistName}-${l.trackName}`).filter(k => k !== '-')
+    listens.map(l => getTrackKey(l, versions)).filter(Boolean)
   ).size;
 
   const genreCounts = {};
@@ -138,12 +142,12 @@ function calculateVariety(listens) {
   return Math.min(Math.max(varietyScore, 0), 100);
 }
 
-function calculateReplayRate(listens) {
+function calculateReplayRate(listens, versions) {
   const trackCounts = {};
 
   listens.forEach(listen => {
-    const key = `${listen.artistName}-${listen.trackName}`;
-    if (key !== '-') {
+    const key = getTrackKey(listen, versions);
+    if (key) {
       trackCounts[key] = (trackCounts[key] || 0) + 1;
     }
   });
@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { parseImportedData } from '../universalParser';
+import { fixture } from '../../__tests__/helpers';
+
+describe('Apple Music Play Activity', () => {
+  it('keeps finished plays of 30 seconds or longer', () => {
+    const result = parseImportedData(fixture('apple-music-play-activity.csv'), 'Apple Music Play Activity.csv');
+
+    expect(result.format).toBe('apple_music');
+    expect(result.listens.map(listen => listen.track_metadata.track_name)).toEqual([
+      'Teardrop',
+      'Inertia Creeps',
+      '2 + 2 = 5 (The Lukewarm.)'
+    ]);
+    expect(result.listens[0]).toMatchObject({
+      listened_at: 1706739240,
+      source: 'apple_music',
+      track_metadata: {
+        artist_name: 'Massive Attack',
+        release_name: 'Mezzanine',
+        additional_info: { ms_played: 330000, media_duration_ms: 330000, end_reason: 'NATURAL_END_OF_TRACK', device_type: 'IPHONE' }
+      }
+    });
+  });
+
+  it('takes the artist from the track description of older exports', () => {
+    const result = parseImportedData(fixture('apple-music-play-activity.csv'), 'Apple Music Play Activity.csv');
+
+    expect(result.listens[2].track_metadata).toMatchObject({
+      artist_name: 'Radiohead',
+      release_name: 'Hail to the Thief'
+    });
+  });
+
+  it('rejects a file with only short plays', () => {
+    const [header, , skipped] = fixture('apple-music-play-activity.csv').split('\n');
+    expect(() => parseImportedData(`${header}\n${skipped}\n`, 'Apple Music Play Activity.csv'))
+      .toThrow('No plays of 30 seconds or longer found in Apple Music file');
+  });
+});
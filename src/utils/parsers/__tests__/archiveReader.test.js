@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { extractArchives } from '../archiveReader';
+import { fixtureBytes } from '../../__tests__/helpers';
+
+const bundle = () => new File([fixtureBytes('export-bundle.zip')], 'export-bundle.zip');
+
+describe('extractArchives', () => {
+  it('reads stored and deflated entries from nested folders and archives', async () => {
+    const { files, report } = await extractArchives([bundle()]);
+
+    expect(files.map(file => file.name)).toEqual([
+      'export-bundle.zip/Spotify Extended Streaming History/Streaming_History_Audio_2023.json',
+      'export-bundle.zip/Spotify Extended Streaming History (old)/Streaming_History_Audio_2023.json',
+      'export-bundle.zip/TIDAL/streaming.csv',
+      'export-bundle.zip/takeout/nested.zip/listens/2024/1.jsonl'
+    ]);
+    expect(JSON.parse(await files[0].text())[0].master_metadata_track_name).toBe('Airbag');
+    expect(JSON.parse(await files[1].text())[0].master_metadata_track_name).toBe('Angel');
+    expect(await files[2].text()).toContain('Radiohead,Airbag');
+    expect(JSON.parse(await files[3].text()).track_metadata.track_name).toBe('Teardrop');
+    expect(report.extracted.map(entry => entry.size)).toEqual([269, 68, 72, 101]);
+  });
+
+  it('skips files that are not listening history', async () => {
+    const { report } = await extractArchives([bundle()]);
+
+    expect(report.skipped).toEqual([
+      { name: 'export-bundle.zip/Spotify Extended Streaming History/Userdata.json', reason: 'not listening history' },
+      { name: 'export-bundle.zip/stats/streaming-summary.csv', reason: 'not a recognized listening history file' },
+      { name: 'export-bundle.zip/__MACOSX/TIDAL/._streaming.csv', reason: 'macOS metadata' }
+    ]);
+  });
+
+  it('passes other files through unchanged', async () => {
+    const file = new File(['{}'], 'listens.json');
+    const { files, report } = await extractArchives([file]);
+
+    expect(files).toEqual([file]);
+    expect(report).toEqual({ extracted: [], skipped: [] });
+  });
+});
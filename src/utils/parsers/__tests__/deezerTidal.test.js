@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { parseImportedData, parseImportedWorkbook } from '../universalParser';
+import { readXLSXSheets } from '../xlsxReader';
+import { fixture, fixtureBytes } from '../../__tests__/helpers';
+
+describe('Deezer listening history', () => {
+  it('finds the history sheet of the workbook and drops short plays', async () => {
+    const sheets = await readXLSXSheets(new Blob([fixtureBytes('deezer-history.xlsx')]));
+    expect(sheets.map(sheet => sheet.name)).toEqual(['1_identity', '10_listeningHistory']);
+
+    const result = parseImportedWorkbook(sheets, 'deezer-data.xlsx');
+
+    expect(result.format).toBe('deezer');
+    expect(result.listens.map(listen => listen.track_metadata.track_name)).toEqual(['Paranoid Android', 'Angel']);
+    expect(result.listens[0]).toMatchObject({
+      listened_at: Date.UTC(2024, 0, 31, 22, 14) / 1000,
+      source: 'deezer',
+      track_metadata: {
+        artist_name: 'Radiohead',
+        release_name: 'OK Computer',
+        additional_info: { isrc: 'GBAYE9700112', ms_played: 383000, platform_name: 'web' }
+      }
+    });
+  });
+
+  it('reads Excel serial dates', async () => {
+    const sheets = await readXLSXSheets(new Blob([fixtureBytes('deezer-history.xlsx')]));
+    const result = parseImportedWorkbook(sheets, 'deezer-data.xlsx');
+
+    expect(result.listens[1].listened_at).toBe(Date.UTC(2024, 0, 31, 22, 30) / 1000);
+  });
+
+  it('rejects a workbook without a history sheet', () => {
+    expect(() => parseImportedWorkbook([{ name: '1_identity', rows: [['Email'], ['alice@example.com']] }], 'deezer-data.xlsx'))
+      .toThrow('No listening history sheet found');
+  });
+});
+
+describe('Tidal streaming history', () => {
+  it('parses the CSV export and drops short plays', () => {
+    const result = parseImportedData(fixture('tidal-streaming.csv'), 'streaming_history.csv');
+
+    expect(result.format).toBe('tidal');
+    expect(result.listens.map(listen => listen.track_metadata.track_name)).toEqual(['Paranoid Android', 'Angel, Live']);
+    expect(result.listens[0]).toMatchObject({
+      listened_at: Date.UTC(2024, 0, 31, 22, 14) / 1000,
+      source: 'tidal',
+      track_metadata: {
+        artist_name: 'Radiohead',
+        additional_info: { isrc: 'GBAYE9700112', ms_played: 383000, tidal_track_id: '1234567', device_type: 'DESKTOP' }
+      }
+    });
+    expect(result.listens[1].listened_at).toBe(Date.UTC(2024, 0, 31, 22, 30) / 1000);
+  });
+});
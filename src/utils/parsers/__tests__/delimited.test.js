@@ -0,0 +1,80 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  sampleDelimitedFile,
+  sniffDelimiter,
+  parseDelimitedRows,
+  isMappingComplete,
+  getSavedMapping,
+  saveMapping
+} from '../delimitedParser';
+import { fixture, installLocalStorage } from '../../__tests__/helpers';
+
+const fixtureFile = (name, fileName = name) => new File([fixture(name)], fileName);
+
+describe('sniffDelimiter', () => {
+  it.each([
+    ['a,b,c\n1,2,3\n', ','],
+    ['a\tb\tc\n1\t2\t3\n', '\t'],
+    ['a;b;c\n"1,5";2;3\n', ';'],
+    ['a|b|c\n1|2|3\n', '|']
+  ])('finds the delimiter in %j', (text, delimiter) => {
+    expect(sniffDelimiter(text)).toBe(delimiter);
+  });
+});
+
+describe('delimited import', () => {
+  beforeEach(() => {
+    installLocalStorage();
+  });
+
+  it('maps a headed semicolon file by column names', async () => {
+    const sample = await sampleDelimitedFile(fixtureFile('custom-semicolon.csv'));
+
+    expect(sample.delimiter).toBe(';');
+    expect(sample.hasHeader).toBe(true);
+    expect(sample.signature).toBe('header:performer|song title|record|played at');
+    expect(sample.guessedMapping).toEqual({ hasHeader: true, artist: 0, track: 1, album: 2, timestamp: 3 });
+
+    const result = parseDelimitedRows(sample.rows, sample.guessedMapping);
+    expect(result.format).toBe('csv');
+    expect(result.listens.map(listen => [listen.track_metadata.track_name, listen.listened_at])).toEqual([
+      ['Teardrop', 1706739240],
+      ['Airbag; Remastered', 1706739600],
+      ['Roads', 1706740500]
+    ]);
+    expect(result.listens[0]).toMatchObject({
+      source: 'csv',
+      track_metadata: {
+        artist_name: 'Massive Attack',
+        release_name: 'Mezzanine',
+        additional_info: { original_timestamp: '2024-01-31 22:14:00' }
+      }
+    });
+  });
+
+  it('guesses a headerless layout from the timestamp column', async () => {
+    const sample = await sampleDelimitedFile(fixtureFile('custom-headerless.csv', 'plays.csv'));
+
+    expect(sample.delimiter).toBe('|');
+    expect(sample.hasHeader).toBe(false);
+    expect(sample.signature).toBe('headerless:4:|');
+    expect(sample.guessedMapping).toEqual({ hasHeader: false, artist: 1, track: 2, album: 3, timestamp: 0 });
+    expect(parseDelimitedRows(sample.rows, sample.guessedMapping).listens).toHaveLength(3);
+  });
+
+  it('uses a passed delimiter instead of sniffing', async () => {
+    const sample = await sampleDelimitedFile(fixtureFile('custom-semicolon.csv'), ',');
+
+    expect(sample.delimiter).toBe(',');
+    expect(isMappingComplete(sample.guessedMapping)).toBe(false);
+  });
+
+  it('remembers a mapping for files with the same header', async () => {
+    const sample = await sampleDelimitedFile(fixtureFile('custom-semicolon.csv'));
+    const mapping = { ...sample.guessedMapping, album: null };
+
+    expect(getSavedMapping(sample.signature)).toBeNull();
+    saveMapping(sample.signature, mapping);
+    expect(getSavedMapping(sample.signature)).toEqual(mapping);
+  });
+});
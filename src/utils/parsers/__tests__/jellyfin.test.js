@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import { parseImportedData } from '../universalParser';
+import { parseCSVText } from '../csvParser';
+import { fixture } from '../../__tests__/helpers';
+
+// DateCreated is read as the browser's local time
+const localSeconds = (hour, minute) => new Date(2024, 0, 31, hour, minute).getTime() / 1000;
+
+describe('Jellyfin Playback Reporting', () => {
+  it('parses the headerless TSV export, keeping audio plays of 30 seconds or more', () => {
+    // .tsv files reach the parser as rows split on tabs, as in the import pipeline
+    const result = parseImportedData(parseCSVText(fixture('jellyfin-playback.tsv'), '\t'), 'PlaybackReport.tsv');
+
+    expect(result.format).toBe('jellyfin');
+    expect(result.listens).toHaveLength(2);
+    expect(result.listens[0]).toMatchObject({
+      listened_at: localSeconds(22, 14),
+      source: 'jellyfin',
+      track_metadata: {
+        track_name: 'Paranoid Android',
+        artist_name: 'Radiohead',
+        release_name: 'OK Computer',
+        additional_info: { ms_played: 383000, jellyfin_item_id: 'it1', client_name: 'Jellyfin Web', device_name: 'Firefox' }
+      }
+    });
+    expect(result.listens[1].track_metadata).toMatchObject({
+      track_name: 'Angel',
+      artist_name: 'Massive Attack',
+      release_name: null
+    });
+  });
+
+  it('parses the custom query JSON response', () => {
+    const result = parseImportedData(fixture('jellyfin-query.json'), 'playback.json');
+
+    expect(result.format).toBe('jellyfin');
+    expect(result.listens).toHaveLength(1);
+    expect(result.listens[0]).toMatchObject({
+      listened_at: localSeconds(22, 14),
+      track_metadata: { track_name: 'Paranoid Android', additional_info: { client_name: 'Jellyfin Web' } }
+    });
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import { streamJSONArray } from '../jsonStreamParser';
+import { parseImportedJSONFile } from '../universalParser';
+
+const collect = async (text, options = {}) => {
+  const batches = [];
+  const result = await streamJSONArray(new Blob([text]), { ...options, onItems: (items) => batches.push(items) });
+  return { result, batches, items: batches.flat() };
+};
+
+describe('streamJSONArray', () => {
+  it('parses elements across 1MB slices, with brackets, escapes and multibyte text in strings', async () => {
+    const items = Array.from({ length: 13000 }, (_, i) => ({
+      ts: `2024-01-31T22:${String(i % 60).padStart(2, '0')}:00Z`,
+      track: `Tëst "${i}", [live] {demo} \\ ✓`,
+      nested: { plays: [i, i + 1] }
+    }));
+    const text = JSON.stringify(items, null, 2);
+    expect(text.length).toBeGreaterThan(2 * 1024 * 1024);
+
+    const { result, batches, items: parsed } = await collect(text, { batchSize: 5000 });
+
+    expect(result.itemCount).toBe(13000);
+    expect(batches.map(batch => batch.length)).toEqual([5000, 5000, 3000]);
+    expect(parsed).toEqual(items);
+  });
+
+  it('reports progress as slices are read', async () => {
+    const progress = [];
+    await collect(JSON.stringify(Array.from({ length: 40000 }, (_, i) => ({ i }))), {
+      onProgress: (update) => progress.push(update.percentage)
+    });
+
+    expect(progress.length).toBeGreaterThan(0);
+    expect(progress[progress.length - 1]).toBe(100);
+  });
+
+  it('returns a top-level object whole instead of streaming it', async () => {
+    const { result, batches } = await collect('\uFEFF {"payload": {"listens": [{"listened_at": 1}]}}');
+
+    expect(batches).toEqual([]);
+    expect(result.value).toEqual({ payload: { listens: [{ listened_at: 1 }] } });
+  });
+
+  it('handles an empty array', async () => {
+    const { result, batches } = await collect('[ ]');
+
+    expect(result.itemCount).toBe(0);
+    expect(batches).toEqual([]);
+  });
+
+  it('rejects a truncated array', async () => {
+    await expect(collect('[{"a": 1}, {"b": 2')).rejects.toThrow('Unexpected end of JSON array');
+  });
+
+  it('rejects an empty file', async () => {
+    await expect(collect('  ')).rejects.toThrow('Empty JSON file');
+  });
+});
+
+describe('parseImportedJSONFile', () => {
+  const video = (i) => ({ header: 'YouTube', title: `Watched video ${i}`, time: '2024-01-31T22:14:00Z', subtitles: [{ name: 'Channel' }] });
+  const song = { header: 'YouTube Music', title: 'Watched Teardrop', time: '2024-01-31T22:14:00Z', subtitles: [{ name: 'Massive Attack - Topic' }] };
+  const watchHistory = (items) => new File([JSON.stringify(items)], 'watch-history.json');
+
+  it('skips batches without music once the format is known', async () => {
+    // The first batch of 10000 has no YouTube Music entries
+    const items = Array.from({ length: 10000 }, (_, i) => video(i)).concat([song, video(10000)]);
+
+    const result = await parseImportedJSONFile(watchHistory(items));
+
+    expect(result.format).toBe('youtube_music');
+    expect(result.listens.map(listen => listen.track_metadata.artist_name)).toEqual(['Massive Attack']);
+  });
+
+  it('fails a file in which no batch has listens', async () => {
+    const items = [song].concat(Array.from({ length: 10000 }, (_, i) => video(i)));
+    items[0] = { ...song, title: 'https://music.youtube.com/watch?v=removed' };
+
+    await expect(parseImportedJSONFile(watchHistory(items))).rejects.toThrow('No YouTube Music entries found');
+  });
+
+  it('stops holding back batches of an unrecognized file', async () => {
+    const items = Array.from({ length: 60000 }, (_, i) => ({ i, note: 'x'.repeat(100) }));
+    const progress = [];
+
+    await expect(parseImportedJSONFile(new File([JSON.stringify(items)], 'mystery.json'), (update) => progress.push(update.percentage)))
+      .rejects.toThrow('Unable to detect file format');
+    // Gave up after five batches instead of reading to the end
+    expect(Math.max(...progress)).toBeLessThan(100);
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { parseImportedData } from '../universalParser';
+import { fixture } from '../../__tests__/helpers';
+
+describe('Last.fm CSV', () => {
+  it('parses a headed export with unix timestamps and MBIDs', () => {
+    const result = parseImportedData(fixture('lastfm-header.csv'), 'scrobbles.csv');
+
+    expect(result.format).toBe('lastfm');
+    expect(result.listens).toHaveLength(2);
+    expect(result.listens[0]).toMatchObject({
+      listened_at: 1706739240,
+      source: 'lastfm',
+      track_metadata: {
+        track_name: 'Paranoid Android',
+        artist_name: 'Radiohead',
+        release_name: 'OK Computer',
+        additional_info: { artist_mbids: ['a74b1b7f-71a5-4011-9441-d0b5e4122711'] }
+      }
+    });
+  });
+
+  it('detects a headerless export despite a malformed row and drops that row', () => {
+    const result = parseImportedData(fixture('lastfm-headerless.csv'), 'scrobbles.csv');
+
+    expect(result.format).toBe('lastfm');
+    expect(result.listens.map(listen => listen.track_metadata.track_name)).toEqual([
+      'Paranoid Android',
+      'Teardrop',
+      'Jesus Alone',
+      'Roads',
+      'Roygbiv'
+    ]);
+    expect(result.listens[0].listened_at).toBe(Date.UTC(2024, 0, 31, 22, 14) / 1000);
+  });
+
+  it('reads numeric dates as unix seconds or milliseconds only', () => {
+    const text = 'artist,track,uts\n' +
+      'Radiohead,Airbag,1706739240\n' +
+      'Radiohead,Lucky,1706739623000\n' +
+      'Radiohead,Karma Police,170673924\n' +
+      'Radiohead,Let Down,17067392400\n';
+    const result = parseImportedData(text, 'scrobbles.csv');
+
+    expect(result.listens.map(listen => [listen.track_metadata.track_name, listen.listened_at])).toEqual([
+      ['Airbag', 1706739240],
+      ['Lucky', 1706739623]
+    ]);
+  });
+
+  it('still rejects four-column CSV whose rows are mostly not dated', () => {
+    const text = 'Radiohead,OK Computer,Airbag,31 Jan 2024 22:14\nred,green,blue,n/a\ncat,dog,bird,unknown\n';
+    expect(() => parseImportedData(text, 'numbers.csv')).toThrow(/Unable to detect file format/);
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { parseImportedData } from '../universalParser';
+import { fixture } from '../../__tests__/helpers';
+
+describe('Maloja export', () => {
+  it('keeps every credited artist and skips incomplete scrobbles', () => {
+    const result = parseImportedData(fixture('maloja-export.json'), 'maloja_export.json');
+
+    expect(result.format).toBe('maloja');
+    expect(result.listens).toHaveLength(2);
+    expect(result.listens[0]).toMatchObject({
+      listened_at: 1706739240,
+      source: 'maloja',
+      track_metadata: {
+        track_name: 'Paranoid Android',
+        artist_name: 'Radiohead',
+        release_name: 'OK Computer',
+        additional_info: { duration_ms: 383000, ms_played: 383000, submission_client: 'client:navidrome' }
+      }
+    });
+    expect(result.listens[1].track_metadata).toMatchObject({
+      artist_name: 'Massive Attack, Elizabeth Fraser',
+      release_name: 'Mezzanine',
+      additional_info: { artist_names: ['Massive Attack', 'Elizabeth Fraser'], release_artist_names: null, ms_played: null }
+    });
+  });
+});
+
+describe('multi-scrobbler scrobbles', () => {
+  it('parses plays and dead-letter wrapped plays', () => {
+    const result = parseImportedData(fixture('multi-scrobbler.json'), 'scrobbles.json');
+
+    expect(result.format).toBe('multi_scrobbler');
+    expect(result.listens.map(listen => listen.track_metadata.track_name)).toEqual(['Teardrop', 'Airbag']);
+    expect(result.listens[0]).toMatchObject({
+      listened_at: Date.UTC(2024, 0, 31, 22, 14) / 1000,
+      source: 'multi_scrobbler',
+      track_metadata: {
+        artist_name: 'Massive Attack, Elizabeth Fraser',
+        additional_info: {
+          artist_names: ['Massive Attack', 'Elizabeth Fraser'],
+          release_artist_names: ['Massive Attack'],
+          recording_mbid: '7e9d0a7e-2f0c-4a3a-8f7c-5a1e2b3c4d5e',
+          ms_played: 320000,
+          submission_client: 'Jellyfin',
+          media_player: 'Finamp'
+        }
+      }
+    });
+    expect(result.listens[1].track_metadata.additional_info.submission_client).toBe('Spotify');
+  });
+});
+
+describe('Navidrome play history', () => {
+  it('imports every play with the song id and skips undated rows', () => {
+    const result = parseImportedData(fixture('navidrome-scrobbles.csv'), 'navidrome-plays.csv');
+
+    expect(result.format).toBe('navidrome');
+    expect(result.listens.map(listen => listen.listened_at)).toEqual([
+      1706739240,
+      1706739623,
+      Date.UTC(2024, 0, 31, 22, 30) / 1000
+    ]);
+    expect(result.listens[0]).toMatchObject({
+      source: 'subsonic',
+      track_metadata: {
+        track_name: 'Paranoid Android',
+        artist_name: 'Radiohead',
+        release_name: 'OK Computer',
+        additional_info: {
+          subsonic_id: 'mf1',
+          duration_ms: 383400,
+          recording_mbid: '8e1b0c50-0000-4000-8000-000000000001'
+        }
+      }
+    });
+    expect(result.listens[2].track_metadata.additional_info.recording_mbid).toBeNull();
+  });
+
+  it('rejects an export without plays', () => {
+    const header = fixture('navidrome-scrobbles.csv').split('\n')[0];
+    expect(() => parseImportedData(`${header}\n`, 'navidrome-plays.csv')).toThrow('No plays found in Navidrome export');
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { parseImportedData } from '../universalParser';
+import { fixture } from '../../__tests__/helpers';
+
+// TZ/UNKNOWN logs are read in the browser's timezone
+process.env.TZ = 'America/New_York';
+
+describe('.scrobbler.log', () => {
+  it('parses listened rows of a UTC log and drops skips', () => {
+    const result = parseImportedData(fixture('scrobbler-utc.log'), '.scrobbler.log');
+
+    expect(result.format).toBe('scrobbler_log');
+    expect(result.listens.map(listen => listen.track_metadata.track_name)).toEqual(['Paranoid Android', 'Angel']);
+    expect(result.listens[0]).toMatchObject({
+      listened_at: 1706739240,
+      source: 'scrobbler_log',
+      track_metadata: {
+        artist_name: 'Radiohead',
+        release_name: 'OK Computer',
+        additional_info: {
+          tracknumber: '2',
+          duration_ms: 383000,
+          timezone: 'UTC',
+          tz_offset: null,
+          scrobbler_client: 'Rockbox sansaclipplus $Revision$'
+        }
+      }
+    });
+    expect(result.listens[1].track_metadata.additional_info.recording_mbid).toBe('b1f2d4c7-54f4-4b8c-a9b1-3c1bd5e3e8a6');
+  });
+
+  it('reads timestamps of a TZ/UNKNOWN log as local wall-clock time', () => {
+    const text = fixture('scrobbler-utc.log').replace('#TZ/UTC', '#TZ/UNKNOWN');
+    const result = parseImportedData(text, '.scrobbler.log');
+
+    // 22:14 on the player's clock is 22:14 EST, 03:14 UTC the next day
+    expect(result.listens[0].listened_at).toBe(1706757240);
+    expect(result.listens[0].track_metadata.additional_info).toMatchObject({
+      timezone: 'unknown',
+      tz_offset: null,
+      original_timestamp: '1706739240'
+    });
+  });
+
+  it('rejects a log without listened rows', () => {
+    const text = '#AUDIOSCROBBLER/1.1\n#TZ/UTC\nRadiohead\tOK Computer\tAirbag\t1\t284\tS\t1706739240\t\n';
+    expect(() => parseImportedData(text, '.scrobbler.log')).toThrow('No listened (L) entries');
+  });
+});
@@ -0,0 +1,22 @@
+import { describe, it, expect } from 'vitest';
+import { parseImportedData } from '../universalParser';
+import { fixture } from '../../__tests__/helpers';
+
+describe('Spotify account data', () => {
+  it('turns end times into play starts and drops plays under 30 seconds', () => {
+    const result = parseImportedData(fixture('spotify-account-data.json'), 'StreamingHistory_music_0.json');
+
+    expect(result.format).toBe('spotify_account_data');
+    expect(result.listens.map(listen => listen.track_metadata.track_name)).toEqual(['Paranoid Android', 'Angel']);
+
+    const end = Date.UTC(2024, 0, 31, 22, 18) / 1000;
+    expect(result.listens[0]).toMatchObject({
+      listened_at: end - 383,
+      source: 'spotify',
+      track_metadata: {
+        artist_name: 'Radiohead',
+        additional_info: { ms_played: 383000, end_time: end, spotify_package: 'account_data' }
+      }
+    });
+  });
+});
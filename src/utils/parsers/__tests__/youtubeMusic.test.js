@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest';
+import { parseImportedData } from '../universalParser';
+import { fixture } from '../../__tests__/helpers';
+
+describe('YouTube Music watch history', () => {
+  it('keeps YouTube Music entries and strips the Takeout prefixes and suffixes', () => {
+    const result = parseImportedData(fixture('youtube-watch-history.json'), 'watch-history.json');
+
+    expect(result.format).toBe('youtube_music');
+    expect(result.listens.map(listen => [listen.track_metadata.artist_name, listen.track_metadata.track_name])).toEqual([
+      ['Massive Attack', 'Teardrop'],
+      ['Hozier', 'Watched Over Me']
+    ]);
+    expect(result.listens[0]).toMatchObject({
+      listened_at: 1706739240,
+      source: 'youtube_music',
+      track_metadata: {
+        release_name: null,
+        additional_info: {
+          youtube_url: 'https://music.youtube.com/watch?v=u7K72X4eo_s',
+          channel_url: 'https://www.youtube.com/channel/UCtopic',
+          original_timestamp: '2024-01-31T22:14:00.000Z'
+        }
+      }
+    });
+  });
+
+  it('reports a history whose music entries were all removed', () => {
+    const entries = JSON.parse(fixture('youtube-watch-history.json')).filter(entry => entry.subtitles === undefined);
+    expect(() => parseImportedData(JSON.stringify(entries), 'watch-history.json'))
+      .toThrow('No YouTube Music entries found in watch history');
+  });
+});
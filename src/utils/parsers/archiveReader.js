@@ -0,0 +1,245 @@
+// ═══════════════════════════════════════════════════════════
+// ARCHIVE EXTRACTION (.zip, .json.gz, .jsonl.gz)
+// ═══════════════════════════════════════════════════════════
+// Spotify and Google Takeout deliver exports as zip files. Entries are
+// decompressed in the browser with the native DecompressionStream, so only
+// the files that are routed to a parser are ever inflated.
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const EOCD_MIN_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+// Filenames that hold listening history inside export bundles
+const LISTENING_HISTORY_PATTERNS = [
+  /(^|\/)Streaming_History_Audio_[^/]*\.json$/i,   // Spotify extended streaming history
+  /(^|\/)endsong_\d+\.json$/i,                     // Spotify extended history (pre-2023 names)
+  /(^|\/)StreamingHistory_music_\d+\.json$/i,      // Spotify account data
+  /(^|\/)StreamingHistory\d+\.json$/i,             // Spotify account data (pre-2023 names)
+  /(^|\/)watch-history\.json$/i,                   // Google Takeout YouTube / YouTube Music
+  /(^|\/)listens[^/]*\.jsonl?$/i,                  // ListenBrainz export
+  /(^|\/)listens\/.+\.jsonl$/i,                    // ListenBrainz export (per-month files)
+  /(^|\/)[^/]*Play Activity[^/]*\.csv$/i,          // Apple Music privacy export
+  /(^|\/)[^/]*(scrobbles|lastfm)[^/]*\.(csv|tsv|json)$/i, // Last.fm exports
+  /(^|\/)[^/]*deezer[^/]*\.xlsx$/i,                // Deezer GDPR export
+  /(^|\/)[^/]*tidal[^/]*\.csv$/i,                  // Tidal streaming history
+  /(^|\/)[^/]*tidal[^/]*\/(.+\/)?streaming[^/]*\.csv$/i, // Tidal export folder
+  /(^|\/)[^/]*playback[^/]*\.(tsv|json)$/i,        // Jellyfin / Emby Playback Reporting
+  /(^|\/)maloja[^/]*\.json$/i,                     // Maloja export
+  /(^|\/)[^/]*navidrome[^/]*\.csv$/i,              // Navidrome play history
+  /(^|\/)[^/]*\.scrobbler\.log$/i                  // Rockbox / Audioscrobbler
+];
+
+// Known files in export bundles that never contain listens. Listed so the
+// summary can say why they were skipped.
+const NON_LISTENING_PATTERNS = [
+  /(^|\/)(Userdata|Inferences|Identity|Identifiers|Payments|Follow|Marquee|SearchQueries|YourLibrary|Playlist\d*|Wrapped\d*|YourSoundCapsule|DuoNewFamily|Family_Plan_Member)\.json$/i,
+  /(^|\/)StreamingHistory_podcast_\d+\.json$/i,
+  /(^|\/)Streaming_History_Video_[^/]*\.json$/i,
+  /(^|\/)search-history\.json$/i
+];
+
+export const isArchiveFile = (filename) => {
+  return /\.zip$/i.test(filename) || /\.(json|jsonl)\.gz$/i.test(filename);
+};
+
+const getBaseName = (path) => {
+  return path.split('/').pop();
+};
+
+// path includes the archive name, so a folder named after the service
+// counts even when the zip itself is that folder
+const classifyArchiveEntry = (path) => {
+  const baseName = getBaseName(path);
+
+  if (path.includes('__MACOSX/') || baseName.startsWith('._')) {
+    return { use: false, reason: 'macOS metadata' };
+  }
+
+  if (/\.zip$/i.test(path)) {
+    return { use: true, nested: true };
+  }
+
+  if (NON_LISTENING_PATTERNS.some(pattern => pattern.test(path))) {
+    return { use: false, reason: 'not listening history' };
+  }
+
+  if (LISTENING_HISTORY_PATTERNS.some(pattern => pattern.test(path))) {
+    return { use: true };
+  }
+
+  return { use: false, reason: 'not a recognized listening history file' };
+};
+
+const inflate = async (blob, format) => {
+  const stream = blob.stream().pipeThrough(new DecompressionStream(format));
+  return new Response(stream).blob();
+};
+
+const readBytes = async (file, start, end) => {
+  return new DataView(await file.slice(start, end).arrayBuffer());
+};
+
+const findEndOfCentralDirectory = async (file) => {
+  const tailStart = Math.max(0, file.size - EOCD_MIN_SIZE - MAX_COMMENT_SIZE);
+  const tail = await readBytes(file, tailStart, file.size);
+
+  for (let i = tail.byteLength - EOCD_MIN_SIZE; i >= 0; i--) {
+    if (tail.getUint32(i, true) === EOCD_SIGNATURE) {
+      return {
+        entryCount: tail.getUint16(i + 10, true),
+        directorySize: tail.getUint32(i + 12, true),
+        directoryOffset: tail.getUint32(i + 16, true)
+      };
+    }
+  }
+
+  throw new Error('Not a valid zip archive');
+};
+
+const readCentralDirectory = async (file) => {
+  const eocd = await findEndOfCentralDirectory(file);
+
+  if (eocd.directoryOffset === 0xffffffff || eocd.entryCount === 0xffff) {
+    throw new Error('ZIP64 archives are not supported. Please extract the archive and upload its files.');
+  }
+
+  const directory = await readBytes(file, eocd.directoryOffset, eocd.directoryOffset + eocd.directorySize);
+  const decoder = new TextDecoder('utf-8');
+  const entries = [];
+  let offset = 0;
+
+  for (let i = 0; i < eocd.entryCount; i++) {
+    if (directory.getUint32(offset, true) !== CENTRAL_DIRECTORY_SIGNATURE) {
+      throw new Error('Corrupt zip central directory');
+    }
+
+    const nameLength = directory.getUint16(offset + 28, true);
+    const extraLength = directory.getUint16(offset + 30, true);
+    const commentLength = directory.getUint16(offset + 32, true);
+    const nameBytes = new Uint8Array(directory.buffer, directory.byteOffset + offset + 46, nameLength);
+
+    entries.push({
+      path: decoder.decode(nameBytes),
+      method: directory.getUint16(offset + 10, true),
+      compressedSize: directory.getUint32(offset + 20, true),
+      uncompressedSize: directory.getUint32(offset + 24, true),
+      localHeaderOffset: directory.getUint32(offset + 42, true)
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+};
+
+const readZipEntry = async (file, entry) => {
+  const header = await readBytes(file, entry.localHeaderOffset, entry.localHeaderOffset + 30);
+
+  if (header.getUint32(0, true) !== LOCAL_HEADER_SIGNATURE) {
+    throw new Error(`Corrupt zip entry: ${entry.path}`);
+  }
+
+  const dataStart = entry.localHeaderOffset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+  const data = file.slice(dataStart, dataStart + entry.compressedSize);
+
+  if (entry.method === METHOD_STORED) return data;
+  if (entry.method === METHOD_DEFLATE) return inflate(data, 'deflate-raw');
+
+  throw new Error(`Unsupported compression method ${entry.method} for ${entry.path}`);
+};
+
+// Lists the entries of a zip file; each entry's read() resolves with its
+// decompressed contents as a Blob.
+export const listZipEntries = async (file) => {
+  const entries = await readCentralDirectory(file);
+  return entries
+    .filter(entry => !entry.path.endsWith('/'))
+    .map(entry => ({
+      path: entry.path,
+      size: entry.uncompressedSize,
+      read: () => readZipEntry(file, entry)
+    }));
+};
+
+const extractZip = async (file, report) => {
+  const entries = await readCentralDirectory(file);
+  const files = [];
+
+  for (const entry of entries) {
+    if (entry.path.endsWith('/')) continue;
+
+    // Files keep their full path, so same-named files from different
+    // folders (or nested archives) stay apart
+    const path = `${file.name}/${entry.path}`;
+    const route = classifyArchiveEntry(path);
+
+    if (!route.use) {
+      report.skipped.push({ name: path, reason: route.reason });
+      continue;
+    }
+
+    try {
+      const blob = await readZipEntry(file, entry);
+      const extracted = new File([blob], path, { type: blob.type });
+
+      if (route.nested) {
+        files.push(...await extractZip(extracted, report));
+      } else {
+        files.push(extracted);
+        report.extracted.push({ name: path, size: blob.size });
+      }
+    } catch (error) {
+      console.error(`❌ Failed to extract ${path}:`, error);
+      report.skipped.push({ name: path, reason: error.message });
+    }
+  }
+
+  return files;
+};
+
+const extractGzip = async (file, report) => {
+  const blob = await inflate(file, 'gzip');
+  const name = file.name.replace(/\.gz$/i, '');
+  report.extracted.push({ name: file.name, size: blob.size });
+  return [new File([blob], name)];
+};
+
+// Expands archives into the files they contain. Other files pass through
+// unchanged. The report lists what was extracted and what was skipped.
+export const extractArchives = async (files) => {
+  const report = { extracted: [], skipped: [] };
+  const results = [];
+
+  for (const file of files) {
+    if (!isArchiveFile(file.name)) {
+      results.push(file);
+      continue;
+    }
+
+    if (typeof DecompressionStream === 'undefined') {
+      report.skipped.push({ name: file.name, reason: 'this browser cannot decompress archives' });
+      continue;
+    }
+
+    try {
+      const extracted = /\.gz$/i.test(file.name)
+        ? await extractGzip(file, report)
+        : await extractZip(file, report);
+      results.push(...extracted);
+    } catch (error) {
+      console.error(`❌ Failed to read archive ${file.name}:`, error);
+      report.skipped.push({ name: file.name, reason: error.message });
+    }
+  }
+
+  if (report.extracted.length > 0 || report.skipped.length > 0) {
+    console.log(`🗜️ Archives: ${report.extracted.length} files extracted, ${report.skipped.length} skipped`);
+  }
+
+  return { files: results, report };
+};
@@ -0,0 +1,124 @@
+// Incremental tokenizer for delimited text. Handles quoted fields, escaped
+// quotes ("") and newlines inside quotes, and keeps its state between chunks
+// so large exports can be fed in slices.
+const createCSVTokenizer = (delimiter = ',') => {
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let pendingQuote = false;
+  let skipLineFeed = false;
+  let isFirstChunk = true;
+
+  const endRow = (rows) => {
+    row.push(field);
+    field = '';
+    if (row.some(value => value.trim() !== '')) {
+      rows.push(row);
+    }
+    row = [];
+  };
+
+  const push = (chunk) => {
+    const rows = [];
+    let input = chunk;
+
+    if (isFirstChunk) {
+      isFirstChunk = false;
+      if (input.charCodeAt(0) === 0xfeff) input = input.slice(1);
+    }
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+
+      if (skipLineFeed) {
+        skipLineFeed = false;
+        if (char === '\n') continue;
+      }
+
+      if (pendingQuote) {
+        pendingQuote = false;
+        if (char === '"') {
+          field += '"';
+          continue;
+        }
+        inQuotes = false;
+      }
+
+      if (inQuotes) {
+        if (char === '"') {
+          pendingQuote = true;
+        } else {
+          field += char;
+        }
+        continue;
+      }
+
+      if (char === '"' && field === '') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        skipLineFeed = char === '\r';
+        endRow(rows);
+      } else {
+        field += char;
+      }
+    }
+
+    return rows;
+  };
+
+  const flush = () => {
+    const rows = [];
+    endRow(rows);
+    return rows;
+  };
+
+  return { push, flush };
+};
+
+// Splits delimited text into rows of string fields.
+export const parseCSVText = (text, delimiter = ',') => {
+  const tokenizer = createCSVTokenizer(delimiter);
+  return [...tokenizer.push(text), ...tokenizer.flush()];
+};
+
+// Streaming counterpart of parseJSONL: reads the file in 1MB slices and
+// resolves with every row as an array of string fields.
+export const parseCSV = async (file, onProgress, delimiter = ',') => {
+  const tokenizer = createCSVTokenizer(delimiter);
+  const decoder = new TextDecoder('utf-8');
+  const results = [];
+  const chunkSize = 1024 * 1024;
+  const totalBytes = file.size;
+
+  for (let offset = 0; offset < totalBytes; offset += chunkSize) {
+    const buffer = await file.slice(offset, offset + chunkSize).arrayBuffer();
+    const text = decoder.decode(buffer, { stream: true });
+
+    for (const row of tokenizer.push(text)) {
+      results.push(row);
+    }
+
+    if (onProgress) {
+      const processed = Math.min(offset + chunkSize, totalBytes);
+      onProgress({
+        processed,
+        total: totalBytes,
+        percentage: Math.round((processed / totalBytes) * 100)
+      });
+    }
+  }
+
+  for (const row of tokenizer.push(decoder.decode())) {
+    results.push(row);
+  }
+  results.push(...tokenizer.flush());
+
+  return results;
+};
+
+export const isCSVFile = (filename) => {
+  return filename.toLowerCase().endsWith('.csv');
+};
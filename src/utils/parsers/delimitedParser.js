@@ -0,0 +1,254 @@
+import { parseCSVText } from './csvParser';
+import { getItem, setItem, StorageType } from '../storage/secureStorage';
+
+// ═══════════════════════════════════════════════════════════
+// GENERIC DELIMITED (CSV/TSV) IMPORT WITH COLUMN MAPPING
+// ═══════════════════════════════════════════════════════════
+
+export const CANDIDATE_DELIMITERS = [',', '\t', ';', '|'];
+const MAPPINGS_STORAGE_KEY = 'musicquest_csv_mappings';
+const SAMPLE_BYTES = 64 * 1024;
+
+export const MAPPING_FIELDS = ['artist', 'track', 'album', 'timestamp'];
+export const REQUIRED_MAPPING_FIELDS = ['artist', 'track', 'timestamp'];
+
+const COLUMN_SYNONYMS = {
+  artist: ['artist', 'artist name', 'artistname', 'artists', 'performer', 'album artist', 'creator'],
+  track: ['track', 'track name', 'trackname', 'title', 'song', 'song name', 'song title', 'name'],
+  album: ['album', 'album name', 'albumname', 'release', 'release name', 'record'],
+  timestamp: [
+    'timestamp', 'time', 'date', 'datetime', 'date time', 'played at', 'played', 'listened at',
+    'scrobble time', 'uts', 'utc time', 'start time', 'end time', 'ts'
+  ]
+};
+
+export const isDelimitedFile = (filename) => {
+  return /\.(csv|tsv)$/i.test(filename);
+};
+
+const normalizeHeaderCell = (cell) => {
+  return String(cell || '').trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+};
+
+// Picks the delimiter that splits the sample into the most consistent,
+// multi-column rows.
+export const sniffDelimiter = (sampleText) => {
+  let best = { delimiter: ',', score: 0 };
+
+  CANDIDATE_DELIMITERS.forEach(delimiter => {
+    const rows = parseCSVText(sampleText, delimiter).slice(0, 20);
+    if (rows.length === 0) return;
+
+    const width = rows[0].length;
+    if (width < 2) return;
+
+    const consistent = rows.filter(row => row.length === width).length;
+    const score = (consistent / rows.length) * width;
+
+    if (score > best.score) {
+      best = { delimiter, score };
+    }
+  });
+
+  return best.delimiter;
+};
+
+// Accepts Unix seconds/milliseconds, ISO 8601 and "YYYY-MM-DD HH:MM[:SS]".
+// Times without a timezone are read as UTC, like the service exports.
+export const parseTimestampCell = (value) => {
+  if (value === null || value === undefined) return null;
+  const trimmed = String(value).trim();
+  if (!trimmed) return null;
+
+  if (/^\d{9,13}(\.\d+)?$/.test(trimmed)) {
+    const number = Number(trimmed);
+    return Math.floor(number > 10000000000 ? number / 1000 : number);
+  }
+
+  const naive = trimmed.match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?$/);
+  if (naive) {
+    const [, year, month, day, hour, minute, second] = naive.map(Number);
+    return Math.floor(Date.UTC(year, month - 1, day, hour, minute, second || 0) / 1000);
+  }
+
+  // Bare numbers and short strings are not dates, even if Date accepts them
+  if (/^\d+$/.test(trimmed) || trimmed.length < 8) return null;
+
+  const date = new Date(trimmed);
+  return isNaN(date.getTime()) ? null : Math.floor(date.getTime() / 1000);
+};
+
+const findColumnBySynonyms = (header, field, taken) => {
+  const synonyms = COLUMN_SYNONYMS[field];
+  for (const synonym of synonyms) {
+    const index = header.findIndex((cell, i) => !taken.has(i) && normalizeHeaderCell(cell) === synonym);
+    if (index !== -1) return index;
+  }
+  return null;
+};
+
+export const detectHeaderRow = (rows) => {
+  if (rows.length < 2) return false;
+  const [first, ...rest] = rows;
+
+  if (first.some(cell => MAPPING_FIELDS.some(field => COLUMN_SYNONYMS[field].includes(normalizeHeaderCell(cell))))) {
+    return true;
+  }
+
+  // A column that holds timestamps everywhere except in the first row
+  return first.some((cell, i) => {
+    return parseTimestampCell(cell) === null &&
+      rest.slice(0, 10).every(row => parseTimestampCell(row[i]) !== null);
+  });
+};
+
+export const guessColumnMapping = (rows, hasHeader) => {
+  const header = hasHeader ? rows[0] : [];
+  const sampleRows = (hasHeader ? rows.slice(1) : rows).slice(0, 20);
+  const columnCount = Math.max(0, ...rows.slice(0, 20).map(row => row.length));
+  const taken = new Set();
+  const mapping = { hasHeader, artist: null, track: null, album: null, timestamp: null };
+
+  if (hasHeader) {
+    MAPPING_FIELDS.forEach(field => {
+      const index = findColumnBySynonyms(header, field, taken);
+      if (index !== null) {
+        mapping[field] = index;
+        taken.add(index);
+      }
+    });
+  }
+
+  if (mapping.timestamp === null) {
+    for (let i = 0; i < columnCount; i++) {
+      if (taken.has(i)) continue;
+      const parsed = sampleRows.filter(row => parseTimestampCell(row[i]) !== null).length;
+      if (sampleRows.length > 0 && parsed / sampleRows.length >= 0.8) {
+        mapping.timestamp = i;
+        taken.add(i);
+        break;
+      }
+    }
+  }
+
+  // Without a usable header, fall back to the remaining text columns in
+  // artist, track, album order (the layout most scrobble exports use)
+  ['artist', 'track', 'album'].forEach(field => {
+    if (mapping[field] !== null) return;
+    for (let i = 0; i < columnCount; i++) {
+      if (taken.has(i)) continue;
+      const hasText = sampleRows.some(row => (row[i] || '').trim() !== '');
+      if (hasText) {
+        mapping[field] = i;
+        taken.add(i);
+        break;
+      }
+    }
+  });
+
+  return mapping;
+};
+
+export const isMappingComplete = (mapping) => {
+  return !!mapping && REQUIRED_MAPPING_FIELDS.every(field => Number.isInteger(mapping[field]));
+};
+
+export const getHeaderSignature = (rows, hasHeader, delimiter) => {
+  if (hasHeader) {
+    return `header:${rows[0].map(normalizeHeaderCell).join('|')}`;
+  }
+  const columnCount = rows[0]?.length || 0;
+  return `headerless:${columnCount}:${delimiter === '\t' ? 'tab' : delimiter}`;
+};
+
+const loadSavedMappings = () => {
+  try {
+    return JSON.parse(getItem(MAPPINGS_STORAGE_KEY, StorageType.LOCAL) || '{}');
+  } catch (error) {
+    console.warn('Failed to read saved column mappings:', error);
+    return {};
+  }
+};
+
+export const getSavedMapping = (signature) => {
+  return loadSavedMappings()[signature] || null;
+};
+
+export const saveMapping = (signature, mapping) => {
+  const mappings = loadSavedMappings();
+  mappings[signature] = mapping;
+  return setItem(MAPPINGS_STORAGE_KEY, JSON.stringify(mappings), StorageType.LOCAL);
+};
+
+// Reads the first few KB of a file and returns what the mapping step needs.
+// The delimiter is sniffed unless one is passed in.
+export const sampleDelimitedFile = async (file, delimiterOverride = null) => {
+  const sampleText = await file.slice(0, SAMPLE_BYTES).text();
+  const delimiter = delimiterOverride ||
+    (file.name.toLowerCase().endsWith('.tsv') ? '\t' : sniffDelimiter(sampleText));
+
+  let rows = parseCSVText(sampleText, delimiter);
+  // The last sampled row may be cut off mid-line
+  if (file.size > SAMPLE_BYTES && rows.length > 1) {
+    rows = rows.slice(0, -1);
+  }
+
+  const hasHeader = detectHeaderRow(rows);
+  const signature = getHeaderSignature(rows, hasHeader, delimiter);
+
+  return {
+    delimiter,
+    rows: rows.slice(0, 50),
+    hasHeader,
+    signature,
+    guessedMapping: guessColumnMapping(rows, hasHeader)
+  };
+};
+
+export const parseDelimitedRows = (rows, mapping) => {
+  const dataRows = mapping.hasHeader ? rows.slice(1) : rows;
+
+  const cell = (row, field) => {
+    const index = mapping[field];
+    if (!Number.isInteger(index)) return null;
+    const value = row[index]?.trim();
+    return value || null;
+  };
+
+  const listens = [];
+  let skipped = 0;
+
+  dataRows.forEach(row => {
+    const trackName = cell(row, 'track');
+    const artistName = cell(row, 'artist');
+    const originalTs = cell(row, 'timestamp');
+    const listenedAt = parseTimestampCell(originalTs);
+
+    if (!trackName || !artistName || listenedAt === null) {
+      skipped++;
+      return;
+    }
+
+    listens.push({
+      listened_at: listenedAt,
+      track_metadata: {
+        track_name: trackName,
+        artist_name: artistName,
+        release_name: cell(row, 'album'),
+        additional_info: {
+          original_timestamp: originalTs
+        }
+      },
+      genre: null,
+      source: 'csv'
+    });
+  });
+
+  console.log(`📊 CSV: ${listens.length} valid out of ${dataRows.length} rows (${skipped} skipped)`);
+
+  return {
+    listens,
+    format: 'csv',
+    parsedAt: Date.now()
+  };
+};
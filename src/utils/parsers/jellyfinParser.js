@@ -0,0 +1,138 @@
+// Jellyfin / Emby Playback Reporting plugin. The plugin's "Export" button
+// writes its PlaybackActivity table as tab-separated rows without a header:
+// DateCreated, UserId, ItemId, ItemType, ItemName, PlaybackMethod,
+// ClientName, DeviceName, PlayDuration (s)
+// Its custom query endpoint returns the same table as JSON:
+// { colums: [...], results: [[...], ...] } ("colums" is the plugin's spelling)
+const PLAYBACK_COLUMNS = [
+  'DateCreated', 'UserId', 'ItemId', 'ItemType', 'ItemName',
+  'PlaybackMethod', 'ClientName', 'DeviceName', 'PlayDuration'
+];
+
+const ITEM_TYPES = ['Audio', 'AudioBook', 'Episode', 'Movie', 'MusicVideo', 'Video', 'TvChannel', 'Book'];
+
+// Plays shorter than this are treated as skips and dropped
+const MIN_PLAY_SECONDS = 30;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}/;
+
+const isHeaderRow = (row) => {
+  return Array.isArray(row) && row.some(cell => String(cell).trim() === 'DateCreated');
+};
+
+const isActivityRow = (row) => {
+  return Array.isArray(row) &&
+    row.length >= PLAYBACK_COLUMNS.length &&
+    DATE_PATTERN.test(String(row[0]).trim()) &&
+    ITEM_TYPES.includes(String(row[3]).trim());
+};
+
+export const isJellyfinPlaybackRows = (rows) => {
+  if (!Array.isArray(rows) || rows.length === 0) return false;
+  const dataRows = isHeaderRow(rows[0]) ? rows.slice(1) : rows;
+  return dataRows.length > 0 && dataRows.slice(0, 20).every(isActivityRow);
+};
+
+export const isJellyfinPlaybackExport = (data) => {
+  if (Array.isArray(data)) {
+    const first = data[0];
+    return !!first && typeof first === 'object' && !Array.isArray(first) &&
+      'DateCreated' in first && 'ItemType' in first && 'ItemName' in first;
+  }
+  return !!data && Array.isArray(data.results) && Array.isArray(data.colums || data.columns);
+};
+
+// Brings every variant to a header row followed by data rows
+const toRows = (data) => {
+  if (!Array.isArray(data)) {
+    return [data.colums || data.columns, ...data.results];
+  }
+  if (Array.isArray(data[0])) {
+    return isHeaderRow(data[0]) ? data : [PLAYBACK_COLUMNS, ...data];
+  }
+  return [PLAYBACK_COLUMNS, ...data.map(item => PLAYBACK_COLUMNS.map(column => item[column] ?? ''))];
+};
+
+// Audio items are recorded as "Artist - Title (Album)"
+const splitItemName = (itemName) => {
+  const match = itemName.match(/^(.+?) - (.+?)(?: \(([^()]*)\))?$/);
+  if (!match) {
+    return { artist: null, title: itemName, album: null };
+  }
+  return { artist: match[1].trim(), title: match[2].trim(), album: match[3]?.trim() || null };
+};
+
+// DateCreated is the server's local time without an offset. The server's
+// timezone is unknown, so the browser's is assumed.
+const parseLocalDate = (value) => {
+  const match = value.match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?/);
+  if (!match) return null;
+  const [, year, month, day, hour, minute, second] = match.map(Number);
+  const date = new Date(year, month - 1, day, hour, minute, second || 0);
+  return isNaN(date.getTime()) ? null : Math.floor(date.getTime() / 1000);
+};
+
+export const parseJellyfinPlayback = (data) => {
+  const [headerRow, ...dataRows] = toRows(data);
+  const header = {};
+  headerRow.forEach((cell, i) => {
+    header[String(cell).trim()] = i;
+  });
+
+  const cell = (row, column) => {
+    const index = header[column];
+    if (index === undefined) return null;
+    const value = String(row[index] ?? '').trim();
+    return value || null;
+  };
+
+  const listens = [];
+  let otherMedia = 0;
+  let skipped = 0;
+
+  dataRows.forEach(row => {
+    if (cell(row, 'ItemType') !== 'Audio') {
+      otherMedia++;
+      return;
+    }
+
+    const originalTs = cell(row, 'DateCreated');
+    const listenedAt = originalTs ? parseLocalDate(originalTs) : null;
+    const { artist, title, album } = splitItemName(cell(row, 'ItemName') || '');
+    const duration = cell(row, 'PlayDuration');
+    const seconds = duration === null ? null : Number(duration);
+
+    if (!artist || !title || listenedAt === null || (seconds !== null && seconds < MIN_PLAY_SECONDS)) {
+      skipped++;
+      return;
+    }
+
+    listens.push({
+      listened_at: listenedAt,
+      track_metadata: {
+        track_name: title,
+        artist_name: artist,
+        release_name: album,
+        additional_info: {
+          ms_played: seconds !== null ? seconds * 1000 : null,
+          jellyfin_item_id: cell(row, 'ItemId'),
+          playback_method: cell(row, 'PlaybackMethod'),
+          client_name: cell(row, 'ClientName'),
+          device_name: cell(row, 'DeviceName'),
+          original_timestamp: originalTs
+        }
+      },
+      genre: null,
+      source: 'jellyfin'
+    });
+  });
+
+  console.log(`📊 Jellyfin: ${listens.length} valid out of ${dataRows.length} total`);
+  console.log(`🔍 Filtered out ${skipped} entries (short plays/incomplete rows) and ${otherMedia} video/other items`);
+
+  return {
+    listens,
+    format: 'jellyfin',
+    parsedAt: Date.now()
+  };
+};
@@ -0,0 +1,148 @@
+// Incremental reader for JSON files whose top level is an array (ListenBrainz,
+// Spotify and Takeout exports). The file is read in 1MB slices and each array
+// element is parsed on its own, so neither the whole text nor a re-stringified
+// copy is ever held in memory.
+//
+// stream-json is not used here: it is built on Node's `stream` and `events`
+// modules, which are not available in the browser bundle.
+//
+// Elements are handed to onItems in batches. When the top level is not an
+// array (e.g. a ListenBrainz API response object), the file is parsed whole
+// and returned as `value`.
+export const streamJSONArray = async (file, { onItems, onProgress, batchSize = 10000 } = {}) => {
+  const decoder = new TextDecoder('utf-8');
+  const chunkSize = 1024 * 1024;
+  const totalBytes = file.size;
+
+  let mode = null; // 'array' | 'value'
+  let done = false;
+  let valueText = '';
+
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let inElement = false;
+  let carry = '';
+  let batch = [];
+  let itemCount = 0;
+
+  const emit = (elementText) => {
+    batch.push(JSON.parse(elementText));
+    itemCount++;
+    if (batch.length >= batchSize) {
+      onItems(batch);
+      batch = [];
+    }
+  };
+
+  const scan = (text) => {
+    let i = 0;
+
+    if (mode === null) {
+      i = text.search(/[^\s\uFEFF]/);
+      if (i === -1) return;
+
+      if (text[i] !== '[') {
+        mode = 'value';
+      } else {
+        mode = 'array';
+        i++;
+      }
+    }
+
+    if (mode === 'value') {
+      valueText += text.slice(i);
+      return;
+    }
+
+    let segmentStart = inElement ? 0 : -1;
+
+    for (; i < text.length && !done; i++) {
+      const char = text[i];
+
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+        }
+        continue;
+      }
+
+      if (char === ',' && depth === 0) {
+        if (inElement) {
+          emit(carry + text.slice(segmentStart, i));
+          carry = '';
+          inElement = false;
+          segmentStart = -1;
+        }
+        continue;
+      }
+
+      if (char === ']' && depth === 0) {
+        if (inElement) {
+          emit(carry + text.slice(segmentStart, i));
+          carry = '';
+          inElement = false;
+        }
+        done = true;
+        break;
+      }
+
+      if (char === ' ' || char === '\n' || char === '\r' || char === '\t') {
+        continue;
+      }
+
+      if (!inElement) {
+        inElement = true;
+        segmentStart = i;
+      }
+
+      if (char === '"') {
+        inString = true;
+      } else if (char === '{' || char === '[') {
+        depth++;
+      } else if (char === '}' || char === ']') {
+        depth--;
+      }
+    }
+
+    if (inElement) {
+      carry += text.slice(segmentStart);
+    }
+  };
+
+  for (let offset = 0; offset < totalBytes && !done; offset += chunkSize) {
+    const buffer = await file.slice(offset, offset + chunkSize).arrayBuffer();
+    scan(decoder.decode(buffer, { stream: true }));
+
+    if (onProgress) {
+      const processed = Math.min(offset + chunkSize, totalBytes);
+      onProgress({
+        processed,
+        total: totalBytes,
+        percentage: Math.round((processed / totalBytes) * 100)
+      });
+    }
+  }
+
+  if (!done) scan(decoder.decode());
+
+  if (mode === null) {
+    throw new SyntaxError('Empty JSON file');
+  }
+
+  if (mode === 'value') {
+    return { value: JSON.parse(valueText) };
+  }
+
+  if (mode === 'array' && !done) {
+    throw new SyntaxError('Unexpected end of JSON array');
+  }
+
+  if (batch.length > 0) onItems(batch);
+
+  return { itemCount };
+};
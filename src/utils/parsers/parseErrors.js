@@ -0,0 +1,10 @@
+// Parsers throw this when a file holds no usable listens. A streamed JSON
+// file is parsed a batch at a time (see parseImportedJSONFile), and a batch
+// without any only fails the file if every other batch is empty too.
+export const NO_LISTENS_ERROR = 'NoListensError';
+
+export const noListensError = (message) => {
+  const error = new Error(message);
+  error.name = NO_LISTENS_ERROR;
+  return error;
+};
@@ -0,0 +1,242 @@
+import { parseTimestampCell } from './delimitedParser';
+import { noListensError } from './parseErrors';
+
+// Self-hosted scrobble servers.
+//
+// Maloja (maloja_export.json):
+// { maloja: {...}, scrobbles: [{ time, duration, origin,
+//   track: { artists: [...], title, length, album: { albumtitle, artists: [...] } } }] }
+//
+// multi-scrobbler cached/recent scrobbles, an array of play objects:
+// [{ data: { artists: [...], albumArtists: [...], album, track, duration,
+//   listenedFor, playDate, meta: { brainz } }, meta: { source, mediaPlayerName } }]
+// Failed (dead letter) scrobbles wrap the play object as { play: {...} }.
+//
+// Both keep every credited artist. The joined credit goes into artist_name
+// and the individual names into additional_info.artist_names, the same
+// field ListenBrainz uses.
+//
+// Navidrome play history: the Subsonic API only reports the last play of
+// each song (see api/subsonic.js), but Navidrome's database records every
+// play in its scrobbles table. NAVIDROME_EXPORT_QUERY, run with
+// `sqlite3 -header -csv navidrome.db`, writes it as CSV with a header row.
+
+const ARTIST_SEPARATOR = ', ';
+
+export const NAVIDROME_EXPORT_QUERY =
+  'SELECT s.submission_time, s.media_file_id, m.title, m.artist, m.album, m.duration, m.mbz_recording_id ' +
+  'FROM scrobbles s JOIN media_file m ON m.id = s.media_file_id';
+
+const cleanNames = (names) => {
+  return (Array.isArray(names) ? names : [names])
+    .map(name => (typeof name === 'string' ? name.trim() : ''))
+    .filter(Boolean);
+};
+
+const secondsToMs = (seconds) => {
+  const number = Number(seconds);
+  return Number.isFinite(number) && number > 0 ? Math.round(number * 1000) : null;
+};
+
+// ═══════════════════════════════════════════════════════════
+// MALOJA
+// ═══════════════════════════════════════════════════════════
+
+const getMalojaScrobbles = (data) => {
+  return Array.isArray(data) ? data : (data?.scrobbles || []);
+};
+
+const isMalojaScrobble = (item) => {
+  return !!item && typeof item.time === 'number' && !!item.track && Array.isArray(item.track.artists);
+};
+
+export const isMalojaExport = (data) => {
+  if (!data || typeof data !== 'object') return false;
+  const scrobbles = getMalojaScrobbles(data);
+  return Array.isArray(scrobbles) && scrobbles.length > 0 && isMalojaScrobble(scrobbles[0]);
+};
+
+export const parseMalojaExport = (data) => {
+  const scrobbles = getMalojaScrobbles(data);
+  const listens = [];
+  let skipped = 0;
+
+  scrobbles.forEach(scrobble => {
+    const track = scrobble?.track || {};
+    const artists = cleanNames(track.artists);
+    const title = typeof track.title === 'string' ? track.title.trim() : '';
+
+    if (!isMalojaScrobble(scrobble) || artists.length === 0 || !title) {
+      skipped++;
+      return;
+    }
+
+    // Older exports store the album as a plain title
+    const album = typeof track.album === 'string' ? { albumtitle: track.album } : track.album;
+    const albumArtists = cleanNames(album?.artists || []);
+
+    listens.push({
+      listened_at: Math.floor(scrobble.time),
+      track_metadata: {
+        track_name: title,
+        artist_name: artists.join(ARTIST_SEPARATOR),
+        release_name: album?.albumtitle || null,
+        additional_info: {
+          artist_names: artists,
+          release_artist_names: albumArtists.length > 0 ? albumArtists : null,
+          duration_ms: secondsToMs(track.length),
+          ms_played: secondsToMs(scrobble.duration),
+          submission_client: scrobble.origin || null
+        }
+      },
+      genre: null,
+      source: 'maloja'
+    });
+  });
+
+  console.log(`📊 Maloja: ${listens.length} valid out of ${scrobbles.length} total (${skipped} incomplete)`);
+
+  return {
+    listens,
+    format: 'maloja',
+    parsedAt: Date.now()
+  };
+};
+
+// ═══════════════════════════════════════════════════════════
+// MULTI-SCROBBLER
+// ═══════════════════════════════════════════════════════════
+
+const unwrapPlay = (item) => {
+  return item?.play?.data ? item.play : item;
+};
+
+const isPlayObject = (item) => {
+  const play = unwrapPlay(item);
+  return !!play?.data &&
+    typeof play.data.track === 'string' &&
+    Array.isArray(play.data.artists) &&
+    play.data.playDate !== undefined;
+};
+
+export const isMultiScrobblerExport = (data) => {
+  return Array.isArray(data) && data.length > 0 && isPlayObject(data[0]);
+};
+
+export const parseMultiScrobblerExport = (data) => {
+  const items = Array.isArray(data) ? data : [];
+  const listens = [];
+  let skipped = 0;
+
+  items.forEach(item => {
+    const play = unwrapPlay(item);
+    const info = play?.data || {};
+    const artists = cleanNames(info.artists || []);
+    const albumArtists = cleanNames(info.albumArtists || []);
+    const title = typeof info.track === 'string' ? info.track.trim() : '';
+    const listenedAt = parseTimestampCell(info.playDate);
+
+    if (!isPlayObject(item) || artists.length === 0 || !title || listenedAt === null) {
+      skipped++;
+      return;
+    }
+
+    listens.push({
+      listened_at: listenedAt,
+      track_metadata: {
+        track_name: title,
+        artist_name: artists.join(ARTIST_SEPARATOR),
+        release_name: info.album || null,
+        additional_info: {
+          artist_names: artists,
+          release_artist_names: albumArtists.length > 0 ? albumArtists : null,
+          recording_mbid: info.meta?.brainz?.track || null,
+          duration_ms: secondsToMs(info.duration),
+          ms_played: secondsToMs(info.listenedFor),
+          submission_client: play.meta?.source || null,
+          media_player: play.meta?.mediaPlayerName || null,
+          original_timestamp: String(info.playDate)
+        }
+      },
+      genre: null,
+      source: 'multi_scrobbler'
+    });
+  });
+
+  console.log(`📊 multi-scrobbler: ${listens.length} valid out of ${items.length} total (${skipped} incomplete)`);
+
+  return {
+    listens,
+    format: 'multi_scrobbler',
+    parsedAt: Date.now()
+  };
+};
+
+// ═══════════════════════════════════════════════════════════
+// NAVIDROME
+// ═══════════════════════════════════════════════════════════
+
+const NAVIDROME_COLUMNS = ['submission_time', 'media_file_id', 'title', 'artist'];
+
+const getNavidromeColumns = (headerRow) => {
+  const index = {};
+  headerRow.forEach((cell, i) => {
+    index[String(cell).trim().toLowerCase()] = i;
+  });
+  return index;
+};
+
+export const isNavidromeScrobbleRows = (rows) => {
+  if (!Array.isArray(rows) || !Array.isArray(rows[0])) return false;
+  const columns = getNavidromeColumns(rows[0]);
+  return NAVIDROME_COLUMNS.every(column => column in columns);
+};
+
+// Plays keep the song id as subsonic_id, so a play that a library scan also
+// brought in is recognized as the same one (see getListenDedupeKey)
+export const parseNavidromeScrobbles = (rows) => {
+  const columns = getNavidromeColumns(rows[0]);
+  const cell = (row, column) => (column in columns ? String(row[columns[column]] ?? '').trim() : '');
+  const entries = rows.slice(1);
+  const listens = [];
+
+  entries.forEach(row => {
+    const title = cell(row, 'title');
+    const artist = cell(row, 'artist');
+    const songId = cell(row, 'media_file_id');
+    const listenedAt = parseTimestampCell(cell(row, 'submission_time'));
+
+    if (!title || !artist || !songId || listenedAt === null) {
+      return;
+    }
+
+    listens.push({
+      listened_at: listenedAt,
+      track_metadata: {
+        track_name: title,
+        artist_name: artist,
+        release_name: cell(row, 'album') || null,
+        additional_info: {
+          recording_mbid: cell(row, 'mbz_recording_id') || null,
+          duration_ms: secondsToMs(cell(row, 'duration')),
+          subsonic_id: songId,
+          original_timestamp: cell(row, 'submission_time')
+        }
+      },
+      genre: null,
+      source: 'subsonic'
+    });
+  });
+
+  console.log(`📊 Navidrome: ${listens.length} valid out of ${entries.length} plays`);
+
+  if (listens.length === 0) {
+    throw noListensError('No plays found in Navidrome export');
+  }
+
+  return {
+    listens,
+    format: 'navidrome',
+    parsedAt: Date.now()
+  };
+};
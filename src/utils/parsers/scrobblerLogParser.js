@@ -0,0 +1,112 @@
+// Portable players (Rockbox, iPod scrobblers, some Android apps) write the
+// AUDIOSCROBBLER/1.1 .scrobbler.log: a few "#" header lines, then one
+// tab-separated row per play:
+// artist, album, title, track number, length (s), rating (L/S), timestamp, [mbid]
+const SCROBBLER_LOG_HEADER = '#AUDIOSCROBBLER/';
+
+export const isScrobblerLogFile = (filename) => {
+  return filename.toLowerCase().endsWith('.log');
+};
+
+export const isScrobblerLogText = (text) => {
+  return text.replace(/^\uFEFF/, '').trimStart().startsWith(SCROBBLER_LOG_HEADER);
+};
+
+// Fields are never quoted in this format, so rows are split on tabs directly
+// rather than through the CSV tokenizer (titles may contain stray quotes).
+export const splitScrobblerLog = (text) => {
+  return text
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .filter(line => line.trim() !== '')
+    .map(line => line.split('\t'));
+};
+
+export const isScrobblerLog = (rows) => {
+  return Array.isArray(rows?.[0]) && String(rows[0][0]).startsWith(SCROBBLER_LOG_HEADER);
+};
+
+const getHeaderValue = (rows, name) => {
+  const prefix = `#${name}/`;
+  const line = rows.find(row => row[0].startsWith(prefix));
+  return line ? line.join('\t').slice(prefix.length).trim() : null;
+};
+
+// "#TZ/UNKNOWN" timestamps are the player's wall-clock time written as if it
+// were UTC. Without the device offset, the browser's timezone is assumed.
+const fromUnknownTimezone = (seconds) => {
+  const wallClock = new Date(seconds * 1000);
+  const local = new Date(
+    wallClock.getUTCFullYear(),
+    wallClock.getUTCMonth(),
+    wallClock.getUTCDate(),
+    wallClock.getUTCHours(),
+    wallClock.getUTCMinutes(),
+    wallClock.getUTCSeconds()
+  );
+  return Math.floor(local.getTime() / 1000);
+};
+
+export const parseScrobblerLog = (rows) => {
+  const timezone = (getHeaderValue(rows, 'TZ') || 'UNKNOWN').toUpperCase();
+  const client = getHeaderValue(rows, 'CLIENT');
+  const isUTC = timezone === 'UTC';
+  const entries = rows.filter(row => !row[0].startsWith('#'));
+
+  const listens = [];
+  let skipped = 0;
+
+  entries.forEach(row => {
+    const [artist, album, title, trackNumber, length, rating, timestamp, mbid] = row.map(cell => cell?.trim());
+    const seconds = Number(timestamp);
+
+    if (!artist || !title || !timestamp || !Number.isFinite(seconds) || seconds <= 0) {
+      return;
+    }
+
+    // "S" marks a skip (played less than half the track), the log's
+    // equivalent of a Spotify play shorter than 30 seconds
+    if (rating === 'S') {
+      skipped++;
+      return;
+    }
+
+    const lengthSeconds = Number(length);
+    const listenedAt = isUTC ? Math.floor(seconds) : fromUnknownTimezone(Math.floor(seconds));
+
+    listens.push({
+      listened_at: listenedAt,
+      track_metadata: {
+        track_name: title,
+        artist_name: artist,
+        release_name: album || null,
+        additional_info: {
+          tracknumber: trackNumber || null,
+          duration_ms: Number.isFinite(lengthSeconds) && lengthSeconds > 0 ? lengthSeconds * 1000 : null,
+          rating: rating || null,
+          recording_mbid: mbid || null,
+          scrobbler_client: client,
+          timezone: isUTC ? 'UTC' : 'unknown',
+          // The log doesn't say where it was written; the offset assumed
+          // above is only the browser's, so none is stored with the listen
+          tz_offset: null,
+          original_timestamp: timestamp
+        }
+      },
+      genre: null,
+      source: 'scrobbler_log'
+    });
+  });
+
+  console.log(`📊 Scrobbler log: ${listens.length} valid out of ${entries.length} entries (${skipped} skipped plays, TZ/${timezone})`);
+
+  if (listens.length === 0) {
+    throw new Error('No listened (L) entries found in .scrobbler.log');
+  }
+
+  return {
+    listens,
+    format: 'scrobbler_log',
+    parsedAt: Date.now()
+  };
+};
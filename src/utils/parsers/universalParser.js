@@ -1,28 +1,49 @@
+import { parseCSVText, isCSVFile } from './csvParser';
+import { isYouTubeMusicHistory, parseYouTubeMusicHistory } from './youtubeMusicParser';
+import { streamJSONArray } from './jsonStreamParser';
+import { isScrobblerLogText, splitScrobblerLog, isScrobblerLog, parseScrobblerLog } from './scrobblerLogParser';
+import { parseTimestampCell } from './delimitedParser';
+import { isJellyfinPlaybackRows, isJellyfinPlaybackExport, parseJellyfinPlayback } from './jellyfinParser';
+import {
+  isMalojaExport,
+  parseMalojaExport,
+  isMultiScrobblerExport,
+  parseMultiScrobblerExport,
+  isNavidromeScrobbleRows,
+  parseNavidromeScrobbles
+} from './scrobblerExportParser';
+import { ListenKind } from '../listenKinds';
+import { inferTimezoneFromCountry } from '../timezones';
+import { noListensError, NO_LISTENS_ERROR } from './parseErrors';
+
 // ═══════════════════════════════════════════════════════════
-// UNIVERSAL DATA PARSER - Spotify + ListenBrainz
+// UNIVERSAL DATA PARSER - Spotify, ListenBrainz, Last.fm, Apple Music, YouTube Music,
+// Deezer, Tidal, Jellyfin, Navidrome, Maloja, multi-scrobbler, .scrobbler.log
 // ═══════════════════════════════════════════════════════════
 
+// Plays shorter than this are treated as skips and dropped
+const MIN_PLAY_MS = 30000;
+
+// Array elements held back while a streamed file's format is still unknown,
+// in batches of streamJSONArray's batchSize
+const MAX_UNDETECTED_BATCHES = 5;
+
 export function parseImportedData(fileContent, fileName) {
   console.log('📄 Parsing file:', fileName);
   
   try {
-    const parsed = JSON.parse(fileContent);
+    const parsed = typeof fileContent !== 'string'
+      ? fileContent
+      : isScrobblerLogText(fileContent)
+        ? splitScrobblerLog(fileContent)
+        : isDelimitedContent(fileContent, fileName)
+          ? parseCSVText(fileContent)
+          : JSON.parse(fileContent);
     const format = detectDataFormat(parsed, fileName);
     
     console.log(`✅ Detected format: ${format}`);
     
-    let result;
-    
-    switch (format) {
-      case 'listenbrainz':
-        result = parseListenBrainzFormat(parsed);
-        break;
-      case 'spotify':
-        result = parseSpotifyFormat(parsed);
-        break;
-      default:
-        throw new Error(`Unsupported format: ${format}`);
-    }
+    const result = parseDetectedFormat(parsed, format);
     
     console.log(`📊 Parsed ${result.listens.length} listens from ${fileName}`);
     return result;
@@ -36,6 +57,156 @@ export function parseImportedData(fileContent, fileName) {
   }
 }
 
+// Streams a .json file: top-level arrays are parsed in batches as they are
+// read, so the raw objects of one batch at a time are kept in memory.
+export async function parseImportedJSONFile(file, onProgress) {
+  console.log('📄 Streaming file:', file.name);
+
+  let format = null;
+  let detectionError = null;
+  let emptyError = null;
+  const undetectedBatches = [];
+  const listens = [];
+  let streamed;
+
+  const parseBatch = (items) => {
+    let result;
+    try {
+      result = parseDetectedFormat(items, format);
+    } catch (error) {
+      // A batch of skips or non-music entries; an empty file fails below
+      if (error.name !== NO_LISTENS_ERROR) throw error;
+      emptyError = emptyError || error;
+      return;
+    }
+    for (const listen of result.listens) {
+      listens.push(listen);
+    }
+  };
+
+  try {
+    streamed = await streamJSONArray(file, {
+      onProgress,
+      onItems: (items) => {
+        if (!format) {
+          // Formats like Takeout watch history may only be recognizable
+          // further into the file, so earlier batches wait for detection,
+          // up to MAX_UNDETECTED_BATCHES of them
+          try {
+            format = detectDataFormat(items, file.name);
+          } catch (error) {
+            detectionError = error;
+            undetectedBatches.push(items);
+            if (undetectedBatches.length >= MAX_UNDETECTED_BATCHES) {
+              throw error;
+            }
+            return;
+          }
+          console.log(`✅ Detected format: ${format}`);
+          undetectedBatches.splice(0).forEach(parseBatch);
+        }
+        parseBatch(items);
+      }
+    });
+
+    if (!format && detectionError) {
+      throw detectionError;
+    }
+    if (format && listens.length === 0) {
+      throw emptyError || noListensError(`No listens found in ${file.name}`);
+    }
+  } catch (error) {
+    console.error('❌ Parse error:', error);
+    if (error instanceof SyntaxError) {
+      throw new Error('Invalid JSON file. Please check the file format.');
+    }
+    throw new Error(`Failed to parse file: ${error.message}`);
+  }
+
+  // Not an array (API responses, Last.fm pages): parse as a whole
+  if (streamed.value !== undefined) {
+    return parseImportedData(streamed.value, file.name);
+  }
+
+  console.log(`📊 Parsed ${listens.length} listens from ${file.name}`);
+  return {
+    listens,
+    format: format || 'unknown',
+    parsedAt: Date.now()
+  };
+}
+
+// Spreadsheet exports hold several sheets; the first one in a recognized
+// format is parsed.
+export function parseImportedWorkbook(sheets, fileName) {
+  for (const sheet of sheets) {
+    if (sheet.rows.length === 0) continue;
+
+    let format;
+    try {
+      format = detectDataFormat(sheet.rows, '');
+    } catch (error) {
+      continue;
+    }
+
+    console.log(`✅ Using sheet "${sheet.name}" of ${fileName} (${format})`);
+    return parseDetectedFormat(sheet.rows, format);
+  }
+
+  throw new Error(`No listening history sheet found in ${fileName}`);
+}
+
+function parseDetectedFormat(parsed, format) {
+  switch (format) {
+    case 'listenbrainz':
+      return parseListenBrainzFormat(parsed);
+    case 'subsonic':
+      return parseSubsonicScan(parsed);
+    case 'spotify':
+      return parseSpotifyFormat(parsed);
+    case 'spotify_account_data':
+      return parseSpotifyAccountDataFormat(parsed);
+    case 'lastfm':
+      return parseLastfmFormat(parsed);
+    case 'apple_music':
+      return parseAppleMusicFormat(parsed);
+    case 'youtube_music':
+      return parseYouTubeMusicHistory(parsed);
+    case 'scrobbler_log':
+      return parseScrobblerLog(parsed);
+    case 'deezer':
+      return parseDeezerFormat(parsed);
+    case 'tidal':
+      return parseTidalFormat(parsed);
+    case 'jellyfin':
+      return parseJellyfinPlayback(parsed);
+    case 'navidrome':
+      return parseNavidromeScrobbles(parsed);
+    case 'maloja':
+      return parseMalojaExport(parsed);
+    case 'multi_scrobbler':
+      return parseMultiScrobblerExport(parsed);
+    default:
+      throw new Error(`Unsupported format: ${format}`);
+  }
+}
+
+function isDelimitedContent(fileContent, fileName) {
+  if (isCSVFile(fileName)) return true;
+  return !/^\s*[[{]/.test(fileContent.replace(/^\uFEFF/, ''));
+}
+
+// Maps named CSV header cells to column indexes. Header names are compared
+// case-insensitively with spaces and underscores treated alike.
+function getHeaderIndex(headerRow) {
+  const index = {};
+  headerRow.forEach((cell, i) => {
+    const key = cell.trim().toLowerCase().replace(/[\s_]+/g, ' ');
+    if (!(key in index)) index[key] = i;
+  });
+  return index;
+}
+
 // ═══════════════════════════════════════════════════════════
 // FORMAT DETECTION
 // ═══════════════════════════════════════════════════════════
@@ -52,15 +223,68 @@ function detectDataFormat(data, fileName = '') {
   if (Array.isArray(data) && data.length > 0) {
     const first = data[0];
     
+    // Delimited rows (CSV, .scrobbler.log)
+    if (Array.isArray(first)) {
+      if (isScrobblerLog(data)) {
+        console.log('✅ Detected: Audioscrobbler .scrobbler.log');
+        return 'scrobbler_log';
+      }
+
+      if (isAppleMusicCSV(first)) {
+        console.log('✅ Detected: Apple Music Play Activity');
+        return 'apple_music';
+      }
+
+      if (isDeezerHistory(first)) {
+        console.log('✅ Detected: Deezer listening history');
+        return 'deezer';
+      }
+
+      if (isTidalHistory(first)) {
+        console.log('✅ Detected: Tidal streaming history');
+        return 'tidal';
+      }
+
+      if (isJellyfinPlaybackRows(data)) {
+        console.log('✅ Detected: Jellyfin Playback Reporting export');
+        return 'jellyfin';
+      }
+
+      if (isNavidromeScrobbleRows(data)) {
+        console.log('✅ Detected: Navidrome play history');
+        return 'navidrome';
+      }
+
+      if (isLastfmCSV(data)) {
+        console.log('✅ Detected: Last.fm scrobble CSV');
+        return 'lastfm';
+      }
+    }
+    
+    if (first.listened_at && first.track_metadata?.additional_info?.subsonic_id) {
+      console.log('✅ Detected: Navidrome / Subsonic library scan');
+      return 'subsonic';
+    }
+    
     if (first.listened_at && first.track_metadata) {
       console.log('✅ Detected: ListenBrainz export');
       return 'listenbrainz';
     }
     
-    if (first.ts && (first.master_metadata_track_name || first.episode_name)) {
+    if (first.ts && ('master_metadata_track_name' in first || 'episode_name' in first)) {
       console.log('✅ Detected: Spotify streaming history');
       return 'spotify';
     }
+    
+    if (first.endTime && first.msPlayed !== undefined && (first.trackName || first.artistName)) {
+      console.log('✅ Detected: Spotify account data (StreamingHistory_music)');
+      return 'spotify_account_data';
+    }
+    
+    if (isYouTubeMusicHistory(data)) {
+      console.log('✅ Detected: YouTube Music (Google Takeout watch history)');
+      return 'youtube_music';
+    }
   }
   
   // ListenBrainz API response
@@ -69,6 +293,30 @@ function detectDataFormat(data, fileName = '') {
     return 'listenbrainz';
   }
   
+  // Jellyfin Playback Reporting JSON (custom query response or saved records)
+  if (isJellyfinPlaybackExport(data)) {
+    console.log('✅ Detected: Jellyfin Playback Reporting JSON');
+    return 'jellyfin';
+  }
+  
+  // Maloja export ({ maloja, scrobbles } or the scrobbles array)
+  if (isMalojaExport(data)) {
+    console.log('✅ Detected: Maloja export');
+    return 'maloja';
+  }
+  
+  // multi-scrobbler cached or recent scrobbles
+  if (isMultiScrobblerExport(data)) {
+    console.log('✅ Detected: multi-scrobbler scrobbles');
+    return 'multi_scrobbler';
+  }
+  
+  // Last.fm user.getRecentTracks response (single page or saved array of pages)
+  if (data.recenttracks || (Array.isArray(data) && data[0]?.recenttracks)) {
+    console.log('✅ Detected: Last.fm recenttracks JSON');
+    return 'lastfm';
+  }
+  
   // Filename fallback
   const lowerFileName = fileName.toLowerCase();
   if (lowerFileName.includes('spotify') || lowerFileName.includes('streaming')) {
@@ -78,8 +326,16 @@ function detectDataFormat(data, fileName = '') {
   
   throw new Error(
     'Unable to detect file format. Please upload:\n' +
-    '• ListenBrainz JSON export, or\n' +
-    '• Spotify extended streaming history'
+    '• ListenBrainz JSON export,\n' +
+    '• Spotify extended streaming history or account data,\n' +
+    '• Last.fm scrobble export (CSV or recenttracks JSON),\n' +
+    '• Apple Music Play Activity CSV,\n' +
+    '• Google Takeout YouTube Music watch-history.json,\n' +
+    '• Deezer listening history (.xlsx) or Tidal streaming history CSV,\n' +
+    '• Jellyfin/Emby Playback Reporting export (TSV or JSON),\n' +
+    '• Navidrome play history CSV (scrobbles table of navidrome.db),\n' +
+    '• Maloja maloja_export.json or multi-scrobbler scrobbles JSON, or\n' +
+    '• Rockbox/Audioscrobbler .scrobbler.log'
   );
 }
 
@@ -91,7 +347,7 @@ function parseListenBrainzFormat(data) {
   const listens = Array.isArray(data) ? data : (data.payload?.listens || []);
   
   if (listens.length === 0) {
-    throw new Error('No listens found in ListenBrainz file');
+    throw noListensError('No listens found in ListenBrainz file');
   }
   
   return {
@@ -111,6 +367,17 @@ function parseListenBrainzFormat(data) {
   };
 }
 
+// Listens fetched by the Subsonic client (see api/subsonic.js) are already
+// in ListenBrainz form; only the source differs
+function parseSubsonicScan(data) {
+  const result = parseListenBrainzFormat(data);
+  return {
+    ...result,
+    listens: result.listens.map(listen => ({ ...listen, source: 'subsonic' })),
+    format: 'subsonic'
+  };
+}
+
 // ═══════════════════════════════════════════════════════════
 // SPOTIFY PARSER WITH TIMESTAMP CONVERSION
 // ═══════════════════════════════════════════════════════════
@@ -119,15 +386,14 @@ function parseSpotifyFormat(data) {
   const listens = Array.isArray(data) ? data : [];
   
   if (listens.length === 0) {
-    throw new Error('No listens found in Spotify file');
+    throw noListensError('No listens found in Spotify file');
   }
   
-  // Filter valid entries (music tracks only, min 30 seconds)
+  // Filter valid entries (tracks, podcast episodes and audiobooks, min 30 seconds)
   const validListens = listens.filter(item => {
     return item.ts && 
-           item.master_metadata_track_name && 
-           item.master_metadata_album_artist_name &&
-           (item.ms_played || 0) >= 30000;
+           getSpotifyListenKind(item) !== null &&
+           (item.ms_played || 0) >= MIN_PLAY_MS;
   });
   
   console.log(`📊 Spotify: ${validListens.length} valid out of ${listens.length} total`);
@@ -148,23 +414,22 @@ function parseSpotifyFormat(data) {
       });
     }
     
+    const kind = getSpotifyListenKind(item);
+    
     return {
       listened_at: unixTimestamp,
-      track_metadata: {
-        track_name: item.master_metadata_track_name,
-        artist_name: item.master_metadata_album_artist_name,
-        release_name: item.master_metadata_album_album_name || null,
-        additional_info: {
-          ms_played: item.ms_played,
-          spotify_track_uri: item.spotify_track_uri,
-          original_timestamp: originalTs
-        }
-      },
+      track_metadata: getSpotifyTrackMetadata(item, kind),
+      kind,
       genre: null,
       source: 'spotify'
     };
   });
   
+  const spokenWordCount = convertedListens.filter(l => l.kind !== ListenKind.MUSIC).length;
+  if (spokenWordCount > 0) {
+    console.log(`🎙️ Kept ${spokenWordCount} podcast/audiobook listens`);
+  }
+  
   console.log(`✅ Parsed ${convertedListens.length} Spotify listens`);
   
   return {
@@ -174,6 +439,581 @@ function parseSpotifyFormat(data) {
   };
 }
 
+function getSpotifyListenKind(item) {
+  if (item.master_metadata_track_name && item.master_metadata_album_artist_name) {
+    return ListenKind.MUSIC;
+  }
+  if (item.episode_name && item.episode_show_name) {
+    return ListenKind.PODCAST;
+  }
+  if (item.audiobook_title) {
+    return ListenKind.AUDIOBOOK;
+  }
+  return null;
+}
+
+// How and where the stream was played; normalized into listen.playback by
+// the import pipeline (see playbackContext.js). conn_country also tells the
+// listener's wall clock for single-timezone countries.
+function getSpotifyPlaybackInfo(item) {
+  return {
+    platform: item.platform || null,
+    conn_country: item.conn_country || null,
+    inferred_timezone: inferTimezoneFromCountry(item.conn_country),
+    shuffle: typeof item.shuffle === 'boolean' ? item.shuffle : null,
+    skipped: typeof item.skipped === 'boolean' ? item.skipped : null,
+    offline: typeof item.offline === 'boolean' ? item.offline : null,
+    incognito_mode: typeof item.incognito_mode === 'boolean' ? item.incognito_mode : null,
+    reason_start: item.reason_start || null,
+    reason_end: item.reason_end || null
+  };
+}
+
+// Podcasts and audiobooks reuse the track fields: the show or book takes the
+// artist and release slots so grouping by artist still works.
+function getSpotifyTrackMetadata(item, kind) {
+  if (kind === ListenKind.PODCAST) {
+    return {
+      track_name: item.episode_name,
+      artist_name: item.episode_show_name,
+      release_name: item.episode_show_name,
+      additional_info: {
+        ms_played: item.ms_played,
+        show_name: item.episode_show_name,
+        spotify_episode_uri: item.spotify_episode_uri,
+        original_timestamp: item.ts,
+        ...getSpotifyPlaybackInfo(item)
+      }
+    };
+  }
+
+  if (kind === ListenKind.AUDIOBOOK) {
+    return {
+      track_name: item.audiobook_chapter_title || item.audiobook_title,
+      artist_name: item.audiobook_title,
+      release_name: item.audiobook_title,
+      additional_info: {
+        ms_played: item.ms_played,
+        show_name: item.audiobook_title,
+        spotify_audiobook_uri: item.audiobook_uri,
+        spotify_audiobook_chapter_uri: item.audiobook_chapter_uri,
+        original_timestamp: item.ts,
+        ...getSpotifyPlaybackInfo(item)
+      }
+    };
+  }
+
+  return {
+    track_name: item.master_metadata_track_name,
+    artist_name: item.master_metadata_album_artist_name,
+    release_name: item.master_metadata_album_album_name || null,
+    additional_info: {
+      ms_played: item.ms_played,
+      spotify_track_uri: item.spotify_track_uri,
+      original_timestamp: item.ts,
+      ...getSpotifyPlaybackInfo(item)
+    }
+  };
+}
+
+// ═══════════════════════════════════════════════════════════
+// SPOTIFY ACCOUNT DATA PARSER (StreamingHistory_music_N.json)
+// ═══════════════════════════════════════════════════════════
+
+// The quick "Account data" package only has minute-precision end times
+// ("2024-01-31 22:14", UTC). Listens are flagged so that a later extended
+// history upload of the same plays is recognized as a duplicate.
+function parseSpotifyAccountDataFormat(data) {
+  const listens = Array.isArray(data) ? data : [];
+
+  if (listens.length === 0) {
+    throw noListensError('No listens found in Spotify file');
+  }
+
+  const validListens = listens.filter(item => {
+    return item.endTime &&
+           item.trackName &&
+           item.artistName &&
+           (item.msPlayed || 0) >= MIN_PLAY_MS;
+  });
+
+  console.log(`📊 Spotify account data: ${validListens.length} valid out of ${listens.length} total`);
+  console.log(`🔍 Filtered out ${listens.length - validListens.length} entries (skipped/short tracks)`);
+
+  const convertedListens = validListens
+    .map(item => {
+      const endTime = parseSpotifyEndTime(item.endTime);
+      if (endTime === null) return null;
+
+      return {
+        listened_at: endTime - Math.floor(item.msPlayed / 1000),
+        track_metadata: {
+          track_name: item.trackName,
+          artist_name: item.artistName,
+          release_name: null,
+          additional_info: {
+            ms_played: item.msPlayed,
+            end_time: endTime,
+            original_timestamp: item.endTime,
+            spotify_package: 'account_data',
+            timestamp_precision: 'minute'
+          }
+        },
+        genre: null,
+        source: 'spotify'
+      };
+    })
+    .filter(Boolean);
+
+  return {
+    listens: convertedListens,
+    format: 'spotify_account_data',
+    parsedAt: Date.now()
+  };
+}
+
+function parseSpotifyEndTime(value) {
+  const match = String(value).trim().match(/^(\d{4})-(\d{2})-(\d{2}) (\d{2}):(\d{2})(?::(\d{2}))?$/);
+  if (!match) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : Math.floor(date.getTime() / 1000);
+  }
+
+  const [, year, month, day, hour, minute, second] = match.map(Number);
+  return Math.floor(Date.UTC(year, month - 1, day, hour, minute, second || 0) / 1000);
+}
+
+// ═══════════════════════════════════════════════════════════
+// LAST.FM PARSER (CSV EXPORTS + recenttracks JSON)
+// ═══════════════════════════════════════════════════════════
+
+const LASTFM_CSV_COLUMNS = {
+  timestamp: ['uts', 'timestamp', 'unix_timestamp'],
+  date: ['utc_time', 'date', 'time', 'datetime'],
+  artist: ['artist', 'artist_name'],
+  artistMbid: ['artist_mbid'],
+  album: ['album', 'album_name'],
+  albumMbid: ['album_mbid'],
+  track: ['track', 'track_name', 'title', 'name'],
+  trackMbid: ['track_mbid']
+};
+
+function getLastfmHeaderMap(row) {
+  const normalized = row.map(cell => cell.trim().toLowerCase().replace(/\s+/g, '_'));
+  const map = {};
+
+  Object.entries(LASTFM_CSV_COLUMNS).forEach(([field, names]) => {
+    const index = normalized.findIndex(cell => names.includes(cell));
+    if (index !== -1) map[field] = index;
+  });
+
+  const hasTime = map.timestamp !== undefined || map.date !== undefined;
+  return map.artist !== undefined && map.track !== undefined && hasTime ? map : null;
+}
+
+const LASTFM_DETECTION_SAMPLE = 10;
+
+function isLastfmCSV(rows) {
+  if (getLastfmHeaderMap(rows[0])) return true;
+
+  // Headerless export: artist, album, track, date (UTC). Real exports have
+  // the odd malformed row, so most of the sampled rows are enough.
+  const sample = rows
+    .filter(row => row.some(cell => String(cell).trim()))
+    .slice(0, LASTFM_DETECTION_SAMPLE);
+  const valid = sample.filter(row => row.length === 4 && parseLastfmDate(row[3]) !== null);
+  return sample.length > 0 && valid.length > sample.length / 2;
+}
+
+// Last.fm CSV dates look like "31 Jan 2024 22:14" and are always UTC.
+// Numeric dates are unix seconds (10 digits) or milliseconds (13 digits);
+// any other number is not a date.
+function parseLastfmDate(value) {
+  if (!value) return null;
+  const trimmed = String(value).trim();
+
+  if (/^\d+$/.test(trimmed)) {
+    if (trimmed.length === 10) return Number(trimmed);
+    if (trimmed.length === 13) return Math.floor(Number(trimmed) / 1000);
+    return null;
+  }
+
+  const match = trimmed.match(/^(\d{1,2}) ([A-Za-z]{3})[a-z]* (\d{4}),? (\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+  if (match) {
+    const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+    const month = months.indexOf(match[2].toLowerCase());
+    if (month === -1) return null;
+
+    const ms = Date.UTC(
+      Number(match[3]), month, Number(match[1]),
+      Number(match[4]), Number(match[5]), Number(match[6] || 0)
+    );
+    return Math.floor(ms / 1000);
+  }
+
+  const iso = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2})?$/.test(trimmed)
+    ? `${trimmed.replace(' ', 'T')}Z`
+    : trimmed;
+  const date = new Date(iso);
+  return isNaN(date.getTime()) ? null : Math.floor(date.getTime() / 1000);
+}
+
+function parseLastfmFormat(data) {
+  const rows = Array.isArray(data) && Array.isArray(data[0])
+    ? parseLastfmCSVRows(data)
+    : parseLastfmRecentTracks(data);
+
+  const listens = rows
+    .filter(row => row.listened_at && row.track && row.artist)
+    .map(row => {
+      const additionalInfo = {
+        original_timestamp: row.original_timestamp
+      };
+      if (row.artistMbid) additionalInfo.artist_mbids = [row.artistMbid];
+      if (row.albumMbid) additionalInfo.release_mbid = row.albumMbid;
+      if (row.trackMbid) additionalInfo.recording_mbid = row.trackMbid;
+
+      return {
+        listened_at: row.listened_at,
+        track_metadata: {
+          track_name: row.track,
+          artist_name: row.artist,
+          release_name: row.album || null,
+          additional_info: additionalInfo
+        },
+        genre: null,
+        source: 'lastfm'
+      };
+    });
+
+  console.log(`📊 Last.fm: ${listens.length} valid out of ${rows.length} total`);
+
+  if (listens.length === 0) {
+    throw noListensError('No scrobbles found in Last.fm file');
+  }
+
+  return {
+    listens,
+    format: 'lastfm',
+    parsedAt: Date.now()
+  };
+}
+
+function parseLastfmCSVRows(rows) {
+  const headerMap = getLastfmHeaderMap(rows[0]);
+  const map = headerMap || { artist: 0, album: 1, track: 2, date: 3 };
+  const dataRows = headerMap ? rows.slice(1) : rows;
+
+  const cell = (row, field) => {
+    const index = map[field];
+    if (index === undefined) return null;
+    const value = row[index]?.trim();
+    return value || null;
+  };
+
+  return dataRows.map(row => {
+    const rawTime = cell(row, 'timestamp') || cell(row, 'date');
+    return {
+      listened_at: parseLastfmDate(rawTime),
+      original_timestamp: rawTime,
+      artist: cell(row, 'artist'),
+      artistMbid: cell(row, 'artistMbid'),
+      album: cell(row, 'album'),
+      albumMbid: cell(row, 'albumMbid'),
+      track: cell(row, 'track'),
+      trackMbid: cell(row, 'trackMbid')
+    };
+  });
+}
+
+function parseLastfmRecentTracks(data) {
+  const pages = Array.isArray(data) ? data : [data];
+  const tracks = pages.flatMap(page => {
+    const track = page?.recenttracks?.track;
+    if (!track) return [];
+    return Array.isArray(track) ? track : [track];
+  });
+
+  return tracks
+    // Now-playing entries have no date and are not scrobbles yet
+    .filter(track => track['@attr']?.nowplaying !== 'true')
+    .map(track => {
+      const artist = track.artist?.['#text'] || track.artist?.name || track.artist;
+      return {
+        listened_at: track.date?.uts ? Number(track.date.uts) : parseLastfmDate(track.date?.['#text']),
+        original_timestamp: track.date?.uts || track.date?.['#text'],
+        artist: typeof artist === 'string' ? artist : null,
+        artistMbid: track.artist?.mbid || null,
+        album: track.album?.['#text'] || null,
+        albumMbid: track.album?.mbid || null,
+        track: track.name,
+        trackMbid: track.mbid || null
+      };
+    });
+}
+
+// ═══════════════════════════════════════════════════════════
+// APPLE MUSIC PLAY ACTIVITY PARSER
+// ═══════════════════════════════════════════════════════════
+
+function isAppleMusicCSV(headerRow) {
+  const header = getHeaderIndex(headerRow);
+  return 'song name' in header &&
+    ('event start timestamp' in header || 'play duration milliseconds' in header);
+}
+
+function parseAppleMusicFormat(rows) {
+  const header = getHeaderIndex(rows[0]);
+  const dataRows = rows.slice(1);
+
+  const cell = (row, name) => {
+    const index = header[name];
+    if (index === undefined) return null;
+    const value = row[index]?.trim();
+    return value || null;
+  };
+
+  if (dataRows.length === 0) {
+    throw noListensError('No listens found in Apple Music file');
+  }
+
+  let skipped = 0;
+  const listens = [];
+
+  dataRows.forEach(row => {
+    const trackName = cell(row, 'song name') || cell(row, 'content name');
+    const eventType = cell(row, 'event type');
+    const msPlayed = Number(cell(row, 'play duration milliseconds')) || 0;
+
+    // Older exports have no artist column; "Track Description" is "Artist - Song"
+    let artistName = cell(row, 'artist name') || cell(row, 'container artist name');
+    const description = cell(row, 'track description');
+    if (!artistName && description && trackName && description.endsWith(` - ${trackName}`)) {
+      artistName = description.slice(0, -(trackName.length + 3));
+    }
+
+    const originalTs = cell(row, 'event start timestamp') || cell(row, 'event end timestamp');
+    const date = originalTs ? new Date(originalTs) : null;
+
+    if (
+      !trackName ||
+      !artistName ||
+      !date || isNaN(date.getTime()) ||
+      (eventType && eventType !== 'PLAY_END') ||
+      msPlayed < MIN_PLAY_MS
+    ) {
+      skipped++;
+      return;
+    }
+
+    listens.push({
+      listened_at: Math.floor(date.getTime() / 1000),
+      track_metadata: {
+        track_name: trackName,
+        artist_name: artistName,
+        release_name: cell(row, 'album name') || cell(row, 'container album name') || cell(row, 'container name'),
+        additional_info: {
+          ms_played: msPlayed,
+          media_duration_ms: Number(cell(row, 'media duration in milliseconds')) || null,
+          end_reason: cell(row, 'end reason type'),
+          device_type: cell(row, 'device type'),
+          device_os: cell(row, 'device os name'),
+          device_os_version: cell(row, 'device os version'),
+          client_platform: cell(row, 'client platform'),
+          original_timestamp: originalTs
+        }
+      },
+      genre: null,
+      source: 'apple_music'
+    });
+  });
+
+  console.log(`📊 Apple Music: ${listens.length} valid out of ${dataRows.length} total`);
+  console.log(`🔍 Filtered out ${skipped} entries (non-play events/short plays)`);
+
+  if (listens.length === 0) {
+    throw noListensError('No plays of 30 seconds or longer found in Apple Music file');
+  }
+
+  return {
+    listens,
+    format: 'apple_music',
+    parsedAt: Date.now()
+  };
+}
+
+// ═══════════════════════════════════════════════════════════
+// DEEZER & TIDAL PARSERS
+// ═══════════════════════════════════════════════════════════
+// Both exports carry the ISRC, which is kept in additional_info as a
+// name-independent key for dedupe and MusicBrainz lookups.
+
+// Deezer GDPR export, "listening history" sheet:
+// Song Title, Artist, ISRC, Album Title, IP Address, Listening Time (s),
+// Platform Name, Platform Model, Date
+function isDeezerHistory(headerRow) {
+  const header = getHeaderIndex(headerRow);
+  return 'song title' in header && 'artist' in header && 'listening time' in header;
+}
+
+// Tidal streaming history CSV. Column names differ between export versions,
+// so each field accepts a few spellings.
+const TIDAL_COLUMNS = {
+  track: ['track title', 'title', 'track name'],
+  artist: ['artist name', 'artist'],
+  album: ['album title', 'album name', 'album'],
+  isrc: ['isrc'],
+  time: ['stream start timestamp', 'entry date', 'timestamp', 'played at'],
+  durationMs: ['stream duration ms', 'duration ms'],
+  durationSeconds: ['stream duration', 'duration'],
+  trackId: ['track id', 'product id'],
+  device: ['device type', 'client name']
+};
+
+function getTidalColumns(headerRow) {
+  const header = getHeaderIndex(headerRow);
+  const columns = {};
+
+  Object.entries(TIDAL_COLUMNS).forEach(([field, names]) => {
+    const name = names.find(n => n in header);
+    if (name) columns[field] = header[name];
+  });
+
+  return columns;
+}
+
+function isTidalHistory(headerRow) {
+  const columns = getTidalColumns(headerRow);
+  return columns.isrc !== undefined &&
+    columns.track !== undefined &&
+    columns.artist !== undefined &&
+    columns.time !== undefined;
+}
+
+// Spreadsheet dates may come through as Excel serial day numbers
+function parseExportDate(value) {
+  if (/^\d{5}(\.\d+)?$/.test(value || '')) {
+    return Math.round((Number(value) - 25569) * 86400);
+  }
+  return parseTimestampCell(value);
+}
+
+function parseDeezerFormat(rows) {
+  const header = getHeaderIndex(rows[0]);
+  const dataRows = rows.slice(1);
+
+  const cell = (row, name) => {
+    const index = header[name];
+    if (index === undefined) return null;
+    const value = row[index]?.trim();
+    return value || null;
+  };
+
+  let skipped = 0;
+  const listens = [];
+
+  dataRows.forEach(row => {
+    const trackName = cell(row, 'song title');
+    const artistName = cell(row, 'artist');
+    const originalTs = cell(row, 'date');
+    const listenedAt = parseExportDate(originalTs);
+    const listeningTime = cell(row, 'listening time');
+    const msPlayed = listeningTime === null ? null : Number(listeningTime) * 1000;
+
+    if (!trackName || !artistName || listenedAt === null || (msPlayed !== null && msPlayed < MIN_PLAY_MS)) {
+      skipped++;
+      return;
+    }
+
+    listens.push({
+      listened_at: listenedAt,
+      track_metadata: {
+        track_name: trackName,
+        artist_name: artistName,
+        release_name: cell(row, 'album title'),
+        additional_info: {
+          isrc: cell(row, 'isrc'),
+          ms_played: msPlayed,
+          platform_name: cell(row, 'platform name'),
+          platform_model: cell(row, 'platform model'),
+          original_timestamp: originalTs
+        }
+      },
+      genre: null,
+      source: 'deezer'
+    });
+  });
+
+  console.log(`📊 Deezer: ${listens.length} valid out of ${dataRows.length} total`);
+  console.log(`🔍 Filtered out ${skipped} entries (short plays/incomplete rows)`);
+
+  return {
+    listens,
+    format: 'deezer',
+    parsedAt: Date.now()
+  };
+}
+
+function parseTidalFormat(rows) {
+  const columns = getTidalColumns(rows[0]);
+  const dataRows = rows.slice(1);
+
+  const cell = (row, field) => {
+    const index = columns[field];
+    if (index === undefined) return null;
+    const value = row[index]?.trim();
+    return value || null;
+  };
+
+  let skipped = 0;
+  const listens = [];
+
+  dataRows.forEach(row => {
+    const trackName = cell(row, 'track');
+    const artistName = cell(row, 'artist');
+    const originalTs = cell(row, 'time');
+    const listenedAt = parseExportDate(originalTs);
+
+    const durationMs = cell(row, 'durationMs');
+    const durationSeconds = cell(row, 'durationSeconds');
+    const msPlayed = durationMs !== null
+      ? Number(durationMs)
+      : durationSeconds !== null ? Number(durationSeconds) * 1000 : null;
+
+    if (!trackName || !artistName || listenedAt === null || (msPlayed !== null && msPlayed < MIN_PLAY_MS)) {
+      skipped++;
+      return;
+    }
+
+    listens.push({
+      listened_at: listenedAt,
+      track_metadata: {
+        track_name: trackName,
+        artist_name: artistName,
+        release_name: cell(row, 'album'),
+        additional_info: {
+          isrc: cell(row, 'isrc'),
+          ms_played: msPlayed,
+          tidal_track_id: cell(row, 'trackId'),
+          device_type: cell(row, 'device'),
+          original_timestamp: originalTs
+        }
+      },
+      genre: null,
+      source: 'tidal'
+    });
+  });
+
+  console.log(`📊 Tidal: ${listens.length} valid out of ${dataRows.length} total`);
+  console.log(`🔍 Filtered out ${skipped} entries (short plays/incomplete rows)`);
+
+  return {
+    listens,
+    format: 'tidal',
+    parsedAt: Date.now()
+  };
+}
+
 // ═══════════════════════════════════════════════════════════
 // SPOTIFY TIMESTAMP CONVERTER (CRITICAL FUNCTION)
 // ═══════════════════════════════════════════════════════════
@@ -0,0 +1,123 @@
+import { listZipEntries } from './archiveReader';
+
+// Minimal .xlsx reader for export spreadsheets (Deezer's GDPR export).
+// An .xlsx file is a zip of XML parts; only the workbook, shared strings
+// and worksheets are read, and every cell comes back as a string. The XML is
+// scanned with regular expressions because DOMParser is not available in
+// the import worker.
+
+export const isSpreadsheetFile = (filename) => {
+  return filename.toLowerCase().endsWith('.xlsx');
+};
+
+const decodeXML = (text) => {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+};
+
+// Rich-text strings are split into runs, each with its own <t> element
+const readTextRuns = (xml) => {
+  let text = '';
+  for (const match of xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)) {
+    text += match[1];
+  }
+  return decodeXML(text);
+};
+
+const getAttribute = (attributes, name) => {
+  const match = attributes.match(new RegExp(`(?:^|\\s)${name}="([^"]*)"`));
+  return match ? decodeXML(match[1]) : null;
+};
+
+const columnIndex = (reference) => {
+  const letters = reference.match(/^[A-Z]+/)?.[0] || 'A';
+  let index = 0;
+  for (const letter of letters) {
+    index = index * 26 + (letter.charCodeAt(0) - 64);
+  }
+  return index - 1;
+};
+
+const parseSharedStrings = (xml) => {
+  return [...xml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map(match => readTextRuns(match[1]));
+};
+
+const parseWorksheet = (xml, sharedStrings) => {
+  const rows = [];
+
+  for (const rowMatch of xml.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+    const row = [];
+
+    for (const cellMatch of rowMatch[1].matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attributes = cellMatch[1];
+      const content = cellMatch[2] || '';
+      const reference = getAttribute(attributes, 'r');
+      const type = getAttribute(attributes, 't');
+      const index = reference ? columnIndex(reference) : row.length;
+
+      let value = '';
+      if (type === 'inlineStr') {
+        value = readTextRuns(content);
+      } else {
+        const raw = content.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+        if (raw !== undefined) {
+          value = type === 's' ? (sharedStrings[Number(raw)] ?? '') : decodeXML(raw);
+        }
+      }
+
+      while (row.length < index) row.push('');
+      row[index] = value;
+    }
+
+    if (row.some(value => value.trim() !== '')) {
+      rows.push(row);
+    }
+  }
+
+  return rows;
+};
+
+// Resolves with [{ name, rows }] for every worksheet, in workbook order.
+export const readXLSXSheets = async (file) => {
+  const entries = await listZipEntries(file);
+  const readText = async (path) => {
+    const entry = entries.find(e => e.path === path);
+    return entry ? (await entry.read()).text() : null;
+  };
+
+  const workbook = await readText('xl/workbook.xml');
+  if (!workbook) {
+    throw new Error('Not a valid .xlsx workbook');
+  }
+
+  const relationships = await readText('xl/_rels/workbook.xml.rels') || '';
+  const targets = {};
+  for (const match of relationships.matchAll(/<Relationship\b([^>]*)\/?>/g)) {
+    const id = getAttribute(match[1], 'Id');
+    const target = getAttribute(match[1], 'Target');
+    if (id && target) {
+      targets[id] = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+    }
+  }
+
+  const sharedStringsXML = await readText('xl/sharedStrings.xml');
+  const sharedStrings = sharedStringsXML ? parseSharedStrings(sharedStringsXML) : [];
+
+  const sheets = [];
+  for (const match of workbook.matchAll(/<sheet\b([^>]*)\/?>/g)) {
+    const name = getAttribute(match[1], 'name');
+    const path = targets[getAttribute(match[1], 'r:id')];
+    const xml = path ? await readText(path) : null;
+    if (xml) {
+      sheets.push({ name, rows: parseWorksheet(xml, sharedStrings) });
+    }
+  }
+
+  return sheets;
+};
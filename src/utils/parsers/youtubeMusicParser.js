@@ -0,0 +1,74 @@
+import { noListensError } from './parseErrors';
+
+// Google Takeout watch-history.json mixes YouTube and YouTube Music entries:
+// { header: "YouTube Music", title: "Watched <song>", titleUrl,
+//   subtitles: [{ name: "<artist> - Topic", url }], time: "<ISO 8601>" }
+const YOUTUBE_MUSIC_HEADER = 'YouTube Music';
+
+const isTakeoutEntry = (item) => {
+  return item &&
+    typeof item === 'object' &&
+    typeof item.title === 'string' &&
+    typeof item.time === 'string' &&
+    (typeof item.header === 'string' || Array.isArray(item.products));
+};
+
+export const isYouTubeMusicHistory = (data) => {
+  if (!Array.isArray(data) || data.length === 0) return false;
+  return data.slice(0, 50).every(isTakeoutEntry) &&
+    data.some(item => item.header === YOUTUBE_MUSIC_HEADER);
+};
+
+const cleanTitle = (title) => {
+  return title.replace(/^Watched\s+/, '').trim();
+};
+
+const cleanChannelName = (name) => {
+  return name.replace(/\s+-\s+Topic$/, '').trim();
+};
+
+export const parseYouTubeMusicHistory = (data) => {
+  const entries = Array.isArray(data) ? data : [];
+  const musicEntries = entries.filter(item => item?.header === YOUTUBE_MUSIC_HEADER);
+
+  const listens = [];
+
+  musicEntries.forEach(item => {
+    const trackName = cleanTitle(item.title || '');
+    const channel = item.subtitles?.[0]?.name;
+    const date = new Date(item.time);
+
+    // Removed or private videos keep only a URL as title and have no channel
+    if (!trackName || /^https?:\/\//.test(trackName) || !channel || isNaN(date.getTime())) {
+      return;
+    }
+
+    listens.push({
+      listened_at: Math.floor(date.getTime() / 1000),
+      track_metadata: {
+        track_name: trackName,
+        artist_name: cleanChannelName(channel),
+        release_name: null,
+        additional_info: {
+          youtube_url: item.titleUrl || null,
+          channel_url: item.subtitles[0].url || null,
+          original_timestamp: item.time
+        }
+      },
+      genre: null,
+      source: 'youtube_music'
+    });
+  });
+
+  console.log(`📊 YouTube Music: ${listens.length} valid out of ${entries.length} history entries (${musicEntries.length} music)`);
+
+  if (listens.length === 0) {
+    throw noListensError('No YouTube Music entries found in watch history');
+  }
+
+  return {
+    listens,
+    format: 'youtube_music',
+    parsedAt: Date.now()
+  };
+};
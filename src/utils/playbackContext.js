@@ -0,0 +1,209 @@
+// ═══════════════════════════════════════════════════════════
+// PLAYBACK CONTEXT - device, country, shuffle, skip and reason codes
+// ═══════════════════════════════════════════════════════════
+// Spotify's extended history records how each stream was played. Parsers
+// keep the raw fields in additional_info; the import pipeline turns them
+// into listen.playback so filters and charts don't need to know the source:
+//   { platform, deviceClass, country, shuffle, skipped, offline, incognito,
+//     reasonStart, reasonEnd }
+// Fields a source doesn't report are null.
+
+export const DeviceClass = {
+  PHONE: 'phone',
+  TABLET: 'tablet',
+  COMPUTER: 'computer',
+  WEB: 'web',
+  TV: 'tv',
+  SPEAKER: 'speaker',
+  CAR: 'car',
+  CONSOLE: 'console',
+  WEARABLE: 'wearable',
+  UNKNOWN: 'unknown'
+};
+
+export const DEVICE_CLASS_LABELS = {
+  [DeviceClass.PHONE]: 'Phone',
+  [DeviceClass.TABLET]: 'Tablet',
+  [DeviceClass.COMPUTER]: 'Computer',
+  [DeviceClass.WEB]: 'Web player',
+  [DeviceClass.TV]: 'TV & cast',
+  [DeviceClass.SPEAKER]: 'Smart speaker',
+  [DeviceClass.CAR]: 'Car',
+  [DeviceClass.CONSOLE]: 'Game console',
+  [DeviceClass.WEARABLE]: 'Wearable',
+  [DeviceClass.UNKNOWN]: 'Unknown device'
+};
+
+// Checked in order; the first match wins. Platform strings vary by export
+// year: "Android OS 12 API 31 (Google, Pixel 6)", "iOS 15.1 (iPad8,1)",
+// "Windows 10 (10.0.19042; x64)", "OS X 10.15.7 [x86 8]",
+// "web_player windows 10;chrome 95.0;desktop", "Partner sonos_ZPS...",
+// "Partner google cast_tv;Chromecast", "android", "ios", "osx"
+// Short names only match as whole words, so "podcast" or "honest" doesn't
+// read as a speaker; underscores count as separators ("amazon_echo").
+const DEVICE_PATTERNS = [
+  [DeviceClass.CAR, /android[ _-]?auto|carplay|carthing|car thing|tesla|automotive|\bcar\b/],
+  [DeviceClass.WEARABLE, /wear[ _-]?os|watch|garmin|fitbit|samsung_gear|tizen_wearable/],
+  [DeviceClass.CONSOLE, /playstation|\bps[345]\b|xbox|nintendo/],
+  [DeviceClass.TV, /cast_tv|android[ _-]?tv|_tv\b|smart[ _-]?tv|webos|roku|fire[ _-]?tv|apple[ _-]?tv|tvos|chromecast|\btv\b/],
+  [DeviceClass.SPEAKER, /sonos|amazon_salmon|(?<![a-z])(?:echo|nest|cast)(?![a-z])|alexa|google[ _-]?home|bose|denon|bluesound|yamaha|speaker/],
+  [DeviceClass.WEB, /web[ _-]?player|webplayer|websocket/],
+  [DeviceClass.TABLET, /ipad|tablet/],
+  [DeviceClass.PHONE, /android|iphone|\bios\b|windows phone/],
+  [DeviceClass.COMPUTER, /windows|\bos ?x\b|macos|linux|desktop/]
+];
+
+const deviceClassCache = new Map();
+
+export const getDeviceClass = (platform) => {
+  if (!platform || typeof platform !== 'string') return DeviceClass.UNKNOWN;
+  if (deviceClassCache.has(platform)) return deviceClassCache.get(platform);
+
+  const text = platform.toLowerCase();
+  const match = DEVICE_PATTERNS.find(([, pattern]) => pattern.test(text));
+  const deviceClass = match ? match[0] : DeviceClass.UNKNOWN;
+
+  deviceClassCache.set(platform, deviceClass);
+  return deviceClass;
+};
+
+// Spotify reason codes, e.g. "trackdone", "fwdbtn", "unexpected-exit-while-paused"
+export const REASON_LABELS = {
+  trackdone: 'Track finished',
+  fwdbtn: 'Skip forward',
+  backbtn: 'Skip back',
+  clickrow: 'Picked from a list',
+  playbtn: 'Play button',
+  appload: 'App started',
+  remote: 'Another device',
+  endplay: 'Stopped',
+  logout: 'Logged out',
+  trackerror: 'Playback error',
+  unexpected_exit: 'App closed',
+  unexpected_exit_while_paused: 'App closed while paused',
+  unknown: 'Unknown'
+};
+
+export const normalizeReasonCode = (code) => {
+  if (!code || typeof code !== 'string') return null;
+  return code.trim().toLowerCase().replace(/[\s-]+/g, '_');
+};
+
+const toFlag = (value) => (typeof value === 'boolean' ? value : null);
+
+// Builds listen.playback from a listen's additional_info; null when the
+// source recorded none of it
+export const getPlaybackContext = (additionalInfo = {}) => {
+  const info = additionalInfo || {};
+  const platform = typeof info.platform === 'string' && info.platform.trim() ? info.platform.trim() : null;
+  const country = typeof info.conn_country === 'string' && info.conn_country.trim()
+    ? info.conn_country.trim().toUpperCase()
+    : null;
+
+  const playback = {
+    platform,
+    deviceClass: platform ? getDeviceClass(platform) : null,
+    country: country === 'ZZ' ? null : country,
+    shuffle: toFlag(info.shuffle),
+    skipped: toFlag(info.skipped),
+    offline: toFlag(info.offline),
+    incognito: toFlag(info.incognito_mode),
+    reasonStart: normalizeReasonCode(info.reason_start),
+    reasonEnd: normalizeReasonCode(info.reason_end)
+  };
+
+  return Object.values(playback).some(value => value !== null) ? playback : null;
+};
+
+// ═══════════════════════════════════════════════════════════
+// FILTERS AND SUMMARIES
+// ═══════════════════════════════════════════════════════════
+
+export const DEFAULT_PLAYBACK_FILTER = {
+  deviceClass: 'all',
+  country: 'all',
+  shuffle: 'all',       // 'all' | 'on' | 'off'
+  excludeSkipped: false,
+  excludeIncognito: false
+};
+
+export const isPlaybackFilterActive = (filter = DEFAULT_PLAYBACK_FILTER) => {
+  return filter.deviceClass !== 'all' ||
+    filter.country !== 'all' ||
+    filter.shuffle !== 'all' ||
+    filter.excludeSkipped ||
+    filter.excludeIncognito;
+};
+
+// Listens without playback data only pass filters that don't ask for a
+// specific device, country or shuffle state
+export const filterListensByPlayback = (listens, filter = DEFAULT_PLAYBACK_FILTER) => {
+  if (!isPlaybackFilterActive(filter)) return listens;
+
+  return listens.filter(listen => {
+    const playback = listen.playback;
+
+    if (filter.deviceClass !== 'all' && playback?.deviceClass !== filter.deviceClass) return false;
+    if (filter.country !== 'all' && playback?.country !== filter.country) return false;
+    if (filter.shuffle === 'on' && playback?.shuffle !== true) return false;
+    if (filter.shuffle === 'off' && playback?.shuffle !== false) return false;
+    if (filter.excludeSkipped && playback?.skipped === true) return false;
+    if (filter.excludeIncognito && playback?.incognito === true) return false;
+
+    return true;
+  });
+};
+
+const countBy = (map, key) => {
+  if (key) map.set(key, (map.get(key) || 0) + 1);
+};
+
+const sortedCounts = (map) => Array.from(map.entries())
+  .map(([key, count]) => ({ key, count }))
+  .sort((a, b) => b.count - a.count);
+
+// Rates are shares of the listens that reported the field, not of all listens
+export const summarizePlayback = (listens) => {
+  const devices = new Map();
+  const countries = new Map();
+  const reasonsStart = new Map();
+  const reasonsEnd = new Map();
+  const flags = {
+    shuffle: { yes: 0, known: 0 },
+    skipped: { yes: 0, known: 0 },
+    offline: { yes: 0, known: 0 },
+    incognito: { yes: 0, known: 0 }
+  };
+  let withPlayback = 0;
+
+  listens.forEach(listen => {
+    const playback = listen.playback;
+    if (!playback) return;
+    withPlayback++;
+
+    countBy(devices, playback.deviceClass);
+    countBy(countries, playback.country);
+    countBy(reasonsStart, playback.reasonStart);
+    countBy(reasonsEnd, playback.reasonEnd);
+
+    Object.keys(flags).forEach(flag => {
+      if (playback[flag] === null || playback[flag] === undefined) return;
+      flags[flag].known++;
+      if (playback[flag]) flags[flag].yes++;
+    });
+  });
+
+  const rate = ({ yes, known }) => (known > 0 ? (yes / known) * 100 : null);
+
+  return {
+    withPlayback,
+    devices: sortedCounts(devices),
+    countries: sortedCounts(countries),
+    reasonsStart: sortedCounts(reasonsStart),
+    reasonsEnd: sortedCounts(reasonsEnd),
+    shuffleRate: rate(flags.shuffle),
+    skipRate: rate(flags.skipped),
+    offlineRate: rate(flags.offline),
+    incognitoRate: rate(flags.incognito)
+  };
+};
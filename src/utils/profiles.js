@@ -0,0 +1,99 @@
+import { getItem, setItem, removeItem, StorageType } from './storage/secureStorage';
+
+// ═══════════════════════════════════════════════════════════
+// PROFILES - several listening datasets in one browser
+// ═══════════════════════════════════════════════════════════
+// Each profile has its own IndexedDB database for listens, imports and
+// artist merges (see getProfileDBName in storage/indexedDB.js) and its own
+// copy of the settings kept in localStorage. The artist genre cache and API
+// keys live in the default profile's database and are shared by all.
+// The default profile uses the original database and unprefixed setting keys,
+// so data from before profiles existed belongs to it.
+
+export const DEFAULT_PROFILE_ID = 'default';
+
+const PROFILES_KEY = 'profiles';
+const ACTIVE_PROFILE_KEY = 'activeProfile';
+
+const DEFAULT_PROFILE = { id: DEFAULT_PROFILE_ID, name: 'Default', createdAt: 0 };
+
+// Settings stored per profile, under profileKey()
+export const PROFILE_SETTING_KEYS = [
+  'includeSpokenWord',
+  'artistCounting',
+  'trackVersions',
+  'crossSourceWindow',
+  'timezoneTimeline',
+  'listenbrainz_token'
+];
+
+// The settings a backup carries (see exportData in storage/indexedDB.js);
+// the ListenBrainz token is left out
+export const BACKUP_SETTING_KEYS = PROFILE_SETTING_KEYS.filter(key => key !== 'listenbrainz_token');
+
+// Passphrase lock of a profile (see storage/vault.js), also under profileKey()
+export const PROFILE_VAULT_KEYS = ['vault', 'lockedSettings'];
+
+export const getProfiles = () => {
+  try {
+    const stored = JSON.parse(getItem(PROFILES_KEY, StorageType.LOCAL) || '[]');
+    const others = Array.isArray(stored) ? stored.filter(profile => profile?.id && profile.id !== DEFAULT_PROFILE_ID) : [];
+    return [DEFAULT_PROFILE, ...others];
+  } catch (error) {
+    console.warn('Ignoring unreadable profile list:', error);
+    return [DEFAULT_PROFILE];
+  }
+};
+
+const saveProfiles = (profiles) => {
+  setItem(
+    PROFILES_KEY,
+    JSON.stringify(profiles.filter(profile => profile.id !== DEFAULT_PROFILE_ID)),
+    StorageType.LOCAL
+  );
+};
+
+export const getActiveProfileId = () => {
+  const saved = getItem(ACTIVE_PROFILE_KEY, StorageType.LOCAL);
+  return getProfiles().some(profile => profile.id === saved) ? saved : DEFAULT_PROFILE_ID;
+};
+
+export const setActiveProfileId = (profileId) => {
+  setItem(ACTIVE_PROFILE_KEY, profileId, StorageType.LOCAL);
+};
+
+// localStorage key of a setting for a profile
+export const profileKey = (profileId, key) => {
+  return profileId === DEFAULT_PROFILE_ID ? key : `profile:${profileId}:${key}`;
+};
+
+export const createProfile = (name) => {
+  const trimmed = (name || '').trim();
+  if (!trimmed) {
+    return { success: false, error: 'Profile name is required' };
+  }
+
+  const profiles = getProfiles();
+  if (profiles.some(profile => profile.name.toLowerCase() === trimmed.toLowerCase())) {
+    return { success: false, error: `A profile named "${trimmed}" already exists` };
+  }
+
+  const profile = { id: `p${Date.now().toString(36)}`, name: trimmed, createdAt: Date.now() };
+  saveProfiles([...profiles, profile]);
+  return { success: true, profile };
+};
+
+// Removes the profile from the list and its settings; the caller deletes
+// its database
+export const removeProfile = (profileId) => {
+  if (profileId === DEFAULT_PROFILE_ID) {
+    return { success: false, error: 'The default profile cannot be deleted' };
+  }
+
+  saveProfiles(getProfiles().filter(profile => profile.id !== profileId));
+  [...PROFILE_SETTING_KEYS, ...PROFILE_VAULT_KEYS].forEach(key => removeItem(profileKey(profileId, key), StorageType.LOCAL));
+  if (getItem(ACTIVE_PROFILE_KEY, StorageType.LOCAL) === profileId) {
+    setActiveProfileId(DEFAULT_PROFILE_ID);
+  }
+  return { success: true };
+};
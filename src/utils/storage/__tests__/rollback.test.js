@@ -0,0 +1,172 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { setActiveProfile, mergeListeningData, rollbackImport, getListensBetween } from '../indexedDB';
+import { importDataKeys, randomBytes, DATA_KEY_LENGTH, setDataKeys, clearDataKeys } from '../encryption';
+import { START, makeListen } from '../../__tests__/helpers';
+
+// Reads the stored listens back the way the app does after a change: only
+// the changed range
+const reload = (range) => (range ? getListensBetween(range.from, range.to) : []);
+
+const importListens = async (listens) => {
+  const result = await mergeListeningData(listens, 180);
+  expect(result.success).toBe(true);
+  return reload(result.changedRange);
+};
+
+const rollback = async (importId) => {
+  const result = await rollbackImport(importId, 180);
+  expect(result.success).toBe(true);
+  return { ...result, data: await reload(result.changedRange) };
+};
+
+let profile = 0;
+
+describe('rollbackImport', () => {
+  beforeEach(() => {
+    // A fresh database per test
+    profile++;
+    setActiveProfile(`test-${profile}`);
+  });
+
+  afterEach(() => {
+    clearDataKeys();
+  });
+
+  it('removes only the listens of the rolled back import', async () => {
+    await importListens([makeListen({ id: 'a-1', importId: 'import-a', source: 'lastfm', timestamp: START })]);
+    await importListens([makeListen({ id: 'b-1', importId: 'import-b', source: 'lastfm', timestamp: START + 3600, track: 'Angel' })]);
+
+    const result = await rollback('import-a');
+
+    expect(result.removed).toBe(1);
+    expect(result.data.map(listen => listen.id)).toEqual(['b-1']);
+  });
+
+  it('returns only what an import added or changed', async () => {
+    await importListens([
+      makeListen({ id: 'a-1', importId: 'import-a', source: 'lastfm', timestamp: START }),
+      makeListen({ id: 'a-2', importId: 'import-a', source: 'lastfm', timestamp: START + 86400, track: 'Angel' })
+    ]);
+    const result = await mergeListeningData([
+      makeListen({ id: 'b-1', importId: 'import-b', source: 'lastfm', timestamp: START }),
+      makeListen({ id: 'b-2', importId: 'import-b', source: 'lastfm', timestamp: START + 2 * 86400, track: 'Inertia Creeps' })
+    ], 180);
+
+    expect(result.data.map(listen => listen.id)).toEqual(['a-1', 'b-2']);
+    expect(result.data[0].importIds).toEqual(['import-a', 'import-b']);
+    expect(result.mergeInfo).toMatchObject({ existing: 2, new: 2, total: 3, duplicates: 1 });
+    expect(result.dateRange.earliest.getTime()).toBe(START * 1000);
+    expect(result.dateRange.latest.getTime()).toBe((START + 2 * 86400) * 1000);
+  });
+
+  it('keeps a play a later import replaced with a richer record', async () => {
+    await importListens([makeListen({ id: 'lb-1', importId: 'import-a', source: 'listenbrainz', timestamp: START })]);
+    const merged = await importListens([makeListen({
+      id: 'sp-1',
+      importId: 'import-b',
+      source: 'spotify',
+      timestamp: START + 200,
+      album: 'Mezzanine',
+      info: { ms_played: 200000, spotify_track_uri: 'spotify:track:1' }
+    })]);
+
+    expect(merged).toHaveLength(1);
+    expect(merged[0]).toMatchObject({ id: 'lb-1', importId: 'import-a', albumName: 'Mezzanine' });
+    expect([...merged[0].importIds].sort()).toEqual(['import-a', 'import-b']);
+
+    const result = await rollback('import-a');
+
+    expect(result.removed).toBe(0);
+    expect(result.data).toHaveLength(1);
+    expect(result.data[0]).toMatchObject({ id: 'sp-1', importId: 'import-b', source: 'spotify', albumName: 'Mezzanine' });
+    expect(result.data[0].mergedVersions).toBeUndefined();
+  });
+
+  it('restores the earlier version when the import that enriched it is rolled back', async () => {
+    await importListens([makeListen({ id: 'lb-1', importId: 'import-a', source: 'listenbrainz', timestamp: START })]);
+    await importListens([makeListen({
+      id: 'sp-1',
+      importId: 'import-b',
+      source: 'spotify',
+      timestamp: START + 200,
+      album: 'Mezzanine',
+      info: { ms_played: 200000 }
+    })]);
+
+    const result = await rollback('import-b');
+
+    expect(result.data).toHaveLength(1);
+    expect(result.data[0]).toMatchObject({ id: 'lb-1', source: 'listenbrainz', albumName: 'Unknown Album' });
+    expect(result.data[0].importIds).toEqual(['import-a']);
+  });
+
+  it('keeps a play that a later import duplicated exactly', async () => {
+    await importListens([makeListen({ id: 'a-1', importId: 'import-a', source: 'listenbrainz', timestamp: START })]);
+    const afterSecond = await importListens([makeListen({ id: 'b-1', importId: 'import-b', source: 'listenbrainz', timestamp: START })]);
+    expect(afterSecond).toHaveLength(1);
+
+    const result = await rollback('import-a');
+
+    expect(result.removed).toBe(0);
+    expect(result.data).toHaveLength(1);
+    expect(result.data[0]).toMatchObject({ id: 'a-1', importId: 'import-b', importIds: ['import-b'] });
+
+    const empty = await rollback('import-b');
+    expect(empty.removed).toBe(1);
+    expect(empty.data).toHaveLength(0);
+  });
+
+  it('keeps an account-data play when the extended history that replaced it is rolled back', async () => {
+    await importListens([makeListen({
+      id: 'acct-1',
+      importId: 'import-a',
+      source: 'spotify',
+      timestamp: START + 180,
+      info: { spotify_package: 'account_data', ms_played: 200000 }
+    })]);
+    const merged = await importListens([makeListen({
+      id: 'ext-1',
+      importId: 'import-b',
+      source: 'spotify',
+      timestamp: START + 200,
+      info: { ms_played: 200000, end_time: START + 200 }
+    })]);
+    expect(merged.map(listen => listen.id)).toEqual(['ext-1']);
+
+    const result = await rollback('import-b');
+
+    expect(result.data.map(listen => listen.id)).toEqual(['acct-1']);
+  });
+
+  it('merges the remaining versions of a three-source play again', async () => {
+    await importListens([makeListen({ id: 'lb-1', importId: 'import-a', source: 'listenbrainz', timestamp: START })]);
+    await importListens([makeListen({ id: 'fm-1', importId: 'import-b', source: 'lastfm', timestamp: START + 30, album: 'Mezzanine' })]);
+    await importListens([makeListen({
+      id: 'sp-1',
+      importId: 'import-c',
+      source: 'spotify',
+      timestamp: START + 200,
+      info: { ms_played: 200000, spotify_track_uri: 'spotify:track:1' }
+    })]);
+
+    const result = await rollback('import-c');
+
+    expect(result.data).toHaveLength(1);
+    expect(result.data[0]).toMatchObject({ albumName: 'Mezzanine' });
+    expect([...result.data[0].importIds].sort()).toEqual(['import-a', 'import-b']);
+    expect(result.data[0].mergedVersions.map(version => version.source).sort()).toEqual(['lastfm', 'listenbrainz']);
+  });
+
+  it('rolls back through the readable import ids of encrypted listens', async () => {
+    setDataKeys([await importDataKeys('test-key', randomBytes(DATA_KEY_LENGTH))]);
+
+    await importListens([makeListen({ id: 'a-1', importId: 'import-a', source: 'listenbrainz', timestamp: START })]);
+    await importListens([makeListen({ id: 'b-1', importId: 'import-b', source: 'listenbrainz', timestamp: START })]);
+
+    const result = await rollback('import-a');
+
+    expect(result.removed).toBe(0);
+    expect(result.data).toEqual([expect.objectContaining({ id: 'a-1', importIds: ['import-b'] })]);
+  });
+});
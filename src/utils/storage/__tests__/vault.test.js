@@ -0,0 +1,197 @@
+import 'fake-indexeddb/auto';
+import CryptoJS from 'crypto-js';
+import { openDB } from 'idb';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  setActiveProfile,
+  getProfileDBName,
+  mergeListeningData,
+  getListeningData,
+  getListensByArtist,
+  resealListens
+} from '../indexedDB';
+import {
+  enableVault,
+  unlockVault,
+  lockVault,
+  changeVaultPassphrase,
+  disableVault,
+  isVaultEnabled,
+  loadListenBrainzToken
+} from '../vault';
+import { getDataKeys } from '../encryption';
+import { profileKey } from '../../profiles';
+import { START, makeListen, installLocalStorage } from '../../__tests__/helpers';
+
+// resealListens stays real; single calls are replaced to stop an operation
+// part-way, as a closed tab would
+vi.mock('../indexedDB', async (importOriginal) => {
+  const actual = await importOriginal();
+  return { ...actual, resealListens: vi.fn(actual.resealListens) };
+});
+
+const PASSPHRASE = 'correct horse battery';
+const NEW_PASSPHRASE = 'staple grand piano';
+
+const SETTINGS = {
+  includeSpokenWord: 'true',
+  artistCounting: 'all',
+  trackVersions: 'merged',
+  crossSourceWindow: '240',
+  timezoneTimeline: '[]',
+  listenbrainz_token: 'lb-secret-token'
+};
+
+const LISTENS = [
+  makeListen({ id: 'lb-1', importId: 'import-a', source: 'listenbrainz', timestamp: START }),
+  makeListen({ id: 'lb-2', importId: 'import-a', source: 'listenbrainz', timestamp: START + 3600, track: 'Angel' })
+];
+
+const hangOnce = () => {
+  vi.mocked(resealListens).mockImplementationOnce(() => new Promise(() => {}));
+};
+
+let profileId;
+let profile = 0;
+
+// Records as stored, without going through openListen
+const readRawListens = async () => {
+  const db = await openDB(getProfileDBName(profileId));
+  const records = await db.getAll('listens');
+  db.close();
+  return records;
+};
+
+const readConfig = () => JSON.parse(localStorage.getItem(profileKey(profileId, 'vault')));
+
+const sortedIds = (listens) => listens.map(listen => listen.id).sort();
+
+describe('passphrase vault', () => {
+  beforeEach(async () => {
+    installLocalStorage();
+    profile++;
+    profileId = `vault-${profile}`;
+    setActiveProfile(profileId);
+    await mergeListeningData(LISTENS, 180);
+  });
+
+  afterEach(() => {
+    lockVault();
+    vi.mocked(resealListens).mockClear();
+  });
+
+  it('seals listens and settings and opens them again with the passphrase', async () => {
+    expect(await enableVault(profileId, PASSPHRASE, SETTINGS)).toEqual({ success: true });
+
+    const records = await readRawListens();
+    expect(records).toHaveLength(2);
+    records.forEach(record => {
+      expect(record.sealed).toBeDefined();
+      expect(record.trackName).toBeUndefined();
+      expect(record.artistName).not.toBe('Massive Attack');
+    });
+    expect(localStorage.getItem(profileKey(profileId, 'listenbrainz_token'))).toBeNull();
+    expect(localStorage.getItem(profileKey(profileId, 'crossSourceWindow'))).toBeNull();
+
+    lockVault();
+    expect(await getListeningData()).toEqual([]);
+
+    const result = await unlockVault(profileId, PASSPHRASE);
+    expect(result).toEqual({ success: true, settings: SETTINGS });
+
+    const listens = await getListeningData();
+    expect(sortedIds(listens)).toEqual(['lb-1', 'lb-2']);
+    expect(listens.find(listen => listen.id === 'lb-2')).toMatchObject({ trackName: 'Angel', artistName: 'Massive Attack' });
+    expect(await getListensByArtist('Massive Attack')).toHaveLength(2);
+  });
+
+  it('rejects a wrong passphrase', async () => {
+    await enableVault(profileId, PASSPHRASE, SETTINGS);
+    lockVault();
+
+    expect(await unlockVault(profileId, 'not the passphrase')).toEqual({ success: false, error: 'Wrong passphrase' });
+    expect(getDataKeys()).toEqual([]);
+  });
+
+  it('finishes an interrupted passphrase change at the next unlock', async () => {
+    await enableVault(profileId, PASSPHRASE, SETTINGS);
+    const oldKeyId = readConfig().keyId;
+
+    hangOnce();
+    changeVaultPassphrase(profileId, PASSPHRASE, NEW_PASSPHRASE);
+    await vi.waitFor(() => expect(resealListens).toHaveBeenCalledTimes(2));
+    lockVault();
+
+    const pending = readConfig();
+    expect(pending.previous.keyId).toBe(oldKeyId);
+    expect((await readRawListens()).every(record => record.keyId === oldKeyId)).toBe(true);
+
+    expect((await unlockVault(profileId, PASSPHRASE)).error).toBe('Wrong passphrase');
+    const result = await unlockVault(profileId, NEW_PASSPHRASE);
+    expect(result).toEqual({ success: true, settings: SETTINGS });
+
+    const config = readConfig();
+    expect(config.previous).toBeUndefined();
+    expect((await readRawListens()).every(record => record.keyId === config.keyId)).toBe(true);
+    expect(sortedIds(await getListeningData())).toEqual(['lb-1', 'lb-2']);
+  });
+
+  it('finishes an interrupted first encryption at the next unlock', async () => {
+    hangOnce();
+    enableVault(profileId, PASSPHRASE, SETTINGS);
+    await vi.waitFor(() => expect(resealListens).toHaveBeenCalledTimes(1));
+    lockVault();
+
+    expect(readConfig().sealing).toBe(true);
+    expect((await readRawListens()).some(record => !record.sealed)).toBe(true);
+
+    const result = await unlockVault(profileId, PASSPHRASE);
+    expect(result).toEqual({ success: true, settings: SETTINGS });
+
+    expect(readConfig().sealing).toBeUndefined();
+    expect((await readRawListens()).every(record => record.sealed)).toBe(true);
+    expect(await getListensByArtist('Massive Attack')).toHaveLength(2);
+  });
+
+  it('undoes a failed first encryption', async () => {
+    vi.mocked(resealListens).mockImplementationOnce(async () => {
+      throw new Error('Disk full');
+    });
+
+    expect(await enableVault(profileId, PASSPHRASE, SETTINGS)).toEqual({ success: false, error: 'Disk full' });
+
+    expect(isVaultEnabled(profileId)).toBe(false);
+    expect(localStorage.getItem(profileKey(profileId, 'lockedSettings'))).toBeNull();
+    expect(localStorage.getItem(profileKey(profileId, 'crossSourceWindow'))).toBe('240');
+    expect(await loadListenBrainzToken(profileId)).toBe('lb-secret-token');
+    expect(getDataKeys()).toEqual([]);
+    expect((await readRawListens()).every(record => !record.sealed)).toBe(true);
+  });
+
+  it('restores readable listens and settings when the passphrase is removed', async () => {
+    await enableVault(profileId, PASSPHRASE, SETTINGS);
+    lockVault();
+
+    expect(await disableVault(profileId, PASSPHRASE)).toEqual({ success: true });
+
+    expect(isVaultEnabled(profileId)).toBe(false);
+    const records = await readRawListens();
+    expect(records.every(record => !record.sealed && record.artistName === 'Massive Attack')).toBe(true);
+    expect(localStorage.getItem(profileKey(profileId, 'includeSpokenWord'))).toBe('true');
+    expect(localStorage.getItem(profileKey(profileId, 'crossSourceWindow'))).toBe('240');
+    expect(localStorage.getItem(profileKey(profileId, 'listenbrainz_token'))).toMatch(/^v2:/);
+    expect(await loadListenBrainzToken(profileId)).toBe('lb-secret-token');
+    expect(await getListensByArtist('Massive Attack')).toHaveLength(2);
+  });
+
+  it('migrates a token saved with the old CryptoJS encryption', async () => {
+    const key = profileKey(profileId, 'listenbrainz_token');
+    const legacy = CryptoJS.AES.encrypt('lb-legacy-token', 'default-music-viz-key-change-in-production').toString();
+    expect(legacy).toMatch(/^U2FsdGVkX1/);
+    localStorage.setItem(key, legacy);
+
+    expect(await loadListenBrainzToken(profileId)).toBe('lb-legacy-token');
+    expect(localStorage.getItem(key)).toMatch(/^v2:/);
+    expect(await loadListenBrainzToken(profileId)).toBe('lb-legacy-token');
+  });
+});
@@ -1,19 +1,126 @@
 import CryptoJS from 'crypto-js';
 
-const ENCRYPTION_KEY = import.meta.env.VITE_ENCRYPTION_KEY || 'default-music-viz-key-change-in-production';
+// Records are encrypted with AES-GCM through WebCrypto. The keys come either
+// from a profile's passphrase (see storage/vault.js) or from the device key
+// kept in IndexedDB (getDeviceKey in storage/indexedDB.js).
 
-export const encrypt = (data) => {
-  try {
-    return CryptoJS.AES.encrypt(data, ENCRYPTION_KEY).toString();
-  } catch (error) {
-    console.error('Encryption failed:', error);
-    return null;
-  }
+// PBKDF2-SHA256 rounds for new passphrases; stored with each vault so it can
+// be raised later without breaking existing ones
+export const PBKDF2_ITERATIONS = 600000;
+
+const CIPHERTEXT_PREFIX = 'v2:';
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+export const toBase64 = (bytes) => {
+  let binary = '';
+  new Uint8Array(bytes).forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+};
+
+export const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+export const randomBytes = (length) => crypto.getRandomValues(new Uint8Array(length));
+
+// Key that wraps a vault's data key, stretched from the passphrase
+export const deriveKeyFromPassphrase = async (passphrase, salt, iterations = PBKDF2_ITERATIONS) => {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    textEncoder.encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+export const generateDeviceKey = () => {
+  return crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+};
+
+// A data key is 64 random bytes: an AES-GCM key for the records and an HMAC
+// key for blindIndex()
+export const DATA_KEY_LENGTH = 64;
+
+export const importDataKeys = async (keyId, raw) => ({
+  keyId,
+  encryptionKey: await crypto.subtle.importKey('raw', raw.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']),
+  indexKey: await crypto.subtle.importKey('raw', raw.slice(32, 64), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+});
+
+export const encryptBytes = async (key, bytes) => {
+  const iv = randomBytes(12);
+  const data = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes));
+  return { iv, data };
+};
+
+// Throws on a wrong key: AES-GCM checks integrity before returning anything
+export const decryptBytes = async (key, { iv, data }) => {
+  return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data));
 };
 
-export const decrypt = (encryptedData) => {
+export const encryptValue = (key, value) => encryptBytes(key, textEncoder.encode(JSON.stringify(value)));
+
+export const decryptValue = async (key, sealed) => JSON.parse(textDecoder.decode(await decryptBytes(key, sealed)));
+
+// String form for localStorage: "v2:<iv>:<ciphertext>", both base64
+export const encryptToString = async (key, value) => {
+  const { iv, data } = await encryptValue(key, value);
+  return `${CIPHERTEXT_PREFIX}${toBase64(iv)}:${toBase64(data)}`;
+};
+
+export const decryptFromString = (key, text) => {
+  const [iv, data] = text.slice(CIPHERTEXT_PREFIX.length).split(':');
+  return decryptValue(key, { iv: fromBase64(iv), data: fromBase64(data) });
+};
+
+export const isEncryptedString = (value) => typeof value === 'string' && value.startsWith(CIPHERTEXT_PREFIX);
+
+// Keyed hash: equal values give equal hashes, so an encrypted record can
+// still be looked up through an index. The index holds the hash rather than
+// the value, though it still shows which records share a value
+export const blindIndex = async (indexKey, value) => {
+  return toBase64(await crypto.subtle.sign('HMAC', indexKey, textEncoder.encode(String(value))));
+};
+
+// Data keys of the unlocked profile, current first. More than one only while
+// a passphrase change re-encrypts records; empty when the profile has no
+// passphrase or is locked.
+let dataKeys = [];
+
+export const setDataKeys = (keys) => {
+  dataKeys = keys.filter(Boolean);
+};
+
+export const getDataKeys = () => dataKeys;
+
+export const getCurrentDataKeys = () => dataKeys[0] || null;
+
+export const findDataKeys = (keyId) => dataKeys.find(keys => keys.keyId === keyId) || null;
+
+export const clearDataKeys = () => {
+  dataKeys = [];
+};
+
+// Earlier versions encrypted the ListenBrainz token with CryptoJS and a
+// build-time key that shipped in the bundle. Only read, to migrate it.
+const LEGACY_ENCRYPTION_KEY = import.meta.env.VITE_ENCRYPTION_KEY || 'default-music-viz-key-change-in-production';
+
+// CryptoJS output starts with base64 "Salted__"
+export const isLegacyCiphertext = (value) => typeof value === 'string' && value.startsWith('U2FsdGVkX1');
+
+export const decryptLegacy = (encryptedData) => {
   try {
-    const bytes = CryptoJS.AES.decrypt(encryptedData, ENCRYPTION_KEY);
+    const bytes = CryptoJS.AES.decrypt(encryptedData, LEGACY_ENCRYPTION_KEY);
     return bytes.toString(CryptoJS.enc.Utf8);
   } catch (error) {
     console.error('Decryption failed:', error);
@@ -1,52 +1,201 @@
-import { openDB } from 'idb';
+import { openDB, deleteDB } from 'idb';
+import {
+  removeSpotifyAccountDataDuplicates,
+  removeCrossSourceDuplicates,
+  getListenDedupeKey,
+  getImportIds,
+  addImportToListen,
+  removeImportFromListen,
+  DEFAULT_CROSS_SOURCE_WINDOW
+} from '../dataMerge';
+import { getTimestampBounds } from '../timestampValidation';
+import { normalizeArtistKey, resolveArtistAlias } from '../artistAliases';
+import { DEFAULT_PROFILE_ID } from '../profiles';
+import {
+  blindIndex,
+  encryptValue,
+  decryptValue,
+  generateDeviceKey,
+  getCurrentDataKeys,
+  findDataKeys
+} from './encryption';
 
 const DB_NAME = 'MusicQuestDB';
-const DB_VERSION = 3;
+const DB_VERSION = 8;
 export const STORES = {
   LISTENS: 'listens',
   GENRES: 'genres',
   SETTINGS: 'settings',
   PROGRESS: 'progress',
-  API_CONFIG: 'api_config'
+  API_CONFIG: 'api_config',
+  ARTIST_ALIASES: 'artist_aliases',
+  IMPORTS: 'imports'
 };
 
 let db = null;
+let sharedDb = null;
+let activeDBName = DB_NAME;
 
-export const initDB = async () => {
+// Each profile has its own database (see utils/profiles.js); the default
+// profile keeps the original one
+export const getProfileDBName = (profileId) => {
+  return !profileId || profileId === DEFAULT_PROFILE_ID ? DB_NAME : `${DB_NAME}-${profileId}`;
+};
+
+// Points this module at a profile's database; the next call opens it
+export const setActiveProfile = (profileId) => {
+  const name = getProfileDBName(profileId);
+  if (name === activeDBName) return;
+
+  db?.close();
+  db = null;
+  activeDBName = name;
+};
+
+export const deleteProfileDB = async (profileId) => {
+  const name = getProfileDBName(profileId);
+  if (name === DB_NAME || name === activeDBName) {
+    return { success: false, error: 'Cannot delete the default or the active profile' };
+  }
   try {
-    db = await openDB(DB_NAME, DB_VERSION, {
-      upgrade(db, oldVersion, newVersion, transaction) {
-        if (!db.objectStoreNames.contains(STORES.LISTENS)) {
-          db.createObjectStore(STORES.LISTENS, { keyPath: 'id', autoIncrement: true });
-        }
+    await deleteDB(name);
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to delete profile database:', error);
+    return { success: false, error: error.message };
+  }
+};
 
-        if (!db.objectStoreNames.contains(STORES.GENRES)) {
-          const genreStore = db.createObjectStore(STORES.GENRES, { keyPath: 'artist' });
-          genreStore.createIndex('lastFetched', 'lastFetched');
-          genreStore.createIndex('source', 'source');
+// The genre cache and API keys are shared by all profiles and always live in
+// the default profile's database
+export const getSharedDB = async () => {
+  if (activeDBName === DB_NAME) {
+    if (!db) await initDB();
+    return db;
+  }
+  if (!sharedDb) {
+    sharedDb = await openMusicQuestDB(DB_NAME);
+  }
+  return sharedDb;
+};
+
+const openMusicQuestDB = (name) => {
+  return openDB(name, DB_VERSION, {
+    upgrade(db, oldVersion, newVersion, transaction) {
+      if (!db.objectStoreNames.contains(STORES.LISTENS)) {
+        db.createObjectStore(STORES.LISTENS, { keyPath: 'id', autoIncrement: true });
+      }
+
+      // Range and per-artist queries (getListensBetween, getListensByArtist)
+      // use these instead of loading every listen. Existing records are
+      // indexed by IndexedDB itself when the index is created.
+      if (oldVersion < 5) {
+        const listenStore = transaction.objectStore(STORES.LISTENS);
+        ['timestamp', 'artistName', 'primaryArtist', 'source'].forEach(field => {
+          if (!listenStore.indexNames.contains(field)) {
+            listenStore.createIndex(field, field);
+          }
+        });
+      }
+
+      if (!db.objectStoreNames.contains(STORES.GENRES)) {
+        const genreStore = db.createObjectStore(STORES.GENRES, { keyPath: 'artist' });
+        genreStore.createIndex('lastFetched', 'lastFetched');
+        genreStore.createIndex('source', 'source');
+      }
+
+      if (!db.objectStoreNames.contains(STORES.SETTINGS)) {
+        db.createObjectStore(STORES.SETTINGS, { keyPath: 'key' });
+      }
+
+      if (!db.objectStoreNames.contains(STORES.PROGRESS)) {
+        const progressStore = db.createObjectStore(STORES.PROGRESS, { keyPath: 'id' });
+        progressStore.createIndex('timestamp', 'timestamp');
+      }
+
+      if (!db.objectStoreNames.contains(STORES.API_CONFIG)) {
+        db.createObjectStore(STORES.API_CONFIG, { keyPath: 'key' });
+      }
+
+      // Variant artist name → canonical name, see utils/artistAliases.js
+      if (!db.objectStoreNames.contains(STORES.ARTIST_ALIASES)) {
+        const aliasStore = db.createObjectStore(STORES.ARTIST_ALIASES, { keyPath: 'alias' });
+        aliasStore.createIndex('status', 'status');
+      }
+
+      // One entry per imported file, see utils/importLedger.js
+      if (!db.objectStoreNames.contains(STORES.IMPORTS)) {
+        const importStore = db.createObjectStore(STORES.IMPORTS, { keyPath: 'id' });
+        importStore.createIndex('hash', 'hash');
+        importStore.createIndex('importedAt', 'importedAt');
+      }
+
+      if (oldVersion < 7) {
+        const listenStore = transaction.objectStore(STORES.LISTENS);
+        if (!listenStore.indexNames.contains('importId')) {
+          listenStore.createIndex('importId', 'importId');
         }
+      }
 
-        if (!db.objectStoreNames.contains(STORES.SETTINGS)) {
-          db.createObjectStore(STORES.SETTINGS, { keyPath: 'key' });
+      // Every import that brought in a play (see getImportIds in
+      // utils/dataMerge.js), so a rollback finds plays other imports share
+      if (oldVersion < 8) {
+        const listenStore = transaction.objectStore(STORES.LISTENS);
+        if (!listenStore.indexNames.contains('importIds')) {
+          listenStore.createIndex('importIds', 'importIds', { multiEntry: true });
         }
+        listenStore.openCursor().then(function backfill(cursor) {
+          if (!cursor) return;
+          if (cursor.value.importId && !cursor.value.importIds) {
+            cursor.update({ ...cursor.value, importIds: [cursor.value.importId] });
+          }
+          return cursor.continue().then(backfill);
+        });
+      }
 
-        if (!db.objectStoreNames.contains(STORES.PROGRESS)) {
-          const progressStore = db.createObjectStore(STORES.PROGRESS, { keyPath: 'id' });
-          progressStore.createIndex('timestamp', 'timestamp');
+      if (oldVersion < 2 && db.objectStoreNames.contains(STORES.GENRES)) {
+        const genreStore = transaction.objectStore(STORES.GENRES);
+        if (!genreStore.indexNames.contains('source')) {
+          genreStore.createIndex('source', 'source');
         }
+      }
 
-        if (!db.objectStoreNames.contains(STORES.API_CONFIG)) {
-          db.createObjectStore(STORES.API_CONFIG, { keyPath: 'key' });
+      // Imports check for exact duplicates through dedupeKey instead of
+      // loading every listen. Stored timestamps are brought to seconds in
+      // the same pass, as the old clear-and-rewrite merge used to do.
+      if (oldVersion < 6) {
+        const listenStore = transaction.objectStore(STORES.LISTENS);
+        if (!listenStore.indexNames.contains('dedupeKey')) {
+          listenStore.createIndex('dedupeKey', 'dedupeKey');
         }
+        listenStore.openCursor().then(function backfill(cursor) {
+          if (!cursor) return;
+          const listen = normalizeListenTimestamps(cursor.value);
+          cursor.update({ ...listen, dedupeKey: getListenDedupeKey(listen) });
+          return cursor.continue().then(backfill);
+        });
+      }
 
-        if (oldVersion < 2 && db.objectStoreNames.contains(STORES.GENRES)) {
-          const genreStore = transaction.objectStore(STORES.GENRES);
-          if (!genreStore.indexNames.contains('source')) {
-            genreStore.createIndex('source', 'source');
-          }
+      // Genre entries are also looked up by normalized name, so "Beyonce"
+      // finds the entry cached as "Beyoncé"
+      if (oldVersion < 4 && db.objectStoreNames.contains(STORES.GENRES)) {
+        const genreStore = transaction.objectStore(STORES.GENRES);
+        if (!genreStore.indexNames.contains('artistKey')) {
+          genreStore.createIndex('artistKey', 'artistKey');
         }
-      },
-    });
+        genreStore.openCursor().then(function backfill(cursor) {
+          if (!cursor) return;
+          cursor.update({ ...cursor.value, artistKey: normalizeArtistKey(cursor.value.artist) });
+          return cursor.continue().then(backfill);
+        });
+      }
+    },
+  });
+};
+
+export const initDB = async () => {
+  try {
+    db = await openMusicQuestDB(activeDBName);
     return db;
   } catch (error) {
     console.error('Failed to initialize IndexedDB:', error);
@@ -54,18 +203,77 @@ export const initDB = async () => {
   }
 };
 
+// With a passphrase set (storage/vault.js), listens are stored as
+//   { id, keyId, timestamp, listened_at, source, importId, importIds,
+//     artistName, primaryArtist, dedupeKey, sealed: { iv, data } }
+// sealed holds the encrypted listen; artistName, primaryArtist and dedupeKey
+// are keyed hashes so the indexes still work. Timestamps, sources and import
+// ids stay readable for range queries and rollbacks. The genre cache,
+// artist_aliases and imports stores are not sealed (see storage/vault.js).
+// WebCrypto calls can't run inside an IndexedDB transaction (it commits as
+// soon as it waits on anything else), so records are sealed before a
+// transaction opens and opened after it finishes.
+const sealListen = async (listen, keys = getCurrentDataKeys()) => {
+  const dedupeKey = getListenDedupeKey(listen);
+  const importIds = getImportIds(listen);
+  if (!keys) {
+    return { ...listen, dedupeKey, importIds };
+  }
+
+  const fields = { ...listen };
+  delete fields.id;
+  delete fields.dedupeKey;
+
+  const record = {
+    keyId: keys.keyId,
+    timestamp: listen.timestamp,
+    listened_at: listen.listened_at,
+    source: listen.source,
+    importId: listen.importId,
+    importIds,
+    artistName: listen.artistName ? await blindIndex(keys.indexKey, listen.artistName) : undefined,
+    primaryArtist: listen.primaryArtist ? await blindIndex(keys.indexKey, listen.primaryArtist) : undefined,
+    dedupeKey: await blindIndex(keys.indexKey, dedupeKey),
+    sealed: await encryptValue(keys.encryptionKey, fields)
+  };
+  // Left out rather than undefined so new listens get a generated key
+  if (listen.id !== undefined) {
+    record.id = listen.id;
+  }
+  return record;
+};
+
+const openListen = async (record) => {
+  if (!record.sealed) return record;
+
+  const keys = findDataKeys(record.keyId);
+  if (!keys) {
+    throw new Error('Listening data is locked');
+  }
+  return { ...(await decryptValue(keys.encryptionKey, record.sealed)), id: record.id };
+};
+
+const openListens = (records) => Promise.all(records.map(openListen));
+
+// The value an indexed field is stored under: hashed while a passphrase is set
+const indexValue = async (value) => {
+  const keys = getCurrentDataKeys();
+  return keys ? blindIndex(keys.indexKey, value) : value;
+};
+
 export const saveListeningData = async (data, replace = false) => {
   try {
     if (!db) await initDB();
 
+    const records = await Promise.all(data.map(item => sealListen(item)));
     const tx = db.transaction(STORES.LISTENS, 'readwrite');
 
     if (replace) {
       await tx.objectStore(STORES.LISTENS).clear();
     }
 
-    for (const item of data) {
-      await tx.objectStore(STORES.LISTENS).add(item);
+    for (const record of records) {
+      await tx.objectStore(STORES.LISTENS).add(record);
     }
 
     await tx.done;
@@ -76,101 +284,298 @@ export const saveListeningData = async (data, replace = false) => {
   }
 };
 
-export const mergeListeningData = async (newData) => {
-  try {
-    if (!db) await initDB();
+// Listens are written in transactions of this many records, so a closed tab
+// loses at most the chunk in flight
+const MERGE_CHUNK_SIZE = 1000;
 
-    console.log('🔄 Merging listening data...');
+// Stored listens this far outside the cross-source window are also loaded as
+// merge candidates: Spotify reports end times, so long plays start well before
+const MERGE_NEIGHBOR_MARGIN = 60 * 60;
 
-    const existingData = await db.getAll(STORES.LISTENS);
+const normalizeListenTimestamps = (listen) => {
+  const normalized = { ...listen };
 
-    // Normalize timestamps in existing data
-    const normalizedExisting = existingData.map(listen => {
-      const normalized = { ...listen };
+  if (normalized.timestamp && normalized.timestamp > 10000000000) {
+    normalized.timestamp = Math.floor(normalized.timestamp / 1000);
+  }
 
-      if (normalized.timestamp && normalized.timestamp > 10000000000) {
-        normalized.timestamp = Math.floor(normalized.timestamp / 1000);
-      }
+  if (normalized.listened_at && normalized.listened_at > 10000000000) {
+    normalized.listened_at = Math.floor(normalized.listened_at / 1000);
+  } else if (!normalized.listened_at && normalized.timestamp) {
+    normalized.listened_at = normalized.timestamp;
+  }
 
-      if (normalized.listened_at && normalized.listened_at > 10000000000) {
-        normalized.listened_at = Math.floor(normalized.listened_at / 1000);
-      } else if (!normalized.listened_at && normalized.timestamp) {
-        normalized.listened_at = normalized.timestamp;
-      }
+  return normalized;
+};
 
-      return normalized;
-    });
+const describeDuplicate = (listen) => {
+  const timestamp = listen.timestamp || listen.listened_at || 0;
+  return {
+    track: listen.trackName || listen.track_metadata?.track_name,
+    artist: listen.artistName || listen.track_metadata?.artist_name,
+    date: new Date(timestamp * 1000).toISOString().split('T')[0]
+  };
+};
 
-    // Normalize timestamps in new data
-    const normalizedNew = newData.map(listen => {
-      const normalized = { ...listen };
+// [from, to] timestamp ranges around each listen, overlapping ones joined
+const getNeighborRanges = (listens, margin) => {
+  const times = listens
+    .map(listen => listen.timestamp || listen.listened_at || 0)
+    .sort((a, b) => a - b);
+  const ranges = [];
+
+  times.forEach(time => {
+    const last = ranges[ranges.length - 1];
+    if (last && time - margin <= last[1]) {
+      last[1] = time + margin;
+    } else {
+      ranges.push([time - margin, time + margin]);
+    }
+  });
 
-      if (normalized.timestamp && normalized.timestamp > 10000000000) {
-        normalized.timestamp = Math.floor(normalized.timestamp / 1000);
-      }
+  return ranges;
+};
 
-      if (normalized.listened_at && normalized.listened_at > 10000000000) {
-        normalized.listened_at = Math.floor(normalized.listened_at / 1000);
-      } else if (!normalized.listened_at && normalized.timestamp) {
-        normalized.listened_at = normalized.timestamp;
+// With seal, each chunk of listens goes through sealListen before its
+// transaction opens
+const writeListensInChunks = async (records, write, seal = false) => {
+  for (let i = 0; i < records.length; i += MERGE_CHUNK_SIZE) {
+    const chunk = records.slice(i, i + MERGE_CHUNK_SIZE);
+    const prepared = seal ? await Promise.all(chunk.map(listen => sealListen(listen))) : chunk;
+    const tx = db.transaction(STORES.LISTENS, 'readwrite');
+    for (const record of prepared) {
+      await write(tx.store, record);
+    }
+    await tx.done;
+  }
+};
+
+// Reads the stored records a page at a time in key order; handle runs after
+// each page's transaction has finished, so it may decrypt and write
+const forEachListenPage = async (handle) => {
+  let lastKey = null;
+  for (;;) {
+    const range = lastKey === null ? null : IDBKeyRange.lowerBound(lastKey, true);
+    const records = await db.getAll(STORES.LISTENS, range, MERGE_CHUNK_SIZE);
+    if (records.length === 0) return;
+    lastKey = records[records.length - 1].id;
+    await handle(records);
+  }
+};
+
+// Runs the account-data and cross-source passes over stored listens plus new
+// candidates, then writes the difference: candidates that survive are added,
+// stored listens that absorbed another record are updated and superseded
+// ones deleted. A stored play that a richer candidate replaces keeps its id
+// and importId, so it stays with the import that first brought it in; both
+// imports are listed in its importIds.
+const writeDedupedListens = async (stored, candidates, crossSourceWindow) => {
+  const { listens: withoutAccountData, duplicates: accountDataDuplicates } =
+    removeSpotifyAccountDataDuplicates([...stored, ...candidates]);
+  const { listens: keptListens, matches: crossSourceMatches } =
+    removeCrossSourceDuplicates(withoutAccountData, crossSourceWindow);
+
+  const storedById = new Map(stored.map(listen => [listen.id, listen]));
+  const keptIds = new Set(keptListens.map(listen => listen.id));
+  const toAdd = [];
+  const toUpdate = [];
+
+  keptListens.forEach(listen => {
+    if (storedById.has(listen.id)) {
+      if (storedById.get(listen.id) !== listen) {
+        toUpdate.push(listen);
       }
+      return;
+    }
 
-      return normalized;
-    });
+    const superseded = listen.mergedFrom?.find(entry => storedById.has(entry.id) && !keptIds.has(entry.id));
+    if (superseded) {
+      const previous = storedById.get(superseded.id);
+      keptIds.add(previous.id);
+      toUpdate.push({
+        ...listen,
+        id: previous.id,
+        importId: previous.importId
+      });
+      return;
+    }
 
-    const allListens = [...normalizedExisting, ...normalizedNew];
+    toAdd.push(listen);
+  });
+  const toDelete = stored.filter(listen => !keptIds.has(listen.id)).map(listen => listen.id);
+
+  await writeListensInChunks(toAdd, (store, record) => store.add(record), true);
+  await writeListensInChunks(toUpdate, (store, record) => store.put(record), true);
+  await writeListensInChunks(toDelete, (store, id) => store.delete(id));
+
+  return {
+    changed: toAdd.concat(toUpdate),
+    added: toAdd.length,
+    updated: toUpdate.length,
+    removed: toDelete.length,
+    accountDataDuplicates,
+    crossSourceMatches
+  };
+};
 
-    const seenKeys = new Map();
-    const duplicates = [];
+// Exact duplicates are not stored again, but their import is added to the
+// stored play, so rolling back the import that first added it keeps the play.
+// Returns the plays that were updated.
+const recordDuplicateImports = async (duplicateImports) => {
+  const ids = [...duplicateImports.keys()];
+  const changed = [];
+  for (let i = 0; i < ids.length; i += MERGE_CHUNK_SIZE) {
+    const tx = db.transaction(STORES.LISTENS);
+    const records = await Promise.all(ids.slice(i, i + MERGE_CHUNK_SIZE).map(id => tx.store.get(id)));
+    await tx.done;
 
-    allListens.forEach(listen => {
-      const trackName = (listen.trackName || listen.track_metadata?.track_name || '').toLowerCase().trim();
-      const artistName = (listen.artistName || listen.track_metadata?.artist_name || '').toLowerCase().trim();
-      const timestamp = listen.timestamp || listen.listened_at || 0;
+    const updated = [];
+    for (const listen of await openListens(records.filter(Boolean))) {
+      let current = listen;
+      duplicateImports.get(listen.id).forEach(importId => {
+        current = addImportToListen(current, importId) || current;
+      });
+      if (current !== listen) updated.push(current);
+    }
+    await writeListensInChunks(updated, (store, record) => store.put(record), true);
+    updated.forEach(listen => changed.push(listen));
+  }
+  return changed;
+};
 
-      const key = `${trackName}|||${artistName}|||${timestamp}`;
+// Stored listens that could be account-data or cross-source duplicates of
+// the given ones
+const getListensAround = async (listens, crossSourceWindow) => {
+  const neighbors = [];
+  for (const [from, to] of getNeighborRanges(listens, (crossSourceWindow || 0) + MERGE_NEIGHBOR_MARGIN)) {
+    (await getListensBetween(from, to)).forEach(listen => neighbors.push(listen));
+  }
+  return neighbors;
+};
 
-      if (seenKeys.has(key)) {
-        duplicates.push({
-          track: listen.trackName || listen.track_metadata?.track_name,
-          artist: listen.artistName || listen.track_metadata?.artist_name,
-          date: new Date(timestamp * 1000).toISOString().split('T')[0]
-        });
-      } else {
-        seenKeys.set(key, listen);
-      }
-    });
+// The timestamps an import or rollback can have changed: its own listens plus
+// the stored ones around them that the duplicate passes compared them with
+const getChangedRange = (listens, crossSourceWindow) => {
+  if (listens.length === 0) return null;
+  const margin = (crossSourceWindow || 0) + MERGE_NEIGHBOR_MARGIN;
+  const bounds = getTimestampBounds(listens.map(listen => listen.timestamp || listen.listened_at || 0));
+  return { from: bounds.min - margin, to: bounds.max + margin };
+};
 
-    const uniqueListens = Array.from(seenKeys.values());
+// First and last stored timestamp, read from the ends of the timestamp index
+const getStoredDateRange = async () => {
+  const index = db.transaction(STORES.LISTENS).store.index('timestamp');
+  const first = await index.openCursor(null, 'next');
+  const last = await index.openCursor(null, 'prev');
+  if (!first || !last) return null;
+
+  const min = first.value.timestamp;
+  const max = last.value.timestamp;
+  return {
+    earliest: new Date(min * 1000),
+    latest: new Date(max * 1000),
+    yearSpan: ((max - min) / (365.25 * 24 * 60 * 60)).toFixed(1)
+  };
+};
+
+// Appends an import to the stored listens without rewriting them:
+//   1. exact duplicates are found through the 'dedupeKey' index
+//   2. the remaining listens are compared with the stored listens around
+//      them for Spotify account-data and cross-source duplicates
+//   3. new listens are added, merged ones updated, superseded ones deleted,
+//      in that order and in chunks
+// If the tab closes part-way, the stored data stays valid: a record is only
+// deleted after its replacement is written, and importing the same files
+// again skips what was already added.
+// Returns the listens that were added or changed, not the whole store;
+// changedRange is the span of timestamps to reload (see getListensBetween).
+export const mergeListeningData = async (newData, crossSourceWindow = DEFAULT_CROSS_SOURCE_WINDOW) => {
+  try {
+    if (!db) await initDB();
+
+    console.log('🔄 Merging listening data...');
 
-    uniqueListens.sort((a, b) => {
-      const aTime = a.timestamp || a.listened_at || 0;
-      const bTime = b.timestamp || b.listened_at || 0;
-      return aTime - bTime;
+    const existingCount = await countListens();
+    const normalizedNew = newData.map(listen => {
+      const normalized = normalizeListenTimestamps(listen);
+      return { ...normalized, dedupeKey: getListenDedupeKey(normalized) };
     });
 
-    const duplicateCount = allListens.length - uniqueListens.length;
-    const duplicateRate = allListens.length > 0
-      ? ((duplicateCount / allListens.length) * 100).toFixed(1)
+    const duplicates = [];
+    const candidates = [];
+    const seenKeys = new Map();
+    // Stored id → imports whose exact duplicates of it were skipped
+    const duplicateImports = new Map();
+    const storedKeys = await Promise.all(normalizedNew.map(listen => indexValue(listen.dedupeKey)));
+    const lookupTx = db.transaction(STORES.LISTENS);
+
+    for (const [index, listen] of normalizedNew.entries()) {
+      if (seenKeys.has(listen.dedupeKey)) {
+        duplicates.push(describeDuplicate(listen));
+        const candidateIndex = seenKeys.get(listen.dedupeKey);
+        candidates[candidateIndex] = addImportToListen(candidates[candidateIndex], listen.importId) || candidates[candidateIndex];
+        continue;
+      }
+
+      const storedId = await lookupTx.store.index('dedupeKey').getKey(storedKeys[index]);
+      if (storedId !== undefined) {
+        duplicates.push(describeDuplicate(listen));
+        if (listen.importId) {
+          if (!duplicateImports.has(storedId)) duplicateImports.set(storedId, new Set());
+          duplicateImports.get(storedId).add(listen.importId);
+        }
+        continue;
+      }
+
+      // Listen ids are built from the file and row position, so another
+      // import can have used the same id already
+      if ((await lookupTx.store.getKey(listen.id)) !== undefined) {
+        listen.id = `${listen.id}-${Date.now()}-${candidates.length}`;
+      }
+
+      seenKeys.set(listen.dedupeKey, candidates.length);
+      candidates.push(listen);
+    }
+    await lookupTx.done;
+
+    const neighbors = await getListensAround(candidates, crossSourceWindow);
+
+    const {
+      changed,
+      added,
+      updated,
+      removed,
+      accountDataDuplicates,
+      crossSourceMatches
+    } = await writeDedupedListens(neighbors, candidates, crossSourceWindow);
+    const withImports = await recordDuplicateImports(duplicateImports);
+
+    accountDataDuplicates.forEach(listen => duplicates.push(describeDuplicate(listen)));
+
+    const changedListens = changed.concat(withImports);
+    changedListens.sort((a, b) => (a.timestamp || a.listened_at || 0) - (b.timestamp || b.listened_at || 0));
+
+    const total = await countListens();
+    const combinedCount = existingCount + newData.length;
+    const duplicateCount = combinedCount - total;
+    const duplicateRate = combinedCount > 0
+      ? ((duplicateCount / combinedCount) * 100).toFixed(1)
       : 0;
 
-    const timestamps = uniqueListens.map(l => l.timestamp || l.listened_at || 0);
-    const dateRange = timestamps.length > 0 ? {
-      earliest: new Date(Math.min(...timestamps) * 1000),
-      latest: new Date(Math.max(...timestamps) * 1000),
-      yearSpan: ((Math.max(...timestamps) - Math.min(...timestamps)) / (365.25 * 24 * 60 * 60)).toFixed(1)
-    } : null;
+    const dateRange = await getStoredDateRange();
 
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     console.log('📊 DATA MERGE COMPLETE');
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-    console.log(`   Cached:             ${existingData.length.toLocaleString()} listens`);
+    console.log(`   Cached:             ${existingCount.toLocaleString()} listens`);
     console.log(`   Imported:           ${newData.length.toLocaleString()} listens`);
     console.log(`   ─────────────────────────────────`);
-    console.log(`   Combined total:     ${allListens.length.toLocaleString()} listens`);
+    console.log(`   Combined total:     ${combinedCount.toLocaleString()} listens`);
     console.log(`   Duplicates removed: ${duplicateCount.toLocaleString()} (${duplicateRate}%)`);
+    console.log(`   Cross-source:       ${crossSourceMatches.length.toLocaleString()} (within ${crossSourceWindow}s)`);
+    console.log(`   Written:            ${added.toLocaleString()} added, ${updated.toLocaleString()} updated, ${removed.toLocaleString()} removed`);
     console.log(`   ─────────────────────────────────`);
-    console.log(`   Final unique:       ${uniqueListens.length.toLocaleString()} listens`);
+    console.log(`   Final unique:       ${total.toLocaleString()} listens`);
     if (dateRange) {
       console.log(`   Date range:         ${dateRange.earliest.getFullYear()} - ${dateRange.latest.getFullYear()} (${dateRange.yearSpan} years)`);
     }
@@ -184,25 +589,31 @@ export const mergeListeningData = async (newData) => {
       console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     }
 
-    const tx = db.transaction(STORES.LISTENS, 'readwrite');
-    await tx.objectStore(STORES.LISTENS).clear();
-
-    for (const item of uniqueListens) {
-      await tx.objectStore(STORES.LISTENS).add(item);
+    if (crossSourceMatches.length > 0) {
+      console.log(`   Sample cross-source matches (first 5):`);
+      crossSourceMatches.slice(0, 5).forEach((match, i) => {
+        console.log(`   ${i + 1}. "${match.track}" by ${match.artist}: kept ${match.keptSource}, merged ${match.droppedSource} (${match.offsetSeconds}s apart)`);
+      });
+      console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     }
 
-    await tx.done;
-
     const mergeInfo = {
-      existing: existingData.length,
+      existing: existingCount,
       new: newData.length,
       duplicates: duplicateCount,
       duplicateRate: parseFloat(duplicateRate),
-      total: uniqueListens.length,
-      sampleDuplicates: duplicates.slice(0, 5)
+      total,
+      sampleDuplicates: duplicates.slice(0, 5),
+      crossSourceMatches
     };
 
-    return { success: true, data: uniqueListens, mergeInfo };
+    return {
+      success: true,
+      data: changedListens,
+      changedRange: getChangedRange(normalizedNew, crossSourceWindow),
+      dateRange,
+      mergeInfo
+    };
   } catch (error) {
     console.error('Failed to merge listening data:', error);
     return { success: false, error: error.message };
@@ -212,19 +623,175 @@ export const mergeListeningData = async (newData) => {
 export const getListeningData = async () => {
   try {
     if (!db) await initDB();
-    return await db.getAll(STORES.LISTENS);
+    return await openListens(await db.getAll(STORES.LISTENS));
   } catch (error) {
     console.error('Failed to get listening data:', error);
     return [];
   }
 };
 
-export const saveGenreCache = async (artist, genres, mbid = null, source = 'unknown') => {
+// Listens with timestamp between from and to (Unix seconds, inclusive)
+export const getListensBetween = async (from, to) => {
+  try {
+    if (!db) await initDB();
+    return await openListens(await db.getAllFromIndex(STORES.LISTENS, 'timestamp', IDBKeyRange.bound(from, to)));
+  } catch (error) {
+    console.error('Failed to get listens by date range:', error);
+    return [];
+  }
+};
+
+// Listens credited to an artist, by the full credit or the primary artist.
+// Listens imported before credits were split only have artistName.
+export const getListensByArtist = async (name) => {
+  try {
+    if (!db) await initDB();
+    const key = await indexValue(name);
+    const tx = db.transaction(STORES.LISTENS);
+    const records = await findListensByArtist(tx.objectStore(STORES.LISTENS), key);
+    await tx.done;
+    return await openListens(records);
+  } catch (error) {
+    console.error(`Failed to get listens for ${name}:`, error);
+    return [];
+  }
+};
+
+// name is the stored index value (see indexValue)
+const findListensByArtist = async (store, name) => {
+  const [byCredit, byPrimary] = await Promise.all([
+    store.index('artistName').getAll(name),
+    store.index('primaryArtist').getAll(name)
+  ]);
+  const seen = new Set(byCredit.map(listen => listen.id));
+  return byCredit.concat(byPrimary.filter(listen => !seen.has(listen.id)));
+};
+
+export const countListens = async (from = null, to = null) => {
+  try {
+    if (!db) await initDB();
+    if (from === null && to === null) {
+      return await db.count(STORES.LISTENS);
+    }
+    const range = IDBKeyRange.bound(from ?? 0, to ?? Number.MAX_SAFE_INTEGER);
+    return await db.countFromIndex(STORES.LISTENS, 'timestamp', range);
+  } catch (error) {
+    console.error('Failed to count listens:', error);
+    return 0;
+  }
+};
+
+// Walks listens one at a time without holding them all in memory, limited to
+// a timestamp range when from/to are given. With readwrite, a listen returned
+// from the callback replaces the stored one. Returns how many were visited.
+// Encrypted listens are walked a page at a time in key order instead.
+export const iterateListens = async (callback, { from = null, to = null, readwrite = false } = {}) => {
+  if (!db) await initDB();
+
+  if (getCurrentDataKeys()) {
+    return iterateSealedListens(callback, { from, to, readwrite });
+  }
+
+  const tx = db.transaction(STORES.LISTENS, readwrite ? 'readwrite' : 'readonly');
+  const range = from === null && to === null
+    ? null
+    : IDBKeyRange.bound(from ?? 0, to ?? Number.MAX_SAFE_INTEGER);
+  const store = tx.objectStore(STORES.LISTENS);
+  let cursor = await (range ? store.index('timestamp') : store).openCursor(range);
+  let visited = 0;
+
+  while (cursor) {
+    const updated = callback(cursor.value);
+    if (readwrite && updated) {
+      await cursor.update(updated);
+    }
+    visited++;
+    cursor = await cursor.continue();
+  }
+
+  await tx.done;
+  return visited;
+};
+
+const iterateSealedListens = async (callback, { from, to, readwrite }) => {
+  const inRange = (record) => (from === null && to === null) || (
+    typeof record.timestamp === 'number' &&
+    record.timestamp >= (from ?? 0) &&
+    record.timestamp <= (to ?? Number.MAX_SAFE_INTEGER)
+  );
+  let visited = 0;
+
+  await forEachListenPage(async (records) => {
+    const listens = await openListens(records.filter(inRange));
+    const updates = [];
+    listens.forEach(listen => {
+      const updated = callback(listen);
+      if (readwrite && updated) {
+        updates.push(updated);
+      }
+      visited++;
+    });
+    await writeListensInChunks(updates, (store, record) => store.put(record), true);
+  });
+
+  return visited;
+};
+
+// Saves changed listens over the stored ones, in chunks
+export const putListens = async (listens) => {
   try {
     if (!db) await initDB();
+    await writeListensInChunks(listens, (store, record) => store.put(record), true);
+    return true;
+  } catch (error) {
+    console.error('Failed to save listens:', error);
+    return false;
+  }
+};
+
+export const deleteListens = async (ids) => {
+  try {
+    if (!db) await initDB();
+    await writeListensInChunks(ids, (store, id) => store.delete(id));
+    return true;
+  } catch (error) {
+    console.error('Failed to delete listens:', error);
+    return false;
+  }
+};
+
+// Rewrites every stored listen sealed with keys, or in plaintext when keys is
+// null. Used when a passphrase is set, changed or removed; records already
+// in the target form are skipped, so an interrupted run can be resumed.
+export const resealListens = async (keys, onProgress = null) => {
+  if (!db) await initDB();
+
+  const total = await db.count(STORES.LISTENS);
+  let processed = 0;
+
+  await forEachListenPage(async (records) => {
+    const stale = records.filter(record => (keys ? record.keyId !== keys.keyId : Boolean(record.sealed)));
+    const listens = await openListens(stale);
+    const resealed = await Promise.all(listens.map(listen => sealListen(listen, keys)));
+
+    const tx = db.transaction(STORES.LISTENS, 'readwrite');
+    for (const record of resealed) {
+      await tx.store.put(record);
+    }
+    await tx.done;
+
+    processed += records.length;
+    onProgress?.({ processed, total });
+  });
+};
+
+export const saveGenreCache = async (artist, genres, mbid = null, source = 'unknown') => {
+  try {
+    const cacheDb = await getSharedDB();
 
     const cacheEntry = {
       artist,
+      artistKey: normalizeArtistKey(artist),
       mbid,
       genres,
       source,
@@ -233,7 +800,7 @@ export const saveGenreCache = async (artist, genres, mbid = null, source = 'unkn
       lastError: null
     };
 
-    await db.put(STORES.GENRES, cacheEntry);
+    await cacheDb.put(STORES.GENRES, cacheEntry);
     console.log(`💾 Cached genres for "${artist}" (source: ${source}):`, genres);
     return true;
   } catch (error) {
@@ -244,9 +811,18 @@ export const saveGenreCache = async (artist, genres, mbid = null, source = 'unkn
 
 export const getGenreCache = async (artist) => {
   try {
-    if (!db) await initDB();
-
-    const cached = await db.get(STORES.GENRES, artist);
+    const cacheDb = await getSharedDB();
+
+    // Exact name first, then the approved canonical name, then any entry
+    // sharing the normalized name
+    let cached = await cacheDb.get(STORES.GENRES, artist);
+    const canonical = resolveArtistAlias(artist);
+    if (!cached && canonical !== artist) {
+      cached = await cacheDb.get(STORES.GENRES, canonical);
+    }
+    if (!cached) {
+      cached = await cacheDb.getFromIndex(STORES.GENRES, 'artistKey', normalizeArtistKey(canonical));
+    }
     if (!cached) {
       console.log(`Genre cache MISS: ${artist}`);
       return null;
@@ -268,8 +844,8 @@ export const getGenreCache = async (artist) => {
 
 export const clearGenreCache = async () => {
   try {
-    if (!db) await initDB();
-    await db.clear(STORES.GENRES);
+    const cacheDb = await getSharedDB();
+    await cacheDb.clear(STORES.GENRES);
     return true;
   } catch (error) {
     console.error('Failed to clear genre cache:', error);
@@ -277,11 +853,143 @@ export const clearGenreCache = async () => {
   }
 };
 
+export const getArtistAliases = async () => {
+  try {
+    if (!db) await initDB();
+    return await db.getAll(STORES.ARTIST_ALIASES);
+  } catch (error) {
+    console.error('Failed to get artist aliases:', error);
+    return [];
+  }
+};
+
+export const saveArtistAliases = async (entries) => {
+  try {
+    if (!db) await initDB();
+    const tx = db.transaction(STORES.ARTIST_ALIASES, 'readwrite');
+    for (const entry of entries) {
+      await tx.objectStore(STORES.ARTIST_ALIASES).put({ ...entry, updatedAt: Date.now() });
+    }
+    await tx.done;
+    return true;
+  } catch (error) {
+    console.error('Failed to save artist aliases:', error);
+    return false;
+  }
+};
+
+export const deleteArtistAlias = async (alias) => {
+  try {
+    if (!db) await initDB();
+    await db.delete(STORES.ARTIST_ALIASES, alias);
+    return true;
+  } catch (error) {
+    console.error('Failed to delete artist alias:', error);
+    return false;
+  }
+};
+
+export const getImportHistory = async () => {
+  try {
+    if (!db) await initDB();
+    const entries = await db.getAllFromIndex(STORES.IMPORTS, 'importedAt');
+    return entries.reverse();
+  } catch (error) {
+    console.error('Failed to get import history:', error);
+    return [];
+  }
+};
+
+export const getImportByHash = async (hash) => {
+  try {
+    if (!db) await initDB();
+    return (await db.getFromIndex(STORES.IMPORTS, 'hash', hash)) || null;
+  } catch (error) {
+    console.error('Failed to look up import:', error);
+    return null;
+  }
+};
+
+// How many stored listens an import first brought in
+export const countListensByImport = async (importId) => {
+  try {
+    if (!db) await initDB();
+    return await db.countFromIndex(STORES.LISTENS, 'importId', importId);
+  } catch (error) {
+    console.error('Failed to count listens of import:', error);
+    return 0;
+  }
+};
+
+export const saveImportRecords = async (entries) => {
+  try {
+    if (!db) await initDB();
+    const tx = db.transaction(STORES.IMPORTS, 'readwrite');
+    for (const entry of entries) {
+      await tx.store.put(entry);
+    }
+    await tx.done;
+    return true;
+  } catch (error) {
+    console.error('Failed to save import records:', error);
+    return false;
+  }
+};
+
+// Removes an import's listens. Plays that other imports also brought in are
+// kept without this import; merged plays fall apart into the other imports'
+// versions, and the account-data and cross-source passes merge those again. The ledger entry
+// goes last, so an interrupted rollback can simply be run again.
+// changedRange is the span of timestamps to reload, as for mergeListeningData.
+export const rollbackImport = async (importId, crossSourceWindow = DEFAULT_CROSS_SOURCE_WINDOW) => {
+  try {
+    if (!db) await initDB();
+
+    const affected = await openListens(await db.getAllFromIndex(STORES.LISTENS, 'importIds', importId));
+    const replacements = [];
+    const restored = [];
+    let removedCount = 0;
+    affected.forEach(listen => {
+      const kept = removeImportFromListen(listen, importId);
+      if (kept.length === 0) removedCount++;
+      kept.forEach(version => replacements.push(version));
+      if (listen.mergedVersions) {
+        kept.forEach(version => restored.push(version));
+      }
+    });
+
+    const replacementIds = new Set(replacements.map(listen => listen.id));
+    const toDelete = affected.map(listen => listen.id).filter(id => !replacementIds.has(id));
+    await writeListensInChunks(replacements, (store, record) => store.put(record), true);
+    await writeListensInChunks(toDelete, (store, id) => store.delete(id));
+
+    // Only restored versions can be merged again, so only the listens around
+    // them are checked
+    const remaining = await getListensAround(restored, crossSourceWindow);
+    const { removed, crossSourceMatches } = await writeDedupedListens(remaining, [], crossSourceWindow);
+
+    await db.delete(STORES.IMPORTS, importId);
+
+    console.log(`↩️ Rolled back import ${importId}: ${removedCount.toLocaleString()} listens removed, ${(affected.length - removedCount).toLocaleString()} kept for other imports, ${removed.toLocaleString()} duplicates merged (${crossSourceMatches.length} cross-source)`);
+
+    return {
+      success: true,
+      removed: removedCount,
+      deduplicated: removed,
+      changedRange: getChangedRange(affected.concat(restored), crossSourceWindow)
+    };
+  } catch (error) {
+    console.error('Failed to roll back import:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Clears the active profile; the shared genre cache is left alone
 export const clearAllData = async () => {
   try {
     if (!db) await initDB();
     await db.clear(STORES.LISTENS);
-    await db.clear(STORES.GENRES);
+    await db.clear(STORES.IMPORTS);
     await db.clear(STORES.SETTINGS);
     return true;
   } catch (error) {
@@ -293,10 +1001,18 @@ export const clearAllData = async () => {
 export const getDataSize = async () => {
   try {
     if (!db) await initDB();
-    const listens = await db.getAll(STORES.LISTENS);
-    const genres = await db.getAll(STORES.GENRES);
+    let sizeInBytes = 0;
+    let cursor = await db.transaction(STORES.LISTENS).store.openCursor();
+    while (cursor) {
+      sizeInBytes += cursor.value.sealed
+        ? cursor.value.sealed.data.byteLength
+        : JSON.stringify(cursor.value).length;
+      cursor = await cursor.continue();
+    }
 
-    const sizeInBytes = JSON.stringify({ listens, genres }).length;
+    const cacheDb = await getSharedDB();
+    const genres = await cacheDb.getAll(STORES.GENRES);
+    sizeInBytes += JSON.stringify(genres).length;
     return sizeInBytes;
   } catch (error) {
     console.error('Failed to get data size:', error);
@@ -342,8 +1058,8 @@ export const clearProgress = async () => {
 
 export const saveAPIConfig = async (key, value) => {
   try {
-    if (!db) await initDB();
-    await db.put(STORES.API_CONFIG, { key, value });
+    const cacheDb = await getSharedDB();
+    await cacheDb.put(STORES.API_CONFIG, { key, value });
     return true;
   } catch (error) {
     console.error('Failed to save API config:', error);
@@ -353,8 +1069,8 @@ export const saveAPIConfig = async (key, value) => {
 
 export const getAPIConfig = async (key) => {
   try {
-    if (!db) await initDB();
-    const config = await db.get(STORES.API_CONFIG, key);
+    const cacheDb = await getSharedDB();
+    const config = await cacheDb.get(STORES.API_CONFIG, key);
     return config?.value || null;
   } catch (error) {
     console.error('Failed to get API config:', error);
@@ -364,8 +1080,8 @@ export const getAPIConfig = async (key) => {
 
 export const getAllAPIConfigs = async () => {
   try {
-    if (!db) await initDB();
-    const configs = await db.getAll(STORES.API_CONFIG);
+    const cacheDb = await getSharedDB();
+    const configs = await cacheDb.getAll(STORES.API_CONFIG);
     const configMap = {};
     configs.forEach(({ key, value }) => {
       configMap[key] = value;
@@ -377,16 +1093,46 @@ export const getAllAPIConfigs = async () => {
   }
 };
 
-export const exportData = async () => {
+const DEVICE_KEY_CONFIG = 'device_key';
+let deviceKeyPromise = null;
+
+// Non-extractable AES key for secrets of profiles without a passphrase, such
+// as the ListenBrainz token. Kept with the API keys; the browser never hands
+// its key material to scripts.
+export const getDeviceKey = () => {
+  if (!deviceKeyPromise) {
+    deviceKeyPromise = (async () => {
+      const stored = await getAPIConfig(DEVICE_KEY_CONFIG);
+      if (stored instanceof CryptoKey) return stored;
+
+      const key = await generateDeviceKey();
+      await saveAPIConfig(DEVICE_KEY_CONFIG, key);
+      return key;
+    })().catch(error => {
+      deviceKeyPromise = null;
+      throw error;
+    });
+  }
+  return deviceKeyPromise;
+};
+
+// profileSettings holds the active profile's BACKUP_SETTING_KEYS values as
+// stored strings; the caller reads them, since a passphrase-locked profile
+// keeps them encrypted
+export const exportData = async (profileSettings = {}) => {
   try {
     if (!db) await initDB();
 
     console.log('📤 Exporting cache backup...');
 
-    const listens = await db.getAll(STORES.LISTENS);
-    const genres = await db.getAll(STORES.GENRES);
+    // Backups hold the listens decrypted
+    const listens = await openListens(await db.getAll(STORES.LISTENS));
+    const cacheDb = await getSharedDB();
+    const genres = await cacheDb.getAll(STORES.GENRES);
     const settings = await db.getAll(STORES.SETTINGS);
     const progress = await db.getAll(STORES.PROGRESS);
+    const artistAliases = await db.getAll(STORES.ARTIST_ALIASES);
+    const imports = await db.getAll(STORES.IMPORTS);
 
     // Normalize all listens to use SECONDS (10 digits)
     const normalizedListens = listens.map(listen => {
@@ -412,11 +1158,12 @@ export const exportData = async () => {
     });
 
     const timestamps = normalizedListens.map(l => l.timestamp || l.listened_at).filter(Boolean);
+    const bounds = getTimestampBounds(timestamps);
     const metadata = timestamps.length > 0 ? {
       totalListens: normalizedListens.length,
       dateRange: {
-        earliest: Math.min(...timestamps),
-        latest: Math.max(...timestamps)
+        earliest: bounds.min,
+        latest: bounds.max
       }
     } : {
       totalListens: 0,
@@ -431,7 +1178,10 @@ export const exportData = async () => {
       listens: normalizedListens,
       genres,
       settings,
+      profileSettings,
       progress,
+      artistAliases,
+      imports,
       metadata
     };
   } catch (error) {
@@ -440,6 +1190,7 @@ export const exportData = async () => {
   }
 };
 
+// data.profileSettings is left to the caller to apply to the active profile
 export const importData = async (data) => {
   try {
     if (!db) await initDB();
@@ -475,19 +1226,43 @@ export const importData = async (data) => {
 
       console.log(`✅ Normalized ${normalizedListens.length} listens`);
 
+      const records = await Promise.all(normalizedListens.map(item => sealListen(item)));
       const tx = db.transaction(STORES.LISTENS, 'readwrite');
       await tx.objectStore(STORES.LISTENS).clear();
-      for (const item of normalizedListens) {
-        await tx.objectStore(STORES.LISTENS).add(item);
+      for (const record of records) {
+        await tx.objectStore(STORES.LISTENS).add(record);
       }
       await tx.done;
     }
 
+    // Other profiles share the genre cache, so backed-up genres are added to
+    // it rather than replacing it
     if (data.genres && Array.isArray(data.genres)) {
-      const tx = db.transaction(STORES.GENRES, 'readwrite');
-      await tx.objectStore(STORES.GENRES).clear();
+      const cacheDb = await getSharedDB();
+      const tx = cacheDb.transaction(STORES.GENRES, 'readwrite');
       for (const item of data.genres) {
-        await tx.objectStore(STORES.GENRES).put(item);
+        await tx.objectStore(STORES.GENRES).put({
+          ...item,
+          artistKey: item.artistKey || normalizeArtistKey(item.artist)
+        });
+      }
+      await tx.done;
+    }
+
+    if (data.artistAliases && Array.isArray(data.artistAliases)) {
+      const tx = db.transaction(STORES.ARTIST_ALIASES, 'readwrite');
+      await tx.objectStore(STORES.ARTIST_ALIASES).clear();
+      for (const item of data.artistAliases) {
+        await tx.objectStore(STORES.ARTIST_ALIASES).put(item);
+      }
+      await tx.done;
+    }
+
+    if (data.imports && Array.isArray(data.imports)) {
+      const tx = db.transaction(STORES.IMPORTS, 'readwrite');
+      await tx.objectStore(STORES.IMPORTS).clear();
+      for (const item of data.imports) {
+        await tx.objectStore(STORES.IMPORTS).put(item);
       }
       await tx.done;
     }
@@ -509,8 +1284,8 @@ export const importData = async (data) => {
 
 export const getGenreCacheStats = async () => {
   try {
-    if (!db) await initDB();
-    const genres = await db.getAll(STORES.GENRES);
+    const cacheDb = await getSharedDB();
+    const genres = await cacheDb.getAll(STORES.GENRES);
 
     const stats = {
       total: genres.length,
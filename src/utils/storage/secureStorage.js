@@ -1,5 +1,3 @@
-import { encrypt, decrypt } from './encryption';
-
 export const StorageType = {
   LOCAL: 'localStorage',
   SESSION: 'sessionStorage',
@@ -8,15 +6,15 @@ export const StorageType = {
 
 let memoryStorage = {};
 
-export const setItem = (key, value, storageType = StorageType.LOCAL, shouldEncrypt = false) => {
+// Values are stored as given; secrets are encrypted beforehand (see
+// storage/vault.js)
+export const setItem = (key, value, storageType = StorageType.LOCAL) => {
   try {
-    const dataToStore = shouldEncrypt ? encrypt(value) : value;
-
     if (storageType === StorageType.MEMORY) {
-      memoryStorage[key] = dataToStore;
+      memoryStorage[key] = value;
     } else {
       const storage = storageType === StorageType.SESSION ? sessionStorage : localStorage;
-      storage.setItem(key, dataToStore);
+      storage.setItem(key, value);
     }
     return true;
   } catch (error) {
@@ -25,7 +23,7 @@ export const setItem = (key, value, storageType = StorageType.LOCAL, shouldEncry
   }
 };
 
-export const getItem = (key, storageType = StorageType.LOCAL, isEncrypted = false) => {
+export const getItem = (key, storageType = StorageType.LOCAL) => {
   try {
     let data;
 
@@ -36,9 +34,7 @@ export const getItem = (key, storageType = StorageType.LOCAL, isEncrypted = fals
       data = storage.getItem(key);
     }
 
-    if (!data) return null;
-
-    return isEncrypted ? decrypt(data) : data;
+    return data || null;
   } catch (error) {
     console.error(`Failed to get item ${key}:`, error);
     return null;
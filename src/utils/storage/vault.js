@@ -0,0 +1,364 @@
+import { getItem, setItem, removeItem, StorageType } from './secureStorage';
+import { PROFILE_SETTING_KEYS, profileKey } from '../profiles';
+import { resealListens, getDeviceKey } from './indexedDB';
+import {
+  PBKDF2_ITERATIONS,
+  DATA_KEY_LENGTH,
+  toBase64,
+  fromBase64,
+  randomBytes,
+  deriveKeyFromPassphrase,
+  importDataKeys,
+  encryptBytes,
+  decryptBytes,
+  encryptToString,
+  decryptFromString,
+  isEncryptedString,
+  isLegacyCiphertext,
+  decryptLegacy,
+  setDataKeys,
+  getDataKeys,
+  getCurrentDataKeys,
+  clearDataKeys
+} from './encryption';
+
+// Optional passphrase lock for a profile. A random data key encrypts the
+// profile's listens (sealListen in storage/indexedDB.js) and its settings;
+// the data key is stored wrapped with a key stretched from the passphrase by
+// PBKDF2, so a wrong passphrase fails to unwrap it. Changing the passphrase
+// creates a new data key and re-encrypts everything. Until that finishes,
+// the old data key stays wrapped under the new passphrase as well, and an
+// interrupted change resumes at the next unlock. Setting a passphrase marks
+// the config as sealing until every listen is encrypted, so an interrupted
+// first encryption also resumes there.
+//   profileKey(id, 'vault'):          { salt, iterations, keyId, wrappedKey,
+//                                       previous?: { keyId, wrappedKey },
+//                                       sealing?: true }
+//   profileKey(id, 'lockedSettings'): the PROFILE_SETTING_KEYS values,
+//                                     encrypted with the data key
+// Both are listed in PROFILE_VAULT_KEYS.
+// Not everything is encrypted. Listen timestamps, sources and import ids stay
+// readable, and hashed index values show which listens share an artist. Some
+// stores keep plain text: artist names in the genre cache (the shared
+// database, so visible from every profile) and in artist_aliases, and file
+// names in the imports ledger.
+
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+const VAULT_KEY = 'vault';
+const LOCKED_SETTINGS_KEY = 'lockedSettings';
+const TOKEN_KEY = 'listenbrainz_token';
+
+const getVaultConfig = (profileId) => {
+  try {
+    return JSON.parse(getItem(profileKey(profileId, VAULT_KEY), StorageType.LOCAL) || 'null');
+  } catch (error) {
+    console.warn('Ignoring unreadable passphrase settings:', error);
+    return null;
+  }
+};
+
+const saveVaultConfig = (profileId, config) => {
+  setItem(profileKey(profileId, VAULT_KEY), JSON.stringify(config), StorageType.LOCAL);
+};
+
+export const isVaultEnabled = (profileId) => getVaultConfig(profileId) !== null;
+
+const createKeyId = () => `k${Date.now().toString(36)}`;
+
+const wrapDataKey = async (wrappingKey, raw) => {
+  const { iv, data } = await encryptBytes(wrappingKey, raw);
+  return { iv: toBase64(iv), data: toBase64(data) };
+};
+
+const unwrapDataKey = (wrappingKey, wrapped) => {
+  return decryptBytes(wrappingKey, { iv: fromBase64(wrapped.iv), data: fromBase64(wrapped.data) });
+};
+
+const checkPassphrase = (passphrase) => {
+  if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Passphrases need at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+};
+
+// New wrapping key and data key, not yet saved
+const createVault = async (passphrase) => {
+  const salt = randomBytes(16);
+  const wrappingKey = await deriveKeyFromPassphrase(passphrase, salt, PBKDF2_ITERATIONS);
+  const raw = randomBytes(DATA_KEY_LENGTH);
+  const keyId = createKeyId();
+
+  return {
+    config: {
+      salt: toBase64(salt),
+      iterations: PBKDF2_ITERATIONS,
+      keyId,
+      wrappedKey: await wrapDataKey(wrappingKey, raw)
+    },
+    wrappingKey,
+    keys: await importDataKeys(keyId, raw)
+  };
+};
+
+// Unwraps the profile's data keys; throws 'Wrong passphrase' when they
+// don't unwrap
+const openVault = async (profileId, passphrase) => {
+  const config = getVaultConfig(profileId);
+  if (!config) {
+    throw new Error('This profile has no passphrase');
+  }
+
+  const wrappingKey = await deriveKeyFromPassphrase(passphrase, fromBase64(config.salt), config.iterations);
+  let raw;
+  let previousRaw = null;
+  try {
+    raw = await unwrapDataKey(wrappingKey, config.wrappedKey);
+    if (config.previous) {
+      previousRaw = await unwrapDataKey(wrappingKey, config.previous.wrappedKey);
+    }
+  } catch (error) {
+    throw new Error('Wrong passphrase');
+  }
+
+  return {
+    config,
+    raw,
+    keys: await importDataKeys(config.keyId, raw),
+    previousKeys: previousRaw ? await importDataKeys(config.previous.keyId, previousRaw) : null
+  };
+};
+
+// Tries each unlocked data key: during a passphrase change the settings may
+// still be under the old one
+const readLockedSettings = async (profileId) => {
+  const stored = getItem(profileKey(profileId, LOCKED_SETTINGS_KEY), StorageType.LOCAL);
+  if (!stored) return {};
+
+  for (const keys of getDataKeys()) {
+    try {
+      return await decryptFromString(keys.encryptionKey, stored);
+    } catch (error) {
+      // Encrypted with another key; try the next one
+    }
+  }
+  throw new Error('Could not decrypt the profile settings');
+};
+
+// settings maps PROFILE_SETTING_KEYS to the strings kept in localStorage
+// for profiles without a passphrase
+export const saveLockedSettings = async (profileId, settings) => {
+  const keys = getCurrentDataKeys();
+  if (!keys) return false;
+
+  try {
+    setItem(
+      profileKey(profileId, LOCKED_SETTINGS_KEY),
+      await encryptToString(keys.encryptionKey, settings),
+      StorageType.LOCAL
+    );
+    return true;
+  } catch (error) {
+    console.error('Failed to save locked settings:', error);
+    return false;
+  }
+};
+
+// Re-encrypts settings and listens with the current data key, then forgets
+// the previous one
+const finishKeyChange = async (profileId, config, keys, settings, onProgress) => {
+  if (!(await saveLockedSettings(profileId, settings))) {
+    throw new Error('Could not save the encrypted settings');
+  }
+  await resealListens(keys, onProgress);
+
+  const rest = { ...config };
+  delete rest.previous;
+  saveVaultConfig(profileId, rest);
+  setDataKeys([keys]);
+};
+
+// Encrypts the listens still stored readable, then clears the sealing mark
+const finishSealing = async (profileId, config, keys, onProgress) => {
+  PROFILE_SETTING_KEYS.forEach(key => removeItem(profileKey(profileId, key), StorageType.LOCAL));
+  await resealListens(keys, onProgress);
+
+  const rest = { ...config };
+  delete rest.sealing;
+  saveVaultConfig(profileId, rest);
+};
+
+// Writes settings back to the readable per-profile keys
+const restoreReadableSettings = async (profileId, settings) => {
+  Object.entries(settings)
+    .filter(([key]) => key !== TOKEN_KEY && PROFILE_SETTING_KEYS.includes(key))
+    .forEach(([key, value]) => setItem(profileKey(profileId, key), value, StorageType.LOCAL));
+  if (settings[TOKEN_KEY]) {
+    await saveListenBrainzToken(profileId, settings[TOKEN_KEY]);
+  }
+};
+
+// Returns the profile's decrypted settings
+export const unlockVault = async (profileId, passphrase, onProgress = null) => {
+  try {
+    const { config, keys, previousKeys } = await openVault(profileId, passphrase);
+    setDataKeys([keys, previousKeys]);
+
+    const settings = await readLockedSettings(profileId);
+    if (config.sealing) {
+      console.log('🔐 Finishing an interrupted encryption...');
+      await finishSealing(profileId, config, keys, onProgress);
+    }
+    if (previousKeys) {
+      console.log('🔐 Finishing an interrupted passphrase change...');
+      await finishKeyChange(profileId, getVaultConfig(profileId), keys, settings, onProgress);
+    }
+
+    console.log('🔓 Profile unlocked');
+    return { success: true, settings };
+  } catch (error) {
+    clearDataKeys();
+    return { success: false, error: error.message };
+  }
+};
+
+export const lockVault = () => {
+  clearDataKeys();
+};
+
+// Back to the state before enableVault: listens sealed so far are decrypted
+// again and the settings made readable. The data keys stay set until then,
+// since they are needed to open those listens.
+const undoEnableVault = async (profileId, settings) => {
+  try {
+    await resealListens(null);
+    await restoreReadableSettings(profileId, settings);
+    removeItem(profileKey(profileId, LOCKED_SETTINGS_KEY), StorageType.LOCAL);
+    removeItem(profileKey(profileId, VAULT_KEY), StorageType.LOCAL);
+    clearDataKeys();
+  } catch (error) {
+    // The sealing mark stays, so the next unlock finishes the encryption
+    console.error('Failed to undo setting the passphrase:', error);
+  }
+};
+
+export const enableVault = async (profileId, passphrase, settings, onProgress = null) => {
+  let keys = null;
+  try {
+    if (isVaultEnabled(profileId)) {
+      throw new Error('This profile already has a passphrase');
+    }
+    checkPassphrase(passphrase);
+
+    const vault = await createVault(passphrase);
+    keys = vault.keys;
+    const config = { ...vault.config, sealing: true };
+    saveVaultConfig(profileId, config);
+    setDataKeys([keys]);
+
+    // Settings are saved encrypted before the readable copies go
+    if (!(await saveLockedSettings(profileId, settings))) {
+      throw new Error('Could not save the encrypted settings');
+    }
+    await finishSealing(profileId, config, keys, onProgress);
+
+    console.log('🔐 Profile encrypted with a passphrase');
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to set passphrase:', error);
+    if (keys) {
+      await undoEnableVault(profileId, settings);
+    }
+    return { success: false, error: error.message };
+  }
+};
+
+export const changeVaultPassphrase = async (profileId, currentPassphrase, newPassphrase, onProgress = null) => {
+  try {
+    checkPassphrase(newPassphrase);
+    const { keys: oldKeys, raw: oldRaw, previousKeys } = await openVault(profileId, currentPassphrase);
+    if (previousKeys) {
+      throw new Error('Unlock the profile again to finish the previous passphrase change first');
+    }
+    setDataKeys([oldKeys]);
+    const settings = await readLockedSettings(profileId);
+
+    const { config, wrappingKey, keys } = await createVault(newPassphrase);
+    const pending = {
+      ...config,
+      previous: { keyId: oldKeys.keyId, wrappedKey: await wrapDataKey(wrappingKey, oldRaw) }
+    };
+    saveVaultConfig(profileId, pending);
+    setDataKeys([keys, oldKeys]);
+
+    await finishKeyChange(profileId, pending, keys, settings, onProgress);
+    console.log('🔐 Passphrase changed and listens re-encrypted');
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to change passphrase:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Decrypts the profile back to plaintext and moves its settings to
+// localStorage
+export const disableVault = async (profileId, passphrase, onProgress = null) => {
+  try {
+    const { keys, previousKeys } = await openVault(profileId, passphrase);
+    setDataKeys([keys, previousKeys]);
+    const settings = await readLockedSettings(profileId);
+
+    await resealListens(null, onProgress);
+    await restoreReadableSettings(profileId, settings);
+
+    removeItem(profileKey(profileId, LOCKED_SETTINGS_KEY), StorageType.LOCAL);
+    removeItem(profileKey(profileId, VAULT_KEY), StorageType.LOCAL);
+    clearDataKeys();
+    console.log('🔓 Passphrase removed, listens decrypted');
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to remove passphrase:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// The ListenBrainz token of a profile without a passphrase, encrypted with
+// the device key. Tokens saved by earlier versions (CryptoJS with the
+// build-time key) are re-encrypted the first time they are read.
+export const loadListenBrainzToken = async (profileId) => {
+  const key = profileKey(profileId, TOKEN_KEY);
+  const stored = getItem(key, StorageType.LOCAL);
+  if (!stored) return null;
+
+  try {
+    if (isEncryptedString(stored)) {
+      return await decryptFromString(await getDeviceKey(), stored);
+    }
+
+    if (isLegacyCiphertext(stored)) {
+      const token = decryptLegacy(stored);
+      if (!token) return null;
+      await saveListenBrainzToken(profileId, token);
+      console.log('🔑 Migrated the saved ListenBrainz token to WebCrypto encryption');
+      return token;
+    }
+  } catch (error) {
+    console.error('Failed to read the saved ListenBrainz token:', error);
+  }
+  return null;
+};
+
+export const saveListenBrainzToken = async (profileId, token) => {
+  const key = profileKey(profileId, TOKEN_KEY);
+  if (!token) {
+    removeItem(key, StorageType.LOCAL);
+    return true;
+  }
+
+  try {
+    setItem(key, await encryptToString(await getDeviceKey(), token), StorageType.LOCAL);
+    return true;
+  } catch (error) {
+    console.error('Failed to save the ListenBrainz token:', error);
+    return false;
+  }
+};
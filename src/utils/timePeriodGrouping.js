@@ -1,3 +1,6 @@
+import { getListenGenres } from './listenKinds';
+import { getListenDateParts } from './timezones';
+
 export const TimePeriod = {
   DAILY: 'daily',
   WEEKLY: 'weekly',
@@ -14,36 +17,23 @@ export const suggestOptimalPeriod = (listenCount) => {
   return TimePeriod.YEARLY;
 };
 
-const getStartOfPeriod = (timestamp, period) => {
-  const date = new Date(timestamp);
-
+// Periods start at midnight on the listener's wall clock (see timezones.js);
+// the start is kept as a browser-local date so labels read the same day
+const getStartOfPeriod = ({ year, month, day, weekday }, period) => {
   switch (period) {
     case TimePeriod.DAILY:
-      date.setHours(0, 0, 0, 0);
-      break;
+      return new Date(year, month, day).getTime();
     case TimePeriod.WEEKLY:
-      const day = date.getDay();
-      date.setDate(date.getDate() - day);
-      date.setHours(0, 0, 0, 0);
-      break;
+      return new Date(year, month, day - weekday).getTime();
     case TimePeriod.MONTHLY:
-      date.setDate(1);
-      date.setHours(0, 0, 0, 0);
-      break;
+      return new Date(year, month, 1).getTime();
     case TimePeriod.QUARTERLY:
-      const quarter = Math.floor(date.getMonth() / 3);
-      date.setMonth(quarter * 3, 1);
-      date.setHours(0, 0, 0, 0);
-      break;
+      return new Date(year, Math.floor(month / 3) * 3, 1).getTime();
     case TimePeriod.YEARLY:
-      date.setMonth(0, 1);
-      date.setHours(0, 0, 0, 0);
-      break;
+      return new Date(year, 0, 1).getTime();
     default:
-      break;
+      return new Date(year, month, day).getTime();
   }
-
-  return date.getTime();
 };
 
 const formatPeriodLabel = (timestamp, period) => {
@@ -76,14 +66,13 @@ export const groupListensByTimePeriod = (listens, period, genreMap) => {
       return;
     }
 
-    const timestampMs = timestamp * 1000;
-    const date = new Date(timestampMs);
+    const dateParts = getListenDateParts(listen);
 
-    if (date.getFullYear() < 2000 || date.getFullYear() > 2030) {
+    if (dateParts.year < 2000 || dateParts.year > 2030) {
       return;
     }
 
-    const periodStart = getStartOfPeriod(timestampMs, period);
+    const periodStart = getStartOfPeriod(dateParts, period);
     const periodKey = periodStart.toString();
 
     if (!groups.has(periodKey)) {
@@ -98,7 +87,7 @@ export const groupListensByTimePeriod = (listens, period, genreMap) => {
     const group = groups.get(periodKey);
     group.listens.push(listen);
 
-    const genres = genreMap.get(listen.artistName) || ['Unknown'];
+    const genres = getListenGenres(listen, genreMap);
     genres.forEach(genre => {
       group.genres.set(genre, (group.genres.get(genre) || 0) + 1);
     });
@@ -1,3 +1,5 @@
+import { iterateListens, deleteListens } from './storage/indexedDB.js';
+
 export async function cleanCorruptedTimestamps() {
   console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
   console.log('🧹 TIMESTAMP CLEANUP STARTED');
@@ -7,83 +9,67 @@ export async function cleanCorruptedTimestamps() {
   const MAX_VALID_TS = 2147483647;
 
   try {
-    const db = await new Promise((resolve, reject) => {
-      const request = indexedDB.open('MusicQuestDB');
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
-    });
-
-    const tx = db.transaction('listens', 'readwrite');
-    const store = tx.objectStore('listens');
-
-    const allListens = await new Promise((resolve, reject) => {
-      const request = store.getAll();
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
-    });
-
-    console.log(`   Found ${allListens.length.toLocaleString()} total listens`);
-
     let cleaned = 0;
     let removed = 0;
     let skipped = 0;
     const issues = [];
 
-    for (const listen of allListens) {
+    // Goes through the storage helpers so the active profile's database is
+    // used and encrypted listens are opened and resealed
+    const total = await iterateListens((listen) => {
       let ts = listen.timestamp || listen.listened_at;
 
-      if (!ts || ts < MIN_VALID_TS || ts > MAX_VALID_TS) {
-        if (listen.additionalInfo?.original_timestamp) {
-          const recoveredDate = new Date(listen.additionalInfo.original_timestamp);
-          if (!isNaN(recoveredDate.getTime())) {
-            ts = Math.floor(recoveredDate.getTime() / 1000);
-
-            if (ts >= MIN_VALID_TS && ts <= MAX_VALID_TS) {
-              await store.put({
-                ...listen,
-                timestamp: ts,
-                listened_at: ts,
-                timestampMetadata: {
-                  validated: true,
-                  recovered: true,
-                  originalValue: listen.timestamp || listen.listened_at,
-                  recoveredFrom: 'original_timestamp'
-                }
-              });
-
-              cleaned++;
-              console.log(`   ✅ Recovered: "${listen.trackName}" by ${listen.artistName} → ${new Date(ts * 1000).toISOString()}`);
-              continue;
-            }
+      if (ts && ts >= MIN_VALID_TS && ts <= MAX_VALID_TS) {
+        skipped++;
+        return null;
+      }
+
+      if (listen.additionalInfo?.original_timestamp) {
+        const recoveredDate = new Date(listen.additionalInfo.original_timestamp);
+        if (!isNaN(recoveredDate.getTime())) {
+          ts = Math.floor(recoveredDate.getTime() / 1000);
+
+          if (ts >= MIN_VALID_TS && ts <= MAX_VALID_TS) {
+            cleaned++;
+            console.log(`   ✅ Recovered: "${listen.trackName}" by ${listen.artistName} → ${new Date(ts * 1000).toISOString()}`);
+            return {
+              ...listen,
+              timestamp: ts,
+              listened_at: ts,
+              timestampMetadata: {
+                validated: true,
+                recovered: true,
+                originalValue: listen.timestamp || listen.listened_at,
+                recoveredFrom: 'original_timestamp'
+              }
+            };
           }
         }
-
-        issues.push({
-          id: listen.id,
-          track: listen.trackName || 'Unknown',
-          artist: listen.artistName || 'Unknown',
-          timestamp: ts,
-          date: ts ? new Date(ts * 1000).toISOString() : 'invalid'
-        });
-
-        await store.delete(listen.id);
-        removed++;
-      } else {
-        skipped++;
       }
-    }
 
-    await new Promise((resolve, reject) => {
-      tx.oncomplete = () => resolve();
-      tx.onerror = () => reject(tx.error);
-    });
+      issues.push({
+        id: listen.id,
+        track: listen.trackName || 'Unknown',
+        artist: listen.artistName || 'Unknown',
+        timestamp: ts,
+        date: ts ? new Date(ts * 1000).toISOString() : 'invalid'
+      });
+      return null;
+    }, { readwrite: true });
+
+    console.log(`   Found ${total.toLocaleString()} total listens`);
 
-    db.close();
+    if (issues.length > 0) {
+      if (!(await deleteListens(issues.map(issue => issue.id)))) {
+        throw new Error('Could not remove the corrupt listens');
+      }
+      removed = issues.length;
+    }
 
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     console.log('✅ TIMESTAMP CLEANUP COMPLETE');
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-    console.log(`   Total listens:      ${allListens.length.toLocaleString()}`);
+    console.log(`   Total listens:      ${total.toLocaleString()}`);
     console.log(`   Valid (skipped):    ${skipped.toLocaleString()}`);
     console.log(`   Cleaned/recovered:  ${cleaned.toLocaleString()}`);
     console.log(`   Removed (corrupt):  ${removed.toLocaleString()}`);
@@ -107,7 +93,7 @@ export async function cleanCorruptedTimestamps() {
 
     return {
       success: true,
-      total: allListens.length,
+      total,
       cleaned,
       removed,
       remaining: skipped + cleaned,
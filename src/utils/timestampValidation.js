@@ -1,6 +1,37 @@
 const MIN_VALID_TIMESTAMP = 946684800;   // Jan 1, 2000 (music streaming era)
 const MAX_VALID_TIMESTAMP = 2147483647;  // Jan 19, 2038 (Unix 32-bit limit)
 
+// Math.min(...timestamps) overflows the call stack for very large histories
+export function getTimestampBounds(timestamps) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const ts of timestamps) {
+    if (ts < min) min = ts;
+    if (ts > max) max = ts;
+  }
+  return { min, max };
+}
+
+// Sources whose timestamp marks the end of the play rather than the start
+const END_TIMESTAMP_SOURCES = new Set(['spotify']);
+
+const getListenInfo = (listen) => listen.additionalInfo || listen.track_metadata?.additional_info || {};
+
+// Seconds between the start of the play and the stored timestamp
+const getTimestampOffset = (listen) => {
+  const info = getListenInfo(listen);
+  if (END_TIMESTAMP_SOURCES.has(listen.source) && info.spotify_package !== 'account_data' && info.ms_played > 0) {
+    return Math.round(info.ms_played / 1000);
+  }
+  return 0;
+};
+
+// Best estimate of when the play started, in Unix seconds. Spotify's
+// extended history `ts` is the end time; scrobblers record the start.
+export function getPlayStart(listen) {
+  return (listen.timestamp || listen.listened_at || 0) - getTimestampOffset(listen);
+}
+
 export function validateAndCleanTimestamps(listens) {
   console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
   console.log(`🕐 TIMESTAMP VALIDATION STARTED`);
@@ -117,10 +148,10 @@ export function validateAndCleanTimestamps(listens) {
   console.log(`   Valid listens:      ${cleanedListens.length.toLocaleString()} (${validationRate}%)`);
 
   if (cleanedListens.length > 0) {
-    const timestamps = cleanedListens.map(l => l.timestamp);
-    const earliest = new Date(Math.min(...timestamps) * 1000);
-    const latest = new Date(Math.max(...timestamps) * 1000);
-    const yearSpan = ((Math.max(...timestamps) - Math.min(...timestamps)) / (365.25 * 24 * 60 * 60)).toFixed(1);
+    const bounds = getTimestampBounds(cleanedListens.map(l => l.timestamp));
+    const earliest = new Date(bounds.min * 1000);
+    const latest = new Date(bounds.max * 1000);
+    const yearSpan = ((bounds.max - bounds.min) / (365.25 * 24 * 60 * 60)).toFixed(1);
 
     console.log(`   Date range:         ${earliest.getFullYear()}-${latest.getFullYear()} (${yearSpan} years)`);
   }
@@ -169,8 +200,7 @@ export function validateTimestampRange(listens) {
     return { valid: false, error: 'No valid timestamps found' };
   }
 
-  const min = Math.min(...timestamps);
-  const max = Math.max(...timestamps);
+  const { min, max } = getTimestampBounds(timestamps);
 
   if (min < MIN_VALID_TIMESTAMP) {
     return {
@@ -224,18 +254,144 @@ export function detectTimestampFormat(timestamp) {
   };
 }
 
+// ═══════════════════════════════════════════════════════════
+// SCROBBLE BURSTS - more listening time than wall-clock time
+// ═══════════════════════════════════════════════════════════
+// Offline scrobble caches flushed at once, or broken importers, stamp
+// hundreds of listens within seconds of each other. Such a burst claims more
+// listening time than passed on the clock and inflates single days.
+
+const MIN_SCROBBLE_SECONDS = 30;      // a scrobble needs at least 30s of play
+const DEFAULT_TRACK_SECONDS = 210;    // used to respace listens of unknown length
+const MIN_BURST_LISTENS = 10;
+const MIN_BURST_DENSITY = 2;          // claimed listening time / elapsed time
+
+// Seconds of play a listen accounts for. With reliable = true unknown lengths
+// fall back to the scrobble minimum, so detection never overestimates.
+const getPlaySeconds = (listen, reliable = true) => {
+  const info = getListenInfo(listen);
+  const ms = info.ms_played || info.duration_ms || info.media_duration_ms;
+  if (ms > 0) return Math.max(Math.round(ms / 1000), 1);
+  return reliable ? MIN_SCROBBLE_SECONDS : DEFAULT_TRACK_SECONDS;
+};
+
+export const isQuarantined = (listen) => Boolean(listen?.quarantined);
+
+export const excludeQuarantined = (listens) => listens.filter(listen => !isQuarantined(listen));
+
+// Runs of listens where each one starts before the previous could have
+// finished. Runs that are long and dense enough are reported as bursts.
+export function detectScrobbleBursts(listens) {
+  const sorted = excludeQuarantined(listens)
+    .map(listen => ({ listen, start: getPlayStart(listen), seconds: getPlaySeconds(listen) }))
+    .filter(entry => entry.start > 0)
+    .sort((a, b) => a.start - b.start);
+
+  const bursts = [];
+  let run = [];
+
+  const closeRun = () => {
+    if (run.length >= MIN_BURST_LISTENS) {
+      const first = run[0];
+      const last = run[run.length - 1];
+      const wallClockSeconds = last.start - first.start + last.seconds;
+      const listeningSeconds = run.reduce((sum, entry) => sum + entry.seconds, 0);
+      const density = listeningSeconds / Math.max(wallClockSeconds, 1);
+
+      if (density >= MIN_BURST_DENSITY) {
+        bursts.push({
+          id: `${first.start}-${run.length}`,
+          start: first.start,
+          end: last.start,
+          count: run.length,
+          listeningSeconds,
+          wallClockSeconds,
+          density: Math.round(density * 10) / 10,
+          sources: [...new Set(run.map(entry => entry.listen.source).filter(Boolean))],
+          listenIds: run.map(entry => entry.listen.id)
+        });
+      }
+    }
+    run = [];
+  };
+
+  sorted.forEach(entry => {
+    const previous = run[run.length - 1];
+    if (previous && entry.start - previous.start >= previous.seconds) {
+      closeRun();
+    }
+    run.push(entry);
+  });
+  closeRun();
+
+  if (bursts.length > 0) {
+    console.log(`⚠️  Detected ${bursts.length} scrobble burst${bursts.length > 1 ? 's' : ''} (${bursts.reduce((sum, b) => sum + b.count, 0).toLocaleString()} listens)`);
+  }
+
+  return bursts;
+}
+
+// Lays the burst's listens back to back, in their original order, so the
+// last one keeps its start time. Lengths come from play time or track
+// duration where known. Spacing works on play starts; each listen's
+// timestamp is written back in its source's convention (end time for
+// Spotify).
+export function respaceBurst(listens, burst) {
+  const ids = new Set(burst.listenIds);
+  const members = listens
+    .filter(listen => ids.has(listen.id))
+    .sort((a, b) => getPlayStart(a) - getPlayStart(b));
+
+  const newStarts = new Map();
+  let cursor = burst.end + getPlaySeconds(members[members.length - 1], false);
+  for (let i = members.length - 1; i >= 0; i--) {
+    cursor -= getPlaySeconds(members[i], false);
+    newStarts.set(members[i].id, cursor);
+  }
+
+  return listens.map(listen => {
+    if (!newStarts.has(listen.id)) return listen;
+    const ts = newStarts.get(listen.id) + getTimestampOffset(listen);
+    return {
+      ...listen,
+      timestamp: ts,
+      listened_at: ts,
+      timestampMetadata: {
+        ...listen.timestampMetadata,
+        respaced: true,
+        originalTimestamp: listen.timestamp || listen.listened_at
+      }
+    };
+  });
+}
+
+// Quarantined listens stay stored but are left out of every chart
+export function quarantineBurst(listens, burst) {
+  const ids = new Set(burst.listenIds);
+  return listens.map(listen => ids.has(listen.id)
+    ? { ...listen, quarantined: { reason: 'scrobble_burst', burstId: burst.id, at: Date.now() } }
+    : listen
+  );
+}
+
+export function restoreQuarantined(listens) {
+  return listens.map(listen => {
+    if (!isQuarantined(listen)) return listen;
+    const { quarantined, ...rest } = listen;
+    return rest;
+  });
+}
+
 if (typeof window !== 'undefined') {
   window.validateTimestamps = async () => {
-    const { initDB } = await import('./storage/indexedDB.js');
-    const db = await initDB();
-    const listens = await db.getAll('listens');
+    const { getListeningData } = await import('./storage/indexedDB.js');
+    const listens = await getListeningData();
     return validateAndCleanTimestamps(listens);
   };
 
   window.checkTimestampRange = async () => {
-    const { initDB } = await import('./storage/indexedDB.js');
-    const db = await initDB();
-    const listens = await db.getAll('listens');
+    const { getListeningData } = await import('./storage/indexedDB.js');
+    const listens = await getListeningData();
     return validateTimestampRange(listens);
   };
 
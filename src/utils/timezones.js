@@ -0,0 +1,215 @@
+// ═══════════════════════════════════════════════════════════
+// TIMEZONES - which wall clock a listen happened on
+// ═══════════════════════════════════════════════════════════
+// Listens are stored as UTC Unix seconds. Bucketing by day, week or hour
+// needs the listener's local time, resolved in this order:
+//   1. the timezone timeline setting ("America/Denver until 2019, then
+//      Europe/Berlin"), since the user set it on purpose
+//   2. the listen's own tzOffset (minutes east of UTC), inferred at import
+//      from source hints such as Spotify's conn_country
+//   3. the browser's timezone
+
+// Countries that observe a single timezone. Countries spanning several
+// (US, CA, AU, BR, RU, MX, ...) cannot be resolved from the country alone.
+const COUNTRY_TIMEZONES = {
+  AT: 'Europe/Vienna',
+  BE: 'Europe/Brussels',
+  BG: 'Europe/Sofia',
+  CH: 'Europe/Zurich',
+  CZ: 'Europe/Prague',
+  DE: 'Europe/Berlin',
+  DK: 'Europe/Copenhagen',
+  EE: 'Europe/Tallinn',
+  ES: 'Europe/Madrid',
+  FI: 'Europe/Helsinki',
+  FR: 'Europe/Paris',
+  GB: 'Europe/London',
+  GR: 'Europe/Athens',
+  HR: 'Europe/Zagreb',
+  HU: 'Europe/Budapest',
+  IE: 'Europe/Dublin',
+  IS: 'Atlantic/Reykjavik',
+  IT: 'Europe/Rome',
+  LT: 'Europe/Vilnius',
+  LU: 'Europe/Luxembourg',
+  LV: 'Europe/Riga',
+  NL: 'Europe/Amsterdam',
+  NO: 'Europe/Oslo',
+  PL: 'Europe/Warsaw',
+  RO: 'Europe/Bucharest',
+  RS: 'Europe/Belgrade',
+  SE: 'Europe/Stockholm',
+  SI: 'Europe/Ljubljana',
+  SK: 'Europe/Bratislava',
+  TR: 'Europe/Istanbul',
+  UA: 'Europe/Kyiv',
+  IL: 'Asia/Jerusalem',
+  AE: 'Asia/Dubai',
+  SA: 'Asia/Riyadh',
+  EG: 'Africa/Cairo',
+  ZA: 'Africa/Johannesburg',
+  NG: 'Africa/Lagos',
+  KE: 'Africa/Nairobi',
+  MA: 'Africa/Casablanca',
+  IN: 'Asia/Kolkata',
+  PK: 'Asia/Karachi',
+  BD: 'Asia/Dhaka',
+  TH: 'Asia/Bangkok',
+  VN: 'Asia/Ho_Chi_Minh',
+  MY: 'Asia/Kuala_Lumpur',
+  SG: 'Asia/Singapore',
+  PH: 'Asia/Manila',
+  CN: 'Asia/Shanghai',
+  HK: 'Asia/Hong_Kong',
+  TW: 'Asia/Taipei',
+  KR: 'Asia/Seoul',
+  JP: 'Asia/Tokyo',
+  NZ: 'Pacific/Auckland',
+  AR: 'America/Argentina/Buenos_Aires',
+  CL: 'America/Santiago',
+  CO: 'America/Bogota',
+  PE: 'America/Lima',
+  UY: 'America/Montevideo',
+  CR: 'America/Costa_Rica',
+  GT: 'America/Guatemala',
+  PR: 'America/Puerto_Rico',
+  JM: 'America/Jamaica'
+};
+
+export const inferTimezoneFromCountry = (countryCode) => {
+  if (typeof countryCode !== 'string') return null;
+  return COUNTRY_TIMEZONES[countryCode.trim().toUpperCase()] || null;
+};
+
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+export const getSupportedTimeZones = () => {
+  if (typeof Intl.supportedValuesOf === 'function') {
+    return Intl.supportedValuesOf('timeZone');
+  }
+  return Array.from(new Set(Object.values(COUNTRY_TIMEZONES))).sort();
+};
+
+const formatters = new Map();
+const offsetCache = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+// Minutes east of UTC for a timezone at the given instant (DST aware).
+// Offsets only change on the hour, so they are cached per zone and hour.
+export const getZoneOffset = (timeZone, seconds) => {
+  const cacheKey = `${timeZone}|${Math.floor(seconds / 3600)}`;
+  if (offsetCache.has(cacheKey)) {
+    return offsetCache.get(cacheKey);
+  }
+
+  const parts = {};
+  getFormatter(timeZone).formatToParts(new Date(seconds * 1000)).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  const offset = Math.round((wallClock / 1000 - seconds) / 60);
+
+  offsetCache.set(cacheKey, offset);
+  return offset;
+};
+
+// [{ from: 'YYYY-MM-DD' | null, timeZone }] sorted by start; the first entry
+// may have no start date and covers everything before the second
+let timezoneTimeline = [];
+
+export const normalizeTimezoneTimeline = (entries = []) => {
+  return entries
+    .filter(entry => isValidTimeZone(entry?.timeZone))
+    .map(entry => ({
+      from: entry.from || null,
+      timeZone: entry.timeZone,
+      fromSeconds: entry.from ? Math.floor(Date.parse(`${entry.from}T00:00:00Z`) / 1000) : -Infinity
+    }))
+    .filter(entry => !Number.isNaN(entry.fromSeconds))
+    .sort((a, b) => a.fromSeconds - b.fromSeconds);
+};
+
+export const setTimezoneTimeline = (entries = []) => {
+  timezoneTimeline = normalizeTimezoneTimeline(entries);
+};
+
+export const getTimelineZone = (seconds) => {
+  let zone = null;
+  for (const entry of timezoneTimeline) {
+    if (entry.fromSeconds > seconds) break;
+    zone = entry.timeZone;
+  }
+  return zone;
+};
+
+// Minutes east of UTC for a listen, or null to use the browser's timezone
+export const getListenOffset = (listen) => {
+  const seconds = listen?.timestamp || listen?.listened_at;
+  const zone = seconds ? getTimelineZone(seconds) : null;
+  if (zone) {
+    return getZoneOffset(zone, seconds);
+  }
+  return Number.isFinite(listen?.tzOffset) ? listen.tzOffset : null;
+};
+
+// Calendar fields of a listen on the listener's wall clock
+export const getListenDateParts = (listen) => {
+  const seconds = listen?.timestamp || listen?.listened_at || 0;
+  const offset = getListenOffset(listen);
+
+  if (offset === null) {
+    const date = new Date(seconds * 1000);
+    return {
+      year: date.getFullYear(),
+      month: date.getMonth(),
+      day: date.getDate(),
+      hour: date.getHours(),
+      weekday: date.getDay()
+    };
+  }
+
+  const shifted = new Date((seconds + offset * 60) * 1000);
+  return {
+    year: shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth(),
+    day: shifted.getUTCDate(),
+    hour: shifted.getUTCHours(),
+    weekday: shifted.getUTCDay()
+  };
+};
+
+// Offset to store on a listen at import, from the hints parsers leave in
+// additional_info: an explicit tz_offset or an inferred IANA timezone
+export const inferListenOffset = (seconds, additionalInfo = {}) => {
+  const info = additionalInfo || {};
+  if (Number.isFinite(info.tz_offset)) {
+    return info.tz_offset;
+  }
+  if (isValidTimeZone(info.inferred_timezone) && seconds) {
+    return getZoneOffset(info.inferred_timezone, seconds);
+  }
+  return null;
+};
@@ -0,0 +1,100 @@
+import { getPrimaryArtist } from './artistCredits';
+
+// ═══════════════════════════════════════════════════════════
+// TRACK TITLES - split "Song - 2011 Remaster" into title + version
+// ═══════════════════════════════════════════════════════════
+// A listen's trackName is the title exactly as the source reported it.
+// Track-level aggregations (play counts, replays, unique tracks) group by
+// the base title instead, so remasters, live recordings and edits of a song
+// count as the same track unless versions are counted separately.
+
+export const TrackVersions = {
+  MERGED: 'merged',
+  SEPARATE: 'separate'
+};
+
+// Suffixes that describe a release or recording of the same song. Remixes
+// are left alone: they are usually a different track.
+// "2011 Remaster", "Remastered 2009", "Live at Wembley", "Radio Edit",
+// "Single Version", "Mono", "Demo", "Acoustic Version", "Original Mix"
+const VERSION_DESCRIPTOR = new RegExp(
+  '^(?:' + [
+    '(?:\\d{4}\\s+)?(?:digital(?:ly)?\\s+)?remaster(?:ed)?(?:\\s+(?:\\d{4}|version|edition))*',
+    'live(?:\\s+(?:at|from|in|on)\\b.*|\\s+version|\\s+\\d{4})?',
+    '(?:radio|single|album|clean|explicit|short|original)\\s+(?:edit|version)',
+    '(?:mono|stereo|single|album|original|\\d{4})\\s+(?:version|mix)',
+    'edit',
+    'mono',
+    'stereo',
+    'demo(?:\\s+version)?',
+    'acoustic(?:\\s+version)?'
+  ].join('|') + ')$',
+  'i'
+);
+
+const TRAILING_BRACKET = /^(.*\S)\s*[([]([^()[\]]+)[)\]]$/;
+const TRAILING_DASH = /^(.*\S)\s+[-–—]\s+([^-–—]+)$/;
+
+const isVersionDescriptor = (text) => VERSION_DESCRIPTOR.test(text.trim());
+
+// Splits a title into { title, version }; version is null for the plain song.
+// Several suffixes are peeled off in turn: "Song (Live) [2011 Remaster]"
+export const parseTrackTitle = (trackName) => {
+  const text = typeof trackName === 'string' ? trackName.trim() : '';
+  let title = text;
+  const versions = [];
+
+  while (title) {
+    const bracket = title.match(TRAILING_BRACKET);
+    if (bracket && isVersionDescriptor(bracket[2])) {
+      versions.unshift(bracket[2].trim());
+      title = bracket[1];
+      continue;
+    }
+
+    const dash = title.match(TRAILING_DASH);
+    if (dash && isVersionDescriptor(dash[2])) {
+      versions.unshift(dash[2].trim());
+      title = dash[1];
+      continue;
+    }
+
+    break;
+  }
+
+  return {
+    title: title || text,
+    version: versions.length > 0 ? versions.join(', ') : null
+  };
+};
+
+// Cleared once it holds TITLE_CACHE_LIMIT titles
+const TITLE_CACHE_LIMIT = 10000;
+const titleCache = new Map();
+
+const parseCachedTitle = (trackName) => {
+  if (!titleCache.has(trackName)) {
+    if (titleCache.size >= TITLE_CACHE_LIMIT) titleCache.clear();
+    titleCache.set(trackName, parseTrackTitle(trackName));
+  }
+  return titleCache.get(trackName);
+};
+
+// Listens imported before titles were split have no baseTrackName and are
+// parsed on the fly
+export const getListenTitle = (listen) => {
+  if (typeof listen?.baseTrackName === 'string') {
+    return { title: listen.baseTrackName, version: listen.version || null };
+  }
+  return parseCachedTitle(listen?.trackName || listen?.track_metadata?.track_name || '');
+};
+
+// Grouping key for track-level aggregations; null when the listen has no title
+export const getTrackKey = (listen, versions = TrackVersions.MERGED) => {
+  const trackName = listen?.trackName || listen?.track_metadata?.track_name;
+  if (!trackName) return null;
+
+  const title = versions === TrackVersions.SEPARATE ? trackName : getListenTitle(listen).title;
+  const artist = getPrimaryArtist(listen) || '';
+  return `${artist.toLowerCase()}|||${title.toLowerCase().replace(/\s+/g, ' ').trim()}`;
+};
@@ -0,0 +1,90 @@
+import { runImportPipeline } from '../utils/importPipeline';
+import { setActiveProfile } from '../utils/storage/indexedDB';
+import { setDataKeys } from '../utils/storage/encryption';
+import { enrichListensWithGenres } from '../utils/genreEnrichment.js';
+import errorLogger from '../utils/errorLogger';
+
+// ═══════════════════════════════════════════════════════════
+// IMPORT WORKER
+// ═══════════════════════════════════════════════════════════
+// Messages in:
+//   { type: 'start', files, delimitedFiles, crossSourceWindow, profileId, dataKeys }
+//                                             - run the import pipeline into
+//                                               the profile's database,
+//                                               encrypting with dataKeys if set
+//   { type: 'cancel' }                        - stop at the next checkpoint
+// Messages out:
+//   { type: 'progress', progress }            - { percentage, status, currentFile }
+//   { type: 'log', entry }                    - errorLogger entry to replay on the main thread
+//   { type: 'result', result }                - pipeline result; result.listens
+//                                               holds only the added or
+//                                               changed listens, all are stored
+//   { type: 'enriched', changedRange, enrichedCount }
+//                                             - genres from the cache were saved
+//   { type: 'error', error, cancelled }
+
+let abortController = null;
+
+// The worker has its own errorLogger instance; forward new entries so they
+// show up in the app's error log.
+errorLogger.subscribe((errors) => {
+  if (errors.length > 0) {
+    const { message, stack, context, level } = errors[0];
+    self.postMessage({ type: 'log', entry: { message, stack, context, level } });
+  }
+});
+
+const runImport = async ({ files, delimitedFiles, crossSourceWindow, profileId, dataKeys }) => {
+  setActiveProfile(profileId);
+  setDataKeys(dataKeys || []);
+  abortController = new AbortController();
+  let result;
+
+  try {
+    result = await runImportPipeline(files, {
+      delimitedFiles,
+      crossSourceWindow,
+      signal: abortController.signal,
+      onProgress: (progress) => self.postMessage({ type: 'progress', progress })
+    });
+
+    self.postMessage({ type: 'result', result });
+  } catch (error) {
+    console.error('❌ File parsing error:', error);
+    self.postMessage({
+      type: 'error',
+      error: error.message,
+      cancelled: error.message === 'Import cancelled'
+    });
+    return;
+  } finally {
+    abortController = null;
+  }
+
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('🎵 TRIGGERING POST-IMPORT ENRICHMENT');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  try {
+    const enrichedListens = await enrichListensWithGenres(result.listens, true);
+
+    const enrichedCount = enrichedListens.filter(l =>
+      l.genres && l.genres.length > 0 && l.genres[0] !== 'Unknown'
+    ).length;
+
+    self.postMessage({ type: 'enriched', changedRange: result.changedRange, enrichedCount });
+  } catch (error) {
+    console.error('❌ Post-import enrichment failed:', error);
+    self.postMessage({ type: 'enriched', changedRange: null, enrichedCount: 0 });
+  }
+};
+
+self.onmessage = (event) => {
+  const { type } = event.data;
+
+  if (type === 'start') {
+    runImport(event.data);
+  } else if (type === 'cancel') {
+    abortController?.abort();
+  }
+};